@@ -8,6 +8,37 @@ try {
   // calendar.jsがないとカレンダー機能が動作しない
 }
 
+try {
+  importScripts("../shared/tasks.js");
+} catch (error) {
+  console.error("Failed to load tasks.js:", error);
+}
+
+try {
+  importScripts(
+    "../shared/google-accounts.js",
+    "../shared/calendar-provider.js",
+    "../shared/ics.js",
+    "../shared/caldav.js",
+    "../shared/outlook.js"
+  );
+} catch (error) {
+  console.error("Failed to load calendar providers:", error);
+}
+
+try {
+  // アドレスバーからのクイック追加で使う日付解析
+  importScripts(
+    "../shared/regex-patterns.js",
+    "../shared/date-utils.js",
+    "../shared/chrono.min.js",
+    "../shared/date-parser.js",
+    "../shared/quick-add.js"
+  );
+} catch (error) {
+  console.error("Failed to load date parser scripts:", error);
+}
+
 try {
   importScripts("../shared/logger.js");
 } catch (error) {
@@ -20,6 +51,12 @@ try {
   console.error("Failed to load error-handler.js:", error);
 }
 
+try {
+  importScripts("../shared/retry-policy.js");
+} catch (error) {
+  console.error("Failed to load retry-policy.js:", error);
+}
+
 // ChronoClip Service Worker初期化
 
 // ChronoClipの初期化
@@ -81,6 +118,16 @@ const USER_INFO_API_URL = "https://www.googleapis.com/oauth2/v3/userinfo";
 const REVOKE_TOKEN_URL = "https://accounts.google.com/o/oauth2/revoke";
 const STORAGE_KEY_ACCESS_TOKEN = "googleAccessToken";
 const STORAGE_KEY_USER_INFO = "googleUserInfo";
+const STORAGE_KEY_SETTINGS = "chronoClipSettings";
+const STORAGE_KEY_CALENDAR_CACHE = "chronoClipCalendarCache";
+const CALENDAR_CACHE_TTL_MS = 60 * 60 * 1000; // カレンダー一覧のキャッシュ有効期間（1時間）
+const STORAGE_KEY_EVENT_HISTORY = "chronoClipEventHistory";
+const MAX_EVENT_HISTORY = 100; // 保持する作成履歴の最大件数
+const TRAVEL_BUFFER_SUMMARY = "移動"; // 予定の前後に作成する移動時間の予定のタイトル
+const STORAGE_KEY_RETRY_QUEUE = "chronoClipRetryQueue";
+const RETRY_QUEUE_ALARM = "chronoclip-retry-queue";
+const RETRY_QUEUE_INTERVAL_MINUTES = 1; // 未送信キューの再送間隔
+const RETRY_QUEUE_MAX_ATTEMPTS = 10; // 自動再送の上限（超えたら手動対応）
 
 /**
  * 外部API呼び出しのラッパー関数（エラーハンドリング付き）
@@ -91,7 +138,14 @@ async function safeApiCall(url, options = {}, context = {}) {
   try {
     logger?.apiCall(method, url, { context });
 
-    const response = await fetch(url, options);
+    const retryPolicy = self.chronoClipRetryPolicy;
+    const response = retryPolicy
+      ? await retryPolicy.execute(() => fetch(url, options), {
+          url,
+          method,
+          ...context,
+        })
+      : await fetch(url, options);
     const status = response.status;
 
     logger?.apiResult(method, url, status, { ok: response.ok });
@@ -120,6 +174,14 @@ async function safeApiCall(url, options = {}, context = {}) {
       error.status = status;
       error.context = context;
 
+      // Google APIのエラー理由（rateLimitExceeded等）を分類に使えるよう保持
+      try {
+        error.reason = JSON.parse(errorData.responseText || "{}").error
+          ?.errors?.[0]?.reason;
+      } catch (e) {
+        // JSON以外のレスポンスは理由なし
+      }
+
       throw error;
     }
 
@@ -242,9 +304,67 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
         case "calendar:createEvent":
           return await handleAddToCalendar(message.payload);
 
+        case "calendar:batchCreate":
+          return await handleBatchAddToCalendar(message.events, {
+            onDuplicate: message.onDuplicate,
+          });
+
         case "retry_failed_items":
           return await handleRetryFailedItems(message.items);
 
+        case "calendar:listCalendars":
+          return await handleListCalendars(
+            message.forceRefresh === true,
+            message.account
+          );
+
+        case "tasks:create":
+          return await handleCreateTask(message.payload);
+
+        case "tasks:listTaskLists":
+          return await handleListTaskLists(message.account);
+
+        case "calendar:checkConflicts":
+          return await handleCheckConflicts(message.payload);
+
+        case "caldav:testConnection":
+          return await handleCaldavTestConnection(message.config);
+
+        case "outlook:signIn":
+          return await handleOutlookSignIn(message.config);
+
+        case "outlook:signOut":
+          await signOutOfOutlook();
+          return { success: true };
+
+        case "google:listAccounts":
+          return await handleGoogleListAccounts();
+
+        case "google:addAccount":
+          return await handleGoogleAddAccount(message.config);
+
+        case "google:removeAccount":
+          await removeGoogleAccount(message.email);
+          return { success: true };
+
+        case "history:list":
+          return await handleHistoryList();
+
+        case "history:undo":
+          return await handleHistoryUndo(message.eventId, message.calendarId);
+
+        case "history:clear":
+          return await handleHistoryClear();
+
+        case "queue:list":
+          return await handleQueueList();
+
+        case "queue:retry":
+          return await handleQueueRetry(message.id);
+
+        case "queue:discard":
+          return await handleQueueDiscard(message.id);
+
         case "ping":
           return { success: true, message: "pong" };
 
@@ -349,6 +469,9 @@ async function handleAuthLogout() {
             { operation: "revoke_token" }
           );
 
+          // アカウントに紐づくカレンダー一覧キャッシュを破棄
+          await chrome.storage.local.remove(STORAGE_KEY_CALENDAR_CACHE);
+
           // 拡張機能のキャッシュからトークンを削除
           chrome.identity.removeCachedAuthToken({ token }, () => {
             logger?.info("User logout successful");
@@ -400,8 +523,14 @@ async function handleAuthStatus() {
 
 /**
  * カレンダーイベント追加処理
+ * @param {object} eventData - イベントデータ
+ * @param {object} [options]
+ * @param {boolean} [options.enqueueOnFailure=true] - 一時的な失敗時に未送信キューへ保存するか
  */
-async function handleAddToCalendar(eventData) {
+async function handleAddToCalendar(eventData, options = {}) {
+  const { enqueueOnFailure = true } = options;
+  const provider = await getActiveCalendarProvider();
+
   try {
     logger?.startProcess("calendar_event_creation", {
       title: eventData.summary,
@@ -418,35 +547,91 @@ async function handleAddToCalendar(eventData) {
       throw new Error("開始時刻が必要です");
     }
 
+    // カレンダー未指定の場合は設定のデフォルトカレンダーを使用
+    if (!eventData.calendarId) {
+      eventData.calendarId = await getDefaultCalendarId();
+    }
+
+    // アカウント未指定の場合は既定のGoogleアカウントを使用（サイトルールはコンテンツスクリプト側で適用）
+    if (!eventData.account && provider.id === "google") {
+      eventData.account = await getDefaultGoogleAccount();
+    }
+
+    // 通知未指定の場合は設定の通知を使用
+    if (!eventData.reminders) {
+      eventData.reminders = await getDefaultReminders();
+    }
+
+    // URLを説明に含めるか（未指定の場合は設定に従う）
+    if (typeof eventData.includeURL !== "boolean") {
+      eventData.includeURL = await getDefaultIncludeURL();
+    }
+
+    // 移動時間未指定の場合は設定に従う
+    if (!eventData.travelBuffer) {
+      eventData.travelBuffer = await getDefaultTravelBuffer();
+    }
+
+    // 重複チェック（同じタイトル・開始時刻・参照元URLのイベントが既にあるか）
+    if (!eventData.skipDuplicateCheck) {
+      const duplicateResult = await handleDuplicateEvent(eventData, provider);
+      if (duplicateResult) {
+        logger?.endProcess("calendar_event_creation", {
+          eventId: duplicateResult.event?.id,
+          title: eventData.summary,
+          duplicate: true,
+        });
+        return duplicateResult;
+      }
+    }
+
     // カレンダーAPIを呼び出し
-    const result = await createEvent(eventData);
+    const { event: result, travelBuffers } = await createEventWithTravelBuffers(
+      provider,
+      eventData
+    );
 
     logger?.endProcess("calendar_event_creation", {
       eventId: result.id,
       title: eventData.summary,
     });
 
-    return { success: true, event: result };
+    return {
+      success: true,
+      event: result,
+      calendarId: eventData.calendarId,
+      travelBuffers,
+    };
   } catch (error) {
-    // 認証エラーの場合、自動的にログインを試行
+    // 認証エラーの場合、自動的にログインを試行（Chromeのプロフィールのアカウントのみ）
     if (
-      error.code === 401 ||
-      error.status === 401 ||
-      error.message?.includes("auth") ||
-      error.message?.includes("token")
+      provider.id === "google" &&
+      !toGoogleApiAccount(eventData?.account) &&
+      (error.code === 401 ||
+        error.status === 401 ||
+        error.message?.includes("auth") ||
+        error.message?.includes("token"))
     ) {
       try {
         const loginResult = await handleAuthLogin();
         if (loginResult.success) {
           // 再度カレンダーイベント作成を試行
-          const retryResult = await createEvent(eventData);
+          const retryResult = await createEventWithTravelBuffers(
+            provider,
+            eventData
+          );
 
           logger?.endProcess("calendar_event_creation", {
-            eventId: retryResult.id,
+            eventId: retryResult.event.id,
             title: eventData.summary,
           });
 
-          return { success: true, event: retryResult };
+          return {
+            success: true,
+            event: retryResult.event,
+            calendarId: eventData.calendarId,
+            travelBuffers: retryResult.travelBuffers,
+          };
         } else {
           return {
             success: false,
@@ -468,6 +653,27 @@ async function handleAddToCalendar(eventData) {
       eventTitle: eventData?.summary,
     });
 
+    // ネットワーク断などの一時的な失敗は未送信キューに保存して後で再送
+    if (isRetryableError(error)) {
+      if (enqueueOnFailure && eventData) {
+        const queueId = await enqueueFailedEvent(eventData, error);
+        return {
+          success: false,
+          queued: true,
+          queueId,
+          retryable: true,
+          error:
+            "カレンダーに接続できなかったため、未送信キューに保存しました。接続が回復したら自動で再送します",
+        };
+      }
+      return {
+        success: false,
+        retryable: true,
+        error:
+          handled?.userMessage?.message || "カレンダーへの追加に失敗しました",
+      };
+    }
+
     return {
       success: false,
       error:
@@ -477,165 +683,1386 @@ async function handleAddToCalendar(eventData) {
 }
 
 /**
- * 設定更新処理
+ * 予定を作成し、設定に応じて前後に「移動」の予定を作成して履歴に記録する
+ * 移動の予定と元の予定は同じリンクID（Googleでは非公開の拡張プロパティ）を持ち、
+ * 履歴から取り消すとまとめて削除される
+ * @param {object} provider - カレンダープロバイダー
+ * @param {object} eventData - 既定値を適用済みのイベントデータ
+ * @returns {Promise<{event: object, travelBuffers: Array<object>}>}
  */
-async function handleSettingsUpdate(settings) {
-  try {
-    logger?.info("Settings update received", { keys: Object.keys(settings) });
-
-    // デバッグモードの変更を検出
-    if (settings.debugMode !== undefined) {
-      logger?.setDebugMode(settings.debugMode);
-      logger?.info(`Debug mode ${settings.debugMode ? "enabled" : "disabled"}`);
-    }
+async function createEventWithTravelBuffers(provider, eventData) {
+  const withBuffers = shouldCreateTravelBuffers(eventData);
+  if (withBuffers && !eventData.link) {
+    eventData.link = { id: crypto.randomUUID(), role: "main" };
+  }
 
-    // 全てのタブに設定変更を通知
-    const tabs = await chrome.tabs.query({});
-    const notifications = tabs.map((tab) =>
-      chrome.tabs
-        .sendMessage(tab.id, {
-          type: "settings:updated",
-          settings,
-        })
-        .catch((error) => {
-          // 一部のタブで失敗しても継続
-          logger?.debug("Failed to notify tab of settings update", {
-            tabId: tab.id,
-            url: tab.url,
-          });
-        })
-    );
+  const event = await provider.createEvent(eventData);
+  const travelBuffers = withBuffers
+    ? await createTravelBuffers(provider, eventData)
+    : [];
+  await recordEventHistory(event, eventData, provider.id, travelBuffers);
 
-    await Promise.allSettled(notifications);
-    logger?.info("Settings update notifications sent to all tabs");
-  } catch (error) {
-    errorHandler?.handleError(error, { type: "settings_update" });
-    throw error;
-  }
+  return { event, travelBuffers };
 }
 
 /**
- * Shows a notification to the user.
- * @param {'success' | 'error'} type - The type of notification.
- * @param {string} title - The notification title.
- * @param {string} message - The notification message.
- * @param {string} [linkUrl] - An optional URL to open when the notification is clicked.
+ * 移動の予定を作成するか（時刻と場所のある予定のみ）
+ * @param {object} eventData - イベントデータ（travelBuffer を含む）
+ * @returns {boolean}
  */
-function showNotification(type, title, message, linkUrl) {
-  const notificationId = `chronoclip-notification-${Date.now()}`;
-  const iconUrl = type === "success" ? "icons/icon128.png" : "icons/icon48.png"; // Use different icons for feedback
+function shouldCreateTravelBuffers(eventData) {
+  const buffer = eventData.travelBuffer;
+  return Boolean(
+    buffer &&
+      buffer.enabled &&
+      (buffer.beforeMinutes > 0 || buffer.afterMinutes > 0) &&
+      eventData.location &&
+      eventData.location.trim() &&
+      eventData.start?.dateTime &&
+      eventData.end?.dateTime
+  );
+}
 
-  chrome.notifications.create(notificationId, {
-    type: "basic",
-    iconUrl: iconUrl,
-    title: title,
-    message: message,
-    priority: 2,
+/**
+ * 予定の前後に「移動」の予定を作成する
+ * 移動の予定の作成に失敗しても元の予定は残す
+ * @param {object} provider - カレンダープロバイダー
+ * @param {object} eventData - 作成した予定のイベントデータ（link を含む）
+ * @returns {Promise<Array<object>>} 作成した移動の予定
+ *   （{ eventId, calendarId, role }）
+ */
+async function createTravelBuffers(provider, eventData) {
+  const { beforeMinutes, afterMinutes } = eventData.travelBuffer;
+  const calendarId = eventData.travelBuffer.calendarId || eventData.calendarId;
+
+  // 作成時と同じタイムゾーンで前後の時刻を求める
+  const resource = buildEventResource(eventData);
+  const timeZone = resource.start.timeZone;
+  const start = self.ChronoClipICS.toInstant(
+    resource.start.dateTime,
+    timeZone
+  );
+  const end = self.ChronoClipICS.toInstant(resource.end.dateTime, timeZone);
+  const toDateTime = (instant) => ({
+    dateTime: formatInstantInTimeZone(instant, timeZone),
+    timeZone,
   });
 
-  if (linkUrl) {
-    const clickListener = (id) => {
-      if (id === notificationId) {
-        chrome.tabs.create({ url: linkUrl });
-        chrome.notifications.clear(id);
-        chrome.notifications.onClicked.removeListener(clickListener);
-      }
-    };
-    chrome.notifications.onClicked.addListener(clickListener);
+  const buffers = [
+    {
+      role: "travelBefore",
+      minutes: beforeMinutes,
+      start: start - beforeMinutes * 60 * 1000,
+      end: start,
+      description: `「${eventData.summary}」への移動`,
+    },
+    {
+      role: "travelAfter",
+      minutes: afterMinutes,
+      start: end,
+      end: end + afterMinutes * 60 * 1000,
+      description: `「${eventData.summary}」からの移動`,
+    },
+  ].filter((buffer) => buffer.minutes > 0);
+
+  const created = [];
+  for (const buffer of buffers) {
+    try {
+      const event = await provider.createEvent({
+        summary: TRAVEL_BUFFER_SUMMARY,
+        description: buffer.description,
+        location: eventData.location,
+        start: toDateTime(buffer.start),
+        end: toDateTime(buffer.end),
+        calendarId,
+        account: eventData.account,
+        includeURL: false,
+        reminders: { useDefault: false, overrides: [] },
+        recurrence: eventData.recurrence,
+        extractor: "travel-buffer",
+        link: { id: eventData.link.id, role: buffer.role },
+      });
+      created.push({ eventId: event.id, calendarId, role: buffer.role });
+    } catch (error) {
+      logger?.warn("Failed to create travel buffer event", {
+        role: buffer.role,
+        calendarId,
+        error: error.message,
+      });
+    }
   }
+
+  return created;
 }
 
 /**
- * Converts an error object into a user-friendly error message.
- * @param {Error} err - The error object, potentially with code and reason properties.
- * @returns {string} A user-friendly error message.
+ * 締切をGoogle ToDoリスト（Tasks）のタスクとして追加する
+ * カレンダーサービスの設定に関わらずGoogleアカウントに追加する
+ * @param {object} taskData - { title, notes, url, due（YYYY-MM-DD）, taskListId?, account? }
+ * @returns {Promise<object>} { success, task } または { success: false, error }
  */
-function getErrorMessage(err) {
-  switch (err.code) {
-    case 401:
-      return "Google認証に失敗しました。拡張機能の権限を確認してください。";
-    case 403:
-      if (err.reason === "forbidden") {
-        return "カレンダーの編集権限がありません。OAuth設定を見直してください。";
+async function handleCreateTask(taskData) {
+  try {
+    logger?.startProcess("task_creation", { title: taskData?.title });
+
+    if (!taskData || !taskData.title) {
+      throw new Error("タスクのタイトルが必要です");
+    }
+    if (!taskData.due) {
+      throw new Error("タスクの期限が必要です");
+    }
+
+    const defaultAccount = await getDefaultGoogleAccount();
+    const account = taskData.account || defaultAccount;
+    // タスクリストIDはアカウントごとに異なるため、設定のリストは既定のアカウントでのみ使う
+    const defaultTaskListId =
+      toGoogleApiAccount(account) === toGoogleApiAccount(defaultAccount)
+        ? await getDefaultTaskListId()
+        : "@default";
+    const task = {
+      ...taskData,
+      taskListId: taskData.taskListId || defaultTaskListId,
+      account,
+    };
+
+    let result;
+    try {
+      result = await createTask(task);
+    } catch (error) {
+      // 認証エラーの場合、自動的にログインして再試行（Chromeのプロフィールのアカウントのみ）
+      if (toGoogleApiAccount(task.account) || error.code !== 401) {
+        throw error;
       }
-      return "Google Calendar APIへのアクセスが拒否されました。";
-    case 400:
-      return "日付形式が不正です。開始と終了を確認してください。";
-    default:
-      return "Google Calendar APIでエラーが発生しました。しばらくしてから再試行してください。";
-  }
-}
+      const loginResult = await handleAuthLogin();
+      if (!loginResult.success) {
+        return {
+          success: false,
+          error: `ログインが必要です: ${loginResult.error}`,
+          needsLogin: true,
+        };
+      }
+      result = await createTask(task);
+    }
 
-// --- Context Menu Setup ---
-const CONTEXT_MENU_ID = "chronoclip-test-event";
-const CONTEXT_MENU_SELECTION_ID = "chronoclip-add-selection";
+    logger?.endProcess("task_creation", {
+      taskId: result.id,
+      title: task.title,
+    });
 
-chrome.runtime.onInstalled.addListener(() => {
-  // 既存のテストメニュー
-  chrome.contextMenus.create({
-    id: CONTEXT_MENU_ID,
-    title: "ChronoClip: テストイベント追加",
-    contexts: ["page"],
-  });
+    return { success: true, task: result, taskListId: task.taskListId };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "task_creation",
+      taskTitle: taskData?.title,
+    });
 
-  // Issue #11: 選択範囲をカレンダーに追加
-  chrome.contextMenus.create({
-    id: CONTEXT_MENU_SELECTION_ID,
-    title: "選択範囲をカレンダーに追加",
-    contexts: ["selection"],
-  });
-});
+    return {
+      success: false,
+      error: handled?.userMessage?.message || "タスクの追加に失敗しました",
+    };
+  }
+}
 
 /**
- * 現在アクティブなタブにトースト表示のメッセージを送信します。
- * @param {'success' | 'error'} type - トーストの種類
- * @param {string} message - 表示するメッセージ
+ * 複数イベントの一括追加処理（Calendar APIのバッチエンドポイントを使用）
+ * 重複チェックはカレンダーごとに1回のevents.listでまとめて行う
+ * @param {Array<object>} events - イベントデータの配列
+ * @param {object} [options]
+ * @param {"skip"|"update"} [options.onDuplicate="skip"] - 登録済みイベントの扱い
+ * @returns {Promise<object>} 各イベントの結果（入力と同じ順序）
  */
-function showToastInActiveTab(type, message) {
-  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
-    if (tabs[0]) {
-      chrome.tabs.sendMessage(tabs[0].id, {
-        type: "show_toast",
-        payload: { type, message },
-      });
+async function handleBatchAddToCalendar(events, options = {}) {
+  try {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new Error("追加するイベントがありません");
     }
-  });
-}
-
-chrome.contextMenus.onClicked.addListener((info, tab) => {
-  if (info.menuItemId === CONTEXT_MENU_ID) {
-    // 既存のテストイベント機能
-    const tomorrow = new Date();
-    tomorrow.setDate(tomorrow.getDate() + 1);
-    const yyyy = tomorrow.getFullYear();
-    const mm = String(tomorrow.getMonth() + 1).padStart(2, "0");
-    const dd = String(tomorrow.getDate()).padStart(2, "0");
-    const tomorrowStr = `${yyyy}-${mm}-${dd}`;
 
-    const testEvent = {
-      summary: "ChronoClip Test Event",
-      description: "自動テストイベント",
-      start: { date: tomorrowStr },
-      end: { date: tomorrowStr },
-      url: tab.url,
-    };
+    logger?.startProcess("calendar_batch_creation", { count: events.length });
+
+    const onDuplicate = options.onDuplicate === "update" ? "update" : "skip";
+    const provider = await getActiveCalendarProvider();
+    const defaultCalendarId = await getDefaultCalendarId();
+    const defaultAccount =
+      provider.id === "google" ? await getDefaultGoogleAccount() : undefined;
+    const defaultReminders = await getDefaultReminders();
+    const defaultIncludeURL = await getDefaultIncludeURL();
+    const defaultTravelBuffer = await getDefaultTravelBuffer();
+    const results = new Array(events.length);
+    const pending = [];
+
+    events.forEach((eventData, index) => {
+      if (!eventData || !eventData.summary || !eventData.start) {
+        results[index] = {
+          success: false,
+          error: "イベントタイトルと開始時刻が必要です",
+        };
+        return;
+      }
+      pending.push({
+        index,
+        eventData: {
+          ...eventData,
+          calendarId: eventData.calendarId || defaultCalendarId,
+          account: eventData.account || defaultAccount,
+          reminders: eventData.reminders || defaultReminders,
+          includeURL:
+            typeof eventData.includeURL === "boolean"
+              ? eventData.includeURL
+              : defaultIncludeURL,
+          travelBuffer: eventData.travelBuffer || defaultTravelBuffer,
+        },
+      });
+    });
 
-    console.log("Creating test event:", testEvent);
+    // アカウント・カレンダーごとに既存イベントを取得して重複を判定
+    const toInsert = [];
+    const byCalendar = new Map();
+    pending.forEach((entry) => {
+      const key = `${entry.eventData.account || ""}\n${
+        entry.eventData.calendarId
+      }`;
+      const list = byCalendar.get(key) || [];
+      list.push(entry);
+      byCalendar.set(key, list);
+    });
 
-    createEvent(testEvent)
-      .then((event) => {
-        showToastInActiveTab("success", `予定を追加しました: ${event.summary}`);
-      })
-      .catch((err) => {
-        const errorMessage = getErrorMessage(err);
-        showToastInActiveTab("error", `エラー: ${errorMessage}`);
-      });
-  } else if (info.menuItemId === CONTEXT_MENU_SELECTION_ID) {
-    // Issue #11: 選択範囲をカレンダーに追加
-    console.log(
-      "ChronoClip: Selection menu clicked, selected text:",
-      info.selectionText
-    );
+    for (const entries of byCalendar.values()) {
+      const { calendarId, account } = entries[0].eventData;
+      let existingEvents = [];
+      const range = getDuplicateSearchRange(entries.map((e) => e.eventData));
+      if (range) {
+        try {
+          existingEvents = await provider.listEvents({
+            calendarId,
+            account,
+            ...range,
+          });
+        } catch (error) {
+          logger?.warn("Duplicate check failed for batch, continuing", {
+            calendarId,
+            error: error.message,
+          });
+        }
+      }
+
+      for (const entry of entries) {
+        const existing = existingEvents.find((event) =>
+          isDuplicateOf(event, entry.eventData)
+        );
+        if (!existing) {
+          toInsert.push(entry);
+        } else if (onDuplicate === "update") {
+          try {
+            const updated = await provider.updateEvent({
+              ...entry.eventData,
+              eventId: existing.id,
+            });
+            results[entry.index] = {
+              success: true,
+              event: updated,
+              duplicate: true,
+              updated: true,
+            };
+          } catch (error) {
+            results[entry.index] = { success: false, error: error.message };
+          }
+        } else {
+          results[entry.index] = {
+            success: false,
+            duplicate: true,
+            event: existing,
+            error: "このイベントは既にカレンダーに登録されています",
+          };
+        }
+      }
+    }
+
+    // 重複以外をバッチで作成（移動の予定を作成するものにはリンクIDを付ける）
+    toInsert.forEach(({ eventData }) => {
+      if (shouldCreateTravelBuffers(eventData) && !eventData.link) {
+        eventData.link = { id: crypto.randomUUID(), role: "main" };
+      }
+    });
+    if (toInsert.length > 0) {
+      let insertResults;
+      try {
+        insertResults = await provider.batchCreateEvents(
+          toInsert.map((entry) => entry.eventData)
+        );
+      } catch (error) {
+        // チャンクごとの失敗は項目ごとの結果で返るため、ここに来るのは
+        // 送信前に失敗した場合だけ（全件同じエラーとして扱う）
+        insertResults = toInsert.map(() => ({ success: false, error }));
+      }
+
+      for (let i = 0; i < toInsert.length; i++) {
+        const { index, eventData } = toInsert[i];
+        const result = insertResults[i];
+
+        if (result.success) {
+          const travelBuffers = eventData.link
+            ? await createTravelBuffers(provider, eventData)
+            : [];
+          await recordEventHistory(
+            result.event,
+            eventData,
+            provider.id,
+            travelBuffers
+          );
+          results[index] = {
+            success: true,
+            event: result.event,
+            calendarId: eventData.calendarId,
+            travelBuffers,
+          };
+        } else if (isRetryableError(result.error)) {
+          const queueId = await enqueueFailedEvent(eventData, result.error);
+          results[index] = {
+            success: false,
+            queued: true,
+            queueId,
+            retryable: true,
+            error: "未送信キューに保存しました",
+          };
+        } else {
+          const handled = errorHandler?.handleError(result.error, {
+            type: "calendar_creation",
+            eventTitle: eventData.summary,
+          });
+          results[index] = {
+            success: false,
+            error:
+              handled?.userMessage?.message ||
+              result.error?.message ||
+              "カレンダーへの追加に失敗しました",
+          };
+        }
+      }
+    }
+
+    logger?.endProcess("calendar_batch_creation", {
+      count: events.length,
+      created: results.filter((r) => r.success && !r.updated).length,
+    });
+
+    return { success: true, results };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "calendar_batch_creation",
+    });
+
+    return {
+      success: false,
+      error:
+        handled?.userMessage?.message || "一括追加中にエラーが発生しました",
+    };
+  }
+}
+
+/**
+ * ネットワークに届かなかった fetch のエラーメッセージ
+ */
+const FETCH_FAILURE_MESSAGE_PATTERN =
+  /^(?:failed to fetch|networkerror when attempting to fetch resource)/i;
+
+/**
+ * 後で再送すれば成功する見込みのあるエラーか判定
+ * （ネットワーク断、タイムアウト、レート制限、サーバーエラー）
+ * @param {Error} error - 発生したエラー
+ * @returns {boolean} 再送対象の場合true
+ */
+function isRetryableError(error) {
+  if (!error) return false;
+
+  const status = error.code || error.status;
+  if (typeof status === "number") {
+    const rateLimited =
+      status === 403 &&
+      ["rateLimitExceeded", "userRateLimitExceeded"].includes(error.reason);
+    return status === 408 || status === 429 || status >= 500 || rateLimited;
+  }
+
+  if (typeof navigator !== "undefined" && navigator.onLine === false) {
+    return true;
+  }
+
+  // fetch そのものの失敗（Chrome の "Failed to fetch"、Firefox の
+  // "NetworkError when attempting to fetch resource."）と、AbortSignal.timeout() に
+  // よる中断だけを通信の失敗とみなす。予定の組み立て中の TypeError などの
+  // 不具合は再送せずにそのまま報告する
+  return (
+    error.name === "TimeoutError" ||
+    FETCH_FAILURE_MESSAGE_PATTERN.test(error.message || "")
+  );
+}
+
+/**
+ * 未送信キューを読み込む
+ * @returns {Promise<Array<object>>} キューのアイテム
+ */
+async function getRetryQueue() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_RETRY_QUEUE);
+  return stored[STORAGE_KEY_RETRY_QUEUE] || [];
+}
+
+/**
+ * 未送信キューを保存し、アイテムの有無に応じて再送アラームを設定・解除する
+ * @param {Array<object>} queue - キューのアイテム
+ */
+async function saveRetryQueue(queue) {
+  await chrome.storage.local.set({ [STORAGE_KEY_RETRY_QUEUE]: queue });
+
+  const hasPending = queue.some((item) => item.status === "pending");
+  if (hasPending) {
+    const existing = await chrome.alarms.get(RETRY_QUEUE_ALARM);
+    if (!existing) {
+      await chrome.alarms.create(RETRY_QUEUE_ALARM, {
+        periodInMinutes: RETRY_QUEUE_INTERVAL_MINUTES,
+      });
+    }
+  } else {
+    await chrome.alarms.clear(RETRY_QUEUE_ALARM);
+  }
+}
+
+/**
+ * 失敗したイベントデータを未送信キューに追加
+ * @param {object} eventData - イベントデータ
+ * @param {Error} error - 発生したエラー
+ * @returns {Promise<string|null>} キューのアイテムID（保存に失敗した場合はnull）
+ */
+async function enqueueFailedEvent(eventData, error) {
+  try {
+    const queue = await getRetryQueue();
+    const id = `queue-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+    queue.push({
+      id,
+      eventData,
+      status: "pending",
+      attempts: 0,
+      lastError: error?.message || null,
+      queuedAt: new Date().toISOString(),
+      lastAttemptAt: null,
+    });
+    await saveRetryQueue(queue);
+
+    logger?.info("Event queued for retry", {
+      title: eventData.summary,
+      queueLength: queue.length,
+    });
+    return id;
+  } catch (queueError) {
+    logger?.error("Failed to queue event for retry", {
+      error: queueError.message,
+    });
+    return null;
+  }
+}
+
+/**
+ * 再送の結果をキューのアイテムに反映
+ * @param {object} item - キューのアイテム
+ * @param {object} result - handleAddToCalendar の結果
+ */
+function applyRetryResult(item, result) {
+  item.attempts++;
+  item.lastAttemptAt = new Date().toISOString();
+
+  if (result.success || result.duplicate) {
+    // 成功（または既に登録済み）したものはキューから除去
+    item.status = "done";
+    return;
+  }
+
+  item.lastError = result.error || null;
+  // 再送しても成功しない失敗、または上限到達は手動対応に回す
+  item.status =
+    result.retryable && item.attempts < RETRY_QUEUE_MAX_ATTEMPTS
+      ? "pending"
+      : "failed";
+}
+
+let isProcessingRetryQueue = false;
+
+/**
+ * 未送信キューのアイテムを再送
+ * @param {object} [options]
+ * @param {string} [options.id] - 指定時はそのアイテムのみ再送（手動再試行）
+ * @returns {Promise<{processed: number, succeeded: number}>} 再送結果
+ */
+async function processRetryQueue(options = {}) {
+  if (isProcessingRetryQueue) {
+    return { processed: 0, succeeded: 0 };
+  }
+  isProcessingRetryQueue = true;
+
+  let processed = 0;
+  let succeeded = 0;
+
+  try {
+    const queue = await getRetryQueue();
+    const targets = queue.filter((item) =>
+      options.id ? item.id === options.id : item.status === "pending"
+    );
+
+    for (const item of targets) {
+      processed++;
+
+      const result = await handleAddToCalendar(item.eventData, {
+        enqueueOnFailure: false,
+      });
+      applyRetryResult(item, result);
+
+      if (item.status === "done") {
+        succeeded++;
+      } else if (result.retryable && !options.id) {
+        // ネットワークが戻っていない場合は残りも失敗するので打ち切る
+        break;
+      }
+    }
+
+    // 処理中に追加されたアイテムを失わないよう最新のキューにマージ
+    const latest = await getRetryQueue();
+    const updated = latest
+      .map((item) => targets.find((t) => t.id === item.id) || item)
+      .filter((item) => item.status !== "done");
+    await saveRetryQueue(updated);
+
+    logger?.info("Retry queue processed", {
+      processed,
+      succeeded,
+      remaining: updated.length,
+    });
+  } catch (error) {
+    errorHandler?.handleError(error, { type: "retry_queue" });
+  } finally {
+    isProcessingRetryQueue = false;
+  }
+
+  return { processed, succeeded };
+}
+
+/**
+ * 未送信キューの取得処理
+ */
+async function handleQueueList() {
+  return { success: true, queue: await getRetryQueue() };
+}
+
+/**
+ * 未送信キューの手動再試行処理
+ * @param {string} [id] - 対象アイテムのID（省略時は全件）
+ */
+async function handleQueueRetry(id) {
+  if (!id) {
+    // 全件の手動再試行では、手動対応待ちのアイテムも再送対象に戻す
+    const queue = await getRetryQueue();
+    queue.forEach((item) => {
+      item.status = "pending";
+    });
+    await saveRetryQueue(queue);
+  }
+
+  const result = await processRetryQueue({ id });
+  return { success: true, ...result, queue: await getRetryQueue() };
+}
+
+/**
+ * 未送信キューからアイテムを破棄
+ * @param {string} id - 対象アイテムのID
+ */
+async function handleQueueDiscard(id) {
+  const queue = await getRetryQueue();
+  await saveRetryQueue(queue.filter((item) => item.id !== id));
+  logger?.info("Queued event discarded", { id });
+  return { success: true };
+}
+
+// 定期アラームで未送信キューを再送
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === RETRY_QUEUE_ALARM) {
+    processRetryQueue();
+  }
+});
+
+// ネットワーク回復時にすぐ再送
+self.addEventListener("online", () => {
+  logger?.info("Network is back online, processing retry queue");
+  processRetryQueue();
+});
+
+/**
+ * 既存の重複イベントを確認し、onDuplicate の指定に従って処理
+ * - "skip"（既定）: 追加せず、既存イベントを返す
+ * - "update": 既存イベントを新しい内容で更新する
+ * 重複確認自体が失敗した場合は、追加処理を止めないよう null を返す
+ * @param {object} eventData - イベントデータ
+ * @param {object} provider - カレンダープロバイダー
+ * @returns {Promise<object|null>} 重複時のレスポンス（重複なしの場合はnull）
+ */
+async function handleDuplicateEvent(eventData, provider) {
+  let duplicates;
+  try {
+    duplicates = await provider.findDuplicateEvents(eventData);
+  } catch (error) {
+    logger?.warn("Duplicate check failed, continuing with insert", {
+      error: error.message,
+    });
+    return null;
+  }
+
+  if (!duplicates || duplicates.length === 0) {
+    return null;
+  }
+
+  const existingEvent = duplicates[0];
+  logger?.info("Duplicate event found", {
+    eventId: existingEvent.id,
+    title: eventData.summary,
+    strategy: eventData.onDuplicate || "skip",
+  });
+
+  if (eventData.onDuplicate === "update") {
+    const updated = await provider.updateEvent({
+      ...eventData,
+      eventId: existingEvent.id,
+    });
+    return { success: true, event: updated, duplicate: true, updated: true };
+  }
+
+  return {
+    success: false,
+    duplicate: true,
+    event: existingEvent,
+    error: "このイベントは既にカレンダーに登録されています",
+  };
+}
+
+/**
+ * 作成したイベントを履歴（chrome.storage.local）に記録
+ * 記録に失敗してもイベント作成自体は成功として扱う
+ * @param {object} event - Calendar APIが返したイベント
+ * @param {object} eventData - 作成に使用したイベントデータ
+ * @param {string} [providerId="google"] - イベントを作成したプロバイダー
+ */
+async function recordEventHistory(
+  event,
+  eventData,
+  providerId = "google",
+  travelBuffers = []
+) {
+  try {
+    const stored = await chrome.storage.local.get(STORAGE_KEY_EVENT_HISTORY);
+    const history = stored[STORAGE_KEY_EVENT_HISTORY] || [];
+
+    history.unshift({
+      eventId: event.id,
+      calendarId: eventData.calendarId || "primary",
+      account: eventData.account || null,
+      provider: providerId,
+      htmlLink: event.htmlLink || null,
+      summary: event.summary || eventData.summary,
+      start: event.start || eventData.start,
+      sourceUrl: eventData.url || null,
+      extractor: eventData.extractor || null,
+      linkId: eventData.link?.id || null,
+      travelBuffers,
+      createdAt: new Date().toISOString(),
+    });
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY_EVENT_HISTORY]: history.slice(0, MAX_EVENT_HISTORY),
+    });
+  } catch (error) {
+    logger?.warn("Failed to record event history", {
+      eventId: event?.id,
+      error: error.message,
+    });
+  }
+}
+
+/**
+ * 作成履歴の取得処理
+ */
+async function handleHistoryList() {
+  const stored = await chrome.storage.local.get(STORAGE_KEY_EVENT_HISTORY);
+  return { success: true, history: stored[STORAGE_KEY_EVENT_HISTORY] || [] };
+}
+
+/**
+ * 作成したイベントの取り消し（カレンダーから削除し、履歴からも除去）
+ * @param {string} eventId - イベントID
+ * @param {string} [calendarId] - カレンダーID（省略時は履歴の値を使用）
+ */
+async function handleHistoryUndo(eventId, calendarId) {
+  try {
+    if (!eventId) {
+      throw new Error("取り消すイベントのIDが指定されていません");
+    }
+
+    const stored = await chrome.storage.local.get(STORAGE_KEY_EVENT_HISTORY);
+    const history = stored[STORAGE_KEY_EVENT_HISTORY] || [];
+    const entry = history.find((item) => item.eventId === eventId);
+    const targetCalendarId = calendarId || entry?.calendarId || "primary";
+    // 作成後にプロバイダーを切り替えても、作成したプロバイダーから削除する
+    const provider = getCalendarProvider(entry?.provider);
+
+    // 一緒に作成した移動の予定もまとめて削除する
+    const targets = [
+      { eventId, calendarId: targetCalendarId },
+      ...(entry?.travelBuffers || []),
+    ];
+    for (const target of targets) {
+      try {
+        await provider.deleteEvent({
+          eventId: target.eventId,
+          calendarId: target.calendarId,
+          account: entry?.account || undefined,
+        });
+      } catch (error) {
+        // 既に削除済み（404/410）の場合は履歴の除去のみ行う
+        if (error.code !== 404 && error.code !== 410) {
+          throw error;
+        }
+        logger?.info("Event already deleted from calendar", {
+          eventId: target.eventId,
+        });
+      }
+    }
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY_EVENT_HISTORY]: history.filter(
+        (item) => item.eventId !== eventId
+      ),
+    });
+
+    logger?.info("Event creation undone", {
+      eventId,
+      calendarId: targetCalendarId,
+    });
+    return { success: true };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "calendar_undo",
+      eventId,
+    });
+
+    return {
+      success: false,
+      error: handled?.userMessage?.message || "予定の取り消しに失敗しました",
+    };
+  }
+}
+
+/**
+ * 作成履歴の全削除（カレンダー上のイベントは削除しない）
+ */
+async function handleHistoryClear() {
+  await chrome.storage.local.remove(STORAGE_KEY_EVENT_HISTORY);
+  return { success: true };
+}
+
+/**
+ * 追加しようとしている予定と重なる予定（busy）を確認する
+ * 追加先カレンダーとプライマリカレンダーを対象に、重なる予定と、
+ * 同じ長さで空いている直近の時間帯（24時間以内）を返す。
+ * 終日の予定は確認しない。
+ * @param {Object} eventData - calendar:createEvent と同じ形式のイベント
+ * @returns {Promise<Object>} { success, conflicts, suggestion, timeZone }
+ */
+async function handleCheckConflicts(eventData) {
+  if (!eventData?.start?.dateTime || !eventData?.end?.dateTime) {
+    return { success: true, conflicts: [], suggestion: null };
+  }
+
+  try {
+    const provider = await getActiveCalendarProvider();
+    const calendarId = eventData.calendarId || (await getDefaultCalendarId());
+    const account =
+      eventData.account ||
+      (provider.id === "google" ? await getDefaultGoogleAccount() : undefined);
+
+    // 作成時と同じタイムゾーンで解釈する
+    const resource = buildEventResource(eventData);
+    const timeZone = resource.start.timeZone;
+    const start = self.ChronoClipICS.toInstant(
+      resource.start.dateTime,
+      timeZone
+    );
+    const end = self.ChronoClipICS.toInstant(resource.end.dateTime, timeZone);
+    const duration = end - start;
+    if (!(duration > 0)) {
+      return { success: true, conflicts: [], suggestion: null };
+    }
+
+    const searchEnd = start + 24 * 60 * 60 * 1000;
+    const blocks = await getBusyBlocks(provider, {
+      calendarIds: [...new Set([calendarId, "primary"])],
+      timeMin: new Date(start).toISOString(),
+      timeMax: new Date(searchEnd).toISOString(),
+      timeZone,
+      account,
+    });
+
+    // 同じ予定が複数のカレンダーIDで返ることがあるため重複を除く
+    const seen = new Set();
+    const busy = blocks
+      .map((block) => ({
+        ...block,
+        startMs: Date.parse(block.start),
+        endMs: Date.parse(block.end),
+      }))
+      .filter((block) => {
+        const key = `${block.startMs}/${block.endMs}/${block.summary || ""}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return true;
+      })
+      .sort((a, b) => a.startMs - b.startMs);
+
+    const conflicts = busy
+      .filter((block) => block.startMs < end && block.endMs > start)
+      .map(({ startMs, endMs, ...block }) => block);
+
+    let suggestion = null;
+    if (conflicts.length > 0) {
+      let candidate = start;
+      for (const block of busy) {
+        if (block.startMs < candidate + duration && block.endMs > candidate) {
+          candidate = Math.max(candidate, block.endMs);
+        }
+      }
+      if (candidate + duration <= searchEnd) {
+        suggestion = {
+          start: {
+            dateTime: formatInstantInTimeZone(candidate, timeZone),
+            timeZone,
+          },
+          end: {
+            dateTime: formatInstantInTimeZone(candidate + duration, timeZone),
+            timeZone,
+          },
+        };
+      }
+    }
+
+    logger?.debug("Conflict check completed", {
+      provider: provider.id,
+      conflicts: conflicts.length,
+    });
+    return { success: true, conflicts, suggestion, timeZone };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "conflict_check",
+    });
+    return {
+      success: false,
+      error: handled?.userMessage?.message || error.message,
+    };
+  }
+}
+
+/**
+ * UNIXミリ秒をタイムゾーンの現地時刻（YYYY-MM-DDTHH:MM:SS）に変換
+ * @param {number} instant - UNIXミリ秒
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @returns {string} 現地時刻
+ */
+function formatInstantInTimeZone(instant, timeZone) {
+  const parts = self.ChronoClipICS.getWallClockParts(instant, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${parts.year}-${pad(parts.month)}-${pad(parts.day)}` +
+    `T${pad(parts.hour)}:${pad(parts.minute)}:${pad(parts.second)}`
+  );
+}
+
+/**
+ * 設定からデフォルトのカレンダーIDを取得
+ * @returns {Promise<string>} カレンダーID
+ */
+async function getDefaultCalendarId() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.defaultCalendar || "primary";
+  } catch (error) {
+    return "primary";
+  }
+}
+
+/**
+ * 設定からタスクの追加先タスクリストIDを取得
+ * @returns {Promise<string>} タスクリストID
+ */
+async function getDefaultTaskListId() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.defaultTaskList || "@default";
+  } catch (error) {
+    return "@default";
+  }
+}
+
+/**
+ * 設定から既定のGoogleアカウントを取得
+ * @returns {Promise<string|undefined>} メールアドレス（未設定の場合はundefinedで、Chromeのプロフィールのアカウントを使う）
+ */
+async function getDefaultGoogleAccount() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return (
+      stored[STORAGE_KEY_SETTINGS]?.googleAccounts?.defaultAccount || undefined
+    );
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * 設定の通知（reminders）を取得する
+ * 未設定の場合はundefinedを返し、カレンダー既定の通知を使う
+ * @returns {Promise<Object|undefined>} { useDefault, overrides }
+ */
+async function getDefaultReminders() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.reminders;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * 設定の予定の長さ（分）を取得する
+ * @returns {Promise<number|undefined>}
+ */
+async function getDefaultDuration() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.defaultDuration;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * 設定の移動時間（予定の前後に作成する「移動」の予定）を取得する
+ * サイトルールはコンテンツスクリプト側で適用
+ * @returns {Promise<object|undefined>} { enabled, beforeMinutes, afterMinutes, calendarId }
+ */
+async function getDefaultTravelBuffer() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.travelBuffer;
+  } catch (error) {
+    return undefined;
+  }
+}
+
+/**
+ * 設定の「URLを説明に含める」を取得する（サイトルールはコンテンツスクリプト側で適用）
+ * @returns {Promise<boolean>}
+ */
+async function getDefaultIncludeURL() {
+  try {
+    const stored = await safeStorageGet(STORAGE_KEY_SETTINGS);
+    return stored[STORAGE_KEY_SETTINGS]?.includeURL !== false;
+  } catch (error) {
+    return true;
+  }
+}
+
+/**
+ * カレンダー一覧取得処理
+ * 書き込み可能なカレンダーのみを返し、結果はchrome.storage.localにキャッシュする
+ * @param {boolean} forceRefresh - キャッシュを無視してAPIから再取得するか
+ * @param {string|null} [account] - Googleアカウント（省略時は既定のアカウント、nullはChromeのプロフィールのアカウント）
+ */
+async function handleListCalendars(forceRefresh = false, account) {
+  const provider = await getActiveCalendarProvider();
+  if (provider.id === "google" && account === undefined) {
+    account = await getDefaultGoogleAccount();
+  }
+  account = account || undefined;
+
+  try {
+    if (!forceRefresh) {
+      const cached = await chrome.storage.local.get(STORAGE_KEY_CALENDAR_CACHE);
+      const cache = cached[STORAGE_KEY_CALENDAR_CACHE];
+      if (
+        cache &&
+        (cache.provider || "google") === provider.id &&
+        (cache.account || undefined) === account &&
+        Date.now() - cache.fetchedAt < CALENDAR_CACHE_TTL_MS
+      ) {
+        logger?.debug("Using cached calendar list", {
+          count: cache.calendars.length,
+        });
+        return { success: true, calendars: cache.calendars, cached: true };
+      }
+    }
+
+    const calendars = await provider.listCalendars({ account });
+
+    await chrome.storage.local.set({
+      [STORAGE_KEY_CALENDAR_CACHE]: {
+        calendars,
+        provider: provider.id,
+        account: account || null,
+        fetchedAt: Date.now(),
+      },
+    });
+
+    logger?.info("Calendar list fetched", {
+      count: calendars.length,
+      provider: provider.id,
+    });
+    return { success: true, calendars, cached: false };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "calendar_list",
+    });
+
+    return {
+      success: false,
+      error:
+        handled?.userMessage?.message || "カレンダー一覧の取得に失敗しました",
+      needsLogin: provider.id === "google" && error.code === 401,
+    };
+  }
+}
+
+/**
+ * CalDAVサーバーへの接続テスト（オプション画面の未保存の設定で確認する）
+ * @param {{serverUrl: string, username: string, password: string}} config - 接続設定
+ * @returns {Promise<object>} 見つかったカレンダー一覧
+ */
+async function handleCaldavTestConnection(config) {
+  try {
+    if (!config || !config.serverUrl) {
+      throw new Error("CalDAVサーバーのURLを入力してください");
+    }
+
+    const calendars = await getCalendarProvider("caldav").listCalendars({
+      config,
+    });
+
+    logger?.info("CalDAV connection test succeeded", {
+      count: calendars.length,
+    });
+    return { success: true, calendars };
+  } catch (error) {
+    logger?.warn("CalDAV connection test failed", { error: error.message });
+    return {
+      success: false,
+      error:
+        error.code === 401
+          ? "認証に失敗しました。ユーザー名とパスワードを確認してください"
+          : error.message,
+    };
+  }
+}
+
+/**
+ * Microsoftアカウントへのサインイン（オプション画面の未保存の設定で行う）
+ * @param {{clientId: string, tenant: string}} config - アプリ登録の設定
+ * @returns {Promise<object>} サインインしたアカウント
+ */
+async function handleOutlookSignIn(config) {
+  try {
+    if (!config || !config.clientId) {
+      throw new Error("アプリケーション（クライアント）IDを入力してください");
+    }
+
+    const outlookConfig = {
+      clientId: config.clientId,
+      tenant: config.tenant || "common",
+    };
+    await getOutlookToken({ interactive: true, config: outlookConfig });
+    const account = await getOutlookAccount(outlookConfig);
+
+    logger?.info("Outlook sign-in succeeded");
+    return { success: true, account };
+  } catch (error) {
+    logger?.warn("Outlook sign-in failed", { error: error.message });
+    const handled = errorHandler?.handleError(error, {
+      type: "outlook_sign_in",
+    });
+    return {
+      success: false,
+      error: handled?.userMessage?.message || error.message,
+    };
+  }
+}
+
+/**
+ * Google ToDoリストのタスクリスト一覧を取得
+ * @param {string|null} [account] - Googleアカウント（省略時は既定のアカウント、nullはChromeのプロフィールのアカウント）
+ * @returns {Promise<object>} { success, taskLists }
+ */
+async function handleListTaskLists(account) {
+  if (account === undefined) {
+    account = await getDefaultGoogleAccount();
+  }
+
+  try {
+    const taskLists = await listTaskLists({ account: account || undefined });
+    return { success: true, taskLists };
+  } catch (error) {
+    const handled = errorHandler?.handleError(error, {
+      type: "task_list",
+    });
+    return {
+      success: false,
+      error:
+        handled?.userMessage?.message || "タスクリストの取得に失敗しました",
+    };
+  }
+}
+
+/**
+ * サインイン済みのGoogleアカウント一覧を取得
+ * Chromeのプロフィールのアカウントは含まない（auth_check_status で確認する）
+ * @returns {Promise<object>} { success, accounts, defaultAccount }
+ */
+async function handleGoogleListAccounts() {
+  const accounts = await listGoogleAccounts();
+  return {
+    success: true,
+    accounts,
+    defaultAccount: (await getDefaultGoogleAccount()) || null,
+  };
+}
+
+/**
+ * Googleアカウントの追加（オプション画面の未保存のクライアントIDで行う）
+ * @param {{clientId: string}} [config] - OAuthクライアントの設定（省略時は保存済みの設定）
+ * @returns {Promise<object>} 追加したアカウント
+ */
+async function handleGoogleAddAccount(config) {
+  try {
+    const accountsConfig = config?.clientId
+      ? { clientId: config.clientId }
+      : await getGoogleAccountsConfig();
+    const { account } = await signInToGoogleAccount(accountsConfig, {
+      interactive: true,
+    });
+
+    logger?.info("Google account added", { email: account.email });
+    return { success: true, account };
+  } catch (error) {
+    logger?.warn("Adding Google account failed", { error: error.message });
+    return { success: false, error: error.message };
+  }
+}
+
+/**
+ * 設定更新処理
+ */
+async function handleSettingsUpdate(settings) {
+  try {
+    logger?.info("Settings update received", { keys: Object.keys(settings) });
+
+    // デバッグモードの変更を検出
+    if (settings.debugMode !== undefined) {
+      logger?.setDebugMode(settings.debugMode);
+      logger?.info(`Debug mode ${settings.debugMode ? "enabled" : "disabled"}`);
+    }
+
+    // 全てのタブに設定変更を通知
+    const tabs = await chrome.tabs.query({});
+    const notifications = tabs.map((tab) =>
+      chrome.tabs
+        .sendMessage(tab.id, {
+          type: "settings:updated",
+          settings,
+        })
+        .catch((error) => {
+          // 一部のタブで失敗しても継続
+          logger?.debug("Failed to notify tab of settings update", {
+            tabId: tab.id,
+            url: tab.url,
+          });
+        })
+    );
+
+    await Promise.allSettled(notifications);
+    logger?.info("Settings update notifications sent to all tabs");
+  } catch (error) {
+    errorHandler?.handleError(error, { type: "settings_update" });
+    throw error;
+  }
+}
+
+/**
+ * Shows a notification to the user.
+ * @param {'success' | 'error'} type - The type of notification.
+ * @param {string} title - The notification title.
+ * @param {string} message - The notification message.
+ * @param {string} [linkUrl] - An optional URL to open when the notification is clicked.
+ */
+function showNotification(type, title, message, linkUrl) {
+  const notificationId = `chronoclip-notification-${Date.now()}`;
+  const iconUrl = type === "success" ? "icons/icon128.png" : "icons/icon48.png"; // Use different icons for feedback
+
+  chrome.notifications.create(notificationId, {
+    type: "basic",
+    iconUrl: iconUrl,
+    title: title,
+    message: message,
+    priority: 2,
+  });
+
+  if (linkUrl) {
+    const clickListener = (id) => {
+      if (id === notificationId) {
+        chrome.tabs.create({ url: linkUrl });
+        chrome.notifications.clear(id);
+        chrome.notifications.onClicked.removeListener(clickListener);
+      }
+    };
+    chrome.notifications.onClicked.addListener(clickListener);
+  }
+}
+
+/**
+ * Converts an error object into a user-friendly error message.
+ * @param {Error} err - The error object, potentially with code and reason properties.
+ * @returns {string} A user-friendly error message.
+ */
+function getErrorMessage(err) {
+  switch (err.code) {
+    case 401:
+      return "Google認証に失敗しました。拡張機能の権限を確認してください。";
+    case 403:
+      if (err.reason === "forbidden") {
+        return "カレンダーの編集権限がありません。OAuth設定を見直してください。";
+      }
+      return "Google Calendar APIへのアクセスが拒否されました。";
+    case 400:
+      return "日付形式が不正です。開始と終了を確認してください。";
+    default:
+      return "Google Calendar APIでエラーが発生しました。しばらくしてから再試行してください。";
+  }
+}
+
+// --- Context Menu Setup ---
+const CONTEXT_MENU_ID = "chronoclip-test-event";
+const CONTEXT_MENU_SELECTION_ID = "chronoclip-add-selection";
+const CONTEXT_MENU_SELECTION_ICS_ID = "chronoclip-download-selection-ics";
+const CONTEXT_MENU_SELECTION_TASK_ID = "chronoclip-add-selection-task";
+const CONTEXT_MENU_PAGE_ICS_ID = "chronoclip-download-page-ics";
+
+chrome.runtime.onInstalled.addListener(() => {
+  // 既存のテストメニュー
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_ID,
+    title: "ChronoClip: テストイベント追加",
+    contexts: ["page"],
+  });
+
+  // Issue #11: 選択範囲をカレンダーに追加
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_SELECTION_ID,
+    title: "選択範囲をカレンダーに追加",
+    contexts: ["selection"],
+  });
+
+  // 締切などを期限付きのタスクとして追加
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_SELECTION_TASK_ID,
+    title: "選択範囲をタスクとして追加",
+    contexts: ["selection"],
+  });
+
+  // 選択範囲・ページ内の日付を.icsファイルとしてダウンロード
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_SELECTION_ICS_ID,
+    title: "選択範囲を.icsでダウンロード",
+    contexts: ["selection"],
+  });
+
+  chrome.contextMenus.create({
+    id: CONTEXT_MENU_PAGE_ICS_ID,
+    title: "ChronoClip: ページ内の日付を.icsでダウンロード",
+    contexts: ["page"],
+  });
+});
+
+/**
+ * 現在アクティブなタブにトースト表示のメッセージを送信します。
+ * @param {'success' | 'error'} type - トーストの種類
+ * @param {string} message - 表示するメッセージ
+ * @param {{eventId: string, calendarId: string}|null} [undo] - 取り消しボタンの対象イベント
+ */
+function showToastInActiveTab(type, message, undo = null) {
+  chrome.tabs.query({ active: true, currentWindow: true }, (tabs) => {
+    if (tabs[0]) {
+      chrome.tabs.sendMessage(tabs[0].id, {
+        type: "show_toast",
+        payload: { type, message, undo },
+      });
+    }
+  });
+}
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  if (info.menuItemId === CONTEXT_MENU_ID) {
+    // 既存のテストイベント機能
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    const yyyy = tomorrow.getFullYear();
+    const mm = String(tomorrow.getMonth() + 1).padStart(2, "0");
+    const dd = String(tomorrow.getDate()).padStart(2, "0");
+    const tomorrowStr = `${yyyy}-${mm}-${dd}`;
+
+    const testEvent = {
+      summary: "ChronoClip Test Event",
+      description: "自動テストイベント",
+      start: { date: tomorrowStr },
+      end: { date: tomorrowStr },
+      url: tab.url,
+    };
+
+    console.log("Creating test event:", testEvent);
+
+    getActiveCalendarProvider()
+      .then(async (provider) => {
+        const event = await provider.createEvent(testEvent);
+        await recordEventHistory(
+          event,
+          { ...testEvent, extractor: "test" },
+          provider.id
+        );
+        showToastInActiveTab(
+          "success",
+          `予定を追加しました: ${event.summary}`,
+          { eventId: event.id, calendarId: "primary" }
+        );
+      })
+      .catch((err) => {
+        const errorMessage = getErrorMessage(err);
+        showToastInActiveTab("error", `エラー: ${errorMessage}`);
+      });
+  } else if (info.menuItemId === CONTEXT_MENU_PAGE_ICS_ID) {
+    // ハイライトされた全ての日付を1つの.icsにまとめてダウンロード
+    chrome.tabs.sendMessage(tab.id, { type: "download_all_ics" });
+  } else if (
+    info.menuItemId === CONTEXT_MENU_SELECTION_ID ||
+    info.menuItemId === CONTEXT_MENU_SELECTION_ICS_ID ||
+    info.menuItemId === CONTEXT_MENU_SELECTION_TASK_ID
+  ) {
+    // Issue #11: 選択範囲をカレンダーに追加（または.ics・タスクとして追加）
+    let resultMessageType = "show_quick_add_popup";
+    if (info.menuItemId === CONTEXT_MENU_SELECTION_ICS_ID) {
+      resultMessageType = "download_ics";
+    } else if (info.menuItemId === CONTEXT_MENU_SELECTION_TASK_ID) {
+      resultMessageType = "create_task";
+    }
+    console.log(
+      "ChronoClip: Selection menu clicked, selected text:",
+      info.selectionText
+    );
 
     // content/selection.jsに選択範囲の解析を依頼
     chrome.tabs.sendMessage(
@@ -661,9 +2088,9 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
         console.log("ChronoClip: Selection extraction response:", response);
 
         if (response && response.success) {
-          // 抽出成功 - クイック追加ポップアップを表示
+          // 抽出成功 - クイック追加ポップアップの表示、.icsのダウンロード、タスクの追加
           chrome.tabs.sendMessage(tab.id, {
-            type: "show_quick_add_popup",
+            type: resultMessageType,
             payload: {
               extractedData: response.data,
               source: "selection",
@@ -680,6 +2107,87 @@ chrome.contextMenus.onClicked.addListener((info, tab) => {
   }
 });
 
+// --- Omnibox (アドレスバーで "cc" + スペースに続けて入力) ---
+
+/**
+ * アドレスバーの入力を解析して追加する予定を作成する
+ * @param {string} text - 入力テキスト
+ * @returns {Promise<object|null>} イベントデータ（タイトルか日時がない場合は null）
+ */
+async function buildOmniboxEvent(text) {
+  const parsed = self.ChronoClipQuickAdd?.parseQuickAddText(text);
+  if (!parsed || !parsed.title) {
+    return null;
+  }
+  return self.ChronoClipQuickAdd.buildQuickAddEvent(parsed, {
+    defaultDuration: await getDefaultDuration(),
+  });
+}
+
+/**
+ * omnibox の説明文に使う XML の特殊文字をエスケープする
+ * @param {string} text - テキスト
+ * @returns {string} エスケープしたテキスト
+ */
+function escapeOmniboxXml(text) {
+  return text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+}
+
+if (chrome.omnibox) {
+  chrome.omnibox.setDefaultSuggestion({
+    description: "予定を入力（例: 来週金曜 19時 渋谷で飲み会）",
+  });
+
+  chrome.omnibox.onInputChanged.addListener(async (text) => {
+    const event = await buildOmniboxEvent(text);
+    const description = event
+      ? `追加: <match>${escapeOmniboxXml(
+          self.ChronoClipQuickAdd.formatQuickAddPreview(event)
+        )}</match>`
+      : `日時とタイトルを読み取れません: ${escapeOmniboxXml(text)}`;
+    chrome.omnibox.setDefaultSuggestion({ description });
+  });
+
+  chrome.omnibox.onInputEntered.addListener(async (text) => {
+    const event = await buildOmniboxEvent(text);
+    if (!event) {
+      showNotification(
+        "error",
+        "ChronoClip",
+        `日時とタイトルを読み取れませんでした: ${text}`
+      );
+      return;
+    }
+
+    try {
+      const result = await handleAddToCalendar(event);
+      if (!result.success) {
+        throw new Error(result.error || "予定の追加に失敗しました");
+      }
+      showNotification(
+        "success",
+        "予定を追加しました",
+        self.ChronoClipQuickAdd.formatQuickAddPreview(event),
+        result.event?.htmlLink
+      );
+    } catch (error) {
+      const handled = errorHandler?.handleError(error, {
+        type: "omnibox_quick_add",
+      });
+      showNotification(
+        "error",
+        "予定を追加できませんでした",
+        handled?.userMessage?.message || error.message
+      );
+    }
+  });
+}
+
 /**
  * 設定変更をすべてのタブに通知する
  * @param {Object} settings 更新された設定
@@ -711,6 +2219,20 @@ function handleSettingsUpdate(settings) {
   });
 }
 
+/**
+ * 手動再試行の結果を未送信キューの既存アイテムに反映
+ * @param {string} id - キューのアイテムID
+ * @param {object} result - handleAddToCalendar の結果
+ */
+async function recordManualRetry(id, result) {
+  const queue = await getRetryQueue();
+  const item = queue.find((entry) => entry.id === id);
+  if (!item) return;
+
+  applyRetryResult(item, result);
+  await saveRetryQueue(queue.filter((entry) => entry.status !== "done"));
+}
+
 /**
  * 失敗したアイテムの再試行処理
  * @param {Array} items - 失敗したアイテムのリスト
@@ -729,7 +2251,7 @@ async function handleRetryFailedItems(items) {
     for (const item of items) {
       try {
         // アイテムのeventDataを取得
-        const eventData = item.data || item.eventData;
+        const eventData = item.eventData || item.data;
         if (!eventData) {
           results.push({
             success: false,
@@ -739,11 +2261,18 @@ async function handleRetryFailedItems(items) {
           continue;
         }
 
-        // カレンダー追加を再試行
-        const result = await handleAddToCalendar(eventData);
+        // カレンダー追加を再試行（未送信キューに入っているものは新たに積まず、
+        // 既存のアイテムの試行回数を更新する）
+        const result = await handleAddToCalendar(eventData, {
+          enqueueOnFailure: false,
+        });
+        if (item.queueId) {
+          await recordManualRetry(item.queueId, result);
+        }
 
-        if (result.success) {
-          results.push({ success: true, item });
+        if (result.success || result.duplicate) {
+          // 既に登録済みの場合も追加済みとして扱う
+          results.push({ success: true, item, skipped: !result.success });
           logger?.debug("Retry successful for item", { index: item.index });
         } else {
           results.push({
@@ -366,8 +366,10 @@ const ignoreSelectors = [
   // --- ユーティリティ関数のエイリアス ---
   const {
     isValidDate,
-    convertWarekiToGregorianYear,
+    parseWarekiMatch,
     resolveYearForMonthDay,
+    normalizeDateText,
+    mapNormalizedRange,
     DATE_PATTERN,
     WAREKI_DATE_PATTERN,
     MONTH_DAY_DATE_PATTERN,
@@ -378,10 +380,14 @@ const ignoreSelectors = [
   const detectors = [
     {
       name: "日本語の相対日付 (JA Relative)",
+      // ページの公開日（基準日）から日付を求める
+      relative: true,
       pattern: /(今日|明日|昨日|来週|先週|今月末|来月|先月)/gi,
       handler: (match) => {
         const text = match[0];
-        const refDate = new Date();
+        // ブログ記事などでは公開日を基準にする
+        const refDate =
+          window.ChronoClipPageDate?.getReferenceDate() || new Date();
         refDate.setHours(0, 0, 0, 0);
         let startDate = new Date(refDate);
 
@@ -460,13 +466,13 @@ const ignoreSelectors = [
       name: "和暦 (Wareki)",
       pattern: WAREKI_DATE_PATTERN,
       handler: (match) => {
-        const [, era, eraYearStr, month, day] = match;
-        const year = convertWarekiToGregorianYear(era, eraYearStr);
-        if (year && isValidDate(year, month, day)) {
-          const normalizedDate = `${year}-${String(month).padStart(
+        // 漢数字・略称（R7.8.27）を含めて変換し、元号の期間外は除く
+        const date = parseWarekiMatch(match);
+        if (date) {
+          const normalizedDate = `${date.year}-${String(date.month).padStart(
             2,
             "0"
-          )}-${String(day).padStart(2, "0")}`;
+          )}-${String(date.day).padStart(2, "0")}`;
           return { normalizedDate, original: match[0] };
         }
         return null;
@@ -477,7 +483,16 @@ const ignoreSelectors = [
       pattern: MONTH_DAY_DATE_PATTERN,
       handler: (match) => {
         const [, month, day] = match;
-        const resolvedDate = resolveYearForMonthDay(month, day);
+        // 「平成31年5月1日」のように年が書かれているのに和暦として
+        // 変換できなかった日付は、年を補って別の日付にしない
+        if (/年\s*$/.test(match.input.slice(0, match.index))) {
+          return null;
+        }
+        const resolvedDate = resolveYearForMonthDay(
+          month,
+          day,
+          window.ChronoClipPageDate?.getReferenceDate()
+        );
         if (
           isValidDate(
             resolvedDate.getFullYear(),
@@ -541,11 +556,16 @@ const ignoreSelectors = [
     let matchesFound = false;
     const allMatches = [];
 
+    // 全角数字・漢数字（「８月２７日」「二〇二五年八月二十七日」等）は
+    // 半角数字に揃えたテキストで検出し、位置は最後に元のテキストに戻す
+    const normalized = normalizeDateText(text);
+    const searchText = normalized.text;
+
     // カスタム正規表現検出器による解析（高速）
     detectors.forEach((detector) => {
       detector.pattern.lastIndex = 0; // 各検出器でlastIndexをリセット
       let match;
-      while ((match = detector.pattern.exec(text)) !== null) {
+      while ((match = detector.pattern.exec(searchText)) !== null) {
         const result = detector.handler(match);
         if (result) {
           allMatches.push({
@@ -563,7 +583,7 @@ const ignoreSelectors = [
     // 時刻パターンも検出（HH:MM形式）
     const timePattern = /(?:[01]?[0-9]|2[0-3]):[0-5][0-9]/g;
     let timeMatch;
-    while ((timeMatch = timePattern.exec(text)) !== null) {
+    while ((timeMatch = timePattern.exec(searchText)) !== null) {
       // 時刻が日付検出範囲と重複していないかチェック
       const overlaps = allMatches.some(
         (match) =>
@@ -574,6 +594,7 @@ const ignoreSelectors = [
       if (!overlaps) {
         allMatches.push({
           date: null, // 時刻単体では日付は不明
+          time: timeMatch[0], // 半角に揃えた時刻（HH:MM）
           original: timeMatch[0],
           index: timeMatch.index,
           detector: "time-pattern",
@@ -587,7 +608,10 @@ const ignoreSelectors = [
     if (allMatches.length === 0 && text.length < 500) {
       // 短いテキストのみchrono-nodeを使用
       try {
-        const chronoResults = chrono.parse(text, new Date());
+        const chronoResults = chrono.parse(
+          searchText,
+          window.ChronoClipPageDate?.getReferenceDate() || new Date()
+        );
         chronoResults.forEach((result) => {
           const date = result.start.date();
           const normalizedDate = `${date.getFullYear()}-${String(
@@ -607,6 +631,14 @@ const ignoreSelectors = [
       }
     }
 
+    // 正規化後の位置を元のテキストの位置に戻し、元の文字をハイライトする
+    allMatches.forEach((match) => {
+      const range = mapNormalizedRange(normalized, match.index, match.endIndex);
+      match.index = range.start;
+      match.endIndex = range.end;
+      match.original = text.slice(range.start, range.end);
+    });
+
     // マッチをインデックス順にソートし、重複を排除
     allMatches.sort((a, b) => a.index - b.index);
     const uniqueMatches = [];
@@ -648,7 +680,7 @@ const ignoreSelectors = [
         dateSpan.dataset.normalizedDate = match.date;
         dateSpan.dataset.type = "date";
       } else if (match.type === "time") {
-        dateSpan.dataset.time = match.original;
+        dateSpan.dataset.time = match.time;
         dateSpan.dataset.type = "time";
       }
 
@@ -661,13 +693,28 @@ const ignoreSelectors = [
       dateSpan.addEventListener("click", (e) => {
         e.stopPropagation(); // 親要素へのイベント伝播を防ぐ
 
+        // 「8月27日〜29日」「18:00〜21:00」の終わりも読み取れるよう、
+        // クリックした箇所から始まる元のテキストを解析しておく
+        const rangeText = text.slice(match.index);
         if (match.type === "date") {
           // 日付クリック時は終日予定
-          showQuickAddPopup(match.date, null, e);
+          showQuickAddPopup(
+            match.date,
+            null,
+            e,
+            match.detector,
+            parseClickedRange(rangeText, match.date, null)
+          );
         } else if (match.type === "time") {
           // 時刻クリック時は近くの日付を探す
           const nearbyDate = findNearbyDate(e.target);
-          showQuickAddPopup(nearbyDate, match.original, e);
+          showQuickAddPopup(
+            nearbyDate,
+            match.time,
+            e,
+            match.detector,
+            parseClickedRange(rangeText, nearbyDate, match.time)
+          );
         }
       });
 
@@ -725,7 +772,7 @@ const ignoreSelectors = [
     // 3. テキスト解析で周辺の日付を探す
     let searchElement = timeElement.parentElement;
     for (let i = 0; i < 3 && searchElement; i++) {
-      const text = searchElement.textContent;
+      const text = normalizeDateText(searchElement.textContent).text;
 
       // 簡単な日付パターンで検索
       const datePatterns = [
@@ -772,8 +819,16 @@ const ignoreSelectors = [
    * @param {string} normalizedDate - 正規化された日付文字列 (YYYY-MM-DD)
    * @param {string|null} time - 時刻文字列 (HH:MM) または null（終日の場合）
    * @param {MouseEvent} e - クリックイベントオブジェクト
+   * @param {string} [detector] - 日付・時刻を検出した検出器の名前
+   * @param {object|null} [dateInfo] - クリックした箇所の解析結果（範囲の終わりに使う）
    */
-  async function showQuickAddPopup(normalizedDate, time, e) {
+  async function showQuickAddPopup(
+    normalizedDate,
+    time,
+    e,
+    detector,
+    dateInfo
+  ) {
     // Logger/ErrorHandler の初期化確認
     if (!logger || !errorHandler) {
       initializeLogging();
@@ -817,15 +872,13 @@ const ignoreSelectors = [
             headingSearchDepth: 2, // 探索深度も制限
           };
 
-          // ストレージからオプションを非同期で取得（軽量化）
+          // 設定（サイトルール適用済み）からオプションを取得
           try {
             // Extension context が有効かチェック
             if (chrome.runtime?.id) {
-              const result = await new Promise((resolve) => {
-                chrome.storage.sync.get(["includeURL"], resolve);
-              });
-              if (result.includeURL !== undefined) {
-                options.includeURL = result.includeURL;
+              const includeURL = await getIncludeURLForCurrentPage();
+              if (includeURL !== undefined) {
+                options.includeURL = includeURL;
               }
             }
           } catch (error) {
@@ -969,13 +1022,22 @@ const ignoreSelectors = [
     }
 
     // デフォルトポップアップの表示処理
-    showDefaultQuickAddPopup(normalizedDate, time, e);
+    showDefaultQuickAddPopup(normalizedDate, time, e, detector, dateInfo);
   }
 
   /**
    * デフォルトのクイック追加ポップアップを表示
+   * @param {string} [detector] - 日付・時刻を検出した検出器の名前（履歴に記録する）
+   * @param {object|null} [dateInfo] - クリックした箇所の解析結果。
+   *   範囲（8月27日〜29日、18:00〜21:00）なら終了日・終了時刻に使う
    */
-  async function showDefaultQuickAddPopup(normalizedDate, time, e) {
+  async function showDefaultQuickAddPopup(
+    normalizedDate,
+    time,
+    e,
+    detector,
+    dateInfo
+  ) {
     quickAddPopupHost = document.createElement("div");
     quickAddPopupHost.style.position = "absolute";
     quickAddPopupHost.style.zIndex =
@@ -1021,6 +1083,10 @@ const ignoreSelectors = [
       if (eventDateInput) {
         eventDateInput.value = normalizedDate;
       }
+      setupEndDateField(
+        shadowRoot,
+        time ? normalizedDate : getInclusiveEndDate(dateInfo, normalizedDate)
+      );
 
       // 時刻フィールドの設定
       const eventTimeInput = shadowRoot.getElementById("event-time");
@@ -1052,6 +1118,8 @@ const ignoreSelectors = [
         if (eventEndTimeInput) {
           eventEndTimeInput.value = calculateEndTime(time);
         }
+        // 「18:00〜21:00」のように終了時刻まで読み取れていれば既定の長さより優先する
+        applyParsedEndDateTime(shadowRoot, dateInfo);
         allDayCheckbox.checked = false;
         eventTimeInput.classList.remove("hidden");
         if (eventEndTimeInput) {
@@ -1155,80 +1223,158 @@ const ignoreSelectors = [
         });
       }
 
-      const addButton = shadowRoot.querySelector(".add-button");
-      if (addButton) {
-        addButton.addEventListener("click", (event) => {
-          event.preventDefault(); // フォームのデフォルト送信を防ぐ
-          const eventTitle = shadowRoot.getElementById("event-title").value;
-          const eventDetails = shadowRoot.getElementById("event-details").value;
-
-          if (!eventTitle) {
-            const titleInput = shadowRoot.getElementById("event-title");
-            titleInput.style.border = "1px solid red";
-            titleInput.placeholder = "タイトルは必須です";
-            titleInput.focus();
-            return;
+      populateCalendarSelect(shadowRoot);
+      setupReminderEditor(shadowRoot);
+      // 周囲の文章（「毎日新聞」等）から拾わないよう、クリックした箇所だけを見る
+      setupRecurrenceField(
+        shadowRoot,
+        detectRecurrenceRule(
+          e?.target?.closest?.(".chronoclip-date")?.textContent
+        )
+      );
+      showDeadlineNote(
+        shadowRoot,
+        window.ChronoClipDateParser?.detectDeadline(
+          e?.target?.parentElement?.textContent
+        )
+      );
+      // 時刻のクリックでは日を近くの日付から取るため、基準日は使わない
+      showReferenceDateNote(
+        shadowRoot,
+        !time &&
+          (!!dateInfo?.relative ||
+            detectors.some((item) => item.name === detector && item.relative))
+      );
+
+      /**
+       * フォームの入力からイベントペイロードを組み立てる（不正な入力はnull）
+       */
+      const buildEventPayloadFromForm = () => {
+        const eventTitle = shadowRoot.getElementById("event-title").value;
+        const eventDetails = shadowRoot.getElementById("event-details").value;
+        // 日付欄の変更（重なる予定からの移動を含む）を反映する
+        const eventDate =
+          shadowRoot.getElementById("event-date")?.value || normalizedDate;
+        const eventEndDate =
+          shadowRoot.getElementById("event-end-date")?.value || eventDate;
+
+        if (!eventTitle) {
+          const titleInput = shadowRoot.getElementById("event-title");
+          titleInput.style.border = "1px solid red";
+          titleInput.placeholder = "タイトルは必須です";
+          titleInput.focus();
+          return null;
+        }
+
+        if (eventEndDate < eventDate) {
+          const endDateInput = shadowRoot.getElementById("event-end-date");
+          endDateInput.style.border = "1px solid red";
+          endDateInput.focus();
+          return null;
+        }
+
+        const eventTimeInput = shadowRoot.getElementById("event-time");
+        const eventEndTimeInput = shadowRoot.getElementById("event-end-time");
+        const allDayCheckbox = shadowRoot.getElementById("all-day");
+        const isAllDay = allDayCheckbox ? allDayCheckbox.checked : !time;
+
+        let eventPayload;
+
+        if (isAllDay || !eventTimeInput || !eventTimeInput.value) {
+          // 終日イベント
+          eventPayload = {
+            summary: eventTitle,
+            description: eventDetails,
+            start: { date: eventDate },
+            end: getAllDayEnd(eventDate, eventEndDate),
+            url: window.location.href,
+          };
+        } else {
+          // 時刻指定イベント
+          const startTimeValue = eventTimeInput.value;
+          const endTimeValue = eventEndTimeInput
+            ? eventEndTimeInput.value
+            : null;
+
+          if (!startTimeValue) {
+            const timeInput = shadowRoot.getElementById("event-time");
+            timeInput.style.border = "1px solid red";
+            timeInput.focus();
+            return null;
           }
 
-          const eventTimeInput = shadowRoot.getElementById("event-time");
-          const eventEndTimeInput = shadowRoot.getElementById("event-end-time");
-          const allDayCheckbox = shadowRoot.getElementById("all-day");
-          const isAllDay = allDayCheckbox ? allDayCheckbox.checked : !time;
-
-          let eventPayload;
-
-          if (isAllDay || !eventTimeInput || !eventTimeInput.value) {
-            // 終日イベント
-            eventPayload = {
-              summary: eventTitle,
-              description: eventDetails,
-              start: { date: normalizedDate },
-              end: { date: normalizedDate },
-              url: window.location.href,
-            };
+          const startDateTime = `${eventDate}T${startTimeValue}:00`;
+          let endDateTime;
+
+          if (endTimeValue) {
+            // 終了時刻が指定されている場合
+            endDateTime = `${eventEndDate}T${endTimeValue}:00`;
           } else {
-            // 時刻指定イベント
-            const startTimeValue = eventTimeInput.value;
-            const endTimeValue = eventEndTimeInput
-              ? eventEndTimeInput.value
-              : null;
-
-            if (!startTimeValue) {
-              const timeInput = shadowRoot.getElementById("event-time");
-              timeInput.style.border = "1px solid red";
-              timeInput.focus();
-              return;
-            }
+            // 終了時刻が指定されていない場合は設定値で計算
+            const startDate = new Date(startDateTime);
+            const durationMs =
+              window.ChronoClipConfig?.EVENT?.DEFAULT_DURATION_MS ||
+              3 * 60 * 60 * 1000;
+            const endDate = new Date(startDate.getTime() + durationMs);
+            endDateTime = formatLocalDateTime(endDate); // YYYY-MM-DDTHH:MM:SS
+          }
+
+          eventPayload = {
+            summary: eventTitle,
+            description: eventDetails,
+            start: {
+              dateTime: startDateTime,
+              timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            },
+            end: {
+              dateTime: endDateTime,
+              timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+            },
+            url: window.location.href,
+          };
+        }
 
-            const startDateTime = `${normalizedDate}T${startTimeValue}:00`;
-            let endDateTime;
+        const calendarId = getSelectedCalendarId(shadowRoot);
+        if (calendarId) {
+          eventPayload.calendarId = calendarId;
+        }
+        const account = getSelectedAccount(shadowRoot);
+        if (account) {
+          eventPayload.account = account;
+        }
+        eventPayload.reminders = getReminderSettings(shadowRoot);
+        // 抽出エンジンの結果は使っていないため、日付を検出した検出器を記録する
+        if (detector) {
+          eventPayload.extractor = detector;
+        }
 
-            if (endTimeValue) {
-              // 終了時刻が指定されている場合
-              endDateTime = `${normalizedDate}T${endTimeValue}:00`;
-            } else {
-              // 終了時刻が指定されていない場合は設定値で計算
-              const startDate = new Date(startDateTime);
-              const durationMs =
-                window.ChronoClipConfig?.EVENT?.DEFAULT_DURATION_MS ||
-                3 * 60 * 60 * 1000;
-              const endDate = new Date(startDate.getTime() + durationMs);
-              endDateTime = endDate.toISOString().slice(0, 16) + ":00"; // YYYY-MM-DDTHH:MM:SS
-            }
+        const recurrence = getRecurrenceFromPopup(shadowRoot);
+        if (recurrence === false) {
+          showToast("error", "繰り返しルール（RRULE）の形式が正しくありません");
+          return null;
+        }
+        if (recurrence) {
+          eventPayload.recurrence = recurrence;
+        }
 
-            eventPayload = {
-              summary: eventTitle,
-              description: eventDetails,
-              start: {
-                dateTime: startDateTime,
-                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-              },
-              end: {
-                dateTime: endDateTime,
-                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-              },
-              url: window.location.href,
-            };
+        return eventPayload;
+      };
+
+      const addButton = shadowRoot.querySelector(".add-button");
+      if (addButton) {
+        addButton.addEventListener("click", async (event) => {
+          event.preventDefault(); // フォームのデフォルト送信を防ぐ
+          const eventPayload = buildEventPayloadFromForm();
+          if (!eventPayload) return;
+
+          // 既存の予定と重なる場合は一覧を表示して確認してもらう
+          if (!(await confirmEventConflicts(shadowRoot, eventPayload))) {
+            return;
+          }
+          eventPayload.includeURL = await getIncludeURLForCurrentPage();
+          const travelBuffer = await getTravelBufferForCurrentPage();
+          if (travelBuffer) {
+            eventPayload.travelBuffer = travelBuffer;
           }
 
           // Extension context が有効かチェック
@@ -1260,14 +1406,25 @@ const ignoreSelectors = [
 
               console.log("ChronoClip: Received response:", response);
 
-              if (response && response.ok) {
+              if (response && response.success) {
                 showToast(
                   "success",
-                  `予定「${eventPayload.summary}」を追加しました。`
+                  `予定「${eventPayload.summary}」を追加しました。`,
+                  {
+                    eventId: response.event?.id,
+                    calendarId: response.calendarId,
+                  }
+                );
+              } else if (response && response.duplicate) {
+                showToast(
+                  "info",
+                  `予定「${eventPayload.summary}」は既にカレンダーに登録されています。`
                 );
+              } else if (response && response.queued) {
+                showToast("info", response.error);
               } else {
                 const errorMessage =
-                  response?.message ||
+                  response?.error ||
                   "不明なエラーで予定の追加に失敗しました。";
                 console.error("ChronoClip: Calendar API error:", errorMessage);
                 showToast("error", `エラー: ${errorMessage}`);
@@ -1279,6 +1436,18 @@ const ignoreSelectors = [
         });
       }
 
+      const icsButton = shadowRoot.querySelector(".ics-button");
+      if (icsButton) {
+        icsButton.addEventListener("click", () => {
+          const eventPayload = buildEventPayloadFromForm();
+          if (!eventPayload) return;
+          downloadEventsAsIcs([eventPayload]);
+          hideQuickAddPopup();
+        });
+      }
+
+      setupTaskButton(shadowRoot, buildEventPayloadFromForm, hideQuickAddPopup);
+
       // キーボードショートカット (Escapeキーで閉じる)
       document.addEventListener("keydown", handleKeyDown);
     } catch (error) {
@@ -1818,7 +1987,11 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
       break;
 
     case "show_toast":
-      showToast(message.payload.type, message.payload.message);
+      showToast(
+        message.payload.type,
+        message.payload.message,
+        message.payload.undo
+      );
       break;
 
     case "show_quick_add_popup":
@@ -1830,6 +2003,24 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
       }
       break;
 
+    case "download_ics":
+      // 選択範囲の抽出結果を.icsファイルとしてダウンロード
+      if (message.payload && message.payload.extractedData) {
+        await downloadExtractedDataAsIcs(message.payload.extractedData);
+      }
+      break;
+
+    case "create_task":
+      // 選択範囲の抽出結果を期限付きのタスクとして追加
+      if (message.payload && message.payload.extractedData) {
+        await createTaskFromExtractedData(message.payload.extractedData);
+      }
+      break;
+
+    case "download_all_ics":
+      await downloadAllDatesAsIcs();
+      break;
+
     case "extract_selection":
       // このメッセージはselection.jsで処理される - content-scriptでは何もしない
       break;
@@ -1844,8 +2035,9 @@ chrome.runtime.onMessage.addListener(async (message, sender, sendResponse) => {
  * ページ右下にトースト通知を表示します。
  * @param {'success' | 'error'} type - トーストの種類
  * @param {string} message - 表示するメッセージ
+ * @param {{eventId: string, calendarId: string}|null} [undo] - 指定時は「元に戻す」ボタンを表示
  */
-function showToast(type, message) {
+function showToast(type, message, undo = null) {
   // トースト要素を作成
   const toast = document.createElement("div");
   toast.className = `chronoclip-toast chronoclip-toast-${type}`;
@@ -1857,182 +2049,1110 @@ function showToast(type, message) {
   const cleanMessage = message.replace(/<[^>]*>/g, "");
   toast.textContent = cleanMessage;
 
+  // 作成直後のイベントを取り消すボタン
+  if (undo && undo.eventId) {
+    const undoButton = document.createElement("button");
+    undoButton.type = "button";
+    undoButton.className = "chronoclip-toast-action";
+    undoButton.textContent = "元に戻す";
+    undoButton.addEventListener("click", () => {
+      undoButton.disabled = true;
+      toast.remove();
+      undoCreatedEvent(undo.eventId, undo.calendarId);
+    });
+    toast.appendChild(undoButton);
+  }
+
   // ページに追加
   document.body.appendChild(toast);
 
-  // 3秒後にアニメーション付きで削除
+  // 3秒後（取り消し可能な場合は6秒後）にアニメーション付きで削除
   setTimeout(() => {
     toast.classList.add("chronoclip-toast-fade-out");
     toast.addEventListener("transitionend", () => {
       toast.remove();
     });
-  }, 3000);
+  }, undo ? 6000 : 3000);
 }
 
 /**
- * Issue #11: 選択範囲から抽出されたデータを使ってポップアップを表示
- * @param {object} extractedData - 抽出されたデータ
+ * 作成したイベントを取り消します（カレンダーから削除）。
+ * @param {string} eventId - イベントID
+ * @param {string} [calendarId] - カレンダーID
  */
-async function showQuickAddPopupWithData(extractedData) {
-  // loggerとerrorHandlerをグローバルから取得
-  const { logger, errorHandler } = getLoggerAndErrorHandler();
-
-  logger?.info("Showing quick add popup with extracted data", {
-    hasTitle: !!extractedData?.title,
-    hasEvents: !!extractedData?.events?.length,
-    hasDate: !!extractedData?.date || !!extractedData?.dateTime,
-  });
-
-  logger?.debug("showQuickAddPopupWithData - step 1: function entry");
+async function undoCreatedEvent(eventId, calendarId) {
+  if (!chrome.runtime?.id) {
+    showToast("error", "拡張機能が無効になっています");
+    return;
+  }
 
   try {
-    logger?.debug(
-      "showQuickAddPopupWithData - step 2: checking existing popup"
-    );
-    // 既存のポップアップが表示されている場合は削除
-    const existingPopup = document.querySelector(".chronoclip-quick-add-popup");
-    if (existingPopup) {
-      console.log("ChronoClip: Removing existing popup");
-      existingPopup.remove();
-    }
-
-    logger?.debug("showQuickAddPopupWithData - step 3: calculating position");
-    // ポップアップの位置を画面上部寄りに設定
-    const rect = {
-      left: window.innerWidth / 2 - 200, // 幅400pxとして中央配置
-      top: Math.max(50, window.innerHeight / 4 - 150), // 上部1/4位置、最低50px確保
-      width: 400,
-      height: 300,
-    };
+    const response = await chrome.runtime.sendMessage({
+      type: "history:undo",
+      eventId,
+      calendarId,
+    });
 
-    console.log("ChronoClip: Popup position calculated:", rect);
+    if (response && response.success) {
+      showToast("success", "予定の追加を取り消しました");
+    } else {
+      showToast(
+        "error",
+        `取り消しに失敗しました: ${response?.error || "不明なエラー"}`
+      );
+    }
+  } catch (error) {
+    console.error("ChronoClip: Failed to undo event:", error);
+    showToast("error", "取り消しに失敗しました");
+  }
+}
 
-    logger?.debug("showQuickAddPopupWithData - step 4: preparing date info");
-    // 抽出されたデータから日付情報を準備
-    let dateInfo = null;
+/**
+ * クイック追加ポップアップのカレンダー選択肢を書き込み可能なカレンダーで埋めます。
+ * サイトルールで追加先のアカウントが指定されている場合は、そのアカウントのカレンダーを並べ、
+ * 指定されたカレンダーを選択します。
+ * 取得に失敗した場合は「Default」（設定の追加先カレンダー）のみ残します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ */
+async function populateCalendarSelect(shadowRoot) {
+  const select = shadowRoot.getElementById("event-calendar");
+  if (!select || !chrome.runtime?.id) return;
+
+  const target = await getCalendarTargetForCurrentPage();
+  if (target.account) {
+    select.dataset.account = target.account;
+    select.title =
+      target.account === window.ChronoClipSettings?.PROFILE_ACCOUNT
+        ? "Chromeのプロフィールのアカウント"
+        : target.account;
+  }
 
-    console.log("ChronoClip: Checking extracted date data:", {
-      dateTime: extractedData.dateTime,
-      date: extractedData.date,
-      events: extractedData.events,
-      url: extractedData.url,
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "calendar:listCalendars",
+      account: target.account || undefined,
     });
-
-    if (extractedData.events && extractedData.events.length > 0) {
-      // eventsフィールドから日付情報とURLを優先的に使用
-      const firstEvent = extractedData.events[0];
-      if (firstEvent.startTime) {
-        const dateObj = new Date(firstEvent.startTime);
-        if (!isNaN(dateObj.getTime())) {
-          dateInfo = {
-            type: "datetime",
-            start: {
-              dateTime: firstEvent.startTime,
-              hour: dateObj.getHours(),
-              minute: dateObj.getMinutes(),
-            },
-            end: { dateTime: firstEvent.endTime || firstEvent.startTime },
-          };
-          console.log(
-            "ChronoClip: Created date info from first event:",
-            dateInfo
-          );
-        }
-      }
-      // URLもfirstEventから取得（extractedData.urlが未設定の場合のみ）
-      if (firstEvent.url && !extractedData.url) {
-        extractedData.url = firstEvent.url;
-        console.log("ChronoClip: Set URL from first event:", firstEvent.url);
-      }
-    } else if (extractedData.dateTime) {
-      dateInfo = extractedData.dateTime;
-      console.log("ChronoClip: Using extracted dateTime:", dateInfo);
-    } else if (extractedData.date) {
-      // date フィールドから日付情報を作成（時刻情報も考慮）
-      const dateObj = new Date(extractedData.date);
-      if (!isNaN(dateObj.getTime())) {
-        // 時刻がある場合（0:00以外）は datetime として扱う
-        if (dateObj.getHours() !== 0 || dateObj.getMinutes() !== 0) {
-          dateInfo = {
-            type: "datetime",
-            start: {
-              dateTime: dateObj.toISOString(),
-              hour: dateObj.getHours(),
-              minute: dateObj.getMinutes(),
-            },
-            end: {
-              dateTime: new Date(
-                dateObj.getTime() + 3 * 60 * 60 * 1000
-              ).toISOString(),
-            },
-          };
-          console.log(
-            "ChronoClip: Created datetime info from date field:",
-            dateInfo
-          );
-        } else {
-          dateInfo = {
-            type: "date",
-            start: { date: formatDate(dateObj) },
-            end: { date: formatDate(dateObj) },
-          };
-          console.log(
-            "ChronoClip: Created date info from date field:",
-            dateInfo
-          );
-        }
-      }
-    } else if (extractedData.events && extractedData.events.length > 0) {
-      // eventsフィールドから日付情報を作成
-      const firstEvent = extractedData.events[0];
-      if (firstEvent.startTime) {
-        const dateObj = new Date(firstEvent.startTime);
-        if (!isNaN(dateObj.getTime())) {
-          dateInfo = {
-            type: "datetime",
-            start: { dateTime: firstEvent.startTime },
-            end: { dateTime: firstEvent.endTime || firstEvent.startTime },
-          };
-          console.log("ChronoClip: Created date info from events:", dateInfo);
-        }
+    if (!response || !response.success) return;
+
+    response.calendars.forEach((calendar) => {
+      const option = document.createElement("option");
+      option.value = calendar.id;
+      option.textContent = calendar.summary;
+      if (calendar.backgroundColor) {
+        option.style.borderLeft = `6px solid ${calendar.backgroundColor}`;
       }
-    }
+      select.appendChild(option);
+    });
 
-    if (!dateInfo) {
-      // デフォルトは明日の日付
-      const tomorrow = new Date();
-      tomorrow.setDate(tomorrow.getDate() + 1);
-      dateInfo = {
-        type: "date",
-        start: { date: formatDate(tomorrow) },
-        end: { date: formatDate(tomorrow) },
-      };
-      console.log("ChronoClip: Using default date info:", dateInfo);
+    if (target.calendarId && target.calendarId !== "primary") {
+      // 一覧にない（共有されたカレンダーなど）場合もIDのまま選択する
+      const listed = response.calendars.some(
+        (calendar) => calendar.id === target.calendarId
+      );
+      if (!listed) {
+        const option = document.createElement("option");
+        option.value = target.calendarId;
+        option.textContent = target.calendarId;
+        select.appendChild(option);
+      }
+      select.value = target.calendarId;
     }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load calendar list:", error);
+  }
+}
 
-    // タイトルと詳細を準備
-    let title = extractedData.title;
-    let description =
-      extractedData.description || extractedData.source?.selectionText || "";
-    let eventSpecificUrl = extractedData.url; // 初期値はextractedData.url
+/**
+ * クイック追加ポップアップの追加先Googleアカウントを取得します。
+ * サイトルールでChromeのプロフィールのアカウントが指定されている場合は
+ * "profile" をそのまま返し、Service Worker が既定のアカウントで置き換えないようにします。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @returns {string|null} メールアドレスまたは "profile"（既定のアカウントを使う場合はnull）
+ */
+function getSelectedAccount(shadowRoot) {
+  const select = shadowRoot.getElementById("event-calendar");
+  return select?.dataset.account || null;
+}
 
-    // タイトルが取得できていない場合、eventsからタイトルを取得
-    if (!title && extractedData.events && extractedData.events.length > 0) {
-      title = extractedData.events[0].title;
-      console.log("ChronoClip: Using title from events:", title);
-    }
+/**
+ * クイック追加ポップアップで選択されたカレンダーIDを取得します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @returns {string|null} カレンダーID（未選択の場合はnull）
+ */
+function getSelectedCalendarId(shadowRoot) {
+  const select = shadowRoot.getElementById("event-calendar");
+  return select && select.value ? select.value : null;
+}
 
-    // 詳細が取得できていない場合、eventsから詳細を取得
+/**
+ * 現在のページに適用される通知設定（サイトルール適用済み）を取得します。
+ * @returns {Promise<{useDefault: boolean, overrides: Array}|null>} 通知設定（取得できない場合はnull）
+ */
+async function getRemindersForCurrentPage() {
+  try {
     if (
-      !description &&
-      extractedData.events &&
-      extractedData.events.length > 0
+      window.ChronoClipSettings &&
+      typeof window.ChronoClipSettings.getRemindersForHost === "function"
     ) {
-      description = extractedData.events[0].description;
-      console.log("ChronoClip: Using description from events:", description);
+      return await window.ChronoClipSettings.getRemindersForHost(
+        window.location.hostname
+      );
     }
-
-    // eventsからのURL更新を反映
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load reminder settings:", error);
+  }
+  return null;
+}
+
+/**
+ * 現在のページの追加先（Googleアカウントとカレンダー）を取得します（サイトルール適用済み）。
+ * @returns {Promise<{account: string, calendarId: string}>} 取得できない場合は空文字（Service Workerが全体設定を使う）
+ */
+async function getCalendarTargetForCurrentPage() {
+  try {
+    if (
+      window.ChronoClipSettings &&
+      typeof window.ChronoClipSettings.getCalendarTargetForHost === "function"
+    ) {
+      return await window.ChronoClipSettings.getCalendarTargetForHost(
+        window.location.hostname
+      );
+    }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load calendar target:", error);
+  }
+  return { account: "", calendarId: "" };
+}
+
+/**
+ * 現在のページで、イベントの説明に参照元URLを含めるかを取得します（サイトルール適用済み）。
+ * @returns {Promise<boolean|undefined>} 取得できない場合はundefined（Service Workerが全体設定を使う）
+ */
+async function getIncludeURLForCurrentPage() {
+  try {
+    if (
+      window.ChronoClipSettings &&
+      typeof window.ChronoClipSettings.getIncludeURLForHost === "function"
+    ) {
+      return await window.ChronoClipSettings.getIncludeURLForHost(
+        window.location.hostname
+      );
+    }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load includeURL setting:", error);
+  }
+  return undefined;
+}
+
+/**
+ * 現在のページに適用される移動時間の設定を取得します（サイトルール適用済み）。
+ * @returns {Promise<{enabled: boolean, beforeMinutes: number, afterMinutes: number, calendarId: string}|null>} 取得できない場合はnull（Service Workerが全体設定を使う）
+ */
+async function getTravelBufferForCurrentPage() {
+  try {
+    if (
+      window.ChronoClipSettings &&
+      typeof window.ChronoClipSettings.getTravelBufferForHost === "function"
+    ) {
+      return await window.ChronoClipSettings.getTravelBufferForHost(
+        window.location.hostname
+      );
+    }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load travel buffer settings:", error);
+  }
+  return null;
+}
+
+/**
+ * 設定・サイトルールのタイトル・説明テンプレートを抽出結果に適用します。
+ * テンプレートが未設定の場合は抽出結果のタイトル・説明をそのまま返します。
+ * @param {object} fields - 抽出結果（title, description, url, location, price, events, selection）
+ * @returns {Promise<{title: string, description: string, urlInDescription: boolean, descriptionTemplated: boolean}>}
+ */
+async function applyEventTemplatesForCurrentPage(fields) {
+  const untouched = {
+    title: fields.title || "",
+    description: fields.description || "",
+    urlInDescription: false,
+    descriptionTemplated: false,
+  };
+
+  try {
+    if (
+      !window.ChronoClipEventTemplate ||
+      !window.ChronoClipSettings ||
+      typeof window.ChronoClipSettings.getTemplatesForHost !== "function"
+    ) {
+      return untouched;
+    }
+
+    const templates = await window.ChronoClipSettings.getTemplatesForHost(
+      window.location.hostname
+    );
+    if (!templates.title && !templates.description) {
+      return untouched;
+    }
+
+    const context = window.ChronoClipEventTemplate.buildTemplateContext(
+      fields,
+      window.location.href
+    );
+    return {
+      ...window.ChronoClipEventTemplate.applyEventTemplates(templates, context),
+      descriptionTemplated: Boolean(templates.description),
+    };
+  } catch (error) {
+    console.warn("ChronoClip: Failed to apply event templates:", error);
+    return untouched;
+  }
+}
+
+/**
+ * 通知の分数を入力用の値と単位（分/時間/日/週）に分解します。
+ * @param {number} minutes - 予定の何分前か
+ * @returns {{amount: number, unit: number}} 値と単位（分換算）
+ */
+function splitReminderMinutes(minutes) {
+  const unit = [10080, 1440, 60].find(
+    (candidate) => minutes > 0 && minutes % candidate === 0
+  );
+  return unit ? { amount: minutes / unit, unit } : { amount: minutes, unit: 1 };
+}
+
+/**
+ * クイック追加ポップアップに通知行を追加します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {{method: string, minutes: number}} reminder - 通知
+ */
+function addReminderRow(shadowRoot, reminder) {
+  const list = shadowRoot.getElementById("reminder-list");
+  const template = shadowRoot.getElementById("reminder-row-template");
+  if (!list || !template) return;
+
+  const row = template.content.firstElementChild.cloneNode(true);
+  const { amount, unit } = splitReminderMinutes(reminder.minutes);
+  row.querySelector(".reminder-method").value = reminder.method;
+  row.querySelector(".reminder-amount").value = amount;
+  row.querySelector(".reminder-unit").value = String(unit);
+  row
+    .querySelector(".remove-reminder-button")
+    .addEventListener("click", () => row.remove());
+  list.appendChild(row);
+}
+
+/**
+ * クイック追加ポップアップの通知エディタを初期化し、ページの通知設定で埋めます。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ */
+async function setupReminderEditor(shadowRoot) {
+  const useDefaultCheckbox = shadowRoot.getElementById("reminders-default");
+  const list = shadowRoot.getElementById("reminder-list");
+  const addButton = shadowRoot.querySelector(".add-reminder-button");
+  if (!useDefaultCheckbox || !list || !addButton) return;
+
+  const updateVisibility = () => {
+    list.classList.toggle("hidden", useDefaultCheckbox.checked);
+    addButton.classList.toggle("hidden", useDefaultCheckbox.checked);
+  };
+
+  useDefaultCheckbox.addEventListener("change", updateVisibility);
+  addButton.addEventListener("click", () => {
+    if (list.children.length < 5) {
+      addReminderRow(shadowRoot, { method: "popup", minutes: 30 });
+    }
+  });
+
+  const reminders = await getRemindersForCurrentPage();
+  if (reminders) {
+    useDefaultCheckbox.checked = reminders.useDefault !== false;
+    (reminders.overrides || []).forEach((reminder) =>
+      addReminderRow(shadowRoot, reminder)
+    );
+  }
+  updateVisibility();
+}
+
+/**
+ * クイック追加ポップアップで編集された通知設定を取得します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @returns {{useDefault: boolean, overrides: Array}|undefined} 通知設定（エディタがない場合はundefined）
+ */
+function getReminderSettings(shadowRoot) {
+  const useDefaultCheckbox = shadowRoot.getElementById("reminders-default");
+  if (!useDefaultCheckbox) return undefined;
+
+  if (useDefaultCheckbox.checked) {
+    return { useDefault: true, overrides: [] };
+  }
+
+  const overrides = Array.from(
+    shadowRoot.querySelectorAll("#reminder-list .reminder-row")
+  )
+    .map((row) => ({
+      method: row.querySelector(".reminder-method").value,
+      minutes:
+        parseInt(row.querySelector(".reminder-amount").value, 10) *
+        parseInt(row.querySelector(".reminder-unit").value, 10),
+    }))
+    .filter(({ minutes }) => Number.isInteger(minutes) && minutes >= 0)
+    .map(({ method, minutes }) => ({
+      method,
+      minutes: Math.min(minutes, 40320),
+    }));
+
+  return { useDefault: false, overrides };
+}
+
+/**
+ * テキストから繰り返し表現を検出し、RRULEを返します。
+ * @param {string} text - 検出対象のテキスト
+ * @returns {string|null} RRULE（検出できない場合はnull）
+ */
+function detectRecurrenceRule(text) {
+  if (!text || !window.ChronoClipDateParser?.parseRecurrence) return null;
+  const recurrence = window.ChronoClipDateParser.parseRecurrence(text);
+  return recurrence ? recurrence.rrule : null;
+}
+
+/**
+ * クイック追加ポップアップの繰り返し欄に検出したルールを設定します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {string|string[]|null} recurrence - RRULE（配列の場合は先頭を使用）
+ */
+function setupRecurrenceField(shadowRoot, recurrence) {
+  const input = shadowRoot.getElementById("event-recurrence");
+  if (!input || !recurrence) return;
+  input.value = Array.isArray(recurrence) ? recurrence[0] || "" : recurrence;
+}
+
+/**
+ * クイック追加ポップアップで編集された繰り返しルールを取得します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @returns {string[]|null|false} recurrence配列（空欄ならnull、形式が不正ならfalse）
+ */
+function getRecurrenceFromPopup(shadowRoot) {
+  const input = shadowRoot.getElementById("event-recurrence");
+  const value = input ? input.value.trim() : "";
+  if (!value) return null;
+
+  const rule = /^RRULE:/i.test(value) ? value : `RRULE:${value}`;
+  if (!/^RRULE:(?:[A-Z]+=[^;]+;?)+$/i.test(rule) || !/FREQ=/i.test(rule)) {
+    return false;
+  }
+  return [rule.replace(/^rrule:/i, "RRULE:").replace(/;$/, "")];
+}
+
+/**
+ * 追加前に、予定が既存の予定（busy）と重なっていないか確認します。
+ * 重なる場合はポップアップに一覧を表示して false を返します。一覧を確認した後の
+ * 追加（「そのまま追加」「空き時間として追加」）では true を返します。
+ * 終日の予定や確認に失敗した場合は確認せずに true を返します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {object} eventPayload - calendar:createEvent と同じ形式のイベント
+ *   （「空き時間として追加」の場合は transparency を設定します）
+ * @returns {Promise<boolean>} 追加を続けてよい場合 true
+ */
+async function confirmEventConflicts(shadowRoot, eventPayload) {
+  const panel = shadowRoot.getElementById("conflict-panel");
+  if (!panel || !eventPayload.start?.dateTime || !chrome.runtime?.id) {
+    return true;
+  }
+
+  // 確認済みの日時のまま追加する場合は、選んだ扱いで追加する
+  const checkedKey = JSON.stringify([
+    eventPayload.calendarId || "",
+    eventPayload.start,
+    eventPayload.end,
+  ]);
+  if (panel.dataset.checkedKey === checkedKey) {
+    if (panel.dataset.transparency) {
+      eventPayload.transparency = panel.dataset.transparency;
+    }
+    return true;
+  }
+
+  let response;
+  try {
+    response = await chrome.runtime.sendMessage({
+      type: "calendar:checkConflicts",
+      payload: eventPayload,
+    });
+  } catch (error) {
+    console.warn("ChronoClip: Failed to check conflicts:", error);
+    return true;
+  }
+
+  if (!response || !response.success || response.conflicts.length === 0) {
+    if (response && !response.success) {
+      console.warn("ChronoClip: Conflict check failed:", response.error);
+    }
+    return true;
+  }
+
+  showConflictPanel(shadowRoot, response);
+  panel.dataset.checkedKey = checkedKey;
+  delete panel.dataset.transparency;
+  return false;
+}
+
+/**
+ * 重なる予定の一覧と「空き時間として追加」「移動」を表示します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {object} result - calendar:checkConflicts の応答
+ */
+function showConflictPanel(shadowRoot, result) {
+  const panel = shadowRoot.getElementById("conflict-panel");
+  const list = shadowRoot.getElementById("conflict-list");
+  const addButton = shadowRoot.querySelector(".add-button");
+  const markFreeButton = panel.querySelector(".mark-free-button");
+  const moveButton = panel.querySelector(".move-event-button");
+
+  const formatTime = (value) =>
+    new Date(value).toLocaleString("ja-JP", {
+      timeZone: result.timeZone,
+      month: "numeric",
+      day: "numeric",
+      hour: "2-digit",
+      minute: "2-digit",
+    });
+
+  list.textContent = "";
+  result.conflicts.forEach((conflict) => {
+    const item = document.createElement("li");
+    const range = `${formatTime(conflict.start)} - ${formatTime(conflict.end)}`;
+    item.textContent = conflict.summary
+      ? `${range} ${conflict.summary}`
+      : `${range}（予定あり）`;
+    list.appendChild(item);
+  });
+
+  if (addButton) {
+    addButton.dataset.originalLabel =
+      addButton.dataset.originalLabel || addButton.textContent;
+    addButton.textContent = "Add anyway";
+  }
+
+  markFreeButton.onclick = () => {
+    panel.dataset.transparency = "transparent";
+    addButton?.click();
+  };
+
+  const suggestion = result.suggestion;
+  moveButton.classList.toggle("hidden", !suggestion);
+  if (suggestion) {
+    moveButton.querySelector(".suggested-time").textContent =
+      formatSuggestedTime(suggestion.start.dateTime);
+    moveButton.onclick = () => {
+      moveEventInPopup(shadowRoot, suggestion);
+      hideConflictPanel(shadowRoot);
+    };
+  }
+
+  panel.classList.remove("hidden");
+}
+
+/**
+ * 重なる予定の一覧を閉じ、追加ボタンの表示を元に戻します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ */
+function hideConflictPanel(shadowRoot) {
+  const panel = shadowRoot.getElementById("conflict-panel");
+  const addButton = shadowRoot.querySelector(".add-button");
+  if (panel) {
+    panel.classList.add("hidden");
+    delete panel.dataset.checkedKey;
+    delete panel.dataset.transparency;
+  }
+  if (addButton && addButton.dataset.originalLabel) {
+    addButton.textContent = addButton.dataset.originalLabel;
+  }
+}
+
+/**
+ * ポップアップの日付・時刻欄を提案された時間帯に変更します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {{start: {dateTime: string}, end: {dateTime: string}}} suggestion
+ *   空いている時間帯（現地時刻）
+ */
+function moveEventInPopup(shadowRoot, suggestion) {
+  const dateInput = shadowRoot.getElementById("event-date");
+  const timeInput = shadowRoot.getElementById("event-time");
+  const endDateInput = shadowRoot.getElementById("event-end-date");
+  const endTimeInput = shadowRoot.getElementById("event-end-time");
+
+  if (dateInput) {
+    dateInput.value = suggestion.start.dateTime.slice(0, 10);
+  }
+  if (endDateInput) {
+    endDateInput.value = suggestion.end.dateTime.slice(0, 10);
+  }
+  if (timeInput) {
+    timeInput.value = suggestion.start.dateTime.slice(11, 16);
+  }
+  if (endTimeInput) {
+    endTimeInput.value = suggestion.end.dateTime.slice(11, 16);
+  }
+
+  showToast(
+    "info",
+    `${formatSuggestedTime(suggestion.start.dateTime)} に移動しました`
+  );
+}
+
+/**
+ * 現地時刻（YYYY-MM-DDTHH:MM:SS）を「M/D HH:MM」形式で表示用に整形します。
+ * @param {string} dateTime - 現地時刻
+ * @returns {string} 表示用の文字列
+ */
+function formatSuggestedTime(dateTime) {
+  const [, month, day] = dateTime.slice(0, 10).split("-").map(Number);
+  return `${month}/${day} ${dateTime.slice(11, 16)}`;
+}
+
+/**
+ * 日時をローカル時刻の「YYYY-MM-DDTHH:MM:SS」形式に整形します。
+ * @param {Date} date - 日時
+ * @returns {string} ローカル時刻
+ */
+function formatLocalDateTime(date) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}:00`
+  );
+}
+
+/**
+ * 日付（YYYY-MM-DD）に日数を足します。
+ * @param {string} date - 日付
+ * @param {number} days - 足す日数
+ * @returns {string} 日付（YYYY-MM-DD）
+ */
+function shiftDateValue(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return formatLocalDateTime(new Date(year, month - 1, day + days)).slice(
+    0,
+    10
+  );
+}
+
+/**
+ * 終了日欄に初期値を設定し、開始日より前にならないようにします。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {string} endDate - 最終日（YYYY-MM-DD、空の場合は開始日）
+ */
+function setupEndDateField(shadowRoot, endDate) {
+  const dateInput = shadowRoot.getElementById("event-date");
+  const endDateInput = shadowRoot.getElementById("event-end-date");
+  if (!endDateInput) return;
+
+  endDateInput.value = endDate || dateInput?.value || "";
+  dateInput?.addEventListener("change", () => {
+    if (!endDateInput.value || endDateInput.value < dateInput.value) {
+      endDateInput.value = dateInput.value;
+    }
+  });
+}
+
+/**
+ * 解析結果の終日の終了日を、終了日欄に表示する最終日に変換します。
+ * 複数日の範囲は終了日を含まない形（最終日の翌日）で届きます。
+ * @param {object} dateInfo - 解析結果
+ * @param {string} startDate - 開始日（YYYY-MM-DD）
+ * @returns {string} 最終日（YYYY-MM-DD）
+ */
+function getInclusiveEndDate(dateInfo, startDate) {
+  const endDate = dateInfo?.end?.date;
+  if (!endDate || endDate <= startDate) return startDate;
+  return shiftDateValue(endDate, -1);
+}
+
+/**
+ * フォームの開始日と最終日から終日イベントの終了日を作成します。
+ * 1日だけなら開始日と同じ、複数日なら最終日の翌日とします。
+ * @param {string} startDate - 開始日（YYYY-MM-DD）
+ * @param {string} endDate - 最終日（YYYY-MM-DD）
+ * @returns {{date: string}} イベントの end
+ */
+function getAllDayEnd(startDate, endDate) {
+  return {
+    date: endDate > startDate ? shiftDateValue(endDate, 1) : startDate,
+  };
+}
+
+/**
+ * クリックした日付・時刻から始まるテキストを解析し、範囲の終わり
+ * （「8月27日〜29日」の29日、「18:00〜21:00」の21:00）を読み取ります。
+ * 解析結果の開始がクリックした日付・時刻と一致しない場合は使いません。
+ * @param {string} text - クリックした日付・時刻から始まるテキスト
+ * @param {string} date - クリックした日付、または時刻の近くの日付（YYYY-MM-DD）
+ * @param {string|null} time - クリックした時刻（HH:MM）。日付の場合はnull
+ * @returns {object|null} date-parser の解析結果
+ */
+function parseClickedRange(text, date, time) {
+  const parser = window.ChronoClipDateParser;
+  if (!parser || !date) return null;
+
+  // 時刻だけの範囲は、その日の0時を基準にしてその日の時刻として読み取る
+  const [year, month, day] = date.split("-").map(Number);
+  const referenceDate = time
+    ? new Date(year, month - 1, day)
+    : window.ChronoClipPageDate?.getReferenceDate() || new Date();
+  const dateInfo = parser.parseDate(text, referenceDate);
+  if (!dateInfo) return null;
+
+  if (!time) {
+    return dateInfo.start?.date === date ? dateInfo : null;
+  }
+  const start = new Date(dateInfo.start?.dateTime);
+  if (isNaN(start.getTime())) return null;
+  return formatLocalDateTime(start) === `${date}T${time.padStart(5, "0")}:00`
+    ? dateInfo
+    : null;
+}
+
+/**
+ * 解析結果に開始より後の終了日時があれば、終了日・終了時刻欄に設定します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {object} dateInfo - 解析結果（start.dateTime, end.dateTime）
+ */
+function applyParsedEndDateTime(shadowRoot, dateInfo) {
+  const start = new Date(dateInfo?.start?.dateTime);
+  const end = new Date(dateInfo?.end?.dateTime);
+  if (isNaN(start.getTime()) || isNaN(end.getTime()) || end <= start) return;
+
+  const localEnd = formatLocalDateTime(end);
+  const endDateInput = shadowRoot.getElementById("event-end-date");
+  const endTimeInput = shadowRoot.getElementById("event-end-time");
+  if (endDateInput) {
+    endDateInput.value = localEnd.slice(0, 10);
+  }
+  if (endTimeInput) {
+    endTimeInput.value = localEnd.slice(11, 16);
+  }
+}
+
+/**
+ * ページに書かれていたタイムゾーンの時刻と、変換後の時刻を並べて表示します。
+ * 時刻を手で変更したら、表示は古くなるので隠します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {object} originalTimeZone - date-parser が返す元のタイムゾーンと時刻
+ * @param {string} startDateTime - 変換後の開始日時（ISO形式）
+ */
+function showTimeZoneNote(shadowRoot, originalTimeZone, startDateTime) {
+  const note = shadowRoot.getElementById("timezone-note");
+  if (!note) return;
+
+  const localTime = formatLocalDateTime(new Date(startDateTime));
+  const localZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  note.textContent =
+    `${formatSuggestedTime(originalTimeZone.start)} ${originalTimeZone.label}` +
+    ` → ${formatSuggestedTime(localTime)} (${localZone})`;
+  note.title = originalTimeZone.timeZone || originalTimeZone.label;
+  note.classList.remove("hidden");
+
+  ["event-date", "event-time", "all-day"].forEach((id) => {
+    shadowRoot.getElementById(id)?.addEventListener("change", () => {
+      note.classList.add("hidden");
+    });
+  });
+}
+
+/**
+ * 締切と判定された日付の場合、タスクとしての追加を提案します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {string|null} deadline - 締切を表す表現（date-parser の判定結果）
+ */
+function showDeadlineNote(shadowRoot, deadline) {
+  const note = shadowRoot.getElementById("deadline-note");
+  if (!note || !deadline) return;
+
+  note.textContent =
+    `「${deadline}」とあるため締切のようです。` +
+    "期限付きのタスクとしても追加できます。";
+  note.classList.remove("hidden");
+  shadowRoot.querySelector(".task-button")?.classList.add("suggested");
+}
+
+/**
+ * 「明日」「来週金曜」などをページの公開日を基準に解釈している場合、
+ * その基準日と、どこから読み取った日付かを表示します。
+ * 「2025年8月27日」のような日付や、公開日が今日の場合は基準日によらないため
+ * 表示しません。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {boolean} relative - 日付を相対的な表現から読み取ったか
+ *   （date-parser の解析結果の relative）
+ */
+function showReferenceDateNote(shadowRoot, relative) {
+  const note = shadowRoot.getElementById("reference-date-note");
+  if (!note || !relative) return;
+  const anchor = window.ChronoClipPageDate?.getPageReferenceDate();
+  if (!anchor) return;
+
+  const day = formatDate(anchor.date);
+  if (day === formatDate(new Date())) return;
+
+  note.textContent =
+    `相対的な日付は ${day}（${anchor.label}）を基準にしています。`;
+  note.title = anchor.date.toString();
+  note.classList.remove("hidden");
+}
+
+/**
+ * ポップアップの「Add as task」ボタンを設定します。
+ * @param {ShadowRoot} shadowRoot - ポップアップのShadow Root
+ * @param {Function} buildEventPayload - フォームからイベントペイロードを組み立てる関数
+ * @param {Function} closePopup - ポップアップを閉じる関数
+ */
+function setupTaskButton(shadowRoot, buildEventPayload, closePopup) {
+  const taskButton = shadowRoot.querySelector(".task-button");
+  if (!taskButton) return;
+
+  taskButton.addEventListener("click", () => {
+    const eventPayload = buildEventPayload();
+    if (!eventPayload) return;
+    createTaskInBackground(buildTaskPayloadFromEvent(eventPayload));
+    closePopup();
+  });
+}
+
+/**
+ * イベントペイロードからタスクを組み立てます（開始日を期限にします）。
+ * @param {object} eventPayload - calendar:createEvent と同じ形式のイベント
+ * @returns {object} tasks:create のペイロード
+ */
+function buildTaskPayloadFromEvent(eventPayload) {
+  const start = eventPayload.start || {};
+  const task = {
+    title: eventPayload.summary,
+    notes: eventPayload.description || "",
+    url: eventPayload.url || window.location.href,
+    // ポップアップの日時はローカル時刻（YYYY-MM-DDTHH:MM:SS）
+    due: start.date || (start.dateTime || "").slice(0, 10),
+  };
+  if (eventPayload.account) {
+    task.account = eventPayload.account;
+  }
+  return task;
+}
+
+/**
+ * Service Worker経由でGoogle ToDoリストにタスクを追加し、結果をトーストで表示します。
+ * @param {object} task - { title, notes, url, due, account? }
+ */
+async function createTaskInBackground(task) {
+  if (!chrome.runtime?.id) {
+    showToast(
+      "error",
+      "拡張機能が無効になっています。ページをリロードしてください。"
+    );
+    return;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "tasks:create",
+      payload: task,
+    });
+
+    if (response && response.success) {
+      showToast(
+        "success",
+        `タスク「${task.title}」を追加しました（期限: ${task.due}）。`
+      );
+    } else {
+      const errorMessage = response?.error || "タスクの追加に失敗しました。";
+      showToast("error", `エラー: ${errorMessage}`);
+    }
+  } catch (error) {
+    console.error("ChronoClip: Task creation failed:", error);
+    showToast("error", "タスクの追加でエラーが発生しました。");
+  }
+}
+
+/**
+ * イベントを.icsファイルとしてダウンロードします。
+ * 複数のイベントは1つのVCALENDARにまとめます。
+ * @param {Array<object>} events - calendar:createEvent と同じ形式のイベント
+ */
+function downloadEventsAsIcs(events) {
+  const ics = window.ChronoClipICS;
+  if (!ics) {
+    showToast("error", ".icsの生成機能を読み込めませんでした");
+    return;
+  }
+
+  const content = ics.buildCalendar(events);
+  const blob = new Blob([content], { type: "text/calendar;charset=utf-8" });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = ics.createFileName(events);
+  link.style.display = "none";
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+  showToast(
+    "success",
+    events.length > 1
+      ? `${events.length}件のイベントを.icsでダウンロードしました`
+      : ".icsファイルをダウンロードしました"
+  );
+}
+
+/**
+ * 選択範囲から抽出されたデータを.icsファイルとしてダウンロードします。
+ * @param {object} extractedData - 抽出されたデータ
+ */
+async function downloadExtractedDataAsIcs(extractedData) {
+  const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+  const firstEvent = extractedData?.events?.[0];
+  const dateInfo = extractedData?.dateTime || extractedData?.dateInfo;
+
+  let start;
+  let end;
+  if (firstEvent?.startTime) {
+    start = { dateTime: firstEvent.startTime, timeZone };
+    end = { dateTime: firstEvent.endTime || firstEvent.startTime, timeZone };
+  } else if (dateInfo?.start?.dateTime) {
+    start = {
+      dateTime: dateInfo.start.dateTime,
+      timeZone: dateInfo.start.timeZone || timeZone,
+    };
+    end = dateInfo.end?.dateTime
+      ? { dateTime: dateInfo.end.dateTime, timeZone: start.timeZone }
+      : start;
+  } else if (dateInfo?.start?.date) {
+    start = { date: dateInfo.start.date };
+    end = { date: dateInfo.end?.date || dateInfo.start.date };
+  } else if (extractedData?.date) {
+    start = { date: extractedData.date };
+    end = start;
+  } else {
+    showToast("error", "選択範囲から日付を抽出できませんでした");
+    return;
+  }
+
+  const selectionText = extractedData.source?.selectionText || "";
+  const recurrence =
+    dateInfo?.recurrence || detectRecurrenceRule(selectionText);
+  const eventPayload = {
+    summary: extractedData.title || firstEvent?.title || "イベント",
+    description:
+      extractedData.description || firstEvent?.description || selectionText,
+    location: firstEvent?.location || undefined,
+    start,
+    end,
+    url: extractedData.url || window.location.href,
+    recurrence: recurrence ? [].concat(recurrence) : undefined,
+  };
+
+  const reminders = await getRemindersForCurrentPage();
+  if (reminders) {
+    eventPayload.reminders = reminders;
+  }
+
+  downloadEventsAsIcs([eventPayload]);
+}
+
+/**
+ * 選択範囲から抽出されたデータをタスクとして追加します（右クリックメニュー）。
+ * 追加先のアカウントはサイトルールに従います。
+ * @param {object} extractedData - 抽出されたデータ
+ */
+async function createTaskFromExtractedData(extractedData) {
+  const dateInfo = extractedData?.dateTime || extractedData?.dateInfo;
+  const due = dateInfo?.start?.date || extractedData?.date;
+  if (!due) {
+    showToast("error", "選択範囲から期限を抽出できませんでした");
+    return;
+  }
+
+  const selectionText = extractedData.source?.selectionText || "";
+  const target = await getCalendarTargetForCurrentPage();
+  const task = {
+    title: extractedData.title || "タスク",
+    notes: extractedData.description || selectionText,
+    url: extractedData.url || window.location.href,
+    due,
+  };
+  if (target.account) {
+    task.account = target.account;
+  }
+
+  await createTaskInBackground(task);
+}
+
+/**
+ * Issue #11: 選択範囲から抽出されたデータを使ってポップアップを表示
+ * @param {object} extractedData - 抽出されたデータ
+ */
+async function showQuickAddPopupWithData(extractedData) {
+  // loggerとerrorHandlerをグローバルから取得
+  const { logger, errorHandler } = getLoggerAndErrorHandler();
+
+  logger?.info("Showing quick add popup with extracted data", {
+    hasTitle: !!extractedData?.title,
+    hasEvents: !!extractedData?.events?.length,
+    hasDate: !!extractedData?.date || !!extractedData?.dateTime,
+  });
+
+  logger?.debug("showQuickAddPopupWithData - step 1: function entry");
+
+  try {
+    logger?.debug(
+      "showQuickAddPopupWithData - step 2: checking existing popup"
+    );
+    // 既存のポップアップが表示されている場合は削除
+    const existingPopup = document.querySelector(".chronoclip-quick-add-popup");
+    if (existingPopup) {
+      console.log("ChronoClip: Removing existing popup");
+      existingPopup.remove();
+    }
+
+    logger?.debug("showQuickAddPopupWithData - step 3: calculating position");
+    // ポップアップの位置を画面上部寄りに設定
+    const rect = {
+      left: window.innerWidth / 2 - 200, // 幅400pxとして中央配置
+      top: Math.max(50, window.innerHeight / 4 - 150), // 上部1/4位置、最低50px確保
+      width: 400,
+      height: 300,
+    };
+
+    console.log("ChronoClip: Popup position calculated:", rect);
+
+    logger?.debug("showQuickAddPopupWithData - step 4: preparing date info");
+    // 抽出されたデータから日付情報を準備
+    let dateInfo = null;
+
+    console.log("ChronoClip: Checking extracted date data:", {
+      dateTime: extractedData.dateTime,
+      date: extractedData.date,
+      events: extractedData.events,
+      url: extractedData.url,
+    });
+
+    if (extractedData.events && extractedData.events.length > 0) {
+      // eventsフィールドから日付情報とURLを優先的に使用
+      const firstEvent = extractedData.events[0];
+      if (firstEvent.startTime) {
+        const dateObj = new Date(firstEvent.startTime);
+        if (!isNaN(dateObj.getTime())) {
+          dateInfo = {
+            type: "datetime",
+            start: {
+              dateTime: firstEvent.startTime,
+              hour: dateObj.getHours(),
+              minute: dateObj.getMinutes(),
+            },
+            end: { dateTime: firstEvent.endTime || firstEvent.startTime },
+            doorsTime: firstEvent.doorsTime,
+          };
+          console.log(
+            "ChronoClip: Created date info from first event:",
+            dateInfo
+          );
+        }
+      }
+      // URLもfirstEventから取得（extractedData.urlが未設定の場合のみ）
+      if (firstEvent.url && !extractedData.url) {
+        extractedData.url = firstEvent.url;
+        console.log("ChronoClip: Set URL from first event:", firstEvent.url);
+      }
+    } else if (extractedData.dateTime) {
+      dateInfo = extractedData.dateTime;
+      console.log("ChronoClip: Using extracted dateTime:", dateInfo);
+    } else if (extractedData.date) {
+      // date フィールドから日付情報を作成（時刻情報も考慮）
+      const dateObj = new Date(extractedData.date);
+      if (!isNaN(dateObj.getTime())) {
+        // 時刻がある場合（0:00以外）は datetime として扱う
+        if (dateObj.getHours() !== 0 || dateObj.getMinutes() !== 0) {
+          dateInfo = {
+            type: "datetime",
+            start: {
+              dateTime: dateObj.toISOString(),
+              hour: dateObj.getHours(),
+              minute: dateObj.getMinutes(),
+            },
+            end: {
+              dateTime: new Date(
+                dateObj.getTime() + 3 * 60 * 60 * 1000
+              ).toISOString(),
+            },
+          };
+          console.log(
+            "ChronoClip: Created datetime info from date field:",
+            dateInfo
+          );
+        } else {
+          dateInfo = {
+            type: "date",
+            start: { date: formatDate(dateObj) },
+            end: { date: formatDate(dateObj) },
+          };
+          console.log(
+            "ChronoClip: Created date info from date field:",
+            dateInfo
+          );
+        }
+      }
+    } else if (extractedData.events && extractedData.events.length > 0) {
+      // eventsフィールドから日付情報を作成
+      const firstEvent = extractedData.events[0];
+      if (firstEvent.startTime) {
+        const dateObj = new Date(firstEvent.startTime);
+        if (!isNaN(dateObj.getTime())) {
+          dateInfo = {
+            type: "datetime",
+            start: { dateTime: firstEvent.startTime },
+            end: { dateTime: firstEvent.endTime || firstEvent.startTime },
+            doorsTime: firstEvent.doorsTime,
+          };
+          console.log("ChronoClip: Created date info from events:", dateInfo);
+        }
+      }
+    }
+
+    if (!dateInfo) {
+      // デフォルトは明日の日付
+      const tomorrow = new Date();
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      dateInfo = {
+        type: "date",
+        start: { date: formatDate(tomorrow) },
+        end: { date: formatDate(tomorrow) },
+      };
+      console.log("ChronoClip: Using default date info:", dateInfo);
+    }
+
+    // タイトルと詳細を準備
+    let title = extractedData.title;
+    let description =
+      extractedData.description || extractedData.source?.selectionText || "";
+    let eventSpecificUrl = extractedData.url; // 初期値はextractedData.url
+
+    // タイトルが取得できていない場合、eventsからタイトルを取得
+    if (!title && extractedData.events && extractedData.events.length > 0) {
+      title = extractedData.events[0].title;
+      console.log("ChronoClip: Using title from events:", title);
+    }
+
+    // 詳細が取得できていない場合、eventsから詳細を取得
+    if (
+      !description &&
+      extractedData.events &&
+      extractedData.events.length > 0
+    ) {
+      description = extractedData.events[0].description;
+      console.log("ChronoClip: Using description from events:", description);
+    }
+
+    // eventsからのURL更新を反映
     eventSpecificUrl = extractedData.url;
 
     // URLが設定されていない場合のフォールバック
@@ -2040,6 +3160,19 @@ async function showQuickAddPopupWithData(extractedData) {
       eventSpecificUrl = window.location.href;
     }
 
+    // 設定・サイトルールのテンプレートでタイトルと詳細を整形
+    const templated = await applyEventTemplatesForCurrentPage({
+      title,
+      description,
+      url: eventSpecificUrl,
+      location: extractedData.location,
+      price: extractedData.price,
+      events: extractedData.events,
+      selection: extractedData.source?.selectionText,
+    });
+    title = templated.title;
+    description = templated.description;
+
     // 最終的なフォールバック
     title = title || "イベント";
 
@@ -2073,8 +3206,12 @@ async function showQuickAddPopupWithData(extractedData) {
         {
           title: title,
           description: description,
+          descriptionTemplated: templated.descriptionTemplated,
+          urlInDescription: templated.urlInDescription,
           url: eventSpecificUrl,
           source: extractedData.source,
+          extractor: extractedData.extractor || null,
+          confidence: extractedData.confidence,
         },
         {
           clientX: rect.left + rect.width / 2,
@@ -2198,6 +3335,23 @@ async function showQuickAddPopupForExtractedData(
     const endTimeInput = shadowRoot.getElementById("event-end-time");
     const allDayCheckbox = shadowRoot.getElementById("all-day");
 
+    populateCalendarSelect(shadowRoot);
+    setupReminderEditor(shadowRoot);
+    setupRecurrenceField(
+      shadowRoot,
+      eventData.recurrence ||
+        dateInfo?.recurrence ||
+        detectRecurrenceRule(eventData.source?.selectionText)
+    );
+    showDeadlineNote(
+      shadowRoot,
+      dateInfo?.deadline ||
+        window.ChronoClipDateParser?.detectDeadline(
+          [eventData.title, eventData.source?.selectionText].join(" ")
+        )
+    );
+    showReferenceDateNote(shadowRoot, !!dateInfo?.relative);
+
     // 日付設定
     let hasValidDate = false;
     if (dateInput && dateInfo && dateInfo.start) {
@@ -2206,9 +3360,10 @@ async function showQuickAddPopupForExtractedData(
         dateStr = dateInfo.start.date;
       } else if (dateInfo.start.dateTime) {
         // dateTimeから日付部分を抽出
+        // 時刻欄と同じくローカル時刻の日付にする
         const dateObj = new Date(dateInfo.start.dateTime);
         if (!isNaN(dateObj.getTime())) {
-          dateStr = dateObj.toISOString().split("T")[0]; // YYYY-MM-DD形式
+          dateStr = formatLocalDateTime(dateObj).slice(0, 10); // YYYY-MM-DD形式
         }
       } else if (
         dateInfo.start.year &&
@@ -2236,6 +3391,10 @@ async function showQuickAddPopupForExtractedData(
         dateInput.placeholder = "YYYY-MM-DD";
       }
     }
+    setupEndDateField(
+      shadowRoot,
+      hasValidDate ? getInclusiveEndDate(dateInfo, dateInput.value) : ""
+    );
 
     // タイトルと説明の設定（日付の有無で処理を分ける）
     if (hasValidDate) {
@@ -2273,8 +3432,11 @@ async function showQuickAddPopupForExtractedData(
         eventDataDescription: eventData.description,
       });
 
-      // 後楽園ホール専用抽出器の場合はURLのみを詳細として設定
-      if (eventData.url && eventData.url !== window.location.href) {
+      if (eventData.descriptionTemplated) {
+        // テンプレートで整形した詳細はそのまま使う
+        description = eventData.description;
+      } else if (eventData.url && eventData.url !== window.location.href) {
+        // 後楽園ホール専用抽出器の場合はURLのみを詳細として設定
         description = eventData.url;
         console.log("ChronoClip: Set description to event URL:", description);
       } else if (eventData.description) {
@@ -2282,6 +3444,14 @@ async function showQuickAddPopupForExtractedData(
         console.log("ChronoClip: Using original description:", description);
       }
 
+      // 開始時刻を開演に合わせた場合は、開場時刻を詳細に残す
+      if (dateInfo?.doorsTime && window.ChronoClipDateParser) {
+        description = window.ChronoClipDateParser.appendDoorsTime(
+          description,
+          dateInfo.doorsTime
+        );
+      }
+
       console.log("ChronoClip: Final description:", description);
 
       descriptionInput.value = description;
@@ -2370,6 +3540,17 @@ async function showQuickAddPopupForExtractedData(
     if (allDayCheckbox) {
       allDayCheckbox.checked = !hasTime;
     }
+    // 「18:00〜21:00」のように終了時刻まで読み取れていれば既定の長さより優先する
+    if (hasTime) {
+      applyParsedEndDateTime(shadowRoot, dateInfo);
+    }
+    if (hasTime && dateInfo.originalTimeZone) {
+      showTimeZoneNote(
+        shadowRoot,
+        dateInfo.originalTimeZone,
+        dateInfo.start.dateTime
+      );
+    }
     if (timeInput) {
       timeInput.style.display = hasTime ? "block" : "none";
       // 時刻が抽出されなかった場合は値をクリア
@@ -2423,109 +3604,190 @@ async function showQuickAddPopupForExtractedData(
     };
     document.addEventListener("keydown", escapeHandler);
 
-    // フォーム送信処理
-    const form = shadowRoot.querySelector("form");
-    if (form) {
-      form.addEventListener("submit", async (e) => {
-        e.preventDefault();
+    /**
+     * フォームの入力からイベントペイロードを組み立てる（不正な入力はnull）
+     */
+    const buildEventPayloadFromForm = () => {
+      const title = shadowRoot.getElementById("event-title").value;
+      const description = shadowRoot.getElementById("event-details").value;
+      const date = shadowRoot.getElementById("event-date").value;
+      const endDate =
+        shadowRoot.getElementById("event-end-date")?.value || date;
+      const isAllDay = shadowRoot.getElementById("all-day").checked;
+      const startTime = shadowRoot.getElementById("event-time").value;
+      const endTime = shadowRoot.getElementById("event-end-time").value;
+
+      // バリデーション
+      if (!date) {
+        showToast("error", "日付を入力してください");
+        const dateInput = shadowRoot.getElementById("event-date");
+        if (dateInput) {
+          dateInput.style.border = "1px solid red";
+          dateInput.focus();
+        }
+        return null;
+      }
 
-        try {
-          const title = shadowRoot.getElementById("event-title").value;
-          const description = shadowRoot.getElementById("event-details").value;
-          const date = shadowRoot.getElementById("event-date").value;
-          const isAllDay = shadowRoot.getElementById("all-day").checked;
-          const startTime = shadowRoot.getElementById("event-time").value;
-          const endTime = shadowRoot.getElementById("event-end-time").value;
-
-          // バリデーション
-          if (!date) {
-            showToast("error", "日付を入力してください");
-            const dateInput = shadowRoot.getElementById("event-date");
-            if (dateInput) {
-              dateInput.style.border = "1px solid red";
-              dateInput.focus();
-            }
-            return;
+      if (endDate < date) {
+        showToast("error", "終了日は開始日以降にしてください");
+        const endDateInput = shadowRoot.getElementById("event-end-date");
+        if (endDateInput) {
+          endDateInput.style.border = "1px solid red";
+          endDateInput.focus();
+        }
+        return null;
+      }
+
+      if (!title.trim()) {
+        showToast("error", "タイトルを入力してください");
+        const titleInput = shadowRoot.getElementById("event-title");
+        if (titleInput) {
+          titleInput.style.border = "1px solid red";
+          titleInput.focus();
+        }
+        return null;
+      }
+
+      // デバッグ: フォーム値の確認
+      console.log("ChronoClip: Form values:", {
+        title,
+        description,
+        date,
+        endDate,
+        isAllDay,
+        startTime,
+        endTime,
+        eventDataUrl: eventData?.url,
+      });
+
+      let eventPayload;
+
+      if (isAllDay) {
+        eventPayload = {
+          summary: title,
+          description: description,
+          start: { date: date },
+          end: getAllDayEnd(date, endDate),
+        };
+      } else {
+        if (!startTime) {
+          showToast("error", "開始時刻を入力してください");
+          const timeInput = shadowRoot.getElementById("event-time");
+          if (timeInput) {
+            timeInput.style.border = "1px solid red";
+            timeInput.focus();
           }
+          return null;
+        }
 
-          if (!title.trim()) {
-            showToast("error", "タイトルを入力してください");
-            const titleInput = shadowRoot.getElementById("event-title");
-            if (titleInput) {
-              titleInput.style.border = "1px solid red";
-              titleInput.focus();
-            }
-            return;
+        const startDateTimeStr = `${date}T${startTime}:00`;
+        let endDateTimeStr = endTime ? `${endDate}T${endTime}:00` : null;
+
+        // 終了時刻が開始時刻より前の場合は、翌日の日付として扱う
+        let endDateTime;
+        if (endDateTimeStr) {
+          const startDate = new Date(startDateTimeStr);
+          const endDate = new Date(endDateTimeStr);
+          if (endDate < startDate) {
+            endDate.setDate(endDate.getDate() + 1);
           }
+          endDateTime = endDate.toISOString();
+        } else {
+          // 終了時刻がない場合は、開始時刻から3時間後を設定
+          const startDate = new Date(startDateTimeStr);
+          endDateTime = new Date(
+            startDate.getTime() + 3 * 60 * 60 * 1000
+          ).toISOString();
+        }
 
-          // デバッグ: フォーム値の確認
-          console.log("ChronoClip: Form values:", {
-            title,
-            description,
-            date,
-            isAllDay,
-            startTime,
-            endTime,
-            eventDataUrl: eventData?.url,
-          });
+        eventPayload = {
+          summary: title,
+          description: description,
+          start: {
+            dateTime: startDateTimeStr,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          },
+          end: {
+            dateTime: endDateTime,
+            timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
+          },
+        };
+      }
 
-          let eventPayload;
+      // 参照元URL（説明への追記は includeURL 設定に従う）
+      eventPayload.url = eventData.url || window.location.href;
 
-          if (isAllDay) {
-            eventPayload = {
-              summary: title,
-              description: description,
-              start: { date: date },
-              end: { date: date },
-            };
-          } else {
-            if (!startTime) {
-              showToast("error", "開始時刻を入力してください");
-              const timeInput = shadowRoot.getElementById("event-time");
-              if (timeInput) {
-                timeInput.style.border = "1px solid red";
-                timeInput.focus();
-              }
-              return;
-            }
+      if (eventData.extractor) {
+        eventPayload.extractor = eventData.extractor;
+      }
+      if (typeof eventData.confidence === "number") {
+        eventPayload.confidence = eventData.confidence;
+      }
 
-            const startDateTimeStr = `${date}T${startTime}:00`;
-            let endDateTimeStr = endTime ? `${date}T${endTime}:00` : null;
+      const calendarId = getSelectedCalendarId(shadowRoot);
+      if (calendarId) {
+        eventPayload.calendarId = calendarId;
+      }
+      const account = getSelectedAccount(shadowRoot);
+      if (account) {
+        eventPayload.account = account;
+      }
+      eventPayload.reminders = getReminderSettings(shadowRoot);
+
+      const recurrence = getRecurrenceFromPopup(shadowRoot);
+      if (recurrence === false) {
+        showToast("error", "繰り返しルール（RRULE）の形式が正しくありません");
+        const recurrenceInput = shadowRoot.getElementById("event-recurrence");
+        if (recurrenceInput) {
+          recurrenceInput.style.border = "1px solid red";
+          recurrenceInput.focus();
+        }
+        return null;
+      }
+      if (recurrence) {
+        eventPayload.recurrence = recurrence;
+      }
 
-            // 終了時刻が開始時刻より前の場合は、翌日の日付として扱う
-            let endDateTime;
-            if (endDateTimeStr) {
-              const startDate = new Date(startDateTimeStr);
-              const endDate = new Date(endDateTimeStr);
-              if (endDate < startDate) {
-                endDate.setDate(endDate.getDate() + 1);
-              }
-              endDateTime = endDate.toISOString();
-            } else {
-              // 終了時刻がない場合は、開始時刻から3時間後を設定
-              const startDate = new Date(startDateTimeStr);
-              endDateTime = new Date(
-                startDate.getTime() + 3 * 60 * 60 * 1000
-              ).toISOString();
-            }
+      return eventPayload;
+    };
 
-            eventPayload = {
-              summary: title,
-              description: description,
-              start: {
-                dateTime: startDateTimeStr,
-                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-              },
-              end: {
-                dateTime: endDateTime,
-                timeZone: Intl.DateTimeFormat().resolvedOptions().timeZone,
-              },
-            };
-          }
+    // .icsファイルとしてダウンロード
+    const icsButton = shadowRoot.querySelector(".ics-button");
+    if (icsButton) {
+      icsButton.addEventListener("click", () => {
+        const eventPayload = buildEventPayloadFromForm();
+        if (!eventPayload) return;
+        downloadEventsAsIcs([eventPayload]);
+        popupHost.remove();
+      });
+    }
+
+    // 期限付きのタスクとして追加
+    setupTaskButton(shadowRoot, buildEventPayloadFromForm, () =>
+      popupHost.remove()
+    );
+
+    // フォーム送信処理
+    const form = shadowRoot.querySelector("form");
+    if (form) {
+      form.addEventListener("submit", async (e) => {
+        e.preventDefault();
+
+        try {
+          const eventPayload = buildEventPayloadFromForm();
+          if (!eventPayload) return;
 
-          // URLをペイロードに追加
-          if (eventData.url && eventData.url !== window.location.href) {
-            eventPayload.url = eventData.url;
+          // 既存の予定と重なる場合は一覧を表示して確認してもらう
+          if (!(await confirmEventConflicts(shadowRoot, eventPayload))) {
+            return;
+          }
+          // テンプレートで説明にURLを入れた場合は末尾に重ねて追記しない
+          eventPayload.includeURL = eventData.urlInDescription
+            ? false
+            : await getIncludeURLForCurrentPage();
+          const travelBuffer = await getTravelBufferForCurrentPage();
+          if (travelBuffer) {
+            eventPayload.travelBuffer = travelBuffer;
           }
 
           // Googleカレンダーに追加
@@ -2612,8 +3874,19 @@ async function showQuickAddPopupForExtractedData(
                 if (response && response.success) {
                   showToast(
                     "success",
-                    `イベント「${eventPayload.summary}」をカレンダーに追加しました。`
+                    `イベント「${eventPayload.summary}」をカレンダーに追加しました。`,
+                    {
+                      eventId: response.event?.id,
+                      calendarId: response.calendarId,
+                    }
+                  );
+                } else if (response && response.duplicate) {
+                  showToast(
+                    "info",
+                    `イベント「${eventPayload.summary}」は既にカレンダーに登録されています。`
                   );
+                } else if (response && response.queued) {
+                  showToast("info", response.error);
                 } else {
                   const errorMessage = response?.error || "不明なエラー";
                   console.error(
@@ -2665,8 +3938,19 @@ async function showQuickAddPopupForExtractedData(
                 if (response && response.success) {
                   showToast(
                     "success",
-                    `イベント「${eventPayload.summary}」をカレンダーに追加しました。`
+                    `イベント「${eventPayload.summary}」をカレンダーに追加しました。`,
+                    {
+                      eventId: response.event?.id,
+                      calendarId: response.calendarId,
+                    }
+                  );
+                } else if (response && response.duplicate) {
+                  showToast(
+                    "info",
+                    `イベント「${eventPayload.summary}」は既にカレンダーに登録されています。`
                   );
+                } else if (response && response.queued) {
+                  showToast("info", response.error);
                 } else {
                   const errorMessage = response?.error || "不明なエラー";
                   console.error(
@@ -2726,9 +4010,15 @@ function formatDate(date) {
 /**
  * ページ内の全ての日付を一括でカレンダーに追加
  */
-async function addAllDatesToCalendar() {
+async function addAllDatesToCalendar(options = {}) {
+  const { logger, errorHandler } = getLoggerAndErrorHandler();
+  // 既に登録済みのイベントの扱い: "skip"（既定）または "update"
+  const onDuplicate = options.onDuplicate === "update" ? "update" : "skip";
+  // "ics" の場合はカレンダーに追加せず、1つの.icsファイルとしてダウンロード
+  const exportAs = options.exportAs === "ics" ? "ics" : "calendar";
+
   try {
-    logger?.info("Starting batch add to calendar");
+    logger?.info("Starting batch add to calendar", { onDuplicate, exportAs });
 
     // 現在ハイライトされている全ての日付要素を取得
     const highlightedElements = document.querySelectorAll(".chronoclip-date");
@@ -2771,43 +4061,78 @@ async function addAllDatesToCalendar() {
     let successCount = 0;
     let failedItems = [];
 
-    for (const item of dateItems) {
-      try {
-        const response = await chrome.runtime.sendMessage({
-          type: "add_to_calendar",
-          eventData: item.data,
-        });
+    const reminders = await getRemindersForCurrentPage();
+    const includeURL = await getIncludeURLForCurrentPage();
+    const target = await getCalendarTargetForCurrentPage();
+    const travelBuffer = await getTravelBufferForCurrentPage();
+    dateItems.forEach((item) => {
+      item.eventData = buildEventPayloadFromItem(item.data);
+      if (reminders) {
+        item.eventData.reminders = reminders;
+      }
+      item.eventData.includeURL = item.data.urlInDescription
+        ? false
+        : includeURL;
+      if (target.account) {
+        item.eventData.account = target.account;
+      }
+      if (target.calendarId) {
+        item.eventData.calendarId = target.calendarId;
+      }
+      if (travelBuffer) {
+        item.eventData.travelBuffer = travelBuffer;
+      }
+    });
 
-        if (response && response.success) {
-          results.push({ success: true, item });
-          successCount++;
-          logger?.debug("Item added successfully", { index: item.index });
-        } else {
-          const error = new Error(response?.error || "追加に失敗しました");
-          results.push({ success: false, item, error });
+    if (exportAs === "ics") {
+      downloadEventsAsIcs(dateItems.map((item) => item.eventData));
+      logger?.info("Batch exported as iCalendar", { count: dateItems.length });
+      return;
+    }
+
+    // バックグラウンドでバッチエンドポイントを使って一括作成
+    const response = await chrome.runtime.sendMessage({
+      type: "calendar:batchCreate",
+      events: dateItems.map((item) => item.eventData),
+      onDuplicate,
+    });
+
+    if (!response || !response.success) {
+      throw new Error(response?.error || "一括追加に失敗しました");
+    }
+
+    dateItems.forEach((item, position) => {
+      const result = response.results[position] || {};
+
+      if (result.success) {
+        results.push({ success: true, item, updated: !!result.updated });
+        successCount++;
+        logger?.debug("Item added successfully", { index: item.index });
+      } else if (result.duplicate) {
+        // 既に登録済みのためスキップ
+        results.push({ success: true, item, skipped: true });
+        logger?.debug("Item skipped as duplicate", { index: item.index });
+      } else {
+        const error = new Error(result.error || "追加に失敗しました");
+        results.push({ success: false, item, error, queued: !!result.queued });
+        // 未送信キューに入ったものはキュー側で再送するため再試行の対象にしない
+        if (!result.queued) {
           failedItems.push(item);
-          logger?.warn("Item add failed", {
-            index: item.index,
-            error: response?.error,
-          });
         }
-      } catch (error) {
-        results.push({ success: false, item, error });
-        failedItems.push(item);
-        logger?.error("Item add error", { index: item.index, error });
-      }
-
-      // 短い間隔でリクエストを送信（APIレート制限を考慮）
-      if (item.index < dateItems.length - 1) {
-        await new Promise((resolve) => setTimeout(resolve, 200));
+        logger?.warn("Item add failed", {
+          index: item.index,
+          error: result.error,
+        });
       }
-    }
+    });
 
     // 結果をerrorHandlerで処理
+    const skippedCount = results.filter((r) => r.skipped).length;
     const batchResult = errorHandler?.handleBatchResult(results) || {
       message: `${successCount}件中${successCount}件が完了しました`,
-      successful: successCount,
+      successful: successCount + skippedCount,
       failed: failedItems.length,
+      skipped: skippedCount,
       total: dateItems.length,
     };
 
@@ -2831,10 +4156,15 @@ async function addAllDatesToCalendar() {
  * @returns {Object} 抽出されたイベントデータ
  */
 async function extractEventDataFromElement(element) {
+  const { logger } = getLoggerAndErrorHandler();
+
   try {
     // 基本的な日付抽出
     const dateText = element.textContent.trim();
-    const parsedDate = parseDateText(dateText);
+    const parsedDate = window.ChronoClipDateParser?.parseDate(
+      dateText,
+      window.ChronoClipPageDate?.getReferenceDate()
+    );
 
     if (!parsedDate) {
       throw new Error("日付の解析に失敗しました");
@@ -2862,16 +4192,37 @@ async function extractEventDataFromElement(element) {
       }
     }
 
-    // 基本的なデータ構造を作成
-    return {
-      date: formatDate(parsedDate),
+    // 設定・サイトルールのテンプレートでタイトルと詳細を整形
+    const templated = await applyEventTemplatesForCurrentPage({
       title: extractedData?.title || generateEventTitle(element),
       description:
         extractedData?.description || generateEventDescription(element),
+      url: extractedData?.url,
+      location: extractedData?.location,
+      price: extractedData?.price,
+      events: extractedData?.events,
+    });
+
+    // 基本的なデータ構造を作成
+    return {
+      date:
+        parsedDate.start.date ||
+        formatDate(new Date(parsedDate.start.dateTime)),
+      start: parsedDate.start,
+      end: parsedDate.end,
+      title: templated.title,
+      description: window.ChronoClipDateParser.appendDoorsTime(
+        templated.description,
+        parsedDate.doorsTime
+      ),
+      urlInDescription: templated.urlInDescription,
       location: extractedData?.location || "",
       startTime: extractedData?.startTime || null,
       endTime: extractedData?.endTime || null,
       source: window.location.href,
+      extractor: extractedData?.extractor || null,
+      confidence: extractedData?.confidence ?? parsedDate.confidence ?? null,
+      recurrence: parsedDate.recurrence || null,
       rawText: dateText,
       elementHtml: element.outerHTML.substring(0, 200), // デバッグ用
     };
@@ -2884,6 +4235,36 @@ async function extractEventDataFromElement(element) {
   }
 }
 
+/**
+ * 抽出データをカレンダー追加用のイベントデータに変換
+ * @param {object} data - extractEventDataFromElement の戻り値
+ * @returns {object} add_to_calendar 用のイベントデータ
+ */
+function buildEventPayloadFromItem(data) {
+  let start = data.start || { date: data.date };
+  let end = data.end || start;
+
+  // 抽出エンジンが時刻を取得できた場合はそちらを優先
+  if (data.startTime) {
+    const timeZone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+    start = { dateTime: data.startTime, timeZone };
+    end = { dateTime: data.endTime || data.startTime, timeZone };
+  }
+
+  return {
+    summary: data.title,
+    description: data.description,
+    location: data.location || undefined,
+    start,
+    end,
+    url: data.source,
+    extractor: data.extractor || "batch",
+    confidence:
+      typeof data.confidence === "number" ? data.confidence : undefined,
+    recurrence: data.recurrence || undefined,
+  };
+}
+
 /**
  * 要素周辺からイベントタイトルを生成
  * @param {HTMLElement} element - 日付要素
@@ -2969,7 +4350,20 @@ function generateEventDescription(element) {
  * @param {Array} failedItems - 失敗したアイテム
  */
 function showBatchResultToast(batchResult, failedItems = []) {
-  const { total, successful, failed, message } = batchResult;
+  const { total, successful, failed, message, skipped = 0 } = batchResult;
+
+  if (skipped > 0) {
+    // 登録済みでスキップした件数を先に通知
+    showToast(
+      "info",
+      `${skipped}件は既にカレンダーに登録済みのためスキップしました`
+    );
+    if (skipped === total) return;
+    const added = successful - skipped;
+    const rest = { ...batchResult, successful: added, skipped: 0 };
+    setTimeout(() => showBatchResultToast(rest, failedItems), 2000);
+    return;
+  }
 
   if (failed === 0) {
     // 全成功
@@ -2986,5 +4380,13 @@ function showBatchResultToast(batchResult, failedItems = []) {
   }
 }
 
+/**
+ * ページ内の全ての日付を1つの.icsファイルとしてダウンロード
+ */
+function downloadAllDatesAsIcs() {
+  return addAllDatesToCalendar({ exportAs: "ics" });
+}
+
 // 一括処理機能をグローバル関数として公開
 window.addAllDatesToCalendar = addAllDatesToCalendar;
+window.downloadAllDatesAsIcs = downloadAllDatesAsIcs;
@@ -258,7 +258,10 @@ class EventDetector {
     ].filter((text) => text.length > 0);
 
     for (const text of textSources) {
-      const parsedDate = this.dateParser.parseDate(text);
+      const parsedDate = this.dateParser.parseDate(
+        text,
+        window.ChronoClipPageDate?.getReferenceDate()
+      );
       if (parsedDate) {
         return this.convertDateParserFormat(parsedDate);
       }
@@ -286,7 +289,10 @@ class EventDetector {
     ].filter((text) => text && text.length > 0);
 
     for (const text of textSources) {
-      const parsedDate = this.dateParser.parseDate(text);
+      const parsedDate = this.dateParser.parseDate(
+        text,
+        window.ChronoClipPageDate?.getReferenceDate()
+      );
       if (parsedDate) {
         return this.convertDateParserFormat(parsedDate);
       }
@@ -310,7 +316,10 @@ class EventDetector {
       for (const element of dateElements) {
         const text = element.textContent || element.getAttribute("datetime");
         if (text && this.dateParser) {
-          const parsedDate = this.dateParser.parseDate(text);
+          const parsedDate = this.dateParser.parseDate(
+            text,
+            window.ChronoClipPageDate?.getReferenceDate()
+          );
           if (parsedDate) {
             return this.convertDateParserFormat(parsedDate);
           }
@@ -517,6 +526,16 @@ class EventDetector {
       end: {},
     };
 
+    // 締切と判定された表現
+    if (parsedDate.deadline) {
+      result.deadline = parsedDate.deadline;
+    }
+
+    // 開場時刻（開始時刻は開演に合わせてある）
+    if (parsedDate.doorsTime) {
+      result.doorsTime = parsedDate.doorsTime;
+    }
+
     if (parsedDate.type === "datetime") {
       // 時刻付きイベント
       const startDate = new Date(parsedDate.start.dateTime);
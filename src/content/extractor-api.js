@@ -221,7 +221,10 @@ class EventExtractorAPI {
       ].filter((text) => text.length > 0);
 
       for (const text of textSources) {
-        const parsedDate = window.ChronoClipDateParser.parseDate(text);
+        const parsedDate = window.ChronoClipDateParser.parseDate(
+          text,
+          window.ChronoClipPageDate?.getReferenceDate()
+        );
         if (parsedDate) {
           result.dateInfo = this.convertDateParserFormat(parsedDate);
           break;
@@ -272,7 +275,10 @@ class EventExtractorAPI {
     if (window.ChronoClipDateParser) {
       const text = element.textContent;
       if (text) {
-        const parsedDate = window.ChronoClipDateParser.parseDate(text);
+        const parsedDate = window.ChronoClipDateParser.parseDate(
+          text,
+          window.ChronoClipPageDate?.getReferenceDate()
+        );
         if (parsedDate) {
           result.dateInfo = this.convertDateParserFormat(parsedDate);
         }
@@ -302,6 +308,16 @@ class EventExtractorAPI {
       end: {},
     };
 
+    // 締切（応募締切、due 等）の判定結果
+    if (parsedDate.deadline) {
+      result.deadline = parsedDate.deadline;
+    }
+
+    // 開場時刻
+    if (parsedDate.doorsTime) {
+      result.doorsTime = parsedDate.doorsTime;
+    }
+
     if (parsedDate.type === "datetime") {
       const startDate = new Date(parsedDate.start.dateTime);
       const endDate = new Date(parsedDate.end.dateTime);
@@ -312,7 +328,7 @@ class EventExtractorAPI {
         day: startDate.getDate(),
         hour: startDate.getHours(),
         minute: startDate.getMinutes(),
-        date: startDate.toISOString().split("T")[0],
+        date: window.ChronoClipDateParser.formatDate(startDate),
         dateTime: parsedDate.start.dateTime,
         timeZone: parsedDate.start.timeZone,
       };
@@ -323,10 +339,15 @@ class EventExtractorAPI {
         day: endDate.getDate(),
         hour: endDate.getHours(),
         minute: endDate.getMinutes(),
-        date: endDate.toISOString().split("T")[0],
+        date: window.ChronoClipDateParser.formatDate(endDate),
         dateTime: parsedDate.end.dateTime,
         timeZone: parsedDate.end.timeZone,
       };
+
+      // ページに書かれていたタイムゾーン（ポップアップで変換後の時刻と併記する）
+      if (parsedDate.originalTimeZone) {
+        result.originalTimeZone = parsedDate.originalTimeZone;
+      }
     } else {
       const startDate = new Date(parsedDate.start.date + "T00:00:00");
 
@@ -345,6 +366,10 @@ class EventExtractorAPI {
       };
     }
 
+    if (parsedDate.recurrence) {
+      result.recurrence = parsedDate.recurrence;
+    }
+
     return result;
   }
 
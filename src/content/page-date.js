@@ -0,0 +1,252 @@
+/**
+ * @fileoverview ページの公開日の検出
+ * ブログ記事やメールの「明日」「来週金曜」「next Saturday」は読んだ日ではなく
+ * 書かれた日を基準に解釈するため、ページの公開日を相対的な日付の基準日にする。
+ * article:published_time → JSON-LD の datePublished → <time pubdate> →
+ * 本文に表示された投稿日の順に探す
+ */
+
+/**
+ * 公開日を表す meta タグ
+ */
+const PAGE_DATE_META_SELECTORS = [
+  'meta[property="article:published_time"]',
+  'meta[name="article:published_time"]',
+  'meta[itemprop="datePublished"]',
+];
+
+/**
+ * 投稿日を表示する要素（datetime 属性があればそちらを使う）
+ */
+const PAGE_DATE_VISIBLE_SELECTORS = [
+  "time.published",
+  "time.entry-date",
+  ".entry-date",
+  ".post-date",
+  ".published",
+  ".date-published",
+  ".article-date",
+];
+
+/**
+ * 「投稿日: 2025年8月1日」「Posted on August 1, 2025」のような表示
+ */
+const PAGE_DATE_LABEL_PATTERN =
+  /(?:投稿日|公開日|掲載日|配信日|Posted(?:\s+on)?|Published(?:\s+on)?)\s*[:：]?\s*([^\n]{6,40})/i;
+
+/**
+ * 本文から投稿日の表示を探す範囲（先頭からの文字数）
+ */
+const PAGE_DATE_TEXT_LIMIT = 5000;
+
+/**
+ * 基準日の種類と表示名
+ */
+const PAGE_DATE_SOURCES = {
+  meta: "article:published_time",
+  jsonLd: "JSON-LD の datePublished",
+  timePubdate: "<time pubdate>",
+  visible: "ページに表示された投稿日",
+};
+
+let pageDateCache = null;
+
+/**
+ * ページの公開日を取得（URLごとにキャッシュ）
+ * @param {Document} [doc=document] - 対象のドキュメント
+ * @returns {{date: Date, source: string, label: string}|null}
+ *   公開日が見つからない場合は null
+ */
+function getPageReferenceDate(doc = document) {
+  const url = doc.location?.href || "";
+  if (pageDateCache && pageDateCache.url === url) {
+    return pageDateCache.anchor;
+  }
+
+  let anchor = null;
+  try {
+    anchor = detectPageReferenceDate(doc);
+  } catch (error) {
+    console.warn("ChronoClip: Failed to detect page publication date:", error);
+  }
+
+  if (anchor) {
+    console.log(
+      `ChronoClip: Using ${anchor.label} as reference date:`,
+      anchor.date
+    );
+  }
+  pageDateCache = { url, anchor };
+  return anchor;
+}
+
+/**
+ * 相対的な日付の基準日時を取得
+ * @param {Document} [doc=document] - 対象のドキュメント
+ * @returns {Date} ページの公開日（見つからない場合は現在）
+ */
+function getReferenceDate(doc = document) {
+  const anchor = getPageReferenceDate(doc);
+  return anchor ? new Date(anchor.date) : new Date();
+}
+
+/**
+ * ページの公開日を検出
+ * @param {Document} doc - 対象のドキュメント
+ * @returns {{date: Date, source: string, label: string}|null}
+ */
+function detectPageReferenceDate(doc) {
+  const strategies = [
+    ["meta", () => findMetaPublishedDate(doc)],
+    ["jsonLd", () => findJsonLdPublishedDate(doc)],
+    ["timePubdate", () => findTimePubdate(doc)],
+    ["visible", () => findVisiblePostDate(doc)],
+  ];
+
+  for (const [source, strategy] of strategies) {
+    const date = strategy();
+    if (isValidPageDate(date)) {
+      return { date, source, label: PAGE_DATE_SOURCES[source] };
+    }
+  }
+  return null;
+}
+
+/**
+ * meta タグの公開日
+ * @param {Document} doc
+ * @returns {Date|null}
+ */
+function findMetaPublishedDate(doc) {
+  for (const selector of PAGE_DATE_META_SELECTORS) {
+    const content = doc.querySelector(selector)?.getAttribute("content");
+    if (content) {
+      return toPageDate(content);
+    }
+  }
+  return null;
+}
+
+/**
+ * JSON-LD の datePublished
+ * @param {Document} doc
+ * @returns {Date|null}
+ */
+function findJsonLdPublishedDate(doc) {
+  const scripts = doc.querySelectorAll('script[type="application/ld+json"]');
+  for (const script of scripts) {
+    try {
+      const value = findDatePublished(JSON.parse(script.textContent));
+      if (value) {
+        return toPageDate(value);
+      }
+    } catch (error) {
+      // 壊れた JSON-LD は無視する
+    }
+  }
+  return null;
+}
+
+/**
+ * JSON-LD のオブジェクト（配列・@graph を含む）から datePublished を探す
+ * @param {*} data - JSON-LD のデータ
+ * @returns {string|null}
+ */
+function findDatePublished(data) {
+  if (!data || typeof data !== "object") return null;
+
+  if (Array.isArray(data)) {
+    for (const item of data) {
+      const value = findDatePublished(item);
+      if (value) return value;
+    }
+    return null;
+  }
+
+  if (typeof data.datePublished === "string") {
+    return data.datePublished;
+  }
+  return findDatePublished(data["@graph"]);
+}
+
+/**
+ * ISO 8601 形式の日時を Date に変換
+ * 日付だけ（"2025-08-01"）は UTC ではなくローカルのその日として扱う
+ * @param {string} value - 日時の文字列
+ * @returns {Date}
+ */
+function toPageDate(value) {
+  const text = value.trim();
+  return /^\d{4}-\d{2}-\d{2}$/.test(text)
+    ? new Date(`${text}T00:00:00`)
+    : new Date(text);
+}
+
+/**
+ * <time pubdate> の日時
+ * @param {Document} doc
+ * @returns {Date|null}
+ */
+function findTimePubdate(doc) {
+  const element = doc.querySelector("time[pubdate]");
+  if (!element) return null;
+  return parseVisibleDate(
+    element.getAttribute("datetime") || element.textContent
+  );
+}
+
+/**
+ * 本文に表示された投稿日
+ * @param {Document} doc
+ * @returns {Date|null}
+ */
+function findVisiblePostDate(doc) {
+  for (const selector of PAGE_DATE_VISIBLE_SELECTORS) {
+    const element = doc.querySelector(selector);
+    if (!element) continue;
+    const date = parseVisibleDate(
+      element.getAttribute("datetime") || element.textContent
+    );
+    if (date) return date;
+  }
+
+  const text = (doc.body?.innerText || "").slice(0, PAGE_DATE_TEXT_LIMIT);
+  const match = text.match(PAGE_DATE_LABEL_PATTERN);
+  return match ? parseVisibleDate(match[1]) : null;
+}
+
+/**
+ * 表示された日付を解析（年まで書かれたものに限る）
+ * @param {string} text - 日付のテキスト
+ * @returns {Date|null}
+ */
+function parseVisibleDate(text) {
+  if (!text || typeof chrono === "undefined") return null;
+
+  try {
+    const result = chrono.parse(text.trim())[0];
+    if (result && result.start.isCertain("year")) {
+      return result.start.date();
+    }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to parse page date:", error);
+  }
+  return null;
+}
+
+/**
+ * 基準日として使える日付か（未来の日付は公開日として扱わない）
+ * @param {Date|null} date
+ * @returns {boolean}
+ */
+function isValidPageDate(date) {
+  if (!(date instanceof Date) || isNaN(date.getTime())) return false;
+  return date.getTime() <= Date.now() + 24 * 60 * 60 * 1000;
+}
+
+// グローバルに公開
+window.ChronoClipPageDate = {
+  getPageReferenceDate,
+  getReferenceDate,
+  detectPageReferenceDate,
+};
@@ -19,6 +19,16 @@ function convertDateParserFormat(parsedDate) {
     end: {},
   };
 
+  // 締切の場合はクイック追加ポップアップでタスクとしての追加を提案する
+  if (parsedDate.deadline) {
+    result.deadline = parsedDate.deadline;
+  }
+
+  // 開演とは別に書かれていた開場時刻は、ポップアップで詳細に書き添える
+  if (parsedDate.doorsTime) {
+    result.doorsTime = parsedDate.doorsTime;
+  }
+
   if (parsedDate.type === "datetime") {
     // 時刻付きイベント
     const startDate = new Date(parsedDate.start.dateTime);
@@ -30,7 +40,7 @@ function convertDateParserFormat(parsedDate) {
       day: startDate.getDate(),
       hour: startDate.getHours(),
       minute: startDate.getMinutes(),
-      date: startDate.toISOString().split("T")[0],
+      date: window.ChronoClipDateParser.formatDate(startDate),
       dateTime: parsedDate.start.dateTime,
       timeZone: parsedDate.start.timeZone,
     };
@@ -41,10 +51,15 @@ function convertDateParserFormat(parsedDate) {
       day: endDate.getDate(),
       hour: endDate.getHours(),
       minute: endDate.getMinutes(),
-      date: endDate.toISOString().split("T")[0],
+      date: window.ChronoClipDateParser.formatDate(endDate),
       dateTime: parsedDate.end.dateTime,
       timeZone: parsedDate.end.timeZone,
     };
+
+    // ページに書かれていたタイムゾーン（ポップアップで変換後の時刻と併記する）
+    if (parsedDate.originalTimeZone) {
+      result.originalTimeZone = parsedDate.originalTimeZone;
+    }
   } else {
     // 終日イベント
     const startDate = new Date(parsedDate.start.date + "T00:00:00");
@@ -64,6 +79,11 @@ function convertDateParserFormat(parsedDate) {
     };
   }
 
+  // 繰り返しルール（RRULE）はそのまま引き継ぐ
+  if (parsedDate.recurrence) {
+    result.recurrence = parsedDate.recurrence;
+  }
+
   return result;
 }
 
@@ -408,7 +428,10 @@ async function extractEventFromSelectionFallback(
       ].filter((text) => text.length > 0);
 
       for (const text of textSources) {
-        const parsedDate = dateParser.parseDate(text);
+        const parsedDate = dateParser.parseDate(
+          text,
+          window.ChronoClipPageDate?.getReferenceDate()
+        );
         if (parsedDate) {
           // date-parser.jsの形式をcontent-script.jsの期待する形式に変換
           dateInfo = convertDateParserFormat(parsedDate);
@@ -478,6 +501,7 @@ async function extractEventFromSelectionFallback(
         extractDescriptionFromSelection(selectionInfo, contextInfo),
       dateTime: dateInfo,
       url: pageInfo.pageUrl,
+      extractor: "selection",
       source: {
         selectionText: selectionInfo.text,
         heading: contextInfo.heading?.text,
@@ -497,6 +521,7 @@ async function extractEventFromSelectionFallback(
       description: extractDescriptionFromSelection(selectionInfo, contextInfo),
       dateTime: null,
       url: pageInfo.pageUrl,
+      extractor: "selection",
       source: {
         selectionText: selectionInfo.text,
         heading: contextInfo.heading?.text,
@@ -600,6 +625,7 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
             ),
             dateTime: null,
             url: pageInfo.pageUrl,
+            extractor: "selection",
             source: {
               selectionText: selectionInfo.text,
               heading: contextInfo.heading?.text,
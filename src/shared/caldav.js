@@ -0,0 +1,686 @@
+/**
+ * @file CalDAV calendar provider (RFC 4791).
+ *
+ * Events are stored as iCalendar objects (built with ics.js) with PUT, and
+ * calendars are discovered with PROPFIND. Works with Nextcloud, Radicale and
+ * other CalDAV servers using basic auth (or an app password).
+ *
+ * Event IDs are the absolute URLs of the event resources, and calendar IDs are
+ * the absolute URLs of the calendar collections.
+ */
+
+/**
+ * chrome.storage.local key of the CalDAV password. The password is kept out
+ * of chrome.storage.sync so it is never synced across devices.
+ */
+const CALDAV_CREDENTIALS_KEY = "chronoClipCaldavCredentials";
+
+const CALDAV_XML_HEADERS = { "Content-Type": "application/xml; charset=utf-8" };
+
+const CALDAV_DISCOVERY_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+    <d:current-user-principal/>
+    <c:calendar-home-set/>
+  </d:prop>
+</d:propfind>`;
+
+const CALDAV_CALENDARS_BODY = `<?xml version="1.0" encoding="utf-8"?>
+<d:propfind xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav" xmlns:a="http://apple.com/ns/ical/">
+  <d:prop>
+    <d:resourcetype/>
+    <d:displayname/>
+    <d:current-user-privilege-set/>
+    <c:supported-calendar-component-set/>
+    <a:calendar-color/>
+  </d:prop>
+</d:propfind>`;
+
+/**
+ * Reads the CalDAV configuration from the settings and the stored password.
+ *
+ * @returns {Promise<{serverUrl: string, username: string, password: string}>}
+ * @throws {Error} If no server URL is configured.
+ */
+async function getCaldavConfig() {
+  const [syncStored, localStored] = await Promise.all([
+    chrome.storage.sync.get("chronoClipSettings"),
+    chrome.storage.local.get(CALDAV_CREDENTIALS_KEY),
+  ]);
+  const caldav = syncStored.chronoClipSettings?.caldav || {};
+
+  if (!caldav.serverUrl) {
+    const error = new Error("CalDAVサーバーのURLが設定されていません");
+    error.provider = "caldav";
+    error.reason = "notConfigured";
+    throw error;
+  }
+
+  return {
+    serverUrl: caldav.serverUrl,
+    username: caldav.username || "",
+    password: localStored[CALDAV_CREDENTIALS_KEY]?.password || "",
+  };
+}
+
+/**
+ * Creates an event by PUTting a new calendar object resource.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} [params.calendarId="primary"] - The calendar collection URL;
+ *   "primary" selects the first writable calendar.
+ * @returns {Promise<object>} The created event ({ id, uid, summary, start, end }).
+ */
+async function caldavCreateEvent({ calendarId = "primary", ...params }) {
+  const config = await getCaldavConfig();
+  const calendarUrl = await resolveCaldavCalendarUrl(calendarId, config);
+  const uid = self.ChronoClipICS.createUid();
+  const eventUrl = new URL(`${encodeURIComponent(uid)}.ics`, calendarUrl).href;
+
+  const response = await caldavRequest(eventUrl, config, {
+    method: "PUT",
+    headers: {
+      "Content-Type": "text/calendar; charset=utf-8",
+      // 既存のリソースを上書きしない
+      "If-None-Match": "*",
+    },
+    body: buildCaldavObject(params, uid),
+  });
+
+  return toCaldavEvent(eventUrl, uid, params, response);
+}
+
+/**
+ * Replaces an existing event. The UID of the stored object is kept so that
+ * clients syncing the calendar see an update rather than a new event.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} params.eventId - The URL of the event resource.
+ * @returns {Promise<object>} The updated event.
+ */
+async function caldavUpdateEvent({ eventId, calendarId, ...params }) {
+  if (!eventId) {
+    throw new Error("更新するイベントのID(eventId)が必要です");
+  }
+
+  const config = await getCaldavConfig();
+  const current = await caldavRequest(eventId, config, { method: "GET" });
+  const etag = current.headers.get("ETag");
+  const existing = parseCaldavEvent(await current.text());
+  const uid = existing?.uid || getUidFromEventUrl(eventId);
+
+  const headers = { "Content-Type": "text/calendar; charset=utf-8" };
+  if (etag) {
+    headers["If-Match"] = etag;
+  }
+
+  const response = await caldavRequest(eventId, config, {
+    method: "PUT",
+    headers,
+    body: buildCaldavObject(params, uid),
+  });
+
+  return toCaldavEvent(eventId, uid, params, response);
+}
+
+/**
+ * Deletes an event resource.
+ *
+ * @param {object} params - The event identifiers.
+ * @param {string} params.eventId - The URL of the event resource.
+ * @returns {Promise<null>} Resolves when the event has been deleted.
+ */
+async function caldavDeleteEvent({ eventId }) {
+  if (!eventId) {
+    throw new Error("削除するイベントのID(eventId)が必要です");
+  }
+
+  const config = await getCaldavConfig();
+  await caldavRequest(eventId, config, { method: "DELETE" });
+  return null;
+}
+
+/**
+ * Discovers the user's writable calendars that accept events.
+ * The server URL may point at the server root, a principal, a calendar home
+ * or directly at a single calendar.
+ *
+ * @param {object} [options]
+ * @param {object} [options.config] - Configuration to use instead of the
+ *   stored one (used by the connection test in the options page).
+ * @returns {Promise<Array<object>>} The calendars, the first one marked primary.
+ */
+async function caldavListCalendars(options = {}) {
+  const config = options.config || (await getCaldavConfig());
+  const serverUrl = ensureTrailingSlash(config.serverUrl);
+
+  const [root] = await caldavPropfind(
+    serverUrl,
+    config,
+    0,
+    CALDAV_DISCOVERY_BODY
+  );
+  if (root && isCalendarCollection(root.props)) {
+    return [toCaldavCalendar(root, 0, serverUrl)];
+  }
+
+  let homeUrl = root ? getXmlHref(root.props, "calendar-home-set") : null;
+  if (!homeUrl && root) {
+    const principalUrl = getXmlHref(root.props, "current-user-principal");
+    if (principalUrl) {
+      const [principal] = await caldavPropfind(
+        new URL(principalUrl, serverUrl).href,
+        config,
+        0,
+        CALDAV_DISCOVERY_BODY
+      );
+      homeUrl = principal
+        ? getXmlHref(principal.props, "calendar-home-set")
+        : null;
+    }
+  }
+  homeUrl = homeUrl ? new URL(homeUrl, serverUrl).href : serverUrl;
+
+  const responses = await caldavPropfind(
+    homeUrl,
+    config,
+    1,
+    CALDAV_CALENDARS_BODY
+  );
+
+  return responses
+    .filter(({ props }) => isCalendarCollection(props) && supportsEvents(props))
+    .filter(({ props }) => isWritable(props))
+    .map((response, index) => toCaldavCalendar(response, index, homeUrl));
+}
+
+/**
+ * Lists the events of a calendar within a time range with a calendar-query
+ * REPORT. Recurring events are returned once (not expanded).
+ *
+ * @param {object} params - The query.
+ * @param {string} [params.calendarId="primary"] - The calendar collection URL.
+ * @param {string} params.timeMin - Lower bound (RFC 3339).
+ * @param {string} params.timeMax - Upper bound (RFC 3339).
+ * @param {string} [params.timeZone] - Time zone for returned local times.
+ * @returns {Promise<Array<object>>} The events in the Google event shape.
+ */
+async function caldavListEvents({
+  calendarId = "primary",
+  timeMin,
+  timeMax,
+  timeZone,
+}) {
+  const config = await getCaldavConfig();
+  const calendarUrl = await resolveCaldavCalendarUrl(calendarId, config);
+
+  const body = `<?xml version="1.0" encoding="utf-8"?>
+<c:calendar-query xmlns:d="DAV:" xmlns:c="urn:ietf:params:xml:ns:caldav">
+  <d:prop>
+    <d:getetag/>
+    <c:calendar-data/>
+  </d:prop>
+  <c:filter>
+    <c:comp-filter name="VCALENDAR">
+      <c:comp-filter name="VEVENT">
+        <c:time-range start="${formatCaldavTime(timeMin)}" end="${formatCaldavTime(
+    timeMax
+  )}"/>
+      </c:comp-filter>
+    </c:comp-filter>
+  </c:filter>
+</c:calendar-query>`;
+
+  const response = await caldavRequest(calendarUrl, config, {
+    method: "REPORT",
+    headers: { ...CALDAV_XML_HEADERS, Depth: "1" },
+    body,
+  });
+
+  const events = [];
+  for (const { href, props } of parseMultistatus(await response.text())) {
+    const data = getXmlElements(props, "calendar-data")[0];
+    const event = data ? parseCaldavEvent(decodeXmlText(data), timeZone) : null;
+    if (event) {
+      events.push({ ...event, id: new URL(href, calendarUrl).href });
+    }
+  }
+  return events;
+}
+
+/**
+ * Finds events that look like copies of the given event
+ * (same matching rules as the Google provider).
+ *
+ * @param {object} params - The event details (summary, start, url, calendarId).
+ * @returns {Promise<Array<object>>} The matching events (empty if none).
+ */
+async function caldavFindDuplicateEvents(params) {
+  const range = getDuplicateSearchRange([params]);
+  if (!params.summary || !range) {
+    return [];
+  }
+
+  const events = await caldavListEvents({
+    calendarId: params.calendarId || "primary",
+    ...range,
+  });
+
+  return events.filter((event) => isDuplicateOf(event, params));
+}
+
+/**
+ * Creates many events. CalDAV has no batch request, so the events are PUT one
+ * by one; a failure of one item does not affect the others.
+ *
+ * @param {Array<object>} items - Event details as accepted by caldavCreateEvent.
+ * @returns {Promise<Array<{success: boolean, event?: object, error?: Error}>>}
+ */
+async function caldavBatchCreateEvents(items) {
+  const results = [];
+  for (const item of items) {
+    try {
+      results.push({ success: true, event: await caldavCreateEvent(item) });
+    } catch (error) {
+      results.push({ success: false, error });
+    }
+  }
+  return results;
+}
+
+/**
+ * The calendar used for "primary", cached per server and user.
+ */
+let caldavPrimaryCalendar = null;
+
+/**
+ * Resolves a calendar ID to a calendar collection URL.
+ *
+ * @param {string} calendarId - A collection URL or "primary".
+ * @param {object} config - The CalDAV configuration.
+ * @returns {Promise<string>} The collection URL (with a trailing slash).
+ */
+async function resolveCaldavCalendarUrl(calendarId, config) {
+  if (/^https?:\/\//i.test(calendarId)) {
+    return ensureTrailingSlash(calendarId);
+  }
+
+  // "primary" など URL でない ID はサーバー上の最初のカレンダーを使う
+  const cacheKey = `${config.username}@${config.serverUrl}`;
+  if (caldavPrimaryCalendar?.key === cacheKey) {
+    return caldavPrimaryCalendar.url;
+  }
+
+  const calendars = await caldavListCalendars({ config });
+  if (calendars.length === 0) {
+    throw createCaldavError(404, "書き込み可能なカレンダーが見つかりません");
+  }
+
+  const url = ensureTrailingSlash(calendars[0].id);
+  caldavPrimaryCalendar = { key: cacheKey, url };
+  return url;
+}
+
+/**
+ * Builds the calendar object resource for an event.
+ *
+ * @param {object} params - The event details.
+ * @param {string} uid - The UID of the event.
+ * @returns {string} The iCalendar text.
+ */
+function buildCaldavObject(params, uid) {
+  const event = { ...params, uid };
+
+  // Google と同じく、タイムゾーンのない時刻は既定のタイムゾーンとして扱う
+  if (event.start?.dateTime && !event.start.timeZone) {
+    const timeZone =
+      params.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+    event.start = { ...event.start, timeZone };
+    event.end = event.end ? { ...event.end, timeZone } : event.end;
+  }
+
+  // カレンダーオブジェクトリソースには METHOD を含めない（RFC 4791 4.1）
+  return self.ChronoClipICS.buildCalendar([event], { method: null });
+}
+
+/**
+ * Converts the result of a PUT into the event shape used by the callers.
+ *
+ * @param {string} eventUrl - The URL of the event resource.
+ * @param {string} uid - The UID of the event.
+ * @param {object} params - The event details that were stored.
+ * @param {Response} response - The PUT response.
+ * @returns {object} The event.
+ */
+function toCaldavEvent(eventUrl, uid, params, response) {
+  return {
+    id: eventUrl,
+    uid,
+    etag: response.headers.get("ETag") || null,
+    summary: params.summary,
+    start: params.start,
+    end: params.end,
+    htmlLink: null,
+  };
+}
+
+/**
+ * Parses the first (master) VEVENT of an iCalendar text.
+ *
+ * @param {string} text - The iCalendar text.
+ * @param {string} [timeZone] - Time zone used to express UTC and TZID times as
+ *   local wall-clock times, matching how Google returns events.list results.
+ * @returns {object|null} The event in the Google event shape.
+ */
+function parseCaldavEvent(text, timeZone) {
+  const lines = text.replace(/\r?\n[ \t]/g, "").split(/\r?\n/);
+
+  let current = null;
+  let master = null;
+  let inAlarm = false;
+  for (const line of lines) {
+    if (line === "BEGIN:VEVENT") {
+      current = {};
+    } else if (line === "END:VEVENT") {
+      // 繰り返しの例外（RECURRENCE-ID 付き）よりマスターを優先する
+      if (current && !current["RECURRENCE-ID"]) {
+        master = current;
+        break;
+      }
+      master = master || current;
+      current = null;
+    } else if (line === "BEGIN:VALARM" || line === "END:VALARM") {
+      inAlarm = line === "BEGIN:VALARM";
+    } else if (current && !inAlarm) {
+      const match = line.match(/^([A-Z-]+)((?:;[^:]*)?):(.*)$/);
+      if (match && !current[match[1]]) {
+        current[match[1]] = { params: match[2], value: match[3] };
+      }
+    }
+  }
+
+  if (!master || !master.DTSTART) {
+    return null;
+  }
+
+  const getText = (prop) => (prop ? unescapeIcsText(prop.value) : undefined);
+  const url = master.URL ? master.URL.value : null;
+
+  return {
+    uid: master.UID ? master.UID.value : null,
+    status: master.STATUS?.value === "CANCELLED" ? "cancelled" : "confirmed",
+    transparency:
+      master.TRANSP?.value === "TRANSPARENT" ? "transparent" : "opaque",
+    summary: getText(master.SUMMARY) || "",
+    description: getText(master.DESCRIPTION) || "",
+    location: getText(master.LOCATION),
+    start: parseCaldavDateTime(master.DTSTART, timeZone),
+    end: master.DTEND ? parseCaldavDateTime(master.DTEND, timeZone) : null,
+    source: url ? { url } : undefined,
+  };
+}
+
+/**
+ * Converts a DTSTART/DTEND property into a Google-style start/end object.
+ *
+ * @param {{params: string, value: string}} prop - The parsed property.
+ * @param {string} [timeZone] - Time zone for local wall-clock times.
+ * @returns {{date?: string, dateTime?: string, timeZone?: string}}
+ */
+function parseCaldavDateTime(prop, timeZone) {
+  const match = prop.value.match(
+    /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/
+  );
+  if (!match) {
+    return {};
+  }
+
+  const [, year, month, day, hour, minute, second, utc] = match;
+  const date = `${year}-${month}-${day}`;
+  if (hour === undefined) {
+    return { date };
+  }
+
+  const local = `${date}T${hour}:${minute}:${second}`;
+  const tzid = (prop.params.match(/;TZID=("?)([^;:"]+)\1/) || [])[2];
+
+  let instant = null;
+  if (utc) {
+    instant = Date.parse(`${local}Z`);
+  } else if (tzid && tzid !== timeZone) {
+    try {
+      instant = self.ChronoClipICS.toInstant(local, tzid);
+    } catch (error) {
+      // 未知のTZIDは現地時刻のまま扱う
+      instant = null;
+    }
+  }
+
+  if (instant === null || isNaN(instant)) {
+    return { dateTime: local, timeZone: tzid || timeZone };
+  }
+  if (!timeZone) {
+    return { dateTime: new Date(instant).toISOString() };
+  }
+
+  const parts = self.ChronoClipICS.getWallClockParts(instant, timeZone);
+  const pad = (value) => String(value).padStart(2, "0");
+  return {
+    dateTime: `${parts.year}-${pad(parts.month)}-${pad(parts.day)}T${pad(
+      parts.hour
+    )}:${pad(parts.minute)}:${pad(parts.second)}`,
+    timeZone,
+  };
+}
+
+/**
+ * Sends a PROPFIND request and parses the multistatus response.
+ *
+ * @param {string} url - The resource URL.
+ * @param {object} config - The CalDAV configuration.
+ * @param {0|1} depth - The Depth header.
+ * @param {string} body - The PROPFIND body.
+ * @returns {Promise<Array<{href: string, props: string}>>} The responses.
+ */
+async function caldavPropfind(url, config, depth, body) {
+  const response = await caldavRequest(url, config, {
+    method: "PROPFIND",
+    headers: { ...CALDAV_XML_HEADERS, Depth: String(depth) },
+    body,
+  });
+  return parseMultistatus(await response.text());
+}
+
+/**
+ * Sends an authenticated request to the CalDAV server.
+ * Rate-limited responses are retried by the shared retry policy.
+ *
+ * @param {string} url - The request URL.
+ * @param {object} config - The CalDAV configuration.
+ * @param {object} options - Options passed through to fetch.
+ * @returns {Promise<Response>} The successful response.
+ * @throws {Error} An error carrying `code` (HTTP status) and `provider`.
+ */
+async function caldavRequest(url, config, options) {
+  const headers = { ...(options.headers || {}) };
+  if (config.username) {
+    headers.Authorization = `Basic ${encodeBasicCredentials(
+      config.username,
+      config.password
+    )}`;
+  }
+
+  const request = () =>
+    fetch(url, { ...options, headers, credentials: "omit" });
+
+  const retryPolicy = self.chronoClipRetryPolicy;
+  const response = retryPolicy
+    ? await retryPolicy.execute(request, {
+        operation: "caldav",
+        method: options.method || "GET",
+      })
+    : await request();
+
+  if (!response.ok) {
+    const detail = await response.text().catch(() => "");
+    throw createCaldavError(response.status, detail.slice(0, 200));
+  }
+  return response;
+}
+
+/**
+ * Parses a DAV:multistatus body. Only properties with a 2xx propstat status
+ * are kept.
+ *
+ * @param {string} xml - The response body.
+ * @returns {Array<{href: string, props: string}>} The responses, where `props`
+ *   is the raw XML of the successful DAV:prop elements.
+ */
+function parseMultistatus(xml) {
+  return getXmlElements(xml, "response").map((response) => {
+    const href = decodeXmlText(
+      getXmlElements(response, "href")[0] || ""
+    ).trim();
+    const props = getXmlElements(response, "propstat")
+      .filter((propstat) => {
+        const status = getXmlElements(propstat, "status")[0] || "";
+        return /\s2\d\d\s/.test(` ${status} `);
+      })
+      .map((propstat) => getXmlElements(propstat, "prop")[0] || "")
+      .join("");
+    return { href, props };
+  });
+}
+
+/**
+ * Returns the inner XML of all elements with the given local name, ignoring
+ * namespace prefixes (service workers have no DOMParser).
+ *
+ * @param {string} xml - The XML text.
+ * @param {string} localName - The element name without prefix.
+ * @returns {string[]} The inner XML of each element ("" for empty elements).
+ */
+function getXmlElements(xml, localName) {
+  const pattern = new RegExp(
+    `<(?:[\\w.-]+:)?${localName}(?:\\s[^>]*)?(?:/>|>([\\s\\S]*?)</(?:[\\w.-]+:)?${localName}\\s*>)`,
+    "g"
+  );
+  return Array.from(xml.matchAll(pattern), (match) => match[1] || "");
+}
+
+function getXmlHref(props, localName) {
+  const container = getXmlElements(props, localName)[0];
+  const href = container ? getXmlElements(container, "href")[0] : null;
+  return href ? decodeXmlText(href).trim() : null;
+}
+
+function isCalendarCollection(props) {
+  const resourceType = getXmlElements(props, "resourcetype")[0] || "";
+  return getXmlElements(resourceType, "calendar").length > 0;
+}
+
+function supportsEvents(props) {
+  const componentSet = getXmlElements(
+    props,
+    "supported-calendar-component-set"
+  );
+  // 未対応のサーバーでは全コンポーネントを受け付けるものとみなす
+  return (
+    componentSet.length === 0 || /name=["']VEVENT["']/i.test(componentSet[0])
+  );
+}
+
+function isWritable(props) {
+  const privileges = getXmlElements(props, "current-user-privilege-set");
+  if (privileges.length === 0) return true;
+  return ["write", "write-content", "bind", "all"].some(
+    (name) => getXmlElements(privileges[0], name).length > 0
+  );
+}
+
+function toCaldavCalendar({ href, props }, index, baseUrl) {
+  const name = decodeXmlText(getXmlElements(props, "displayname")[0] || "");
+  const color = (getXmlElements(props, "calendar-color")[0] || "").trim();
+  const id = new URL(href, baseUrl).href;
+  return {
+    id: ensureTrailingSlash(id),
+    summary:
+      name.trim() || decodeURIComponent(id.split("/").filter(Boolean).pop()),
+    // Apple 形式の #RRGGBBAA は先頭6桁のみ使う
+    backgroundColor: /^#[0-9a-f]{6}/i.test(color) ? color.slice(0, 7) : null,
+    foregroundColor: null,
+    accessRole: "owner",
+    primary: index === 0,
+  };
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/^\s*<!\[CDATA\[([\s\S]*)\]\]>\s*$/, "$1")
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&#(\d+);/g, (_, code) => String.fromCodePoint(Number(code)))
+    .replace(/&#x([0-9a-f]+);/gi, (_, code) =>
+      String.fromCodePoint(parseInt(code, 16))
+    )
+    .replace(/&amp;/g, "&");
+}
+
+function unescapeIcsText(value) {
+  return value.replace(/\\([\\;,nN])/g, (_, char) =>
+    char === "n" || char === "N" ? "\n" : char
+  );
+}
+
+function formatCaldavTime(value) {
+  return new Date(value).toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+function getUidFromEventUrl(eventUrl) {
+  const name = eventUrl.split("/").filter(Boolean).pop() || "";
+  return decodeURIComponent(name.replace(/\.ics$/i, ""));
+}
+
+function ensureTrailingSlash(url) {
+  return url.endsWith("/") ? url : `${url}/`;
+}
+
+function encodeBasicCredentials(username, password) {
+  const bytes = new TextEncoder().encode(`${username}:${password || ""}`);
+  return btoa(String.fromCharCode(...bytes));
+}
+
+/**
+ * Creates an Error for a failed CalDAV request.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {string} [detail] - Additional detail from the response body.
+ * @returns {Error} An error carrying `code`, `reason` and `provider`.
+ */
+function createCaldavError(status, detail = "") {
+  const err = new Error(
+    `CalDAVサーバーでエラーが発生しました (HTTP ${status})${
+      detail ? `: ${detail}` : ""
+    }`
+  );
+  err.code = status;
+  err.reason = "caldav";
+  err.provider = "caldav";
+  return err;
+}
+
+registerCalendarProvider({
+  id: "caldav",
+  label: "CalDAV",
+  createEvent: caldavCreateEvent,
+  updateEvent: caldavUpdateEvent,
+  deleteEvent: caldavDeleteEvent,
+  listCalendars: caldavListCalendars,
+  listEvents: caldavListEvents,
+  findDuplicateEvents: caldavFindDuplicateEvents,
+  batchCreateEvents: caldavBatchCreateEvents,
+});
@@ -0,0 +1,152 @@
+/**
+ * @file Calendar provider registry.
+ *
+ * The service worker talks to calendars only through a provider object, so
+ * Google Calendar is just one backend among others (see caldav.js). Every
+ * provider implements the same interface:
+ *
+ * - createEvent(params) / updateEvent({ eventId, ...params }) /
+ *   deleteEvent({ eventId, calendarId })
+ * - listCalendars() - writable calendars ({ id, summary, primary, ... })
+ * - listEvents({ calendarId, timeMin, timeMax, timeZone })
+ * - findDuplicateEvents(params)
+ * - batchCreateEvents(items) - one { success, event | error } per item
+ * - queryFreeBusy({ calendarIds, timeMin, timeMax, timeZone }) - optional;
+ *   busy blocks ({ calendarId, start, end }). getBusyBlocks() falls back to
+ *   listEvents for providers that do not implement it.
+ *
+ * The Google provider also accepts an `account` (email address) in these
+ * params to use one of the additional accounts (see google-accounts.js);
+ * other providers ignore it.
+ *
+ * Event objects returned by providers follow the Google Calendar event shape
+ * (id, summary, start, end, htmlLink) so callers do not need to care which
+ * backend created them.
+ */
+
+/**
+ * The provider used when none (or an unknown one) is configured.
+ */
+const DEFAULT_CALENDAR_PROVIDER_ID = "google";
+
+const calendarProviders = new Map();
+
+/**
+ * Registers a calendar provider.
+ *
+ * @param {object} provider - The provider implementation.
+ * @param {string} provider.id - The provider ID stored in settings.
+ * @param {string} provider.label - A human-readable name.
+ */
+function registerCalendarProvider(provider) {
+  if (!provider || !provider.id) {
+    throw new Error("プロバイダーのIDが必要です");
+  }
+  calendarProviders.set(provider.id, provider);
+}
+
+/**
+ * Returns the provider with the given ID, falling back to Google Calendar.
+ *
+ * @param {string} [id] - The provider ID.
+ * @returns {object} The provider implementation.
+ */
+function getCalendarProvider(id) {
+  return (
+    calendarProviders.get(id) ||
+    calendarProviders.get(DEFAULT_CALENDAR_PROVIDER_ID)
+  );
+}
+
+/**
+ * Returns the provider selected in the settings.
+ *
+ * @returns {Promise<object>} The provider implementation.
+ */
+async function getActiveCalendarProvider() {
+  try {
+    const stored = await chrome.storage.sync.get("chronoClipSettings");
+    return getCalendarProvider(stored.chronoClipSettings?.calendarProvider);
+  } catch (error) {
+    return getCalendarProvider(DEFAULT_CALENDAR_PROVIDER_ID);
+  }
+}
+
+/**
+ * Returns the busy blocks of the given calendars within a time range.
+ * Without a free/busy query, every non-cancelled event that is not marked as
+ * free counts as busy.
+ *
+ * @param {object} provider - The provider implementation.
+ * @param {object} params - The query.
+ * @param {string[]} params.calendarIds - The calendar IDs.
+ * @param {string} params.timeMin - Lower bound (RFC 3339).
+ * @param {string} params.timeMax - Upper bound (RFC 3339).
+ * @param {string} [params.timeZone] - Time zone of the event being added.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<Array<object>>} Busy blocks ({ calendarId, start, end,
+ *   summary? }) with start/end as UTC RFC 3339 strings.
+ */
+async function getBusyBlocks(provider, params) {
+  if (typeof provider.queryFreeBusy === "function") {
+    return provider.queryFreeBusy(params);
+  }
+
+  const { calendarIds, timeMin, timeMax, timeZone, account } = params;
+  const min = Date.parse(timeMin);
+  const max = Date.parse(timeMax);
+  const toInstant = (value) =>
+    value.dateTime
+      ? self.ChronoClipICS.toInstant(
+          value.dateTime,
+          value.timeZone || timeZone
+        )
+      : self.ChronoClipICS.toInstant(`${value.date}T00:00:00`, timeZone);
+
+  const blocks = [];
+  for (const calendarId of calendarIds) {
+    const events = await provider.listEvents({
+      calendarId,
+      timeMin,
+      timeMax,
+      timeZone,
+      account,
+    });
+
+    for (const event of events) {
+      if (
+        !event.start ||
+        event.status === "cancelled" ||
+        event.transparency === "transparent"
+      ) {
+        continue;
+      }
+      const start = toInstant(event.start);
+      const end = event.end ? toInstant(event.end) : start;
+      if (!(start < max && end > min)) {
+        continue;
+      }
+      blocks.push({
+        calendarId,
+        start: new Date(start).toISOString(),
+        end: new Date(end).toISOString(),
+        summary: event.summary,
+      });
+    }
+  }
+  return blocks;
+}
+
+// Google Calendar (calendar.js)
+registerCalendarProvider({
+  id: "google",
+  label: "Google Calendar",
+  createEvent,
+  updateEvent,
+  deleteEvent,
+  listCalendars,
+  listEvents,
+  findDuplicateEvents,
+  batchCreateEvents,
+  queryFreeBusy,
+});
@@ -2,14 +2,48 @@
  * @file Google Calendar API related functions
  */
 
+const CALENDAR_API_ORIGIN = "https://www.googleapis.com";
+const CALENDAR_API_BASE_URL = `${CALENDAR_API_ORIGIN}/calendar/v3`;
+const CALENDAR_BATCH_URL = `${CALENDAR_API_ORIGIN}/batch/calendar/v3`;
+
+/**
+ * Storage key (chrome.storage.local) of the requests recorded in dry-run mode,
+ * and the number of entries kept (newest first).
+ */
+const DRY_RUN_LOG_STORAGE_KEY = "chronoClipDryRunLog";
+const MAX_DRY_RUN_LOG_ENTRIES = 50;
+
+/**
+ * API paths that use POST but only read data, so they are sent even in
+ * dry-run mode.
+ */
+const READ_ONLY_POST_PATHS = ["/freeBusy"];
+
+/**
+ * Maximum number of requests sent in a single batch call.
+ */
+const BATCH_MAX_REQUESTS = 50;
+
+/**
+ * Access roles that allow inserting events into a calendar.
+ */
+const WRITABLE_ACCESS_ROLES = ["owner", "writer"];
+
 /**
  * Retrieves the OAuth 2.0 access token.
+ * Without an account, the account of the Chrome profile is used; other
+ * accounts are signed in separately (see google-accounts.js).
  *
  * @param {boolean} interactive - If true, prompts the user to grant access if necessary.
+ * @param {string} [account] - The email address of an additional account.
  * @returns {Promise<string>} The access token.
  * @throws {Error} If token retrieval fails.
  */
-function getAuthToken(interactive = true) {
+function getAuthToken(interactive = true, account) {
+  if (account) {
+    return getGoogleAccountToken(account, { interactive });
+  }
+
   return new Promise((resolve, reject) => {
     chrome.identity.getAuthToken({ interactive }, (token) => {
       if (chrome.runtime.lastError) {
@@ -22,7 +56,7 @@ function getAuthToken(interactive = true) {
 }
 
 /**
- * Creates an event in Google Calendar.
+ * Builds a Google Calendar API event resource from the given parameters.
  *
  * @param {object} params - The event details.
  * @param {string} params.summary - The event title.
@@ -31,23 +65,47 @@ function getAuthToken(interactive = true) {
  * @param {object} params.end - The end time of the event.
  * @param {string} [params.location] - The event location.
  * @param {string} [params.url] - The URL of the page where the event was created.
- * @param {string} [params.calendarId="primary"] - The calendar ID.
- * @param {string} [params.timezone="Asia/Tokyo"] - The timezone for the event.
- * @returns {Promise<object>} The created event object.
+ * @param {boolean} [params.includeURL=true] - Whether to append the URL to the
+ *   description. The URL is recorded in `source` either way.
+ * @param {string} [params.extractor] - The name of the extractor that
+ *   produced the event.
+ * @param {number} [params.confidence] - The extraction confidence (0-1).
+ * @param {string} [params.timezone] - The timezone used when `start` has none.
+ *   Defaults to the runtime's timezone.
+ * @param {object} [params.reminders] - Reminder settings ({ useDefault, overrides }).
+ *   When omitted, the calendar's default reminders are used.
+ * @param {string|string[]} [params.recurrence] - RRULE line(s) for a recurring event.
+ * @param {string} [params.transparency] - "transparent" to show the event as
+ *   free instead of busy.
+ * @param {object} [params.link] - Links the event to others created with it
+ *   (e.g. travel buffers): { id, role }. See SOURCE_PROPERTY_KEYS.
+ * @returns {object} The event resource.
  */
-async function createEvent({
+function buildEventResource({
   summary,
   description = "",
   start,
   end,
   location,
   url,
-  calendarId = "primary",
-  timezone = "Asia/Tokyo",
+  includeURL = true,
+  extractor,
+  confidence,
+  timezone = Intl.DateTimeFormat().resolvedOptions().timeZone,
+  reminders,
+  recurrence,
+  transparency,
+  link,
 }) {
-  // TODO: Get includeURL from storage
-  const includeURL = true;
-  if (includeURL && url) {
+  const contentHash = computeEventContentHash({
+    summary,
+    description,
+    start,
+    end,
+    location,
+  });
+
+  if (includeURL !== false && url) {
     description += `\n\nSource: ${url}`;
   }
 
@@ -77,55 +135,972 @@ async function createEvent({
     throw new Error("イベントの終了時刻(end)が必要です");
   }
 
+  // Google Calendar's all-day end date is exclusive. ChronoClip represents a
+  // single day as start == end, so push it to the following day.
+  if (
+    event.start.date &&
+    event.end.date &&
+    event.end.date <= event.start.date
+  ) {
+    event.end.date = getNextDate(event.start.date);
+  }
+
   if (location !== undefined && location !== null) {
     event.location = location;
   }
 
+  if (reminders && reminders.useDefault === false) {
+    event.reminders = {
+      useDefault: false,
+      overrides: (reminders.overrides || []).map(({ method, minutes }) => ({
+        method,
+        minutes,
+      })),
+    };
+  }
+
+  // ChronoClip が作成したイベントを後から見つけられるように出典を記録する
+  if (url && /^https?:\/\//i.test(url)) {
+    event.source = { title: summary.slice(0, 200), url };
+  }
+  event.extendedProperties = {
+    private: buildSourceProperties({
+      url,
+      extractor,
+      confidence,
+      contentHash,
+      link,
+    }),
+  };
+
+  if (transparency === "transparent" || transparency === "opaque") {
+    event.transparency = transparency;
+  }
+
   // Adjust for all-day events vs. timed events
   if (event.start.date && !event.start.dateTime) {
     event.start.timeZone = "UTC";
     event.end.timeZone = "UTC";
   } else {
-    event.start.timeZone = timezone;
-    event.end.timeZone = timezone;
+    // 呼び出し元が指定したタイムゾーンを優先する
+    event.start.timeZone = event.start.timeZone || timezone;
+    event.end.timeZone = event.end.timeZone || event.start.timeZone;
+  }
+
+  if (recurrence && recurrence.length > 0) {
+    const allDay = Boolean(event.start.date && !event.start.dateTime);
+    event.recurrence = (Array.isArray(recurrence) ? recurrence : [recurrence])
+      .filter(Boolean)
+      .map((rule) => normalizeRecurrenceRule(rule, allDay));
+  }
+
+  return event;
+}
+
+/**
+ * Private extended property keys written by ChronoClip.
+ * Events created by ChronoClip can be listed with
+ * `privateExtendedProperty=chronoclip=1`, and an event together with its
+ * travel buffers with `privateExtendedProperty=chronoclipLinkId=<id>`.
+ */
+const SOURCE_PROPERTY_KEYS = {
+  marker: "chronoclip",
+  url: "chronoclipSourceUrl",
+  extractor: "chronoclipExtractor",
+  confidence: "chronoclipConfidence",
+  contentHash: "chronoclipContentHash",
+  linkId: "chronoclipLinkId",
+  linkRole: "chronoclipLinkRole",
+};
+
+/**
+ * Builds the private extended properties that record where an event came from.
+ * Values are strings, as required by the Calendar API.
+ *
+ * @param {object} source - The source metadata.
+ * @param {string} [source.url] - The source page URL.
+ * @param {string} [source.extractor] - The extractor name.
+ * @param {number} [source.confidence] - The extraction confidence (0-1).
+ * @param {string} source.contentHash - See computeEventContentHash.
+ * @param {object} [source.link] - { id, role } shared by linked events; role
+ *   is "main", "travelBefore" or "travelAfter".
+ * @returns {object} The private extended properties.
+ */
+function buildSourceProperties({
+  url,
+  extractor,
+  confidence,
+  contentHash,
+  link,
+}) {
+  const properties = {
+    [SOURCE_PROPERTY_KEYS.marker]: "1",
+    [SOURCE_PROPERTY_KEYS.contentHash]: contentHash,
+  };
+
+  // 値は1024文字まで
+  if (url) {
+    properties[SOURCE_PROPERTY_KEYS.url] = String(url).slice(0, 1024);
+  }
+  if (extractor) {
+    properties[SOURCE_PROPERTY_KEYS.extractor] = String(extractor).slice(
+      0,
+      100
+    );
+  }
+  if (typeof confidence === "number" && Number.isFinite(confidence)) {
+    properties[SOURCE_PROPERTY_KEYS.confidence] = confidence.toFixed(2);
+  }
+  if (link && link.id) {
+    properties[SOURCE_PROPERTY_KEYS.linkId] = String(link.id);
+    properties[SOURCE_PROPERTY_KEYS.linkRole] = String(link.role || "main");
+  }
+  return properties;
+}
+
+/**
+ * Computes a short hash of an event's content (title, time, location and
+ * description without the source line), used to tell whether the source of an
+ * existing event has changed.
+ *
+ * @param {object} params - The event details.
+ * @returns {string} An 8-digit hexadecimal FNV-1a hash.
+ */
+function computeEventContentHash({
+  summary,
+  description,
+  start,
+  end,
+  location,
+}) {
+  const toTime = (value) => (value ? value.dateTime || value.date || "" : "");
+  const text = [
+    normalizeSummary(summary),
+    toTime(start),
+    toTime(end),
+    (location || "").trim(),
+    (description || "").replace(/\s+/g, " ").trim(),
+  ].join("\n");
+
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
   }
+  return (hash >>> 0).toString(16).padStart(8, "0");
+}
+
+/**
+ * Normalizes an RRULE line for the Calendar API.
+ * Adds the "RRULE:" prefix when missing and makes UNTIL match the event type
+ * (a DATE for all-day events, a UTC DATE-TIME for timed events).
+ *
+ * @param {string} rule - The RRULE line, e.g. "FREQ=WEEKLY;BYDAY=WE".
+ * @param {boolean} allDay - Whether the event is an all-day event.
+ * @returns {string} The normalized RRULE line.
+ */
+function normalizeRecurrenceRule(rule, allDay) {
+  let normalized = rule.trim();
+  if (!/^(RRULE|EXRULE|RDATE|EXDATE):/i.test(normalized)) {
+    normalized = `RRULE:${normalized}`;
+  }
+
+  return normalized.replace(
+    /UNTIL=(\d{8})(T\d{6}Z?)?/i,
+    (match, date, time) => {
+      if (allDay) return `UNTIL=${date}`;
+      return time ? match : `UNTIL=${date}T235959Z`;
+    }
+  );
+}
+
+/**
+ * Returns the day after a date.
+ *
+ * @param {string} date - The date (YYYY-MM-DD).
+ * @returns {string} The following date (YYYY-MM-DD).
+ */
+function getNextDate(date) {
+  const next = new Date(`${date}T00:00:00Z`);
+  next.setUTCDate(next.getUTCDate() + 1);
+  return next.toISOString().slice(0, 10);
+}
+
+/**
+ * Creates an event in Google Calendar.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} [params.account] - The Google account (email address);
+ *   defaults to the account of the Chrome profile.
+ * @returns {Promise<object>} The created event object.
+ */
+async function createEvent({ calendarId = "primary", account, ...params }) {
+  const event = buildEventResource(params);
 
   console.log("ChronoClip: Event object for Google Calendar API:", event);
 
-  const fetchWithRetry = async (isRetry = false) => {
-    const token = await getAuthToken(!isRetry);
-    const apiUrl = `https://www.googleapis.com/calendar/v3/calendars/${calendarId}/events`;
+  return calendarApiRequest(
+    `/calendars/${encodeURIComponent(calendarId)}/events`,
+    {
+      method: "POST",
+      body: JSON.stringify(event),
+    },
+    account
+  );
+}
+
+/**
+ * Updates an existing event in Google Calendar with the given details.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} params.eventId - The ID of the event to update.
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<object>} The updated event object.
+ */
+async function updateEvent({
+  eventId,
+  calendarId = "primary",
+  account,
+  ...params
+}) {
+  if (!eventId) {
+    throw new Error("更新するイベントのID(eventId)が必要です");
+  }
+
+  const event = buildEventResource(params);
+
+  return calendarApiRequest(
+    `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(
+      eventId
+    )}`,
+    {
+      method: "PATCH",
+      body: JSON.stringify(event),
+    },
+    account
+  );
+}
+
+/**
+ * Deletes an event from Google Calendar.
+ *
+ * @param {object} params - The event identifiers.
+ * @param {string} params.eventId - The ID of the event to delete.
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<null>} Resolves when the event has been deleted.
+ */
+async function deleteEvent({ eventId, calendarId = "primary", account }) {
+  if (!eventId) {
+    throw new Error("削除するイベントのID(eventId)が必要です");
+  }
+
+  return calendarApiRequest(
+    `/calendars/${encodeURIComponent(calendarId)}/events/${encodeURIComponent(
+      eventId
+    )}`,
+    { method: "DELETE" },
+    account
+  );
+}
+
+/**
+ * Finds events that look like copies of the given event.
+ * Events in a one-day window around the start are fetched with events.list and
+ * compared by summary, start time and source URL.
+ *
+ * @param {object} params - The event details.
+ * @param {string} params.summary - The event title.
+ * @param {object} params.start - The start time of the event.
+ * @param {string} [params.url] - The source URL of the event.
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<Array<object>>} The matching events (empty if none).
+ */
+async function findDuplicateEvents(params) {
+  const range = getDuplicateSearchRange([params]);
+  if (!params.summary || !range) {
+    return [];
+  }
+
+  const events = await listEvents({
+    calendarId: params.calendarId || "primary",
+    account: params.account,
+    ...range,
+  });
+
+  return events.filter((event) => isDuplicateOf(event, params));
+}
+
+/**
+ * Computes the events.list window used to look for copies of the given events.
+ * The window is widened by a day on each side to absorb timezone differences.
+ *
+ * @param {Array<object>} items - Event details with `start`.
+ * @returns {{timeMin: string, timeMax: string, timeZone?: string}|null}
+ *   The search range, or null if no item has a usable start.
+ */
+function getDuplicateSearchRange(items) {
+  let min = Infinity;
+  let max = -Infinity;
+  let timeZone;
+
+  for (const { start } of items) {
+    if (!start || (!start.date && !start.dateTime)) continue;
+
+    const ms = start.dateTime
+      ? Date.parse(start.dateTime)
+      : Date.parse(`${start.date}T00:00:00Z`);
+    if (isNaN(ms)) continue;
+
+    min = Math.min(min, ms);
+    max = Math.max(max, ms);
+    if (!timeZone && start.dateTime && start.timeZone) {
+      timeZone = start.timeZone;
+    }
+  }
+
+  if (min === Infinity) {
+    return null;
+  }
+
+  const dayMs = 24 * 60 * 60 * 1000;
+  return {
+    timeMin: new Date(min - dayMs).toISOString(),
+    timeMax: new Date(max + 2 * dayMs).toISOString(),
+    timeZone,
+  };
+}
+
+/**
+ * Lists the (expanded) events of a calendar within a time range.
+ *
+ * @param {object} params - The query.
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} params.timeMin - Lower bound (RFC 3339) for event end times.
+ * @param {string} params.timeMax - Upper bound (RFC 3339) for event start times.
+ * @param {string} [params.timeZone] - Time zone used in the response.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<Array<object>>} The events.
+ */
+async function listEvents({
+  calendarId = "primary",
+  timeMin,
+  timeMax,
+  timeZone,
+  account,
+}) {
+  const events = [];
+  let pageToken = null;
 
-    const response = await fetch(apiUrl, {
+  do {
+    const params = new URLSearchParams({
+      timeMin,
+      timeMax,
+      singleEvents: "true",
+      maxResults: "250",
+    });
+    if (timeZone) {
+      params.set("timeZone", timeZone);
+    }
+    if (pageToken) {
+      params.set("pageToken", pageToken);
+    }
+
+    const data = await calendarApiRequest(
+      `/calendars/${encodeURIComponent(calendarId)}/events?${params.toString()}`,
+      {},
+      account
+    );
+    events.push(...(data.items || []));
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  return events;
+}
+
+/**
+ * Queries the busy blocks of calendars with the freeBusy API.
+ * Calendars that cannot be queried (e.g. no free/busy access) are skipped.
+ *
+ * @param {object} params - The query.
+ * @param {string[]} params.calendarIds - The calendar IDs.
+ * @param {string} params.timeMin - Lower bound (RFC 3339).
+ * @param {string} params.timeMax - Upper bound (RFC 3339).
+ * @param {string} [params.timeZone] - Time zone used in the response.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<Array<{calendarId: string, start: string, end: string}>>}
+ *   The busy blocks.
+ */
+async function queryFreeBusy({
+  calendarIds,
+  timeMin,
+  timeMax,
+  timeZone,
+  account,
+}) {
+  const data = await calendarApiRequest(
+    "/freeBusy",
+    {
+      method: "POST",
+      body: JSON.stringify({
+        timeMin,
+        timeMax,
+        timeZone,
+        items: calendarIds.map((id) => ({ id })),
+      }),
+    },
+    account
+  );
+
+  const blocks = [];
+  for (const [calendarId, calendar] of Object.entries(data.calendars || {})) {
+    if (calendar.errors && calendar.errors.length > 0) {
+      console.warn(
+        `ChronoClip: freeBusy failed for ${calendarId}:`,
+        calendar.errors
+      );
+      continue;
+    }
+    (calendar.busy || []).forEach(({ start, end }) =>
+      blocks.push({ calendarId, start, end })
+    );
+  }
+  return blocks;
+}
+
+/**
+ * Checks whether an existing event is a copy of the given event details.
+ *
+ * @param {object} event - An existing Google Calendar event.
+ * @param {object} params - The new event details (summary, start, url).
+ * @returns {boolean} True if the existing event matches.
+ */
+function isDuplicateOf(event, { summary, start, url }) {
+  return (
+    event.status !== "cancelled" &&
+    normalizeSummary(event.summary) === normalizeSummary(summary) &&
+    isSameStart(event.start, start) &&
+    isSameSourceUrl(getEventSourceUrl(event), url)
+  );
+}
+
+/**
+ * Normalizes an event summary for comparison.
+ *
+ * @param {string} summary - The event title.
+ * @returns {string} The normalized title.
+ */
+function normalizeSummary(summary) {
+  return (summary || "").replace(/\s+/g, " ").trim().toLowerCase();
+}
+
+/**
+ * Checks whether an existing event starts at the same time as the new one.
+ * Local date-times without an offset are compared as wall-clock times, since
+ * events.list returns them in the requested timeZone.
+ *
+ * @param {object} existingStart - The start of the existing event.
+ * @param {object} start - The start of the new event.
+ * @returns {boolean} True if both start at the same time.
+ */
+function isSameStart(existingStart, start) {
+  if (!existingStart) return false;
+
+  if (start.date && !start.dateTime) {
+    return existingStart.date === start.date;
+  }
+  if (!existingStart.dateTime) return false;
+
+  const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/.test(start.dateTime);
+  if (hasOffset) {
+    return Date.parse(existingStart.dateTime) === Date.parse(start.dateTime);
+  }
+  return existingStart.dateTime.slice(0, 16) === start.dateTime.slice(0, 16);
+}
+
+/**
+ * Extracts the source URL recorded on an event created by ChronoClip.
+ *
+ * @param {object} event - The Google Calendar event.
+ * @returns {string|null} The source URL, or null if none is recorded.
+ */
+function getEventSourceUrl(event) {
+  const sourceUrl =
+    event.extendedProperties?.private?.[SOURCE_PROPERTY_KEYS.url];
+  if (sourceUrl) {
+    return sourceUrl;
+  }
+  if (event.source?.url) {
+    return event.source.url;
+  }
+  const match = (event.description || "").match(/Source: (\S+)\s*$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Compares source URLs. A missing URL on either side does not rule out a match.
+ *
+ * @param {string|null} existingUrl - The URL recorded on the existing event.
+ * @param {string|null} url - The URL of the new event.
+ * @returns {boolean} True if the URLs do not contradict each other.
+ */
+function isSameSourceUrl(existingUrl, url) {
+  if (!existingUrl || !url) return true;
+  return existingUrl.replace(/#.*$/, "") === url.replace(/#.*$/, "");
+}
+
+/**
+ * Creates many events with the Calendar batch endpoint (multipart/mixed).
+ * Items are grouped by account, and each group is split into chunks of
+ * BATCH_MAX_REQUESTS. A failure of one item does not affect the others.
+ *
+ * @param {Array<object>} items - Event details as accepted by createEvent.
+ * @returns {Promise<Array<{success: boolean, event?: object, error?: Error}>>}
+ *   One result per item, in the same order as `items`.
+ */
+async function batchCreateEvents(items) {
+  const results = new Array(items.length);
+
+  // 1回のバッチ呼び出しは1つのアカウントのトークンで送る
+  const groups = new Map();
+  items.forEach((item, position) => {
+    const account = item.account || "";
+    if (!groups.has(account)) {
+      groups.set(account, []);
+    }
+    groups.get(account).push(position);
+  });
+
+  for (const [account, positions] of groups) {
+    await sendEventBatches(items, positions, account || undefined, results);
+  }
+
+  return results;
+}
+
+/**
+ * Sends the given items of one account in chunks of BATCH_MAX_REQUESTS.
+ *
+ * @param {Array<object>} items - All event details passed to batchCreateEvents.
+ * @param {number[]} positions - Indexes of the items to send.
+ * @param {string} [account] - The Google account (email address).
+ * @param {Array<object>} results - Results, filled in by item index. A chunk
+ *   whose request fails marks only its own items as failed.
+ * @returns {Promise<void>}
+ */
+async function sendEventBatches(items, positions, account, results) {
+  for (
+    let offset = 0;
+    offset < positions.length;
+    offset += BATCH_MAX_REQUESTS
+  ) {
+    const chunk = positions.slice(offset, offset + BATCH_MAX_REQUESTS);
+    const boundary = `chronoclip_batch_${Date.now()}_${chunk[0]}`;
+    const parts = [];
+    const events = new Map();
+
+    chunk.forEach((position) => {
+      const { calendarId = "primary", ...params } = items[position];
+      try {
+        const event = buildEventResource(params);
+        events.set(position, event);
+        parts.push(
+          [
+            `--${boundary}`,
+            "Content-Type: application/http",
+            `Content-ID: <item-${position}>`,
+            "",
+            `POST /calendar/v3/calendars/${encodeURIComponent(
+              calendarId
+            )}/events`,
+            "Content-Type: application/json",
+            "",
+            JSON.stringify(event),
+          ].join("\r\n")
+        );
+      } catch (error) {
+        // 不正なイベントはリクエストに含めず、その項目だけ失敗にする
+        results[position] = { success: false, error };
+      }
+    });
+
+    if (parts.length === 0) {
+      continue;
+    }
+
+    const request = {
       method: "POST",
       headers: {
-        Authorization: `Bearer ${token}`,
-        "Content-Type": "application/json",
+        "Content-Type": `multipart/mixed; boundary=${boundary}`,
       },
-      body: JSON.stringify(event),
+      body: `${parts.join("\r\n")}\r\n--${boundary}--`,
+    };
+
+    const { apiBaseUrl, dryRun } = await getCalendarClientOptions();
+    if (dryRun) {
+      await recordDryRunRequest(
+        resolveCalendarApiUrl(CALENDAR_BATCH_URL, apiBaseUrl),
+        request,
+        account
+      );
+      events.forEach((event, position) => {
+        results[position] = {
+          success: true,
+          event: createDryRunEvent(event),
+        };
+      });
+      continue;
+    }
+
+    let responses;
+    try {
+      const response = await authorizedFetch(
+        CALENDAR_BATCH_URL,
+        request,
+        account
+      );
+
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({}));
+        throw createApiError(response.status, errorData);
+      }
+
+      responses = parseBatchResponse(
+        await response.text(),
+        response.headers.get("Content-Type")
+      );
+    } catch (error) {
+      // 前のチャンクで作成済みの予定を失敗扱いにしないよう、
+      // 失敗はこのチャンクの項目だけに記録して次のチャンクへ進む
+      events.forEach((event, position) => {
+        results[position] = { success: false, error };
+      });
+      continue;
+    }
+
+    chunk.forEach((position) => {
+      if (results[position]) return;
+
+      const part = responses.get(`item-${position}`);
+      if (!part) {
+        results[position] = {
+          success: false,
+          error: createApiError(500, {
+            error: { message: "バッチ応答に結果が含まれていません" },
+          }),
+        };
+      } else if (part.status >= 200 && part.status < 300) {
+        results[position] = { success: true, event: part.body };
+      } else {
+        results[position] = {
+          success: false,
+          error: createApiError(part.status, part.body || {}),
+        };
+      }
     });
+  }
+}
+
+/**
+ * Parses a multipart/mixed batch response into per-request results.
+ *
+ * @param {string} text - The raw response body.
+ * @param {string} contentType - The response Content-Type header.
+ * @returns {Map<string, {status: number, body: object|null}>} Results keyed by
+ *   the Content-ID of the originating request (e.g. "item-0").
+ */
+function parseBatchResponse(text, contentType) {
+  const results = new Map();
+  const boundaryMatch = (contentType || "").match(/boundary=("?)([^";]+)\1/);
+  if (!boundaryMatch) {
+    return results;
+  }
 
-    if (response.ok) {
-      return response.json();
+  const sections = text.split(`--${boundaryMatch[2]}`);
+  for (const section of sections) {
+    // 応答側のContent-IDは "response-" が前置される
+    const idMatch = section.match(/Content-ID:\s*<(?:response-)?([^>]+)>/i);
+    const statusMatch = section.match(/HTTP\/[\d.]+\s+(\d{3})/);
+    if (!idMatch || !statusMatch) continue;
+
+    const afterStatus = section.slice(statusMatch.index);
+    const bodyStart = afterStatus.search(/\r?\n\r?\n/);
+    let body = null;
+    if (bodyStart !== -1) {
+      try {
+        body = JSON.parse(afterStatus.slice(bodyStart).trim());
+      } catch (e) {
+        body = null;
+      }
+    }
+
+    results.set(idMatch[1], { status: Number(statusMatch[1]), body });
+  }
+
+  return results;
+}
+
+/**
+ * Retrieves the calendars in the user's calendar list.
+ * Read-only calendars are excluded because events cannot be inserted into them.
+ *
+ * @param {object} [options]
+ * @param {string} [options.account] - The Google account (email address).
+ * @returns {Promise<Array<object>>} The writable calendars, primary first.
+ */
+async function listCalendars({ account } = {}) {
+  const calendars = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({ minAccessRole: "writer" });
+    if (pageToken) {
+      params.set("pageToken", pageToken);
+    }
+
+    const data = await calendarApiRequest(
+      `/users/me/calendarList?${params.toString()}`,
+      {},
+      account
+    );
+
+    for (const item of data.items || []) {
+      if (!WRITABLE_ACCESS_ROLES.includes(item.accessRole) || item.deleted) {
+        continue;
+      }
+      calendars.push({
+        id: item.id,
+        summary: item.summaryOverride || item.summary || item.id,
+        backgroundColor: item.backgroundColor || null,
+        foregroundColor: item.foregroundColor || null,
+        accessRole: item.accessRole,
+        primary: item.primary === true,
+      });
+    }
+
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  calendars.sort((a, b) => Number(b.primary) - Number(a.primary));
+  return calendars;
+}
+
+/**
+ * Sends an authorized request to the Google Calendar API.
+ *
+ * @param {string} path - The API path relative to the Calendar API base URL.
+ * @param {object} [options] - Options passed through to fetch.
+ * @param {string} [account] - The Google account (email address).
+ * @returns {Promise<object|null>} The parsed JSON response, or null for empty bodies.
+ * @throws {Error} An error carrying `code` (HTTP status) and `reason`.
+ */
+async function calendarApiRequest(path, options = {}, account) {
+  const request = {
+    ...options,
+    headers: {
+      "Content-Type": "application/json",
+      ...(options.headers || {}),
+    },
+  };
+
+  // ドライランでは読み取り以外のリクエストを送信せずに記録する
+  const method = (options.method || "GET").toUpperCase();
+  if (method !== "GET" && !READ_ONLY_POST_PATHS.includes(path)) {
+    const { apiBaseUrl, dryRun } = await getCalendarClientOptions();
+    if (dryRun) {
+      const url = resolveCalendarApiUrl(
+        `${CALENDAR_API_BASE_URL}${path}`,
+        apiBaseUrl
+      );
+      await recordDryRunRequest(url, request, account);
+      if (method === "DELETE") {
+        return null;
+      }
+      const eventId = path.match(/\/events\/([^/?]+)/)?.[1];
+      return createDryRunEvent(
+        JSON.parse(request.body || "{}"),
+        eventId && decodeURIComponent(eventId)
+      );
     }
+  }
+
+  const response = await authorizedFetch(
+    `${CALENDAR_API_BASE_URL}${path}`,
+    request,
+    account
+  );
+
+  if (response.ok) {
+    if (response.status === 204) {
+      return null;
+    }
+    return response.json();
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  throw createApiError(response.status, errorData);
+}
+
+/**
+ * Fetches a URL with the user's OAuth token.
+ * Google API URLs are sent to the configured API base URL instead, if any.
+ * On a 401 the cached token is discarded and the request is retried once.
+ * Rate-limited responses are retried by the shared retry policy
+ * (see retry-policy.js).
+ *
+ * @param {string} url - The request URL.
+ * @param {object} [options] - Options passed through to fetch.
+ * @param {string} [account] - The Google account (email address). "profile"
+ *   (GOOGLE_PROFILE_ACCOUNT) uses the account of the Chrome profile.
+ * @returns {Promise<Response>} The fetch response (which may be a non-2xx).
+ */
+async function authorizedFetch(url, options = {}, account) {
+  account = toGoogleApiAccount(account);
+  const { apiBaseUrl } = await getCalendarClientOptions();
+  const requestUrl = resolveCalendarApiUrl(url, apiBaseUrl);
+
+  const fetchWithRetry = async (isRetry = false) => {
+    const token = await getAuthToken(!isRetry, account);
+
+    const request = () =>
+      fetch(requestUrl, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          ...(options.headers || {}),
+        },
+      });
+
+    // レート制限時のバックオフとサーキットブレーカーは共通ポリシーに任せる
+    const retryPolicy = self.chronoClipRetryPolicy;
+    const response = retryPolicy
+      ? await retryPolicy.execute(request, {
+          operation: "calendar_api",
+          method: options.method || "GET",
+        })
+      : await request();
 
     if (response.status === 401 && !isRetry) {
-      const currentToken = await getAuthToken(false);
-      if (currentToken) {
-        await chrome.identity.removeCachedAuthToken({ token: currentToken });
+      if (account) {
+        await clearGoogleAccountToken(account);
+      } else {
+        const currentToken = await getAuthToken(false);
+        if (currentToken) {
+          await chrome.identity.removeCachedAuthToken({ token: currentToken });
+        }
       }
       return fetchWithRetry(true); // Retry once
     }
 
-    const errorData = await response.json();
-    const errorMessage =
-      errorData.error?.message || `HTTP error! status: ${response.status}`;
-    const reason = errorData.error?.errors?.[0]?.reason || "unknown";
-    const err = new Error(errorMessage);
-    err.code = response.status;
-    err.reason = reason;
-    throw err;
+    return response;
   };
 
   return fetchWithRetry();
 }
+
+/**
+ * Creates an Error from a Google API error response body.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {object} errorData - The parsed error response body.
+ * @returns {Error} An error carrying `code` (HTTP status) and `reason`.
+ */
+function createApiError(status, errorData = {}) {
+  const errorMessage =
+    errorData.error?.message || `HTTP error! status: ${status}`;
+  const reason = errorData.error?.errors?.[0]?.reason || "unknown";
+  const err = new Error(errorMessage);
+  err.code = status;
+  err.reason = reason;
+  return err;
+}
+
+/**
+ * Returns the developer options of the Calendar client.
+ *
+ * @returns {Promise<{apiBaseUrl: string, dryRun: boolean}>} `apiBaseUrl`
+ *   replaces https://www.googleapis.com (e.g. "http://localhost:8080" for a
+ *   mock server); empty when not configured.
+ */
+async function getCalendarClientOptions() {
+  try {
+    const stored = await chrome.storage.sync.get("chronoClipSettings");
+    const settings = stored.chronoClipSettings || {};
+    return {
+      apiBaseUrl: (settings.apiBaseUrl || "").trim().replace(/\/+$/, ""),
+      dryRun: settings.dryRun === true,
+    };
+  } catch (error) {
+    return { apiBaseUrl: "", dryRun: false };
+  }
+}
+
+/**
+ * Points a Google API URL at the configured API base URL.
+ *
+ * @param {string} url - The request URL.
+ * @param {string} apiBaseUrl - See getCalendarClientOptions.
+ * @returns {string} The URL to request.
+ */
+function resolveCalendarApiUrl(url, apiBaseUrl) {
+  if (!apiBaseUrl || !url.startsWith(CALENDAR_API_ORIGIN)) {
+    return url;
+  }
+  return `${apiBaseUrl}${url.slice(CALENDAR_API_ORIGIN.length)}`;
+}
+
+/**
+ * Records a request that was not sent because dry-run mode is on.
+ * The body is stored exactly as it would have been sent.
+ *
+ * @param {string} url - The request URL.
+ * @param {object} request - The fetch options (method, headers, body).
+ * @param {string} [account] - The Google account (email address).
+ * @returns {Promise<void>}
+ */
+async function recordDryRunRequest(url, request, account) {
+  const entry = {
+    timestamp: new Date().toISOString(),
+    method: request.method || "GET",
+    url,
+    account: account || null,
+    headers: request.headers || {},
+    body: request.body || null,
+  };
+  console.log("ChronoClip: Dry run, request not sent:", entry);
+
+  try {
+    const stored = await chrome.storage.local.get(DRY_RUN_LOG_STORAGE_KEY);
+    const log = stored[DRY_RUN_LOG_STORAGE_KEY] || [];
+    log.unshift(entry);
+    await chrome.storage.local.set({
+      [DRY_RUN_LOG_STORAGE_KEY]: log.slice(0, MAX_DRY_RUN_LOG_ENTRIES),
+    });
+  } catch (error) {
+    console.warn("ChronoClip: Failed to record dry-run request:", error);
+  }
+}
+
+/**
+ * Builds the event returned in place of an API response in dry-run mode.
+ *
+ * @param {object} resource - The event resource that would have been sent.
+ * @param {string} [eventId] - The ID of the event being updated.
+ * @returns {object} The event, with a placeholder ID and no htmlLink.
+ */
+function createDryRunEvent(resource, eventId) {
+  return {
+    ...resource,
+    id:
+      eventId ||
+      `dryrun${Date.now().toString(36)}${Math.random()
+        .toString(36)
+        .slice(2, 8)}`,
+    status: "confirmed",
+    htmlLink: null,
+    dryRun: true,
+  };
+}
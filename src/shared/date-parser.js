@@ -6,32 +6,121 @@
 /**
  * 日付解析のメイン関数
  * @param {string} text - 解析対象のテキスト
- * @returns {object|null} 解析結果
+ * @param {Date} [referenceDate] - 「明日」「来週金曜」や年の省略を補う基準日時
+ *   （ページの公開日など。省略時は現在）
+ * @returns {object|null} 解析結果（基準日から日を補った場合は relative: true）
  */
-function parseDate(text) {
+function parseDate(text, referenceDate = new Date()) {
   if (!text || typeof text !== "string") return null;
 
-  // 1. chrono-nodeによる解析を試行
-  const chronoResult = parseWithChrono(text);
-  if (chronoResult) {
-    return chronoResult;
+  // 全角数字・漢数字（「二〇二五年八月二十七日」「午後七時半」等）は
+  // 半角数字の表記に揃えてから解析し、マッチ位置は元のテキストに戻す
+  const source = text;
+  const normalized =
+    typeof ChronoClip !== "undefined" && ChronoClip.normalizeDateText
+      ? ChronoClip.normalizeDateText(source)
+      : null;
+  if (normalized) {
+    text = normalized.text;
+  }
+
+  // 0. 繰り返し表現（毎週水曜、every Tuesday 等）があればRRULE付きで返す
+  const recurrence = parseRecurrence(text, referenceDate);
+  if (recurrence) {
+    const recurringResult = parseRecurringDate(
+      text,
+      recurrence,
+      referenceDate
+    );
+    if (recurringResult) {
+      return recurringResult;
+    }
+  }
+
+  // 1. 和暦、2. 日本語の相対的な日付、3. chrono-nodeによる解析、
+  // 4. 正規表現フォールバック
+  let result =
+    parseWarekiDate(text, referenceDate) ||
+    parseRelativeDate(text, referenceDate) ||
+    parseWithChrono(text, referenceDate) ||
+    parseWithRegex(text, referenceDate);
+  if (!result) {
+    return null;
   }
 
-  // 2. 正規表現フォールバック
-  const regexResult = parseWithRegex(text);
-  if (regexResult) {
-    return regexResult;
+  // 「平成31年5月1日 18:00」のように元号の期間外の日付しかなく、
+  // 時刻だけを読み取った場合は日付が分からないものとする
+  if (result.relative && maskInvalidWareki(text) !== text) {
+    return null;
+  }
+
+  // 「開場17:00 開演18:00」のように最初の時刻が開演とは限らないため、
+  // ラベル付きの時刻があればそれに従う
+  result = applyTimeRoles(result, detectTimeRoles(text));
+
+  // 締切（応募締切、due 等）の場合はタスクとしての追加を提案する
+  const deadline = detectDeadline(text);
+  if (deadline) {
+    result.deadline = deadline;
+  }
+
+  if (normalized && result.match) {
+    const { start, end } = ChronoClip.mapNormalizedRange(
+      normalized,
+      result.match.index,
+      result.match.index + result.match.text.length
+    );
+    result.match = { index: start, text: source.slice(start, end) };
   }
 
+  return result;
+}
+
+/**
+ * 締切を表す表現
+ * 「10時〜12時まで」のような単なる終了時刻は含めない
+ */
+const DEADLINE_PATTERNS = [
+  /締め?切り?|〆切り?|期限|期日|必着|提出日/,
+  /まで(?:に)?[おご]?(?:提出|返品|返却|支払|振込|申し?込|応募|登録|回答|返信)/,
+  /\b(?:deadline|expires?|no later than)\b/i,
+  // Amazon の返品期限（Return window closes on / Eligible through）
+  /\b(?:return window|eligible through)\b/i,
+  /\bdue\b(?!\s+to\b)/i,
+  /\b(?:return|submit|apply|register|pay|respond|rsvp|order)\w*\s+by\b/i,
+];
+
+/**
+ * テキストが締切を表しているか判定
+ * @param {string} text - 解析対象のテキスト
+ * @returns {string|null} 締切を表す表現（締切でない場合はnull）
+ */
+function detectDeadline(text) {
+  if (!text || typeof text !== "string") return null;
+
+  for (const pattern of DEADLINE_PATTERNS) {
+    const match = text.match(pattern);
+    if (match) {
+      return match[0];
+    }
+  }
   return null;
 }
 
 /**
  * chrono-nodeによる日付解析
  * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate] - 「明日」「19時」等の基準日時（省略時は現在）
+ * @param {object} [options]
+ * @param {boolean} [options.findDay] - 最初の結果に日がない場合に、他の箇所に
+ *   書かれた日付を探すか（その日を基準に読み直すときは false）
  * @returns {object|null} 解析結果
  */
-function parseWithChrono(text) {
+function parseWithChrono(
+  text,
+  referenceDate = new Date(),
+  { findDay = true } = {}
+) {
   if (typeof chrono === "undefined") {
     console.warn(
       "ChronoClip: chrono-node not available, falling back to regex"
@@ -40,10 +129,45 @@ function parseWithChrono(text) {
   }
 
   try {
+    // 元号の期間外の和暦（「平成31年5月1日」等）は日付として読まないよう除く
+    text = maskInvalidWareki(text);
+
+    // "(UTC-05:00)" が時刻範囲と誤認されないよう、オフセット表記は
+    // 同じ長さの空白に置き換えてから渡す（タイムゾーンは元のテキストから検出する）
+    const chronoText =
+      typeof ChronoClip !== "undefined" && ChronoClip.UTC_OFFSET_PATTERN
+        ? text.replace(ChronoClip.UTC_OFFSET_PATTERN, (offset) =>
+            " ".repeat(offset.length)
+          )
+        : text;
+
     // 日本語のカジュアルパーサを使用
-    const results = chrono.casual.parse(text, new Date(), {
-      forwardDate: true,
-    });
+    // 「19:30 8月27日」の「30 8月27日」を西暦30年と読むような、
+    // あり得ない年の結果は除く
+    const results = chrono.casual
+      .parse(chronoText, referenceDate, { forwardDate: true })
+      .filter((result) => result.start.get("year") >= 1000);
+
+    // 「8月27日〜29日」のように終了側の月を省いた範囲は chrono-node が
+    // 開始日しか読み取らないため、範囲表記の方が先に書かれていればそちらを使う
+    const range = parseDateRange(text, referenceDate);
+    const first = results?.[0];
+    if (
+      range &&
+      (!first || range.match.index < first.index + first.text.length)
+    ) {
+      return range;
+    }
+
+    // 「開場17:00 開演18:00 終演予定21:00 8月27日」「19:30 8月27日」のように
+    // 時刻が日付より先に書かれていると、最初の結果は日のない時刻になる
+    // （日付と重なって結果が残らないこともある）。日付が他の箇所に書かれて
+    // いれば、その日を基準に時刻を読み直す
+    if (findDay && (!first || !first.start.isCertain("day"))) {
+      const found = findDayElsewhere(text, results, referenceDate);
+      const parsed = found && parseTimeBeforeDay(text, found);
+      if (parsed) return parsed;
+    }
 
     if (results && results.length > 0) {
       const result = results[0]; // 最初の結果を使用
@@ -51,37 +175,53 @@ function parseWithChrono(text) {
       const endDate = result.end?.date() || startDate;
 
       // 時刻が含まれているかチェック
-      const hasTime = result.start.get("hour") !== undefined;
+      // 日付だけの場合も chrono-node は正午を補うため、明示された時刻に限る
+      const hasTime = result.start.isCertain("hour");
 
+      let parsed;
       if (hasTime) {
         // 時刻付きイベント
-        return {
-          type: "datetime",
-          start: {
-            dateTime: startDate.toISOString(),
-            timeZone: getDefaultTimeZone(),
-          },
-          end: {
-            dateTime: endDate.toISOString(),
-            timeZone: getDefaultTimeZone(),
-          },
+        // chrono-node の略称表は夏時間や "GMT+2" を正しく扱えないため、
+        // 時刻の直後のタイムゾーン表記を優先して解釈する
+        const zone =
+          detectPageTimeZone(
+            text,
+            result.index,
+            result.index + result.text.length
+          ) || getChronoTimeZone(result.start);
+        const startClock = getChronoWallClock(result.start);
+        const endClock = result.end
+          ? getChronoWallClock(result.end)
+          : startClock;
+
+        parsed = buildDateTimeResult(startClock, endClock, zone, {
           confidence: 0.9,
           source: "chrono",
-        };
+        });
       } else {
-        // 終日イベント
-        return {
+        // 終日イベント（「8月27日から8月29日」等の範囲は最終日の翌日を終了日とする）
+        const startDay = formatDate(startDate);
+        const lastDay = formatDate(endDate);
+        parsed = {
           type: "date",
           start: {
-            date: formatDate(startDate),
+            date: startDay,
           },
           end: {
-            date: formatDate(endDate),
+            date: lastDay > startDay ? addDaysToDate(lastDay, 1) : startDay,
           },
           confidence: 0.8,
           source: "chrono",
         };
       }
+
+      // 日時として読み取った箇所（クイック追加で残りをタイトルにする）
+      parsed.match = { index: result.index, text: result.text };
+      // 「next Saturday」「19時」のように日を基準日から補った
+      if (isRelativeChronoResult(result)) {
+        parsed.relative = true;
+      }
+      return parsed;
     }
   } catch (error) {
     console.warn("ChronoClip: chrono parsing error:", error);
@@ -93,11 +233,28 @@ function parseWithChrono(text) {
 /**
  * 正規表現による日付解析
  * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate] - 年を省略した場合の基準日時（省略時は現在）
  * @returns {object|null} 解析結果
  */
-function parseWithRegex(text) {
+function parseWithRegex(text, referenceDate = new Date()) {
+  // 元号の期間外の和暦の「5月1日」などを年の省略として読まないよう除く
+  text = maskInvalidWareki(text);
+
+  const range = parseDateRange(text, referenceDate);
+  if (range) return range;
+
   // 日付パターンの定義（優先度順）
   const patterns = [
+    // 和暦: 令和7年8月27日、平成元年1月8日、R7.8.27（「8月27日」より先に調べる）
+    ...(typeof ChronoClip !== "undefined" && ChronoClip.WAREKI_DATE_PATTERN
+      ? [
+          {
+            regex: ChronoClip.WAREKI_DATE_PATTERN,
+            type: "wareki",
+            hasTime: () => false,
+          },
+        ]
+      : []),
     // ISO形式: 2025-08-27T18:00, 2025-08-27 18:00
     {
       regex: /(\d{4})-(\d{1,2})-(\d{1,2})(?:[T\s](\d{1,2}):(\d{2}))?/g,
@@ -130,12 +287,6 @@ function parseWithRegex(text) {
       type: "slash",
       hasTime: (match) => match[4] !== undefined,
     },
-    // 和暦: 令和7年8月27日
-    {
-      regex: /令和(\d+)年(\d{1,2})月(\d{1,2})日/g,
-      type: "wareki",
-      hasTime: () => false,
-    },
     // 英語形式: Aug 27, 2025 6pm, August 27 2025
     {
       regex:
@@ -153,8 +304,10 @@ function parseWithRegex(text) {
         `ChronoClip DEBUG: Pattern matched (${pattern.type}):`,
         match
       );
-      const parsed = parseMatch(match, pattern);
-      if (parsed) return parsed;
+      const parsed = parseMatch(match, pattern, referenceDate);
+      if (parsed) {
+        return { ...parsed, match: { index: match.index, text: match[0] } };
+      }
     }
   }
 
@@ -165,9 +318,10 @@ function parseWithRegex(text) {
  * マッチした結果を日付オブジェクトに変換
  * @param {Array} match - 正規表現のマッチ結果
  * @param {object} pattern - パターン情報
+ * @param {Date} [referenceDate] - 年を省略した場合の基準日時
  * @returns {object|null} 解析結果
  */
-function parseMatch(match, pattern) {
+function parseMatch(match, pattern, referenceDate = new Date()) {
   try {
     console.log(`ChronoClip DEBUG: parseMatch called with:`, {
       match,
@@ -179,7 +333,7 @@ function parseMatch(match, pattern) {
       day,
       hour = 0,
       minute = 0;
-    const currentYear = new Date().getFullYear();
+    const referenceYear = referenceDate.getFullYear();
 
     switch (pattern.type) {
       case "iso":
@@ -207,7 +361,7 @@ function parseMatch(match, pattern) {
         break;
 
       case "japanese":
-        year = currentYear; // 年省略は現在年を使用
+        year = referenceYear; // 年省略は基準日の年を使用
         month = parseInt(match[1]);
         day = parseInt(match[2]);
         if (match[3] && match[4]) {
@@ -220,19 +374,20 @@ function parseMatch(match, pattern) {
         break;
 
       case "slash":
-        year = match[1] ? parseInt(match[1]) : currentYear;
+        year = match[1] ? parseInt(match[1]) : referenceYear;
         month = parseInt(match[2]);
         day = parseInt(match[3]);
         if (match[4]) hour = parseInt(match[4]);
         if (match[5]) minute = parseInt(match[5]);
         break;
 
-      case "wareki":
-        const reiwaYear = parseInt(match[1]);
-        year = 2018 + reiwaYear; // 令和元年 = 2019年
-        month = parseInt(match[2]);
-        day = parseInt(match[3]);
+      case "wareki": {
+        // 元号の期間外（平成31年5月1日など）は日付として扱わない
+        const wareki = ChronoClip.parseWarekiMatch(match);
+        if (!wareki) return null;
+        ({ year, month, day } = wareki);
         break;
+      }
 
       case "english":
         const monthNames = [
@@ -284,24 +439,29 @@ function parseMatch(match, pattern) {
 
     if (hasTime) {
       // 時刻付きイベント（デフォルト3時間）
-      const endDate = new Date(
-        date.getTime() +
-          (window.ChronoClipConfig?.EVENT?.DEFAULT_DURATION_MS ||
-            3 * 60 * 60 * 1000)
-      );
-      return {
-        type: "datetime",
-        start: {
-          dateTime: date.toISOString(),
-          timeZone: getDefaultTimeZone(),
-        },
-        end: {
-          dateTime: endDate.toISOString(),
-          timeZone: getDefaultTimeZone(),
-        },
+      const startClock = { year, month, day, hour, minute };
+      // 「18:00〜21:00」「18時から21時」のように終了時刻が続いていればそれを使う
+      const endClock =
+        findRangeEndClock(
+          match.input ? match.input.slice(match.index + match[0].length) : "",
+          startClock
+        ) ||
+        shiftWallClock(
+          startClock,
+          getChronoClipConfig()?.EVENT?.DEFAULT_DURATION_MS ||
+            3 * 60 * 60 * 1000
+        );
+      const zone = match.input
+        ? detectPageTimeZone(
+            match.input,
+            match.index,
+            match.index + match[0].length
+          )
+        : detectPageTimeZone(match[0], 0, match[0].length);
+      return buildDateTimeResult(startClock, endClock, zone, {
         confidence: 0.7,
         source: `regex-${pattern.type}`,
-      };
+      });
     } else {
       // 終日イベント
       return {
@@ -322,6 +482,1356 @@ function parseMatch(match, pattern) {
   }
 }
 
+/**
+ * 繰り返し表現の解析で使う曜日コード（RRULEのBYDAY）
+ */
+const RECURRENCE_JA_WEEKDAYS = {
+  日: "SU",
+  月: "MO",
+  火: "TU",
+  水: "WE",
+  木: "TH",
+  金: "FR",
+  土: "SA",
+};
+const RECURRENCE_EN_WEEKDAYS = {
+  sun: "SU",
+  mon: "MO",
+  tue: "TU",
+  wed: "WE",
+  thu: "TH",
+  fri: "FR",
+  sat: "SA",
+};
+const RECURRENCE_WEEKDAY_ORDER = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+const RECURRENCE_WEEKDAYS_MO_FR = ["MO", "TU", "WE", "TH", "FR"];
+const RECURRENCE_EN_ORDINALS = {
+  first: 1,
+  "1st": 1,
+  second: 2,
+  "2nd": 2,
+  third: 3,
+  "3rd": 3,
+  fourth: 4,
+  "4th": 4,
+  fifth: 5,
+  "5th": 5,
+  last: -1,
+};
+const RECURRENCE_EN_MONTHS = [
+  "jan",
+  "feb",
+  "mar",
+  "apr",
+  "may",
+  "jun",
+  "jul",
+  "aug",
+  "sep",
+  "oct",
+  "nov",
+  "dec",
+];
+
+const EN_WEEKDAY_PATTERN =
+  "(?:sun|mon|tue|tues|wed|thu|thur|thurs|fri|sat)(?:day|nesday|urday|sday)?s?";
+const EN_ORDINAL_PATTERN =
+  "(?:first|second|third|fourth|fifth|last|1st|2nd|3rd|4th|5th)";
+
+/**
+ * 繰り返しパターンの定義（優先度順）
+ * 各パターンは正規表現のマッチから { freq, interval, byDay, byMonthDay, byMonth } を作る
+ */
+const RECURRENCE_PATTERNS = [
+  // 毎月第2・第4土曜日、第2土曜日開催、最終金曜
+  {
+    regex:
+      /(?:毎月\s*)?((?:(?:第\s*[1-5]|最終)\s*[・、,と]?\s*)+)([日月火水木金土])曜日?/,
+    build: (m) => {
+      const ordinals = Array.from(m[1].matchAll(/第\s*([1-5])|最終/g)).map(
+        (o) => (o[1] ? parseInt(o[1]) : -1)
+      );
+      const day = RECURRENCE_JA_WEEKDAYS[m[2]];
+      return { freq: "MONTHLY", byDay: ordinals.map((n) => `${n}${day}`) };
+    },
+  },
+  // 平日毎日、毎平日
+  {
+    regex: /毎平日|平日(?:の)?毎日|毎日[(（]平日[)）]/,
+    build: () => ({ freq: "WEEKLY", byDay: [...RECURRENCE_WEEKDAYS_MO_FR] }),
+  },
+  // 毎週水曜 19:00〜、隔週月・木曜日、毎週土日
+  {
+    regex: /(毎週|隔週)\s*((?:[日月火水木金土](?:曜日?)?\s*[・、,と]?\s*)*)/,
+    build: (m) => ({
+      freq: "WEEKLY",
+      interval: m[1] === "隔週" ? 2 : 1,
+      byDay: Array.from(m[2].matchAll(/([日月火水木金土])(?:曜日?)?/g)).map(
+        (d) => RECURRENCE_JA_WEEKDAYS[d[1]]
+      ),
+    }),
+  },
+  // 毎月15日
+  {
+    regex: /毎月\s*(\d{1,2})\s*日/,
+    build: (m) => ({ freq: "MONTHLY", byMonthDay: parseInt(m[1]) }),
+  },
+  // 毎年8月27日
+  {
+    regex: /毎年\s*(\d{1,2})\s*月\s*(\d{1,2})\s*日/,
+    build: (m) => ({
+      freq: "YEARLY",
+      byMonth: parseInt(m[1]),
+      byMonthDay: parseInt(m[2]),
+    }),
+  },
+  // 毎日 7:00、毎月 10時、毎年 午後6時
+  // 「毎日新聞」のような語と区別するため、直後に時刻が続く場合に限る
+  {
+    regex:
+      /毎(日|月|年)(?=\s*[、,の]?\s*(?:午前|午後)?\s*\d{1,2}\s*(?:[:：]\d{2}|時))/,
+    build: (m) => ({
+      freq: { 日: "DAILY", 月: "MONTHLY", 年: "YEARLY" }[m[1]],
+    }),
+  },
+  // every second Saturday, every 2nd and 4th Saturday
+  {
+    regex: new RegExp(
+      `\\b(?:every|each)\\s+(${EN_ORDINAL_PATTERN}(?:\\s*(?:,|and|&)\\s*${EN_ORDINAL_PATTERN})*)\\s+(${EN_WEEKDAY_PATTERN})\\b(?:\\s+of\\s+(?:the|each|every)\\s+month)?`,
+      "i"
+    ),
+    build: (m) => buildEnglishMonthlyByDay(m[1], m[2]),
+  },
+  // (on) the second Saturday of every month
+  {
+    regex: new RegExp(
+      `\\b(?:on\\s+)?the\\s+(${EN_ORDINAL_PATTERN}(?:\\s*(?:,|and|&)\\s*${EN_ORDINAL_PATTERN})*)\\s+(${EN_WEEKDAY_PATTERN})\\s+of\\s+(?:each|every)\\s+month\\b`,
+      "i"
+    ),
+    build: (m) => buildEnglishMonthlyByDay(m[1], m[2]),
+  },
+  // every weekday
+  {
+    regex: /\b(?:every|each)\s+weekday\b/i,
+    build: () => ({ freq: "WEEKLY", byDay: [...RECURRENCE_WEEKDAYS_MO_FR] }),
+  },
+  // every Tuesday, every other Monday and Thursday, weekly on Tuesdays
+  {
+    regex: new RegExp(
+      `\\b(?:(every|each)\\s+(other\\s+)?|(weekly|biweekly)\\s+on\\s+)(${EN_WEEKDAY_PATTERN}(?:\\s*(?:,\\s*and|,|and|&)\\s*${EN_WEEKDAY_PATTERN})*)\\b`,
+      "i"
+    ),
+    build: (m) => ({
+      freq: "WEEKLY",
+      interval: m[2] || /^biweekly$/i.test(m[3] || "") ? 2 : 1,
+      byDay: Array.from(
+        m[4].matchAll(new RegExp(EN_WEEKDAY_PATTERN, "gi"))
+      ).map((d) => RECURRENCE_EN_WEEKDAYS[d[0].slice(0, 3).toLowerCase()]),
+    }),
+  },
+  // every month on the 15th, monthly on the 15th, on the 15th of every month
+  {
+    regex:
+      /\b(?:(?:every\s+month|monthly)\s+on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?|on\s+the\s+(\d{1,2})(?:st|nd|rd|th)?\s+of\s+(?:each|every)\s+month)\b/i,
+    build: (m) => ({
+      freq: "MONTHLY",
+      byMonthDay: parseInt(m[1] || m[2]),
+    }),
+  },
+  // every day, every other week, every month
+  // 「daily」「monthly」単体はタイトル等で使われやすいため対象にしない
+  {
+    regex: /\bevery\s+(other\s+)?(day|week|month|year)\b/i,
+    build: (m) => ({
+      freq: {
+        day: "DAILY",
+        week: "WEEKLY",
+        month: "MONTHLY",
+        year: "YEARLY",
+      }[m[2].toLowerCase()],
+      interval: m[1] ? 2 : 1,
+    }),
+  },
+];
+
+/**
+ * 英語の「第N曜日」表現を月次ルールに変換
+ * @param {string} ordinalText - "second and fourth" などの序数部分
+ * @param {string} weekdayText - "Saturday" などの曜日部分
+ * @returns {object} 繰り返しルール
+ */
+function buildEnglishMonthlyByDay(ordinalText, weekdayText) {
+  const day = RECURRENCE_EN_WEEKDAYS[weekdayText.slice(0, 3).toLowerCase()];
+  const ordinals = Array.from(
+    ordinalText.matchAll(new RegExp(EN_ORDINAL_PATTERN, "gi"))
+  ).map((o) => RECURRENCE_EN_ORDINALS[o[0].toLowerCase()]);
+  return { freq: "MONTHLY", byDay: ordinals.map((n) => `${n}${day}`) };
+}
+
+/**
+ * 繰り返し表現を解析
+ * 「毎週水曜 19:00〜」「第2土曜日開催」「every Tuesday at 6pm」などを検出し、
+ * 「12月まで」「全5回」「until Dec 20」「for 6 weeks」などの終了条件も読み取る
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate=new Date()] - 終了日の年を補完する基準日
+ * @returns {object|null} 繰り返し情報（検出できない場合はnull）
+ */
+function parseRecurrence(text, referenceDate = new Date()) {
+  if (!text || typeof text !== "string") return null;
+
+  for (const pattern of RECURRENCE_PATTERNS) {
+    const match = text.match(pattern.regex);
+    if (!match) continue;
+
+    const rule = { interval: 1, ...pattern.build(match) };
+    if (rule.byDay && rule.byDay.length === 0) {
+      delete rule.byDay;
+    }
+
+    const recurrence = {
+      ...rule,
+      count: null,
+      until: null,
+      time: parseRecurrenceTime(text.slice(match.index)),
+      matchedText: [match[0]],
+    };
+
+    const end = parseRecurrenceEnd(text, recurrence, referenceDate);
+    if (end) {
+      recurrence.count = end.count || null;
+      recurrence.until = end.until || null;
+      recurrence.matchedText.push(end.text);
+    }
+
+    recurrence.rrule = buildRRule(recurrence, { allDay: !recurrence.time });
+    return recurrence;
+  }
+
+  return null;
+}
+
+/**
+ * 繰り返しの終了条件（回数または終了日）を解析
+ * @param {string} text - 解析対象のテキスト
+ * @param {object} rule - 繰り返しルール（回数換算に使用）
+ * @param {Date} referenceDate - 年を補完する基準日
+ * @returns {{count?: number, until?: object, text: string}|null} 終了条件
+ */
+function parseRecurrenceEnd(text, rule, referenceDate) {
+  // 全5回、計10回
+  let match = text.match(/[全計]\s*(\d+)\s*回/);
+  if (match) {
+    return { count: parseInt(match[1]), text: match[0] };
+  }
+
+  // for 6 weeks, for 8 sessions
+  match = text.match(
+    /\bfor\s+(\d+)\s+(weeks|months|days|sessions|times|occurrences)\b/i
+  );
+  if (match) {
+    const perPeriod =
+      /weeks/i.test(match[2]) && rule.byDay ? rule.byDay.length : 1;
+    return { count: parseInt(match[1]) * perPeriod, text: match[0] };
+  }
+
+  // 2025年12月20日まで、12月まで
+  match = text.match(
+    /(?:(\d{4})\s*年\s*)?(\d{1,2})\s*月(?:\s*(\d{1,2})\s*日)?\s*まで/
+  );
+  if (match) {
+    const until = resolveUntilDate(
+      match[1] ? parseInt(match[1]) : null,
+      parseInt(match[2]),
+      match[3] ? parseInt(match[3]) : null,
+      referenceDate
+    );
+    return until ? { until, text: match[0] } : null;
+  }
+
+  // 2025/12/20まで、12/20まで
+  match = text.match(/(?:(\d{4})[/-])?(\d{1,2})[/-](\d{1,2})\s*まで/);
+  if (match) {
+    const until = resolveUntilDate(
+      match[1] ? parseInt(match[1]) : null,
+      parseInt(match[2]),
+      parseInt(match[3]),
+      referenceDate
+    );
+    return until ? { until, text: match[0] } : null;
+  }
+
+  // until Dec 20, 2025 / through December
+  match = text.match(
+    /\b(?:until|till|through|thru)\s+(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\.?(?:\s+(\d{1,2})(?:st|nd|rd|th)?)?(?:,?\s+(\d{4}))?/i
+  );
+  if (match) {
+    const until = resolveUntilDate(
+      match[3] ? parseInt(match[3]) : null,
+      RECURRENCE_EN_MONTHS.indexOf(match[1].toLowerCase()) + 1,
+      match[2] ? parseInt(match[2]) : null,
+      referenceDate
+    );
+    return until ? { until, text: match[0] } : null;
+  }
+
+  return null;
+}
+
+/**
+ * 終了日を補完（年省略時は基準日以降になる年、日省略時は月末）
+ * @param {number|null} year - 年
+ * @param {number} month - 月（1-12）
+ * @param {number|null} day - 日
+ * @param {Date} referenceDate - 基準日
+ * @returns {{year: number, month: number, day: number}|null} 終了日
+ */
+function resolveUntilDate(year, month, day, referenceDate) {
+  if (month < 1 || month > 12 || (day !== null && (day < 1 || day > 31))) {
+    return null;
+  }
+
+  let resolvedYear = year || referenceDate.getFullYear();
+  if (!year && month < referenceDate.getMonth() + 1) {
+    resolvedYear++;
+  }
+
+  const lastDay = new Date(resolvedYear, month, 0).getDate();
+  return {
+    year: resolvedYear,
+    month,
+    day: day === null ? lastDay : Math.min(day, lastDay),
+  };
+}
+
+/**
+ * 繰り返し表現の近くにある開始時刻を解析
+ * @param {string} text - 繰り返し表現以降のテキスト
+ * @returns {{hour: number, minute: number}|null} 開始時刻
+ */
+function parseRecurrenceTime(text) {
+  // 19:00、19：00
+  let match = text.match(
+    /(午前|午後)?\s*(\d{1,2})[:：](\d{2})(?:\s*([ap])\.?m\.?\b)?/i
+  );
+  if (match) {
+    return toTime(parseInt(match[2]), parseInt(match[3]), match[1], match[4]);
+  }
+
+  // 19時、午後7時半
+  match = text.match(
+    /(午前|午後)?\s*(\d{1,2})\s*時(?:\s*(\d{1,2})\s*分|(半))?/
+  );
+  if (match) {
+    const minute = match[4] ? 30 : match[3] ? parseInt(match[3]) : 0;
+    return toTime(parseInt(match[2]), minute, match[1], null);
+  }
+
+  // 6pm、6 p.m.
+  match = text.match(/\b(\d{1,2})\s*([ap])\.?m\.?(?![a-z])/i);
+  if (match) {
+    return toTime(parseInt(match[1]), 0, null, match[2]);
+  }
+
+  return null;
+
+  function toTime(hour, minute, jaMeridiem, enMeridiem) {
+    const isPm = jaMeridiem === "午後" || /^p$/i.test(enMeridiem || "");
+    const isAm = jaMeridiem === "午前" || /^a$/i.test(enMeridiem || "");
+    if (isPm && hour < 12) hour += 12;
+    if (isAm && hour === 12) hour = 0;
+    if (hour > 23 || minute > 59) return null;
+    return { hour, minute };
+  }
+}
+
+/**
+ * 繰り返しルールからRRULE文字列を生成
+ * @param {object} recurrence - parseRecurrence の結果
+ * @param {object} [options]
+ * @param {boolean} [options.allDay=false] - 終日イベントか（UNTILの形式が変わる）
+ * @returns {string} "RRULE:FREQ=WEEKLY;BYDAY=WE" 形式の文字列
+ */
+function buildRRule(recurrence, { allDay = false } = {}) {
+  const parts = [`FREQ=${recurrence.freq}`];
+
+  if (recurrence.interval && recurrence.interval > 1) {
+    parts.push(`INTERVAL=${recurrence.interval}`);
+  }
+  if (recurrence.byMonth) {
+    parts.push(`BYMONTH=${recurrence.byMonth}`);
+  }
+  if (recurrence.byMonthDay) {
+    parts.push(`BYMONTHDAY=${recurrence.byMonthDay}`);
+  }
+  if (recurrence.byDay && recurrence.byDay.length > 0) {
+    parts.push(`BYDAY=${recurrence.byDay.join(",")}`);
+  }
+
+  if (recurrence.count) {
+    parts.push(`COUNT=${recurrence.count}`);
+  } else if (recurrence.until) {
+    const { year, month, day } = recurrence.until;
+    if (allDay) {
+      parts.push(
+        `UNTIL=${year}${String(month).padStart(2, "0")}${String(day).padStart(
+          2,
+          "0"
+        )}`
+      );
+    } else {
+      // 時刻付きイベントのUNTILはUTCの日時で指定する（終了日の終わりまで）
+      const untilDate = new Date(year, month - 1, day, 23, 59, 59);
+      parts.push(
+        `UNTIL=${untilDate.toISOString().replace(/[-:]/g, "").split(".")[0]}Z`
+      );
+    }
+  }
+
+  return `RRULE:${parts.join(";")}`;
+}
+
+/**
+ * 繰り返しルールの初回の日付を基準日以降で求める
+ * @param {object} recurrence - parseRecurrence の結果
+ * @param {Date} [referenceDate=new Date()] - 基準日
+ * @returns {Date} 初回の日付（ローカル時刻の0時）
+ */
+function getFirstOccurrence(recurrence, referenceDate = new Date()) {
+  const base = new Date(
+    referenceDate.getFullYear(),
+    referenceDate.getMonth(),
+    referenceDate.getDate()
+  );
+
+  if (recurrence.freq === "WEEKLY" && recurrence.byDay) {
+    for (let offset = 0; offset < 7; offset++) {
+      const candidate = new Date(base);
+      candidate.setDate(base.getDate() + offset);
+      if (
+        recurrence.byDay.includes(RECURRENCE_WEEKDAY_ORDER[candidate.getDay()])
+      ) {
+        return candidate;
+      }
+    }
+  }
+
+  if (
+    recurrence.freq === "MONTHLY" &&
+    (recurrence.byDay || recurrence.byMonthDay)
+  ) {
+    for (let monthOffset = 0; monthOffset < 13; monthOffset++) {
+      const year = base.getFullYear();
+      const month = base.getMonth() + monthOffset;
+      const candidates = recurrence.byDay
+        ? recurrence.byDay.map((code) =>
+            getNthWeekdayOfMonth(year, month, code)
+          )
+        : [new Date(year, month, recurrence.byMonthDay)];
+      const valid = candidates
+        .filter(
+          (date) =>
+            date &&
+            date >= base &&
+            (recurrence.byDay || date.getDate() === recurrence.byMonthDay)
+        )
+        .sort((a, b) => a - b);
+      if (valid.length > 0) return valid[0];
+    }
+  }
+
+  if (recurrence.freq === "YEARLY" && recurrence.byMonth) {
+    const thisYear = new Date(
+      base.getFullYear(),
+      recurrence.byMonth - 1,
+      recurrence.byMonthDay || 1
+    );
+    if (thisYear >= base) return thisYear;
+    thisYear.setFullYear(base.getFullYear() + 1);
+    return thisYear;
+  }
+
+  return base;
+}
+
+/**
+ * 指定月の第N曜日（-1は最終）を求める
+ * @param {number} year - 年
+ * @param {number} month - 月（0始まり、12以上は翌年に繰り越し）
+ * @param {string} code - "2SA" や "-1FR" 形式のBYDAY
+ * @returns {Date|null} 該当日（存在しない場合はnull）
+ */
+function getNthWeekdayOfMonth(year, month, code) {
+  const match = code.match(/^(-?\d)([A-Z]{2})$/);
+  if (!match) return null;
+
+  const nth = parseInt(match[1]);
+  const weekday = RECURRENCE_WEEKDAY_ORDER.indexOf(match[2]);
+  const first = new Date(year, month, 1);
+  const daysInMonth = new Date(year, month + 1, 0).getDate();
+
+  let day;
+  if (nth > 0) {
+    day = 1 + ((weekday - first.getDay() + 7) % 7) + (nth - 1) * 7;
+  } else {
+    const lastWeekday = new Date(year, month, daysInMonth).getDay();
+    day = daysInMonth - ((lastWeekday - weekday + 7) % 7);
+  }
+
+  return day <= daysInMonth ? new Date(year, month, day) : null;
+}
+
+/**
+ * 繰り返し表現を含むテキストの日付を解析
+ * 明示的な日付（「9月3日から毎週水曜」）があればそれを初回とし、
+ * なければ繰り返しルールから直近の初回を求める
+ * @param {string} text - 解析対象のテキスト
+ * @param {object} recurrence - parseRecurrence の結果
+ * @param {Date} [referenceDate] - 初回を求める基準日時（省略時は現在）
+ * @returns {object|null} 解析結果（recurrence に RRULE の配列を含む）
+ */
+function parseRecurringDate(text, recurrence, referenceDate = new Date()) {
+  // 繰り返し表現と終了条件（「12月まで」等）を日付として拾わないよう除去する
+  const remainder = recurrence.matchedText.reduce(
+    (result, phrase) => result.replace(phrase, " "),
+    text
+  );
+  const explicit = parseWithRegex(remainder, referenceDate);
+
+  let startDate;
+  let time = recurrence.time;
+  if (explicit && explicit.type === "datetime") {
+    startDate = new Date(explicit.start.dateTime);
+    time = time || {
+      hour: startDate.getHours(),
+      minute: startDate.getMinutes(),
+    };
+  } else if (explicit) {
+    startDate = new Date(explicit.start.date + "T00:00:00");
+  } else {
+    startDate = getFirstOccurrence(recurrence, referenceDate);
+  }
+
+  if (isNaN(startDate.getTime())) return null;
+
+  const result = time
+    ? buildTimedResult(startDate, time)
+    : {
+        type: "date",
+        start: { date: formatDate(startDate) },
+        end: { date: formatDate(startDate) },
+      };
+
+  return {
+    ...result,
+    confidence: 0.7,
+    source: "recurrence",
+    recurrence: [buildRRule(recurrence, { allDay: !time })],
+    recurrenceText: recurrence.matchedText.join(" "),
+  };
+
+  function buildTimedResult(date, { hour, minute }) {
+    const start = new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      hour,
+      minute
+    );
+    const end = new Date(
+      start.getTime() +
+        (getChronoClipConfig()?.EVENT?.DEFAULT_DURATION_MS ||
+          3 * 60 * 60 * 1000)
+    );
+    return {
+      type: "datetime",
+      start: { dateTime: start.toISOString(), timeZone: getDefaultTimeZone() },
+      end: { dateTime: end.toISOString(), timeZone: getDefaultTimeZone() },
+    };
+  }
+}
+
+/**
+ * 日付の範囲表記で使う部品
+ * 曜日の括弧書き「(土)」、範囲の区切り「〜」「から」、連続した日の列挙「・」
+ */
+const RANGE_WEEKDAY = "(?:\\s*[(（][^)）\\d]{1,6}[)）])?";
+const RANGE_SEPARATOR = "\\s*(?:〜|～|~|-|–|—|から)\\s*";
+const RANGE_LIST_SEPARATOR = "\\s*[・、]\\s*";
+const RANGE_EN_MONTH =
+  "(Jan(?:uary)?|Feb(?:ruary)?|Mar(?:ch)?|Apr(?:il)?|May|June?|July?|" +
+  "Aug(?:ust)?|Sep(?:t(?:ember)?)?|Oct(?:ober)?|Nov(?:ember)?|Dec(?:ember)?)\\.?";
+const RANGE_EN_SEPARATOR =
+  "\\s*(?:-|–|—|~|〜|\\bto\\b|\\bthrough\\b|\\bthru\\b|\\buntil\\b|\\btill\\b)\\s*";
+// 日付の後の時刻（"Aug 27 2025 6pm through Aug 29" の 6pm）
+const RANGE_EN_TIME =
+  "(?:,?\\s+(?:at\\s+)?" +
+  "(\\d{1,2}:\\d{2}(?:\\s*[ap]\\.?m\\b\\.?)?|\\d{1,2}\\s*[ap]\\.?m\\b\\.?))?";
+
+/**
+ * 日付の範囲表記の定義（優先度順）
+ * 各パターンはマッチから { startYear, startMonth, startDay, endYear, endMonth, endDay } を作る
+ */
+const DATE_RANGE_PATTERNS = [
+  // 2025年8月27日(水)〜29日(金)、8月27日から9月2日まで
+  {
+    type: "japanese",
+    regex: new RegExp(
+      `(?:(\\d{4})年\\s*)?(\\d{1,2})月(\\d{1,2})日${RANGE_WEEKDAY}` +
+        `${RANGE_SEPARATOR}(?:(\\d{4})年\\s*)?(?:(\\d{1,2})月)?` +
+        `(\\d{1,2})日(?!間)${RANGE_WEEKDAY}`
+    ),
+    parse: (match) =>
+      toDateRange(match[1], match[2], match[3], match[4], match[5], match[6]),
+  },
+  // 8月30日(土)・31日(日)（連続した日に限る）
+  {
+    type: "japanese-list",
+    regex: new RegExp(
+      `(?:(\\d{4})年\\s*)?(\\d{1,2})月(\\d{1,2})日${RANGE_WEEKDAY}` +
+        `((?:${RANGE_LIST_SEPARATOR}\\d{1,2}日${RANGE_WEEKDAY})+)`
+    ),
+    parse: (match) =>
+      toConsecutiveDateRange(match[1], match[2], match[3], match[4]),
+  },
+  // 2025/8/27(水)〜8/29(金)、8/27〜29
+  {
+    type: "slash",
+    regex: new RegExp(
+      `(?:(\\d{4})\\/)?(\\d{1,2})\\/(\\d{1,2})${RANGE_WEEKDAY}` +
+        `${RANGE_SEPARATOR}(?:(\\d{4})\\/)?(?:(\\d{1,2})\\/)?` +
+        `(\\d{1,2})(?![\\d:：/時])${RANGE_WEEKDAY}`
+    ),
+    parse: (match) =>
+      toDateRange(match[1], match[2], match[3], match[4], match[5], match[6]),
+  },
+  // 2025/10/11(土)・12(日)（連続した日に限る）
+  {
+    type: "slash-list",
+    regex: new RegExp(
+      `(?:(\\d{4})\\/)?(\\d{1,2})\\/(\\d{1,2})${RANGE_WEEKDAY}` +
+        `((?:${RANGE_LIST_SEPARATOR}\\d{1,2}(?![\\d:：/時])${RANGE_WEEKDAY})+)`
+    ),
+    parse: (match) =>
+      toConsecutiveDateRange(match[1], match[2], match[3], match[4]),
+  },
+  // Aug 27–29, 2025、Aug 27 - Sep 2, 2025、Wed, Aug 27 through Fri, Aug 29、
+  // Aug 27 2025 6pm through Aug 29 2025（開始側に時刻があれば時刻付きの範囲）
+  {
+    type: "english",
+    regex: new RegExp(
+      `\\b(?:${EN_WEEKDAY_PATTERN}\\.?,?\\s+)?` +
+        `${RANGE_EN_MONTH}\\s+(\\d{1,2})(?:st|nd|rd|th)?(?:,?\\s+(\\d{4}))?` +
+        RANGE_EN_TIME +
+        `${RANGE_EN_SEPARATOR}(?:${EN_WEEKDAY_PATTERN}\\.?,?\\s+)?` +
+        `(?:${RANGE_EN_MONTH}\\s+)?(\\d{1,2})(?:st|nd|rd|th)?` +
+        `(?![\\d:：]|\\s*[ap]\\.?m\\b)(?:,?\\s+(\\d{4}))?` +
+        RANGE_EN_TIME,
+      "i"
+    ),
+    parse: (match) => ({
+      ...toDateRange(
+        match[7] || match[3],
+        getEnglishMonth(match[1]),
+        match[2],
+        match[7],
+        match[5] && getEnglishMonth(match[5]),
+        match[6]
+      ),
+      startTime: match[4],
+      endTime: match[8],
+    }),
+  },
+];
+
+/**
+ * 日付の範囲表記（8月27日〜29日、2025/10/11(土)・12(日)、Aug 27–29, 2025 等）を解析
+ * chrono-node は終了側の月や年を省いた範囲を読み取れないため自前で扱う。
+ * 和暦（令和7年8月27日〜29日、R7.8.27〜29）は西暦の表記に置き換えてから読み取る。
+ * 終日の範囲として返し、終了日は最終日の翌日（その日を含まない）とする
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate] - 年を省略した場合の基準日時（省略時は現在）
+ * @returns {object|null} 解析結果（範囲表記がない場合はnull）
+ */
+function parseDateRange(text, referenceDate = new Date()) {
+  if (!text || typeof text !== "string") return null;
+
+  const converted =
+    typeof ChronoClip !== "undefined" && ChronoClip.convertWarekiDateText
+      ? ChronoClip.convertWarekiDateText(text)
+      : null;
+  const rangeText = converted ? converted.text : text;
+
+  for (const pattern of DATE_RANGE_PATTERNS) {
+    const match = rangeText.match(pattern.regex);
+    if (!match) continue;
+
+    const range = pattern.parse(match);
+    const days = range && resolveDateRange(range, referenceDate);
+    if (!days) continue;
+
+    const { start, end } = converted
+      ? ChronoClip.mapNormalizedRange(
+          converted,
+          match.index,
+          match.index + match[0].length
+        )
+      : { start: match.index, end: match.index + match[0].length };
+    const meta = { confidence: 0.8, source: `range-${pattern.type}` };
+    const result = range.startTime
+      ? buildDateRangeTimes(days, range, meta)
+      : {
+          type: "date",
+          start: { date: days.start },
+          end: { date: addDaysToDate(days.last, 1) },
+          ...meta,
+        };
+    if (!result) continue;
+
+    return { ...result, match: { index: start, text: text.slice(start, end) } };
+  }
+
+  return null;
+}
+
+/**
+ * 開始側に時刻のある範囲（Aug 27 2025 6pm through Aug 29 2025）を時刻付きの結果にする
+ * 終了側に時刻がなければ、最終日の終わり（翌日の0時）までとする
+ * @param {object} days - resolveDateRange の結果 { start, last }
+ * @param {object} range - { startTime, endTime } を持つ範囲
+ * @param {object} meta - { confidence, source }
+ * @returns {object|null} 解析結果（時刻が不正な場合はnull）
+ */
+function buildDateRangeTimes(days, range, meta) {
+  const startTime = parseRangeTime(range.startTime);
+  const endTime = range.endTime
+    ? parseRangeTime(range.endTime)
+    : { hour: 0, minute: 0 };
+  if (!startTime || !endTime) return null;
+
+  const toClock = (date, time) => {
+    const [year, month, day] = date.split("-").map(Number);
+    return { year, month, day, ...time };
+  };
+  const endDay = range.endTime ? days.last : addDaysToDate(days.last, 1);
+  return buildDateTimeResult(
+    toClock(days.start, startTime),
+    toClock(endDay, endTime),
+    null,
+    meta
+  );
+}
+
+/**
+ * 範囲に書かれた時刻（6pm、6:30 p.m.、18:00）を読み取る
+ * @param {string} text - 時刻の表記
+ * @returns {object|null} { hour, minute }（不正な時刻はnull）
+ */
+function parseRangeTime(text) {
+  const match = text.match(/(\d{1,2})(?::(\d{2}))?\s*(?:([ap])\.?m)?/i);
+  if (!match) return null;
+
+  let hour = parseInt(match[1], 10);
+  const minute = match[2] ? parseInt(match[2], 10) : 0;
+  const meridiem = match[3]?.toLowerCase();
+  if (meridiem && (hour < 1 || hour > 12)) return null;
+  if (meridiem === "p" && hour < 12) hour += 12;
+  if (meridiem === "a" && hour === 12) hour = 0;
+  if (hour > 23 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * マッチした数字の文字列から範囲を作成（終了側の省略は開始側を引き継ぐ）
+ * @returns {object} { startYear, startMonth, startDay, endYear, endMonth, endDay }
+ */
+function toDateRange(
+  startYear,
+  startMonth,
+  startDay,
+  endYear,
+  endMonth,
+  endDay
+) {
+  const toNumber = (value) => (value ? parseInt(value, 10) : undefined);
+  return {
+    startYear: toNumber(startYear),
+    startMonth: toNumber(startMonth),
+    startDay: toNumber(startDay),
+    endYear: toNumber(endYear),
+    endMonth: toNumber(endMonth),
+    endDay: toNumber(endDay),
+  };
+}
+
+/**
+ * 「11(土)・12(日)」のように列挙された日を範囲に変換
+ * 「11日・18日」のような飛び飛びの日は1つの予定にできないため扱わない
+ * @param {string} year - 年（省略可）
+ * @param {string} month - 月
+ * @param {string} day - 最初の日
+ * @param {string} listText - 続けて列挙された日の部分
+ * @returns {object|null} toDateRange の結果（連続していない場合はnull）
+ */
+function toConsecutiveDateRange(year, month, day, listText) {
+  const listed = listText.replace(/[(（][^)）]*[)）]/g, "").match(/\d+/g);
+  const days = [day, ...listed].map((value) => parseInt(value, 10));
+  const consecutive = days.every(
+    (value, index) => index === 0 || value === days[index - 1] + 1
+  );
+  if (!consecutive) return null;
+
+  return toDateRange(year, month, day, undefined, undefined, days.pop());
+}
+
+/**
+ * 範囲の年を補い、開始日と最終日を求める
+ * 年の省略は chrono-node の forwardDate と同じく、最終日が過ぎていれば翌年とする
+ * @param {object} range - toDateRange の結果
+ * @param {Date} referenceDate - 基準日時
+ * @returns {object|null} { start, last }（YYYY-MM-DD）。日付が不正な場合はnull
+ */
+function resolveDateRange(range, referenceDate) {
+  const endMonth = range.endMonth || range.startMonth;
+  let startYear = range.startYear || referenceDate.getFullYear();
+  let endYear = range.endYear || startYear;
+
+  // 「12月30日〜1月3日」のように年をまたぐ範囲
+  if (!range.endYear && endMonth < range.startMonth) {
+    endYear = startYear + 1;
+  }
+
+  if (!range.startYear) {
+    const today = formatDate(referenceDate);
+    const last = toDateString(endYear, endMonth, range.endDay);
+    if (last && last < today) {
+      startYear++;
+      endYear++;
+    }
+  }
+
+  const start = toDateString(startYear, range.startMonth, range.startDay);
+  const last = toDateString(endYear, endMonth, range.endDay);
+  if (!start || !last || last <= start) return null;
+
+  return { start, last };
+}
+
+/**
+ * 年月日を YYYY-MM-DD 形式に変換（存在しない日付はnull）
+ * @param {number} year - 年
+ * @param {number} month - 月（1-12）
+ * @param {number} day - 日
+ * @returns {string|null} 日付文字列
+ */
+function toDateString(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+  return formatDate(date);
+}
+
+/**
+ * YYYY-MM-DD 形式の日付に日数を足す
+ * @param {string} date - 日付文字列
+ * @param {number} days - 足す日数
+ * @returns {string} 日付文字列
+ */
+function addDaysToDate(date, days) {
+  const [year, month, day] = date.split("-").map(Number);
+  return formatDate(new Date(year, month - 1, day + days));
+}
+
+/**
+ * 英語の月名を月番号に変換
+ * @param {string} name - 月名（Aug、August 等）
+ * @returns {number} 月（1-12）
+ */
+function getEnglishMonth(name) {
+  return RECURRENCE_EN_MONTHS.indexOf(name.slice(0, 3).toLowerCase()) + 1;
+}
+
+/**
+ * 開始時刻の直後に続く終了時刻（〜21:00、から21時 等）を読み取る
+ * @param {string} text - 開始時刻より後ろのテキスト
+ * @param {object} startClock - 開始の { year, month, day, hour, minute }
+ * @returns {object|null} 終了の { year, month, day, hour, minute }。
+ *   開始時刻以前なら翌日の時刻とする
+ */
+function findRangeEndClock(text, startClock) {
+  const match = text.match(
+    /^\s*(?:〜|～|~|-|–|—|から)\s*(\d{1,2})(?:[:：](\d{2})|時(?:(\d{2})分|(半))?)/
+  );
+  if (!match) return null;
+
+  const hour = parseInt(match[1], 10);
+  const minute = parseInt(match[2] || match[3] || (match[4] ? 30 : 0), 10);
+  if (hour > 24 || minute > 59) return null;
+
+  return getClockAtOrAfter(startClock, hour, minute);
+}
+
+/**
+ * 開始より後で最初に来る指定時刻（開始時刻以前なら翌日）
+ * @param {object} startClock - 開始の { year, month, day, hour, minute }
+ * @param {number} hour - 時
+ * @param {number} minute - 分
+ * @returns {object} { year, month, day, hour, minute }
+ */
+function getClockAtOrAfter(startClock, hour, minute) {
+  let durationMs =
+    ((hour - startClock.hour) * 60 + (minute - startClock.minute)) * 60 * 1000;
+  if (durationMs <= 0) {
+    durationMs += 24 * 60 * 60 * 1000;
+  }
+  return shiftWallClock(startClock, durationMs);
+}
+
+/**
+ * 時刻に付くラベルと役割
+ * doors: 開場（説明に残す）、start: 開演・試合開始（予定の開始）、end: 終演（予定の終了）
+ */
+const TIME_ROLE_LABELS = [
+  { pattern: /^(?:開場|doors?|open)/i, role: "doors" },
+  { pattern: /^(?:開演|試合開始|本戦開始|開始|show|start)/i, role: "start" },
+  { pattern: /^(?:終演|終了|end)/i, role: "end" },
+];
+
+/**
+ * 時刻のラベル、または時刻（17:00、17時30分、18時半、6pm）
+ */
+const TIME_ROLE_TOKEN_PATTERN = new RegExp(
+  "(試合開始|本戦開始|開場|開演|開始|終演|終了|\\bdoors?(?:\\s+open)?\\b|" +
+    "\\bopen\\b|\\bshow(?:\\s*time)?\\b|\\bstarts?\\b|\\bends?\\b)" +
+    "(?:予定|時間|時刻)?" +
+    "|(\\d{1,2})(?:[:：](\\d{2})|時(?:(\\d{2})分|(半))?)" +
+    "(?:\\s*([ap])\\.?m\\b\\.?)?" +
+    "|(\\d{1,2})\\s*([ap])\\.?m\\b\\.?",
+  "gi"
+);
+
+/**
+ * 「開場17:00 開演18:00 終演予定21:00」「18:30開演」「Doors 6pm / Show 7pm」
+ * のように役割のラベルが付いた時刻を読み取る
+ * ラベルが時刻の前後どちらに書かれているかは、最初に現れたのがどちらかで判断する
+ * （「15:00 開場 16:00 開始」は後ろ、「開場 15:00 開始 16:00」は前）
+ * @param {string} text - 解析対象のテキスト
+ * @returns {object|null} { doors, start, end }（各 { hour, minute }）。
+ *   ラベル付きの時刻がない場合はnull
+ */
+function detectTimeRoles(text) {
+  if (!text || typeof text !== "string") return null;
+
+  // 抽出エンジンからも直接呼ばれるため、「開場十七時半」等はここで半角に揃える
+  if (typeof ChronoClip !== "undefined" && ChronoClip.normalizeDateText) {
+    text = ChronoClip.normalizeDateText(text).text;
+  }
+
+  const tokens = Array.from(
+    text.matchAll(TIME_ROLE_TOKEN_PATTERN),
+    (match) => ({
+      role: match[1] ? getTimeRole(match[1]) : null,
+      time: match[1] ? null : toRoleTime(match),
+      index: match.index,
+      end: match.index + match[0].length,
+    })
+  );
+
+  const firstLabel = tokens.findIndex((token) => token.role);
+  const firstTime = tokens.findIndex((token) => token.time);
+  if (firstLabel < 0 || firstTime < 0) return null;
+  const labelFirst = firstLabel < firstTime;
+
+  const roles = {};
+  tokens.forEach((token, index) => {
+    if (!token.role || roles[token.role]) return;
+
+    const neighbor = tokens[labelFirst ? index + 1 : index - 1];
+    if (!neighbor?.time) return;
+    const gap = labelFirst
+      ? text.slice(token.end, neighbor.index)
+      : text.slice(neighbor.end, token.index);
+    if (/^[\s:：=]*(?:at|@|は)?\s*$/i.test(gap)) {
+      roles[token.role] = neighbor.time;
+    }
+  });
+
+  return Object.keys(roles).length > 0 ? roles : null;
+}
+
+/**
+ * ラベルの役割を取得
+ * @param {string} label - ラベル（開場、Doors 等）
+ * @returns {string|null} "doors" / "start" / "end"
+ */
+function getTimeRole(label) {
+  const entry = TIME_ROLE_LABELS.find(({ pattern }) => pattern.test(label));
+  return entry ? entry.role : null;
+}
+
+/**
+ * 時刻のマッチを { hour, minute } に変換
+ * @param {Array} match - TIME_ROLE_TOKEN_PATTERN のマッチ
+ * @returns {object|null} { hour, minute }（不正な時刻はnull）
+ */
+function toRoleTime(match) {
+  let hour = parseInt(match[2] || match[7], 10);
+  const minute = parseInt(match[3] || match[4] || (match[5] ? 30 : 0), 10);
+  const meridiem = (match[6] || match[8] || "").toLowerCase();
+  if (meridiem) {
+    if (hour < 1 || hour > 12) return null;
+    hour = (hour % 12) + (meridiem === "p" ? 12 : 0);
+  }
+  if (hour > 24 || minute > 59) return null;
+  return { hour, minute };
+}
+
+/**
+ * ラベル付きの時刻で解析結果の開始・終了を決め直す
+ * 開始は開演（なければ開場）、終了は終演（なければ既定の長さ）とし、
+ * 開演と別に開場時刻があれば doorsTime（"HH:MM"）に残す
+ * @param {object} parsed - parseWithChrono / parseWithRegex の結果
+ * @param {object} roles - detectTimeRoles の結果
+ * @returns {object} 解析結果（複数日の範囲などは元のまま）
+ */
+function applyTimeRoles(parsed, roles) {
+  if (!parsed || !roles) return parsed;
+
+  const day = getParsedDay(parsed);
+  const startTime = roles.start || roles.doors;
+  if (!day || !startTime) return parsed;
+
+  const startClock = { ...day, ...startTime };
+  const endClock = roles.end
+    ? getClockAtOrAfter(startClock, roles.end.hour, roles.end.minute)
+    : shiftWallClock(
+        startClock,
+        getChronoClipConfig()?.EVENT?.DEFAULT_DURATION_MS ||
+          3 * 60 * 60 * 1000
+      );
+
+  let zone = null;
+  if (parsed.originalTimeZone) {
+    const { start, end, ...pageZone } = parsed.originalTimeZone;
+    zone = pageZone;
+  }
+
+  const result = buildDateTimeResult(startClock, endClock, zone, {
+    confidence: parsed.confidence,
+    source: parsed.source,
+  });
+  if (parsed.match) {
+    result.match = parsed.match;
+  }
+  if (roles.doors && roles.doors !== startTime) {
+    result.doorsTime = formatRoleTime(roles.doors);
+  }
+  return result;
+}
+
+/**
+ * 解析結果の日（ページに書かれたままの年月日）を取得
+ * @param {object} parsed - 解析結果
+ * @returns {object|null} { year, month, day }（複数日の範囲はnull）
+ */
+function getParsedDay(parsed) {
+  let date;
+  if (parsed.originalTimeZone) {
+    date = parsed.originalTimeZone.start.slice(0, 10);
+  } else if (parsed.type === "datetime") {
+    date = formatDate(new Date(parsed.start.dateTime));
+  } else if (parsed.end?.date > parsed.start.date) {
+    return null;
+  } else {
+    date = parsed.start.date;
+  }
+
+  const [year, month, day] = date.split("-").map(Number);
+  return { year, month, day };
+}
+
+/**
+ * { hour, minute } を "HH:MM" 形式にする
+ * @param {object} time - { hour, minute }
+ * @returns {string} 時刻
+ */
+function formatRoleTime(time) {
+  return `${String(time.hour).padStart(2, "0")}:${String(
+    time.minute
+  ).padStart(2, "0")}`;
+}
+
+/**
+ * 説明に開場時刻を書き添える（すでに書かれていればそのまま）
+ * @param {string} description - 説明
+ * @param {string} [doorsTime] - 開場時刻（"HH:MM"）
+ * @returns {string} 説明
+ */
+function appendDoorsTime(description, doorsTime) {
+  const text = description || "";
+  if (!doorsTime || text.includes(doorsTime)) return text;
+  return text ? `${text}\n開場 ${doorsTime}` : `開場 ${doorsTime}`;
+}
+
+/**
+ * 曜日（月曜始まり）
+ */
+const RELATIVE_WEEKDAYS = "月火水木金土日";
+
+/**
+ * 「来週金曜」「今週土曜日」「次の月曜」「金曜」などの曜日表現
+ * chrono-node の日本語パーサは相対的な曜日を解釈できないため自前で扱う
+ */
+const RELATIVE_WEEKDAY_PATTERN = /(再来週|来週|今週|次の)?\s*([月火水木金土日])曜日?/;
+
+/**
+ * 今週を起点とした週のずれ
+ */
+const RELATIVE_WEEK_OFFSETS = { 今週: 0, 来週: 7, 再来週: 14 };
+
+/**
+ * 「明日」「あさって」などの日付表現と基準日からの日数
+ * chrono.casual は「明日」を今日として扱うため、曜日と同じく自前で扱う
+ */
+const RELATIVE_DAY_OFFSETS = {
+  今日: 0,
+  本日: 0,
+  明日: 1,
+  あした: 1,
+  明後日: 2,
+  あさって: 2,
+  明々後日: 3,
+  しあさって: 3,
+};
+const RELATIVE_DAY_PATTERN = new RegExp(
+  Object.keys(RELATIVE_DAY_OFFSETS)
+    .sort((a, b) => b.length - a.length)
+    .join("|")
+);
+
+/**
+ * 「明日 19時」「来週金曜」などの日本語の相対的な日付を解析
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} referenceDate - 基準日時
+ * @returns {object|null} 解析結果（relative: true）。相対表現がなければnull
+ */
+function parseRelativeDate(text, referenceDate) {
+  const relativeDay = findRelativeDate(text, referenceDate);
+  if (!relativeDay) return null;
+
+  return parseTimeOnDay(text, relativeDay, {
+    source: "relative",
+    relative: true,
+  });
+}
+
+/**
+ * 「令和7年8月27日」「R7.8.27」などの和暦の日付を解析
+ * chrono-node は和暦を扱えず「7年8月27日」を西暦7年と読むため、先に読み取る
+ * 「令和7年8月27日〜29日」のように和暦の日付から始まる範囲は範囲として返す
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate] - 基準日時（省略時は現在）
+ * @returns {object|null} 解析結果。和暦の日付がなければnull
+ */
+function parseWarekiDate(text, referenceDate = new Date()) {
+  const warekiDay = findWarekiDay(text);
+  if (!warekiDay) return null;
+
+  const range = parseDateRange(text, referenceDate);
+  if (range && range.match.index === warekiDay.index) {
+    return range;
+  }
+
+  const parsed = parseTimeOnDay(text, warekiDay, { source: "wareki" });
+  // 時刻の日は基準日ではなく和暦の日付から補ったもの
+  delete parsed.relative;
+  return parsed;
+}
+
+/**
+ * 和暦の日付を検出して日付に変換
+ * @param {string} text - 解析対象のテキスト
+ * @returns {object|null} { index, length, date: その日の0時 }
+ */
+function findWarekiDay(text) {
+  if (typeof ChronoClip === "undefined" || !ChronoClip.findWarekiDate) {
+    return null;
+  }
+
+  const wareki = ChronoClip.findWarekiDate(text);
+  if (!wareki) return null;
+  return {
+    index: wareki.index,
+    length: wareki.length,
+    date: new Date(wareki.year, wareki.month - 1, wareki.day),
+  };
+}
+
+/**
+ * 西暦に変換できない和暦の日付を同じ長さの空白に置き換える
+ * @param {string} text - 解析対象のテキスト
+ * @returns {string} 置き換え後のテキスト
+ */
+function maskInvalidWareki(text) {
+  if (typeof ChronoClip === "undefined" || !ChronoClip.WAREKI_DATE_PATTERN) {
+    return text;
+  }
+  return text.replace(ChronoClip.WAREKI_DATE_PATTERN, (...match) =>
+    ChronoClip.parseWarekiMatch(match) ? match[0] : " ".repeat(match[0].length)
+  );
+}
+
+/**
+ * 日付として読み取った箇所を除いた残りから、その日の時刻を読み取る
+ * 位置がずれないよう、読み取った箇所は同じ長さの空白に置き換えて
+ * その日を基準に chrono-node で解析する
+ * @param {string} text - 解析対象のテキスト
+ * @param {object} found - { index, length, date: その日の0時 }
+ * @param {object} fields - 時刻がない場合の解析結果に加える項目（source 等）
+ * @returns {object} 解析結果
+ */
+function parseTimeOnDay(text, found, fields) {
+  const end = found.index + found.length;
+  const timeText =
+    text.slice(0, found.index) + " ".repeat(found.length) + text.slice(end);
+  const parsed = parseWithChrono(timeText, found.date);
+
+  // 「本日 9月1日 開催」のように日付も書かれていればそちらに従う
+  if (parsed && !parsed.relative) return parsed;
+  if (parsed?.type === "datetime") return parsed;
+
+  const day = formatDate(found.date);
+  return {
+    type: "date",
+    start: { date: day },
+    end: { date: day },
+    confidence: 0.8,
+    ...fields,
+    match: { index: found.index, text: text.slice(found.index, end) },
+  };
+}
+
+/**
+ * 日のない時刻とは別の箇所に書かれた日付を探す
+ * chrono-node の他の結果、範囲表記、正規表現による日付の順に調べる
+ * @param {string} text - 解析対象のテキスト
+ * @param {Array} results - chrono-node の解析結果
+ * @param {Date} referenceDate - 年を省略した場合の基準日時
+ * @returns {object|null} { index, length, date: その日の0時 }
+ */
+function findDayElsewhere(text, results, referenceDate) {
+  const toDay = (value) => {
+    const [year, month, day] = value.split("-").map(Number);
+    return new Date(year, month - 1, day);
+  };
+
+  const dated = results.find((result) => result.start.isCertain("day"));
+  if (dated) {
+    return {
+      index: dated.index,
+      length: dated.text.length,
+      date: toDay(formatDate(dated.start.date())),
+    };
+  }
+
+  const parsed = parseWithRegex(text, referenceDate);
+  const day =
+    parsed?.start.date ||
+    (parsed?.start.dateTime && formatDate(new Date(parsed.start.dateTime)));
+  if (!day || !parsed.match) return null;
+  return {
+    index: parsed.match.index,
+    length: parsed.match.text.length,
+    date: toDay(day),
+  };
+}
+
+/**
+ * 日付より先に書かれた時刻を、その日の時刻として読み直す
+ * 日付の箇所は同じ長さの空白に置き換え、その日を基準に chrono-node で解析する
+ * @param {string} text - 解析対象のテキスト
+ * @param {object} found - { index, length, date: その日の0時 }
+ * @returns {object|null} 解析結果（時刻が読み取れない場合はnull）
+ */
+function parseTimeBeforeDay(text, found) {
+  const end = found.index + found.length;
+  const timeText =
+    text.slice(0, found.index) + " ".repeat(found.length) + text.slice(end);
+  const parsed = parseWithChrono(timeText, found.date, { findDay: false });
+  if (parsed?.type !== "datetime") return null;
+
+  // 日は基準日ではなく書かれた日付から補ったもの
+  delete parsed.relative;
+  const start = Math.min(parsed.match.index, found.index);
+  const matchEnd = Math.max(parsed.match.index + parsed.match.text.length, end);
+  parsed.match = { index: start, text: text.slice(start, matchEnd) };
+  return parsed;
+}
+
+/**
+ * 「明日」などの日付表現、または相対的な曜日表現を検出して日付に変換
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} [referenceDate] - 基準日時（省略時は現在）
+ * @returns {object|null} { index, length, date: その日の0時 }
+ */
+function findRelativeDate(text, referenceDate = new Date()) {
+  if (!text || typeof text !== "string") return null;
+  return (
+    findRelativeDay(text, referenceDate) ||
+    findRelativeWeekday(text, referenceDate)
+  );
+}
+
+/**
+ * 「明日」などの日付表現を検出して日付に変換
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} referenceDate - 基準日時
+ * @returns {object|null} { index, length, date: その日の0時 }
+ */
+function findRelativeDay(text, referenceDate) {
+  const match = text.match(RELATIVE_DAY_PATTERN);
+  if (!match) return null;
+
+  const date = new Date(
+    referenceDate.getFullYear(),
+    referenceDate.getMonth(),
+    referenceDate.getDate() + RELATIVE_DAY_OFFSETS[match[0]]
+  );
+  return { index: match.index, length: match[0].length, date };
+}
+
+/**
+ * 相対的な曜日表現を検出して日付に変換
+ * @param {string} text - 解析対象のテキスト
+ * @param {Date} referenceDate - 基準日時
+ * @returns {object|null} { index, length, date: その日の0時 }
+ */
+function findRelativeWeekday(text, referenceDate) {
+  const match = text.match(RELATIVE_WEEKDAY_PATTERN);
+  if (!match) return null;
+
+  const [, prefix, weekdayChar] = match;
+  const base = new Date(
+    referenceDate.getFullYear(),
+    referenceDate.getMonth(),
+    referenceDate.getDate()
+  );
+  const targetIndex = RELATIVE_WEEKDAYS.indexOf(weekdayChar);
+  const todayIndex = (base.getDay() + 6) % 7; // 月曜=0
+
+  let offset;
+  if (prefix in RELATIVE_WEEK_OFFSETS) {
+    offset = targetIndex - todayIndex + RELATIVE_WEEK_OFFSETS[prefix];
+  } else {
+    // 「金曜」は基準日以降で最も近い金曜、「次の金曜」は基準日を含めない
+    offset = (targetIndex - todayIndex + 7) % 7;
+    if (prefix === "次の" && offset === 0) {
+      offset = 7;
+    }
+  }
+
+  base.setDate(base.getDate() + offset);
+  return { index: match.index, length: match[0].length, date: base };
+}
+
 /**
  * 日付をYYYY-MM-DD形式でフォーマット
  * @param {Date} date - フォーマットする日付
@@ -337,22 +1847,211 @@ function formatDate(date) {
   return `${year}-${month}-${day}`;
 }
 
+/**
+ * 読み取った時刻に付いたタイムゾーン（7pm PT、18:00 JST、GMT+2 など）を検出
+ * マッチした範囲の中か、その直後に書かれたものに限る
+ * （「18:00開始 ※受付 9:00 PT まで」の PT は別の時刻のもの）
+ * @param {string} text - 解析対象のテキスト
+ * @param {number} start - マッチした範囲の開始位置
+ * @param {number} end - マッチした範囲の終了位置
+ * @returns {object|null} ChronoClip.detectTimeZone の結果
+ */
+function detectPageTimeZone(text, start, end) {
+  if (typeof ChronoClip === "undefined" || !ChronoClip.detectTimeZone) {
+    return null;
+  }
+  return (
+    ChronoClip.detectTimeZoneAtStart(text.slice(end)) ||
+    ChronoClip.detectTimeZone(text.slice(start, end))
+  );
+}
+
+/**
+ * chrono-node が確定したタイムゾーンオフセット（ISO形式の "+09:00" 等）を取得
+ * @param {object} component - chrono-node の ParsedComponents
+ * @returns {object|null} detectTimeZone と同じ形式のタイムゾーン
+ */
+function getChronoTimeZone(component) {
+  if (!component.isCertain("timezoneOffset")) return null;
+
+  const offsetMinutes = component.get("timezoneOffset");
+  if (typeof offsetMinutes !== "number") return null;
+
+  return {
+    label: ChronoClip.formatUtcOffset(offsetMinutes),
+    timeZone: null,
+    offsetMinutes,
+  };
+}
+
+/**
+ * 基準日時から日を求める chrono-node のパーサのタグ
+ * （tomorrow・明日、next Saturday、next week、in 3 days、3 days ago 等）
+ */
+const CHRONO_RELATIVE_TAG_PATTERN =
+  /(?:CasualDate|Weekday|RelativeDateFormat|DeadlineFormat|TimeAgoFormat)Parser$/;
+
+/**
+ * chrono-node の解析結果が、基準日時から日を求めたものか
+ * 曜日（next Saturday）や「明日」は日が確定（isCertain）した扱いになるため、
+ * 読み取ったパーサのタグでも判定する
+ * @param {object} result - chrono-node の ParsedResult
+ * @returns {boolean} 相対的な日付なら true
+ */
+function isRelativeChronoResult(result) {
+  return (
+    !result.start.isCertain("day") ||
+    Object.keys(result.tags || {}).some((tag) =>
+      CHRONO_RELATIVE_TAG_PATTERN.test(tag)
+    )
+  );
+}
+
+/**
+ * chrono-node の解析結果から、書かれたままの年月日時分を取得
+ * @param {object} component - chrono-node の ParsedComponents
+ * @returns {object} { year, month, day, hour, minute }
+ */
+function getChronoWallClock(component) {
+  return {
+    year: component.get("year"),
+    month: component.get("month"),
+    day: component.get("day"),
+    hour: component.get("hour"),
+    minute: component.get("minute") || 0,
+  };
+}
+
+/**
+ * 年月日時分をミリ秒だけずらす（タイムゾーンに依存しない計算）
+ * @param {object} wallClock - { year, month, day, hour, minute }
+ * @param {number} durationMs - ずらすミリ秒
+ * @returns {object} ずらした { year, month, day, hour, minute }
+ */
+function shiftWallClock(wallClock, durationMs) {
+  const shifted = new Date(
+    Date.UTC(
+      wallClock.year,
+      wallClock.month - 1,
+      wallClock.day,
+      wallClock.hour,
+      wallClock.minute
+    ) + durationMs
+  );
+  return {
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: shifted.getUTCHours(),
+    minute: shifted.getUTCMinutes(),
+  };
+}
+
+/**
+ * 年月日時分を "YYYY-MM-DDTHH:mm" 形式でフォーマット
+ * @param {object} wallClock - { year, month, day, hour, minute }
+ * @returns {string} フォーマットされた文字列
+ */
+function formatWallClock(wallClock) {
+  const pad = (value) => String(value).padStart(2, "0");
+  return (
+    `${wallClock.year}-${pad(wallClock.month)}-${pad(wallClock.day)}` +
+    `T${pad(wallClock.hour)}:${pad(wallClock.minute)}`
+  );
+}
+
+/**
+ * 時刻付きイベントの解析結果を組み立てる
+ * タイムゾーンの指定があればその地域の時刻として解釈し、ユーザーのタイムゾーンに変換する。
+ * 元の表記は originalTimeZone に残し、ポップアップで変換後の時刻と併記する
+ * @param {object} startClock - 開始の { year, month, day, hour, minute }
+ * @param {object} endClock - 終了の { year, month, day, hour, minute }
+ * @param {object|null} zone - 書かれていたタイムゾーン
+ * @param {object} meta - { confidence, source }
+ * @returns {object} 解析結果
+ */
+function buildDateTimeResult(startClock, endClock, zone, meta) {
+  const toDate = (clock) =>
+    zone
+      ? ChronoClip.zonedTimeToDate(clock, zone)
+      : new Date(
+          clock.year,
+          clock.month - 1,
+          clock.day,
+          clock.hour,
+          clock.minute
+        );
+
+  const result = {
+    type: "datetime",
+    start: {
+      dateTime: toDate(startClock).toISOString(),
+      timeZone: getDefaultTimeZone(),
+    },
+    end: {
+      dateTime: toDate(endClock).toISOString(),
+      timeZone: getDefaultTimeZone(),
+    },
+    confidence: meta.confidence,
+    source: meta.source,
+  };
+
+  if (zone) {
+    result.originalTimeZone = {
+      ...zone,
+      start: formatWallClock(startClock),
+      end: formatWallClock(endClock),
+    };
+  }
+
+  return result;
+}
+
 /**
  * デフォルトのタイムゾーンを取得
  * @returns {string} タイムゾーン文字列
  */
 function getDefaultTimeZone() {
   return (
-    window.ChronoClipConfig?.DATE?.DEFAULT_TIMEZONE ||
+    getChronoClipConfig()?.DATE?.DEFAULT_TIMEZONE ||
     Intl.DateTimeFormat().resolvedOptions().timeZone
   );
 }
 
-// グローバルに公開
-window.ChronoClipDateParser = {
+/**
+ * 定数設定（config/constants.js）を取得
+ * Service Worker では読み込まれないため undefined になる
+ * @returns {object|undefined} ChronoClipConfig
+ */
+function getChronoClipConfig() {
+  return typeof window !== "undefined" ? window.ChronoClipConfig : undefined;
+}
+
+const ChronoClipDateParser = {
   parseDate,
   parseWithChrono,
   parseWithRegex,
+  parseDateRange,
+  findRelativeDate,
+  findWarekiDay,
+  detectTimeRoles,
+  applyTimeRoles,
+  appendDoorsTime,
+  parseRecurrence,
+  parseRecurringDate,
+  detectDeadline,
+  buildRRule,
+  getFirstOccurrence,
   formatDate,
   getDefaultTimeZone,
 };
+
+// グローバルに公開（ブラウザ環境）
+if (typeof window !== "undefined") {
+  window.ChronoClipDateParser = ChronoClipDateParser;
+}
+
+// Service Worker環境では self を使用（アドレスバーからのクイック追加）
+if (typeof self !== "undefined" && typeof window === "undefined") {
+  self.ChronoClipDateParser = ChronoClipDateParser;
+}
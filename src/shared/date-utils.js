@@ -41,38 +41,369 @@ ChronoClip.ERA_START_YEARS = {
   "平成": 1988, // 平成元年は1989年
   "昭和": 1925, // 昭和元年は1926年
   "大正": 1911, // 大正元年は1912年
+  "明治": 1867, // 明治元年は1868年
+};
+
+/**
+ * 元号の期間（初日と最終日）。
+ * 改元の年は前後の元号が同じ年に並ぶため、年だけでなく日付で検証します。
+ * 大正と昭和は改元の日（1926年12月25日）が両方の元号に含まれます
+ * （明治と大正の1912年7月30日も同様）。
+ * 明治5年までは旧暦のため、新暦に改められた明治6年1月1日からを扱います。
+ */
+ChronoClip.ERA_PERIODS = {
+  "令和": { start: "2019-05-01", end: null },
+  "平成": { start: "1989-01-08", end: "2019-04-30" },
+  "昭和": { start: "1926-12-25", end: "1989-01-07" },
+  "大正": { start: "1912-07-30", end: "1926-12-25" },
+  "明治": { start: "1873-01-01", end: "1912-07-30" },
+};
+
+/**
+ * 元号の略称（R7.8.27、H31/4/30 など）。
+ */
+ChronoClip.ERA_ABBREVIATIONS = {
+  R: "令和",
+  H: "平成",
+  S: "昭和",
+  T: "大正",
+  M: "明治",
+};
+
+/**
+ * 漢数字と数値の対応。
+ */
+ChronoClip.KANJI_DIGITS = {
+  "〇": 0,
+  "一": 1,
+  "二": 2,
+  "三": 3,
+  "四": 4,
+  "五": 5,
+  "六": 6,
+  "七": 7,
+  "八": 8,
+  "九": 9,
+};
+
+/**
+ * 和暦の年・月・日の数字を数値に変換します。
+ * 半角・全角の数字、漢数字（「二十七」「十」「二〇」）、「元」（元年）を扱います。
+ * @param {string|number} text 数字。
+ * @returns {number} 数値。変換できない場合は NaN。
+ */
+ChronoClip.parseJapaneseNumber = function(text) {
+  const normalized = String(text)
+    .trim()
+    .replace(/[０-９]/g, (char) =>
+      String.fromCharCode(char.charCodeAt(0) - 0xfee0)
+    );
+
+  if (normalized === "元") {
+    return 1;
+  }
+  if (/^\d+$/.test(normalized)) {
+    return parseInt(normalized, 10);
+  }
+  if (!/^[〇一二三四五六七八九十]+$/.test(normalized)) {
+    return NaN;
+  }
+
+  // 「二〇」のような位取りの書き方
+  const tenIndex = normalized.indexOf("十");
+  if (tenIndex === -1) {
+    return parseInt(
+      Array.from(normalized, (char) => ChronoClip.KANJI_DIGITS[char]).join(""),
+      10
+    );
+  }
+
+  // 「十」「二十七」のような書き方（「十」は1つまで）
+  const tensText = normalized.slice(0, tenIndex);
+  const onesText = normalized.slice(tenIndex + 1);
+  const tens = tensText ? ChronoClip.KANJI_DIGITS[tensText] : 1;
+  const ones = onesText ? ChronoClip.KANJI_DIGITS[onesText] : 0;
+  if (tens === undefined || ones === undefined) {
+    return NaN;
+  }
+  return tens * 10 + ones;
+};
+
+/**
+ * 元号の表記（「令和」や略称の「R」）を元号名に揃えます。
+ * @param {string} era 元号の表記。
+ * @returns {string|null} 元号名。対応していない場合はnull。
+ */
+ChronoClip.normalizeEra = function(era) {
+  if (!era) return null;
+  if (ChronoClip.ERA_START_YEARS[era] !== undefined) {
+    return era;
+  }
+  return ChronoClip.ERA_ABBREVIATIONS[String(era).toUpperCase()] || null;
 };
 
 /**
  * 和暦を西暦の年に変換します。
- * @param {string} era 元号 (例: "令和")。
- * @param {string|number} eraYearStr 元号の年 (例: "6" or "元")。
+ * @param {string} era 元号 (例: "令和"、"R")。
+ * @param {string|number} eraYearStr 元号の年 (例: "6"、"元"、"六")。
  * @returns {number|null} 西暦の年。変換できない場合はnull。
  */
 ChronoClip.convertWarekiToGregorianYear = function(era, eraYearStr) {
-  const baseYear = ChronoClip.ERA_START_YEARS[era];
+  const baseYear = ChronoClip.ERA_START_YEARS[ChronoClip.normalizeEra(era)];
   if (baseYear === undefined) {
     return null;
   }
 
-  const eraYear = (eraYearStr === "元") ? 1 : parseInt(eraYearStr, 10);
-  if (isNaN(eraYear)) {
+  const eraYear = ChronoClip.parseJapaneseNumber(eraYearStr);
+  if (isNaN(eraYear) || eraYear < 1) {
     return null;
   }
 
   return baseYear + eraYear;
 };
 
+/**
+ * 和暦の年月日を西暦の年月日に変換します。
+ * 存在しない日付や、元号の期間外の日付（「平成31年5月1日」「令和元年4月30日」
+ * など）は変換しません。
+ * @param {string} era 元号 (例: "令和"、"R")。
+ * @param {string|number} eraYearStr 元号の年。
+ * @param {string|number} monthStr 月。
+ * @param {string|number} dayStr 日。
+ * @returns {{year: number, month: number, day: number}|null}
+ *   西暦の年月日。変換できない場合はnull。
+ */
+ChronoClip.convertWarekiToGregorianDate = function(
+  era,
+  eraYearStr,
+  monthStr,
+  dayStr
+) {
+  const year = ChronoClip.convertWarekiToGregorianYear(era, eraYearStr);
+  const month = ChronoClip.parseJapaneseNumber(monthStr);
+  const day = ChronoClip.parseJapaneseNumber(dayStr);
+  if (!year || !ChronoClip.isValidDate(year, month, day)) {
+    return null;
+  }
+
+  const period = ChronoClip.ERA_PERIODS[ChronoClip.normalizeEra(era)];
+  const date = `${year}-${String(month).padStart(2, "0")}-${String(
+    day
+  ).padStart(2, "0")}`;
+  if (date < period.start || (period.end && date > period.end)) {
+    return null;
+  }
+
+  return { year, month, day };
+};
+
+/**
+ * ChronoClip.WAREKI_DATE_PATTERN のマッチを西暦の年月日に変換します。
+ * @param {Array} match WAREKI_DATE_PATTERN のマッチ結果。
+ * @returns {{year: number, month: number, day: number}|null}
+ *   西暦の年月日。元号の期間外などで変換できない場合はnull。
+ */
+ChronoClip.parseWarekiMatch = function(match) {
+  const [, era, year, month, day, shortEra, shortYear, shortMonth, shortDay] =
+    match;
+  return era
+    ? ChronoClip.convertWarekiToGregorianDate(era, year, month, day)
+    : ChronoClip.convertWarekiToGregorianDate(
+        shortEra,
+        shortYear,
+        shortMonth,
+        shortDay
+      );
+};
+
+/**
+ * テキスト中の最初の（変換できる）和暦の日付を探します。
+ * @param {string} text 検索対象のテキスト。
+ * @returns {object|null} { year, month, day, index, length }。
+ *   見つからない場合はnull。
+ */
+ChronoClip.findWarekiDate = function(text) {
+  if (!text) return null;
+
+  for (const match of String(text).matchAll(ChronoClip.WAREKI_DATE_PATTERN)) {
+    const date = ChronoClip.parseWarekiMatch(match);
+    if (date) {
+      return { ...date, index: match.index, length: match[0].length };
+    }
+  }
+  return null;
+};
+
+/**
+ * 日付表記の正規化（全角数字・漢数字・「半」・午前/午後）の置き換え規則。
+ * 先頭から順に適用し、後の規則は前の規則の結果に対して適用します。
+ * 漢数字は「年」「月」「日」「時」の前（「一時的」「一時間」は除く）と、
+ * 「時」の後の「分」の前だけを数字にします（「一緒」「十分」などはそのまま）。
+ */
+ChronoClip.DATE_TEXT_NORMALIZERS = [
+  // 全角数字・記号: ８月２７日 １８：３０ → 8月27日 18:30
+  [
+    /[０-９：／．]/g,
+    (char) => String.fromCharCode(char.charCodeAt(0) - 0xfee0),
+  ],
+  // 漢数字: 二〇二五年八月二十七日 → 2025年8月27日
+  [
+    new RegExp(
+      "[〇一二三四五六七八九十]+(?=\\s*(?:年|月|日|時(?![間的期点])))" +
+        "|(?<=時\\s*)[〇一二三四五六七八九十]+(?=\\s*分)",
+      "g"
+    ),
+    (number) => {
+      const value = ChronoClip.parseJapaneseNumber(number);
+      return isNaN(value) ? number : String(value);
+    },
+  ],
+  // 「7時半」→「7時30分」
+  [/(?<=\d\s*時)半/g, () => "30分"],
+  // 「19時30分 8月27日」の「8」が秒として読まれないよう、分の直後の数字との間を
+  // 「、」で区切る（「30分15秒」のような秒の表記はそのまま）
+  [/(?<=\d\s*分)(?=\s*\d)(?!\s*\d+\s*秒)/g, () => "、"],
+  // 午前・午後: 午後7時 → 19時、午後7:30 → 19:30、午前12時 → 0時
+  [
+    /(午前|午後)\s*(\d{1,2})(?=\s*[:時])/g,
+    (match, meridiem, hourText) => {
+      const hour = parseInt(hourText, 10);
+      if (hour > 12) return match;
+      return String((hour % 12) + (meridiem === "午後" ? 12 : 0));
+    },
+  ],
+  // 日付と時刻の間の曜日: 8月27日(水)18:30 → 8月27日   18:30
+  [
+    /[(（][月火水木金土日](?:曜日?)?[)）](?=\s*\d{1,2}\s*[:時])/g,
+    (weekday) => " ".repeat(weekday.length),
+  ],
+];
+
+/**
+ * 日付を解析する前に、全角数字・漢数字などを半角数字の表記に揃えます。
+ * ハイライトなどで元のテキストの位置に戻せるよう、正規化後の各文字が
+ * 元のテキストのどの位置に当たるかを offsets に保持します
+ * （offsets[正規化後の位置] = 元の位置。末尾には元のテキストの長さを持ちます）。
+ * 位置を戻すには ChronoClip.mapNormalizedRange を使います。
+ * @param {string} text 元のテキスト。
+ * @returns {{text: string, offsets: number[]}} 正規化後のテキストと位置の対応。
+ */
+ChronoClip.normalizeDateText = function(text) {
+  let result = ChronoClip.createTextOffsets(text);
+  for (const [pattern, replacer] of ChronoClip.DATE_TEXT_NORMALIZERS) {
+    result = ChronoClip.replaceTextWithOffsets(result, pattern, replacer);
+  }
+  return result;
+};
+
+/**
+ * 置き換え前のテキストと位置の対応（各文字が同じ位置に当たるもの）を作成します。
+ * @param {string} text 元のテキスト。
+ * @returns {{text: string, offsets: number[]}} テキストと位置の対応。
+ */
+ChronoClip.createTextOffsets = function(text) {
+  const source = text ? String(text) : "";
+  return {
+    text: source,
+    offsets: Array.from({ length: source.length + 1 }, (_, index) => index),
+  };
+};
+
+/**
+ * 位置の対応を保ったままテキストを置き換えます。
+ * @param {{text: string, offsets: number[]}} result 置き換え前のテキストと位置の対応。
+ * @param {RegExp} pattern 置き換える箇所のパターン（g フラグ付き）。
+ * @param {Function} replacer String.prototype.replace と同じ引数で呼ばれる関数。
+ * @returns {{text: string, offsets: number[]}} 置き換え後のテキストと位置の対応。
+ */
+ChronoClip.replaceTextWithOffsets = function(result, pattern, replacer) {
+  let normalized = "";
+  const offsets = [];
+  let position = 0;
+
+  const copy = (from, to) => {
+    for (let index = from; index < to; index++) {
+      normalized += result.text[index];
+      offsets.push(result.offsets[index]);
+    }
+  };
+
+  for (const match of result.text.matchAll(pattern)) {
+    const replacement = replacer(...match);
+    copy(position, match.index);
+    Array.from(replacement).forEach((char, index) => {
+      normalized += char;
+      // 同じ長さの置き換えは1文字ずつ、それ以外は置き換えた箇所の先頭に対応させる
+      offsets.push(
+        result.offsets[
+          match.index + (replacement.length === match[0].length ? index : 0)
+        ]
+      );
+    });
+    position = match.index + match[0].length;
+  }
+  copy(position, result.text.length);
+  offsets.push(result.offsets[result.text.length]);
+
+  return { text: normalized, offsets };
+};
+
+/**
+ * テキスト中の和暦の日付を西暦の表記に置き換えます
+ * （「令和7年8月27日」→「2025年8月27日」、「R7.8.27」→「2025/8/27」）。
+ * 「令和7年8月27日〜29日」のような範囲を西暦の範囲と同じく読み取るために使います。
+ * 元号の期間外などで変換できない日付はそのまま残します。
+ * @param {string} text 元のテキスト。
+ * @returns {{text: string, offsets: number[]}} 置き換え後のテキストと位置の対応
+ *   （ChronoClip.mapNormalizedRange で元の位置に戻せます）。
+ */
+ChronoClip.convertWarekiDateText = function(text) {
+  return ChronoClip.replaceTextWithOffsets(
+    ChronoClip.createTextOffsets(text),
+    ChronoClip.WAREKI_DATE_PATTERN,
+    (...match) => {
+      const date = ChronoClip.parseWarekiMatch(match);
+      if (!date) return match[0];
+      return match[1]
+        ? `${date.year}年${date.month}月${date.day}日`
+        : `${date.year}/${date.month}/${date.day}`;
+    }
+  );
+};
+
+/**
+ * 正規化後のテキストの範囲を、元のテキストの範囲に戻します。
+ * 「二十七」→「27」のように長さの変わった箇所の途中で終わる場合は、
+ * その箇所の終わりまでを範囲に含めます。
+ * @param {{text: string, offsets: number[]}} normalized ChronoClip.normalizeDateText の結果。
+ * @param {number} start 正規化後の開始位置。
+ * @param {number} end 正規化後の終了位置（この位置の文字は含みません）。
+ * @returns {{start: number, end: number}} 元のテキストでの範囲。
+ */
+ChronoClip.mapNormalizedRange = function(normalized, start, end) {
+  const { offsets } = normalized;
+  let endIndex = Math.min(end, offsets.length - 1);
+  while (
+    endIndex > start &&
+    endIndex < offsets.length - 1 &&
+    offsets[endIndex] === offsets[endIndex - 1]
+  ) {
+    endIndex++;
+  }
+  return { start: offsets[start], end: offsets[endIndex] };
+};
+
 /**
  * 年が省略された月日から、適切な年を推測してDateオブジェクトを返します。
- * - 候補日が今日より未来の場合、今年の年月日を返します。
- * - 候補日が今日より過去の場合、来年の年月日を返します。
+ * - 候補日が基準日より未来の場合、基準日の年の年月日を返します。
+ * - 候補日が基準日より過去の場合、翌年の年月日を返します。
  * @param {number|string} month 月。
  * @param {number|string} day 日。
+ * @param {Date} [referenceDate] 基準日（ページの公開日など。省略時は今日）。
  * @returns {Date} 推測された年月日を持つDateオブジェクト。
  */
-ChronoClip.resolveYearForMonthDay = function(month, day) {
-  const now = new Date();
+ChronoClip.resolveYearForMonthDay = function(month, day, referenceDate) {
+  const now = referenceDate ? new Date(referenceDate) : new Date();
   const currentYear = now.getFullYear();
   const monthNum = parseInt(month, 10);
   const dayNum = parseInt(day, 10);
@@ -89,3 +420,225 @@ ChronoClip.resolveYearForMonthDay = function(month, day) {
 
   return candidateDate;
 };
+
+/**
+ * 時刻の後に書かれるタイムゾーン略称と、そのタイムゾーン。
+ * 夏時間のある地域の総称（PT、ET など）は IANA 名で、それ以外は UTC からのオフセット（分）で持ちます。
+ * CST は米国中部標準時、IST はインド標準時として扱います。
+ */
+ChronoClip.TIME_ZONE_ABBREVIATIONS = {
+  PT: "America/Los_Angeles",
+  PST: -480,
+  PDT: -420,
+  MT: "America/Denver",
+  MST: -420,
+  MDT: -360,
+  CT: "America/Chicago",
+  CST: -360,
+  CDT: -300,
+  ET: "America/New_York",
+  EST: -300,
+  EDT: -240,
+  AKST: -540,
+  AKDT: -480,
+  HST: -600,
+  UTC: 0,
+  GMT: 0,
+  WET: 0,
+  BST: 60,
+  CET: 60,
+  CEST: 120,
+  EET: 120,
+  EEST: 180,
+  IST: 330,
+  SGT: 480,
+  HKT: 480,
+  KST: 540,
+  JST: 540,
+  AWST: 480,
+  ACST: 570,
+  AEST: 600,
+  AEDT: 660,
+  AET: "Australia/Sydney",
+  NZST: 720,
+  NZDT: 780,
+  日本時間: "Asia/Tokyo",
+};
+
+/**
+ * 時刻（18:00、7pm、18時など）の正規表現のソース（キャプチャなし）。
+ */
+ChronoClip.TIME_OF_DAY_PATTERN_SOURCE =
+  "(?:\\d{1,2}:\\d{2}(?:\\s*[aApP]\\.?[mM]\\.?)?|" +
+  "\\d{1,2}\\s*[aApP]\\.?[mM]\\.?|" +
+  "\\d{1,2}時(?:\\d{1,2}分)?)";
+
+/**
+ * タイムゾーン表記の正規表現のソース。
+ * 1-3: UTC/GMT のオフセット表記（符号・時・分）、4: 略称
+ */
+ChronoClip.TIME_ZONE_NAME_PATTERN_SOURCE =
+  "[(（]?\\s*(?:" +
+  "(?:UTC|GMT)\\s*([+\\-−])\\s*(\\d{1,2})(?::?(\\d{2}))?|" +
+  "(" +
+  Object.keys(ChronoClip.TIME_ZONE_ABBREVIATIONS)
+    .sort((a, b) => b.length - a.length)
+    .join("|") +
+  ")(?![A-Za-z]))";
+
+/**
+ * 時刻の直後のタイムゾーン表記にマッチする正規表現（グループは上と同じ）。
+ */
+ChronoClip.TIME_ZONE_AFTER_TIME_PATTERN = new RegExp(
+  ChronoClip.TIME_OF_DAY_PATTERN_SOURCE +
+    "\\s*" +
+    ChronoClip.TIME_ZONE_NAME_PATTERN_SOURCE
+);
+
+/**
+ * テキストの先頭のタイムゾーン表記にマッチする正規表現（グループは上と同じ）。
+ * 「18:00〜21:00 JST」のように範囲の終了時刻を挟む場合も含めます。
+ */
+ChronoClip.TIME_ZONE_AT_START_PATTERN = new RegExp(
+  "^\\s*(?:(?:[〜~\\-–―]|to|から)\\s*" +
+    ChronoClip.TIME_OF_DAY_PATTERN_SOURCE +
+    "\\s*)?" +
+    ChronoClip.TIME_ZONE_NAME_PATTERN_SOURCE
+);
+
+/**
+ * "GMT+2" や "(UTC-05:00)" のような UTC からのオフセット表記にマッチする正規表現。
+ */
+ChronoClip.UTC_OFFSET_PATTERN =
+  /[(（]?\s*(?:UTC|GMT)\s*[+\-−]\s*\d{1,2}(?::?\d{2})?\s*[)）]?/g;
+
+/**
+ * テキスト中で時刻の直後に書かれたタイムゾーンを検出します。
+ * @param {string} text 検出対象のテキスト。
+ * @returns {object|null} タイムゾーン { label, timeZone, offsetMinutes }。
+ *   timeZone（IANA 名）か offsetMinutes（固定オフセット）のどちらかを持ちます。
+ *   見つからない場合は null。
+ */
+ChronoClip.detectTimeZone = function(text) {
+  if (!text) return null;
+  return ChronoClip.toTimeZone(
+    String(text).match(ChronoClip.TIME_ZONE_AFTER_TIME_PATTERN)
+  );
+};
+
+/**
+ * テキストの先頭（時刻の直後から始まるテキスト）のタイムゾーンを検出します。
+ * 後ろの別の時刻に付いたタイムゾーンは拾いません。
+ * @param {string} text 時刻の直後から始まるテキスト。
+ * @returns {object|null} ChronoClip.detectTimeZone と同じ形式。
+ */
+ChronoClip.detectTimeZoneAtStart = function(text) {
+  if (!text) return null;
+  return ChronoClip.toTimeZone(
+    String(text).match(ChronoClip.TIME_ZONE_AT_START_PATTERN)
+  );
+};
+
+/**
+ * タイムゾーン表記のマッチ結果をタイムゾーンに変換します。
+ * @param {Array|null} match TIME_ZONE_NAME_PATTERN_SOURCE を含む正規表現のマッチ結果。
+ * @returns {object|null} ChronoClip.detectTimeZone と同じ形式。
+ */
+ChronoClip.toTimeZone = function(match) {
+  if (!match) return null;
+
+  if (match[2] !== undefined) {
+    const sign = match[1] === "+" ? 1 : -1;
+    const hours = parseInt(match[2], 10);
+    const minutes = match[3] ? parseInt(match[3], 10) : 0;
+    if (hours > 14 || minutes > 59) return null;
+    return {
+      label: ChronoClip.formatUtcOffset(sign * (hours * 60 + minutes)),
+      timeZone: null,
+      offsetMinutes: sign * (hours * 60 + minutes),
+    };
+  }
+
+  const zone = ChronoClip.TIME_ZONE_ABBREVIATIONS[match[4]];
+  return {
+    label: match[4],
+    timeZone: typeof zone === "string" ? zone : null,
+    offsetMinutes: typeof zone === "number" ? zone : null,
+  };
+};
+
+/**
+ * UTC からのオフセットを "UTC+09:00" 形式で返します。
+ * @param {number} offsetMinutes UTC からのオフセット（分）。
+ * @returns {string} 表示用の文字列。
+ */
+ChronoClip.formatUtcOffset = function(offsetMinutes) {
+  const sign = offsetMinutes < 0 ? "-" : "+";
+  const abs = Math.abs(offsetMinutes);
+  return `UTC${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}:${String(
+    abs % 60
+  ).padStart(2, "0")}`;
+};
+
+/**
+ * 指定時刻における IANA タイムゾーンの UTC からのオフセット（分）を返します。
+ * @param {string} timeZone IANA タイムゾーン名。
+ * @param {number} instant UNIX ミリ秒。
+ * @returns {number} オフセット（分）。
+ */
+ChronoClip.getTimeZoneOffsetMinutes = function(timeZone, instant) {
+  const parts = {};
+  new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "numeric",
+    day: "numeric",
+    hour: "numeric",
+    minute: "numeric",
+    second: "numeric",
+  })
+    .formatToParts(new Date(instant))
+    .forEach(({ type, value }) => {
+      parts[type] = parseInt(value, 10);
+    });
+
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+};
+
+/**
+ * タイムゾーンの現地時刻（年月日時分）を Date に変換します。
+ * @param {object} wallClock 現地時刻 { year, month (1-12), day, hour, minute }。
+ * @param {object} zone ChronoClip.detectTimeZone の結果。
+ * @returns {Date} 変換後の日時。
+ */
+ChronoClip.zonedTimeToDate = function(wallClock, zone) {
+  const asUtc = Date.UTC(
+    wallClock.year,
+    wallClock.month - 1,
+    wallClock.day,
+    wallClock.hour,
+    wallClock.minute
+  );
+
+  if (!zone.timeZone) {
+    return new Date(asUtc - zone.offsetMinutes * 60000);
+  }
+
+  // 夏時間の切り替え付近に対応するため、求めた時刻のオフセットで再計算する
+  const firstOffset = ChronoClip.getTimeZoneOffsetMinutes(zone.timeZone, asUtc);
+  const firstGuess = asUtc - firstOffset * 60000;
+  const offset = ChronoClip.getTimeZoneOffsetMinutes(
+    zone.timeZone,
+    firstGuess
+  );
+  return new Date(asUtc - offset * 60000);
+};
@@ -11,6 +11,8 @@ const ERROR_CATEGORIES = {
   AUTH_REQUIRED: "auth_required",
   AUTH_FAILED: "auth_failed",
   AUTH_EXPIRED: "auth_expired",
+  CALDAV_AUTH_FAILED: "caldav_auth_failed",
+  MICROSOFT_AUTH_REQUIRED: "microsoft_auth_required",
 
   // 権限関連
   PERMISSION_DENIED: "permission_denied",
@@ -25,6 +27,7 @@ const ERROR_CATEGORIES = {
   API_ERROR: "api_error",
   API_QUOTA_EXCEEDED: "api_quota_exceeded",
   API_INVALID_REQUEST: "api_invalid_request",
+  MICROSOFT_API_ERROR: "microsoft_api_error",
 
   // 解析関連
   PARSE_FAILED: "parse_failed",
@@ -47,6 +50,39 @@ const ERROR_CATEGORIES = {
   UNEXPECTED_ERROR: "unexpected_error",
 };
 
+/**
+ * Microsoft Graph のエラーコード（error.code）と分類の対応
+ * 一覧にないコードは HTTP ステータスで分類する
+ */
+const GRAPH_ERROR_CATEGORIES = {
+  InvalidAuthenticationToken: ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED,
+  AuthenticationError: ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED,
+  invalid_grant: ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED,
+  interaction_required: ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED,
+  access_denied: ERROR_CATEGORIES.USER_CANCELLED,
+  unauthorized_client: ERROR_CATEGORIES.CONFIGURATION_ERROR,
+  invalid_client: ERROR_CATEGORIES.CONFIGURATION_ERROR,
+  invalid_request: ERROR_CATEGORIES.CONFIGURATION_ERROR,
+  notConfigured: ERROR_CATEGORIES.CONFIGURATION_ERROR,
+  ErrorAccessDenied: ERROR_CATEGORIES.PERMISSION_DENIED,
+  Authorization_RequestDenied: ERROR_CATEGORIES.PERMISSION_DENIED,
+  accessDenied: ERROR_CATEGORIES.PERMISSION_DENIED,
+  ErrorFolderNotFound: ERROR_CATEGORIES.API_INVALID_REQUEST,
+  ErrorItemNotFound: ERROR_CATEGORIES.API_INVALID_REQUEST,
+  ErrorInvalidRequest: ERROR_CATEGORIES.API_INVALID_REQUEST,
+  ErrorInvalidIdMalformed: ERROR_CATEGORIES.API_INVALID_REQUEST,
+  BadRequest: ERROR_CATEGORIES.API_INVALID_REQUEST,
+  TooManyRequests: ERROR_CATEGORIES.RATE_LIMITED,
+  ApplicationThrottled: ERROR_CATEGORIES.RATE_LIMITED,
+  ErrorExceededMessageLimit: ERROR_CATEGORIES.RATE_LIMITED,
+  ErrorQuotaExceeded: ERROR_CATEGORIES.API_QUOTA_EXCEEDED,
+  quotaLimitReached: ERROR_CATEGORIES.API_QUOTA_EXCEEDED,
+  ErrorMailboxStoreUnavailable: ERROR_CATEGORIES.MICROSOFT_API_ERROR,
+  ServiceNotAvailable: ERROR_CATEGORIES.MICROSOFT_API_ERROR,
+  serviceNotAvailable: ERROR_CATEGORIES.MICROSOFT_API_ERROR,
+  generalException: ERROR_CATEGORIES.MICROSOFT_API_ERROR,
+};
+
 /**
  * ユーザー向け日本語メッセージ
  */
@@ -71,6 +107,18 @@ const USER_MESSAGES = {
     action: "再サインイン",
     actionType: "auth",
   },
+  [ERROR_CATEGORIES.CALDAV_AUTH_FAILED]: {
+    message:
+      "CalDAVサーバーの認証に失敗しました。ユーザー名とアプリパスワードを確認してください",
+    action: "設定を確認",
+    actionType: "settings",
+  },
+  [ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED]: {
+    message:
+      "Microsoftアカウントへのサインインが必要です。オプション画面からサインインしてください",
+    action: "サインイン",
+    actionType: "settings",
+  },
 
   // 権限関連
   [ERROR_CATEGORIES.PERMISSION_DENIED]: {
@@ -118,6 +166,12 @@ const USER_MESSAGES = {
     action: "後で再試行",
     actionType: "wait",
   },
+  [ERROR_CATEGORIES.MICROSOFT_API_ERROR]: {
+    message:
+      "Outlookカレンダーサービスでエラーが発生しました。しばらく待ってから再度お試しください",
+    action: "再試行",
+    actionType: "retry",
+  },
 
   // 解析関連
   [ERROR_CATEGORIES.PARSE_FAILED]: {
@@ -213,13 +267,60 @@ class ChronoClipErrorHandler {
       return ERROR_CATEGORIES.UNEXPECTED_ERROR;
     }
 
+    // 再試行ポリシーのサーキットブレーカーが開いている（失敗が続いた）
+    if (error.circuitOpen) {
+      if (error.failureKind === "network") {
+        return ERROR_CATEGORIES.NETWORK_ERROR;
+      }
+      return error.failureKind === "serverError"
+        ? ERROR_CATEGORIES.API_ERROR
+        : ERROR_CATEGORIES.API_QUOTA_EXCEEDED;
+    }
+
+    // CalDAVプロバイダーの認証・設定エラー（Googleのサインインとは別扱い）
+    if (error.provider === "caldav") {
+      if (error.reason === "notConfigured") {
+        return ERROR_CATEGORIES.CONFIGURATION_ERROR;
+      }
+      if (error.code === 401 || error.code === 403) {
+        return ERROR_CATEGORIES.CALDAV_AUTH_FAILED;
+      }
+    }
+
+    // Microsoft Graph（Outlook）のエラーはエラーコードで分類する
+    if (error.provider === "outlook") {
+      if (GRAPH_ERROR_CATEGORIES[error.reason]) {
+        return GRAPH_ERROR_CATEGORIES[error.reason];
+      }
+      if (error.code === 401) {
+        return ERROR_CATEGORIES.MICROSOFT_AUTH_REQUIRED;
+      }
+      if (typeof error.code === "number" && error.code >= 500) {
+        return ERROR_CATEGORIES.MICROSOFT_API_ERROR;
+      }
+    }
+
     // HTTP ステータスコードによる分類
-    if (error.status || error.statusCode) {
-      const status = error.status || error.statusCode;
+    // calendar.js のエラーはステータスを code に持つ
+    const httpCode =
+      typeof error.code === "number" && error.code >= 100 && error.code < 600
+        ? error.code
+        : null;
+    if (error.status || error.statusCode || httpCode) {
+      const status = error.status || error.statusCode || httpCode;
 
       if (status === 401) {
         return ERROR_CATEGORIES.AUTH_REQUIRED;
       } else if (status === 403) {
+        // Google APIは利用制限も403で返すため、理由で区別する
+        if (
+          ["rateLimitExceeded", "userRateLimitExceeded"].includes(error.reason)
+        ) {
+          return ERROR_CATEGORIES.RATE_LIMITED;
+        }
+        if (["quotaExceeded", "dailyLimitExceeded"].includes(error.reason)) {
+          return ERROR_CATEGORIES.API_QUOTA_EXCEEDED;
+        }
         return ERROR_CATEGORIES.PERMISSION_DENIED;
       } else if (status === 429) {
         return ERROR_CATEGORIES.RATE_LIMITED;
@@ -323,12 +424,15 @@ class ChronoClipErrorHandler {
   handleBatchResult(results) {
     const successful = results.filter((r) => r.success);
     const failed = results.filter((r) => !r.success);
+    // 既に登録済みでスキップしたもの（成功扱い）
+    const skipped = successful.filter((r) => r.skipped);
 
     let message;
     let details = {
       total: results.length,
       successful: successful.length,
       failed: failed.length,
+      skipped: skipped.length,
     };
 
     if (failed.length === 0) {
@@ -349,6 +453,7 @@ class ChronoClipErrorHandler {
       message,
       successful: successful.length,
       failed: failed.length,
+      skipped: skipped.length,
       total: results.length,
       details,
     };
@@ -0,0 +1,194 @@
+/**
+ * @fileoverview イベントのタイトル・説明のテンプレート
+ * 設定やサイトルールで指定した `[{site}] {title}` や
+ * `{venue}\n{price}\n{url}\n{selection}` のようなテンプレートに、
+ * 抽出結果（タイトル・場所・価格・events[]・URL）を差し込む
+ */
+
+/**
+ * 使用できるプレースホルダーと説明（オプション画面の一覧表示にも使用）
+ */
+const TEMPLATE_PLACEHOLDERS = {
+  title: "抽出したタイトル",
+  description: "抽出した詳細",
+  site: "サイト名（ドメイン）",
+  url: "イベントのURL",
+  venue: "会場・場所",
+  location: "会場・場所（venue と同じ）",
+  price: "価格",
+  events: "同じ日のイベント一覧（1行に1件）",
+  selection: "選択したテキスト",
+};
+
+const TEMPLATE_PLACEHOLDER_PATTERN = /\{(\w+)\}/g;
+
+/**
+ * 抽出結果からプレースホルダーの値を作成
+ * @param {object} data - 抽出結果
+ * @param {string} [data.title] - タイトル
+ * @param {string} [data.description] - 詳細
+ * @param {string} [data.location] - 場所
+ * @param {string} [data.price] - 価格
+ * @param {Array<object>} [data.events] - 抽出したイベント（title, startTime）
+ * @param {string} [data.url] - イベントのURL
+ * @param {string} [data.selection] - 選択したテキスト
+ * @param {string} [pageUrl] - ページのURL（site の算出と url の既定値）
+ * @returns {object} プレースホルダー名と値の対応
+ */
+function buildTemplateContext(data = {}, pageUrl = "") {
+  const url = data.url || pageUrl || "";
+  let site = "";
+  try {
+    site = new URL(url).hostname.replace(/^www\./, "");
+  } catch (error) {
+    site = "";
+  }
+
+  const events = (data.events || [])
+    .filter((event) => event && event.title)
+    .map((event) => `・${formatTemplateEvent(event)}`)
+    .join("\n");
+
+  const location = toTemplateText(data.location);
+
+  return {
+    title: toTemplateText(data.title),
+    description: toTemplateText(data.description),
+    site,
+    url,
+    venue: location,
+    location,
+    price: toTemplateText(data.price),
+    events,
+    selection: toTemplateText(data.selection),
+  };
+}
+
+/**
+ * テンプレートにプレースホルダーの値を差し込む
+ * プレースホルダーの値がすべて空になった行は削除する
+ * （`会場: {venue}` で会場がない場合など）
+ * @param {string} template - テンプレート
+ * @param {object} context - buildTemplateContext の結果
+ * @returns {string} 差し込み後のテキスト
+ */
+function renderTemplate(template, context) {
+  if (!template) return "";
+
+  const lines = [];
+  template.split("\n").forEach((line) => {
+    let placeholders = 0;
+    let filled = 0;
+    const rendered = line.replace(
+      TEMPLATE_PLACEHOLDER_PATTERN,
+      (match, name) => {
+        if (!(name in TEMPLATE_PLACEHOLDERS)) {
+          return match;
+        }
+        const value = context[name] || "";
+        placeholders++;
+        if (value) filled++;
+        return value;
+      }
+    );
+
+    if (placeholders === 0 || filled > 0) {
+      lines.push(rendered);
+    }
+  });
+
+  return lines.join("\n").trim();
+}
+
+/**
+ * テンプレートが指定のプレースホルダーを含むか
+ * @param {string} template - テンプレート
+ * @param {string} name - プレースホルダー名（例: "url"）
+ * @returns {boolean}
+ */
+function templateUsesPlaceholder(template, name) {
+  return Boolean(template) && template.includes(`{${name}}`);
+}
+
+/**
+ * テンプレート内の未知のプレースホルダーを取得（オプション画面の検証用）
+ * @param {string} template - テンプレート
+ * @returns {string[]} 未知のプレースホルダー名
+ */
+function findUnknownPlaceholders(template) {
+  const unknown = [];
+  for (const [, name] of (template || "").matchAll(
+    TEMPLATE_PLACEHOLDER_PATTERN
+  )) {
+    if (!(name in TEMPLATE_PLACEHOLDERS) && !unknown.includes(name)) {
+      unknown.push(name);
+    }
+  }
+  return unknown;
+}
+
+/**
+ * タイトル・説明のテンプレートを適用
+ * テンプレートが空の場合は元のタイトル・説明をそのまま使う
+ * @param {object} templates - { title, description }
+ * @param {object} context - buildTemplateContext の結果
+ * @returns {{title: string, description: string, urlInDescription: boolean}}
+ *   urlInDescription は説明に URL を差し込んだか（差し込んだ場合は
+ *   カレンダー側での URL の追記を省く）
+ */
+function applyEventTemplates(templates = {}, context) {
+  const title =
+    (templates.title && renderTemplate(templates.title, context)) ||
+    context.title;
+  const description = templates.description
+    ? renderTemplate(templates.description, context)
+    : context.description;
+
+  return {
+    title: title.replace(/\s+/g, " ").trim(),
+    description,
+    urlInDescription:
+      templateUsesPlaceholder(templates.description, "url") &&
+      Boolean(context.url),
+  };
+}
+
+/**
+ * events[] の1件を一覧用に整形
+ * @param {object} event - 抽出したイベント
+ * @returns {string} 「HH:MM タイトル」形式の文字列
+ */
+function formatTemplateEvent(event) {
+  const start = event.startTime ? new Date(event.startTime) : null;
+  if (!start || isNaN(start.getTime())) {
+    return event.title;
+  }
+  const time = `${String(start.getHours()).padStart(2, "0")}:${String(
+    start.getMinutes()
+  ).padStart(2, "0")}`;
+  return `${time} ${event.title}`;
+}
+
+/**
+ * 抽出値を文字列に変換
+ * @param {*} value - 抽出値
+ * @returns {string}
+ */
+function toTemplateText(value) {
+  if (value === null || value === undefined) return "";
+  return String(value).trim();
+}
+
+const ChronoClipEventTemplate = {
+  TEMPLATE_PLACEHOLDERS,
+  buildTemplateContext,
+  renderTemplate,
+  templateUsesPlaceholder,
+  findUnknownPlaceholders,
+  applyEventTemplates,
+};
+
+// グローバルに公開（コンテンツスクリプト・オプション画面）
+if (typeof window !== "undefined") {
+  window.ChronoClipEventTemplate = ChronoClipEventTemplate;
+}
@@ -182,10 +182,14 @@ class BaseExtractor {
       this.extractPrice(context),
     ]);
 
+    const date = results[2].status === "fulfilled" ? results[2].value : null;
+    const dateTime = this.extractTimeRoles(context, date);
+
     return {
       title: results[0].status === "fulfilled" ? results[0].value : null,
       description: results[1].status === "fulfilled" ? results[1].value : null,
-      date: results[2].status === "fulfilled" ? results[2].value : null,
+      date: dateTime ? new Date(dateTime.start.dateTime) : date,
+      dateTime,
       location: results[3].status === "fulfilled" ? results[3].value : null,
       price: results[4].status === "fulfilled" ? results[4].value : null,
       confidence: this.calculateConfidence(results),
@@ -253,9 +257,24 @@ class BaseExtractor {
    * @returns {Date|null} 解析された日付
    */
   parseDate(text) {
+    // 全角数字・漢数字（「８月２７日」「八月二十七日」等）は半角数字に揃える
+    if (window.ChronoClip?.normalizeDateText) {
+      text = window.ChronoClip.normalizeDateText(text).text;
+    }
+
+    // 和暦（令和7年8月27日、R7.8.27 など）は chrono では読めないため先に変換
+    const wareki = window.ChronoClip?.findWarekiDate(text);
+    if (wareki) {
+      return new Date(wareki.year, wareki.month - 1, wareki.day);
+    }
+
     if (typeof chrono !== "undefined") {
       try {
-        const results = chrono.parse(text);
+        // 相対的な日付はページの公開日を基準にする（なければ現在）
+        const results = chrono.parse(
+          text,
+          window.ChronoClipPageDate?.getReferenceDate()
+        );
         if (results.length > 0) {
           return results[0].start.date();
         }
@@ -273,6 +292,37 @@ class BaseExtractor {
     return null;
   }
 
+  /**
+   * 開場・開演・終演などのラベル付き時刻から開始・終了を決める
+   * （「開場 17:00 / 開演 18:00」で開場を開始時刻にしないため）
+   * @param {HTMLElement} context - コンテキスト要素
+   * @param {Date|null} date - 抽出した日付
+   * @returns {Object|null} date-parser形式の日時（開場時刻は doorsTime）。
+   *   ラベル付きの時刻がない場合は null
+   */
+  extractTimeRoles(context, date) {
+    const parser = window.ChronoClipDateParser;
+    if (!parser || !(date instanceof Date) || isNaN(date.getTime())) {
+      return null;
+    }
+
+    const roles = parser.detectTimeRoles(this.cleanText(context.textContent));
+    if (!roles) return null;
+
+    const day = parser.formatDate(date);
+    const result = parser.applyTimeRoles(
+      {
+        type: "date",
+        start: { date: day },
+        end: { date: day },
+        confidence: 0.8,
+        source: this.constructor.name,
+      },
+      roles
+    );
+    return result.type === "datetime" ? result : null;
+  }
+
   /**
    * 信頼度計算
    * @param {Array} results - 抽出結果配列
@@ -447,6 +447,8 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
       console.log("ChronoClip: Time elements found:", timeElements.length);
 
       let startTime = null;
+      let endTime = null;
+      let doorsTime = null;
       let description = [];
       let timeInfo = [];
       let contactInfo = []; // ★ 追加: お問い合わせ情報を分離
@@ -455,18 +457,32 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
         const text = timeElement.textContent.trim();
         console.log("ChronoClip: Processing time text:", text);
 
-        if (text.includes("開始")) {
-          const timeMatch = text.match(/開始\s*(\d{1,2}:\d{2})/);
-          if (timeMatch) {
-            startTime = timeMatch[1];
-            console.log("ChronoClip: Extracted start time:", startTime);
-            timeInfo.push(`開始: ${startTime}`);
-          }
-        } else if (text.includes("お問い合わせ")) {
+        if (text.includes("お問い合わせ")) {
           contactInfo.push(text); // ★ 変更: お問い合わせ情報を別の配列に格納
+          continue;
+        }
+
+        // 「開場 17:00 開始 18:00」のように最初の時刻が開場のことがあるため、
+        // ラベルごとに時刻を読み取る（開始がなければ開場を開始とする）
+        const roles = window.ChronoClipDateParser?.detectTimeRoles(text);
+        if (roles && !startTime && (roles.start || roles.doors)) {
+          startTime = this.formatTime(roles.start || roles.doors);
+          console.log("ChronoClip: Extracted start time:", startTime);
+          timeInfo.push(`開始: ${startTime}`);
+          if (roles.start && roles.doors) {
+            doorsTime = this.formatTime(roles.doors);
+          }
+          if (roles.end) {
+            endTime = this.formatTime(roles.end);
+          }
         }
       }
 
+      // 開演とは別の開場時刻は詳細に残す
+      if (doorsTime) {
+        description.push(`開場 ${doorsTime}`);
+      }
+
       // タグ情報（イベントカテゴリ）
       const tagElement = block.querySelector(this.selectors.tagElement);
       const category = tagElement ? tagElement.textContent.trim() : null;
@@ -506,7 +522,7 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
               title: fallbackTitle,
               description: allText,
               startTime: startTime,
-              endTime: null,
+              endTime: endTime,
               url: url,
               category: category,
             };
@@ -519,9 +535,10 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
 
       const result = {
         title: title || "イベント",
-        description: description.join("\n"), // descriptionにはカテゴリのみ、または空
+        description: description.join("\n"), // descriptionには開場時刻のみ、または空
         startTime: startTime,
-        endTime: null,
+        endTime: endTime,
+        doorsTime: doorsTime,
         url: url,
         category: category,
         contact: contactInfo.join("\n"), // ★ 追加: お問い合わせ情報を別途保持
@@ -535,6 +552,17 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
     }
   }
 
+  /**
+   * detectTimeRoles の時刻を "HH:MM" 形式に変換
+   * @param {Object} time - { hour, minute }
+   * @returns {string}
+   */
+  formatTime(time) {
+    return `${String(time.hour).padStart(2, "0")}:${String(
+      time.minute
+    ).padStart(2, "0")}`;
+  }
+
   /**
    * イベントオブジェクトを作成
    * @param {Object} yearMonthInfo
@@ -571,8 +599,20 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
         startDateTime = new Date(isoString);
       }
 
-      // 終了時刻（仮で3時間後に設定）
-      if (startDateTime) {
+      // 終了時刻（終演の記載があればその時刻、なければ仮で3時間後に設定）
+      if (eventDetail.startTime && eventDetail.endTime) {
+        const [hour, minute] = eventDetail.endTime.split(":").map(Number);
+        const isoString = `${year}-${String(month).padStart(2, "0")}-${String(
+          day
+        ).padStart(2, "0")}T${String(hour).padStart(2, "0")}:${String(
+          minute
+        ).padStart(2, "0")}:00+09:00`;
+        endDateTime = new Date(isoString);
+        // 日付をまたぐ終演（例: 開始 22:00 / 終演 1:00）
+        if (endDateTime <= startDateTime) {
+          endDateTime.setTime(endDateTime.getTime() + 24 * 60 * 60 * 1000);
+        }
+      } else if (startDateTime) {
         endDateTime = new Date(startDateTime.getTime() + 3 * 60 * 60 * 1000);
       }
 
@@ -582,6 +622,7 @@ class ChronoClipTokyoDomeHallExtractor extends window.ChronoClipBaseExtractor {
         startTime: startDateTime ? startDateTime.toISOString() : null,
         endTime: endDateTime ? endDateTime.toISOString() : null,
         location: "後楽園ホール",
+        doorsTime: eventDetail.doorsTime || null,
         url: eventDetail.url,
         category: eventDetail.category,
         source: "tokyo-dome-hall",
@@ -0,0 +1,280 @@
+/**
+ * @file Additional Google accounts for Google Calendar.
+ *
+ * chrome.identity.getAuthToken only knows the account of the Chrome profile,
+ * so other accounts sign in with chrome.identity.launchWebAuthFlow (OAuth 2.0
+ * implicit flow) and are identified by their email address. The app must be
+ * registered in Google Cloud as a "Web application" OAuth client with the
+ * redirect URI from chrome.identity.getRedirectURL("google").
+ *
+ * Access tokens are short-lived and there is no refresh token, so an expired
+ * token is renewed with prompt=none and login_hint, which succeeds without a
+ * window while the user is still signed in to Google in the browser.
+ */
+
+const GOOGLE_OAUTH_AUTHORIZE_URL =
+  "https://accounts.google.com/o/oauth2/v2/auth";
+const GOOGLE_USER_INFO_URL = "https://www.googleapis.com/oauth2/v3/userinfo";
+const GOOGLE_REVOKE_URL = "https://oauth2.googleapis.com/revoke";
+
+/**
+ * chrome.storage.local key of the signed-in accounts and their tokens.
+ */
+const GOOGLE_ACCOUNTS_KEY = "chronoClipGoogleAccounts";
+
+/**
+ * Access tokens are renewed this long before they expire.
+ */
+const GOOGLE_TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+/**
+ * The account value a site rule uses to pick the account of the Chrome
+ * profile explicitly, even when the default account is an added account.
+ * Must match SITE_RULE_PROFILE_ACCOUNT in settings.js.
+ */
+const GOOGLE_PROFILE_ACCOUNT = "profile";
+
+/**
+ * Converts an account from settings or a message to the form used for API
+ * calls.
+ *
+ * @param {string} [account] - An email address, "profile" or empty.
+ * @returns {string|undefined} The email address, or undefined for the
+ *   account of the Chrome profile.
+ */
+function toGoogleApiAccount(account) {
+  return account && account !== GOOGLE_PROFILE_ACCOUNT ? account : undefined;
+}
+
+/**
+ * Reads the OAuth client used for additional accounts from the settings.
+ *
+ * @returns {Promise<{clientId: string}>}
+ * @throws {Error} If no client ID is configured.
+ */
+async function getGoogleAccountsConfig() {
+  const stored = await chrome.storage.sync.get("chronoClipSettings");
+  const clientId = stored.chronoClipSettings?.googleAccounts?.clientId;
+
+  if (!clientId) {
+    const error = new Error(
+      "複数アカウント用の Google OAuth クライアントIDが設定されていません"
+    );
+    error.code = 401;
+    error.reason = "notConfigured";
+    throw error;
+  }
+
+  return { clientId };
+}
+
+/**
+ * Returns the signed-in accounts, without their tokens.
+ *
+ * @returns {Promise<Array<{email: string, name: string, picture: string}>>}
+ */
+async function listGoogleAccounts() {
+  const accounts = await readGoogleAccounts();
+  return Object.values(accounts).map(({ email, name, picture }) => ({
+    email,
+    name: name || "",
+    picture: picture || "",
+  }));
+}
+
+/**
+ * Returns an access token for the given account, renewing it as needed.
+ *
+ * @param {string} email - The email address of the account.
+ * @param {object} [options]
+ * @param {boolean} [options.interactive=true] - Whether the sign-in window may
+ *   be shown when the token cannot be renewed silently.
+ * @returns {Promise<string>} The access token.
+ */
+async function getGoogleAccountToken(email, options = {}) {
+  const { interactive = true } = options;
+  const accounts = await readGoogleAccounts();
+  const stored = accounts[email];
+
+  if (
+    stored &&
+    stored.accessToken &&
+    stored.expiresAt - GOOGLE_TOKEN_EXPIRY_MARGIN_MS > Date.now()
+  ) {
+    return stored.accessToken;
+  }
+
+  const config = await getGoogleAccountsConfig();
+  try {
+    return (await signInToGoogleAccount(config, { loginHint: email })).token;
+  } catch (error) {
+    // Google からサインアウトしている場合などは画面を出してやり直す
+    if (!interactive) {
+      throw error;
+    }
+  }
+
+  return (
+    await signInToGoogleAccount(config, {
+      loginHint: email,
+      interactive: true,
+    })
+  ).token;
+}
+
+/**
+ * Signs in to a Google account with launchWebAuthFlow and stores its token.
+ *
+ * @param {object} config - The OAuth client ({ clientId }).
+ * @param {object} [options]
+ * @param {string} [options.loginHint] - The expected account. Without it the
+ *   account chooser is shown.
+ * @param {boolean} [options.interactive=false] - Whether a window may be shown.
+ * @returns {Promise<{account: object, token: string}>} The signed-in account.
+ */
+async function signInToGoogleAccount(config, options = {}) {
+  const { loginHint, interactive = false } = options;
+  const state = crypto.randomUUID();
+
+  const authUrl = new URL(GOOGLE_OAUTH_AUTHORIZE_URL);
+  authUrl.search = new URLSearchParams({
+    client_id: config.clientId,
+    response_type: "token",
+    redirect_uri: chrome.identity.getRedirectURL("google"),
+    scope: chrome.runtime.getManifest().oauth2.scopes.join(" "),
+    state,
+    include_granted_scopes: "true",
+  }).toString();
+  if (loginHint) {
+    authUrl.searchParams.set("login_hint", loginHint);
+  }
+  if (!interactive) {
+    authUrl.searchParams.set("prompt", "none");
+  } else if (!loginHint) {
+    authUrl.searchParams.set("prompt", "select_account");
+  }
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: authUrl.toString(),
+      interactive,
+    });
+  } catch (error) {
+    throw createGoogleAccountError(error.message, loginHint);
+  }
+
+  // implicit フローではトークンがフラグメントで返る
+  const params = new URLSearchParams(new URL(responseUrl).hash.slice(1));
+  if (params.get("error")) {
+    throw createGoogleAccountError(params.get("error"), loginHint);
+  }
+  if (params.get("state") !== state || !params.get("access_token")) {
+    throw new Error("Google の認証応答が不正です");
+  }
+
+  const token = params.get("access_token");
+  const response = await fetch(GOOGLE_USER_INFO_URL, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  if (!response.ok) {
+    throw createGoogleAccountError(
+      `HTTP error! status: ${response.status}`,
+      loginHint
+    );
+  }
+  const userInfo = await response.json();
+
+  if (loginHint && userInfo.email !== loginHint) {
+    throw createGoogleAccountError(
+      `${loginHint} ではなく ${userInfo.email} でサインインしました`,
+      loginHint
+    );
+  }
+
+  const account = {
+    email: userInfo.email,
+    name: userInfo.name || "",
+    picture: userInfo.picture || "",
+  };
+  const accounts = await readGoogleAccounts();
+  accounts[account.email] = {
+    ...account,
+    accessToken: token,
+    expiresAt: Date.now() + Number(params.get("expires_in") || 3600) * 1000,
+  };
+  await chrome.storage.local.set({ [GOOGLE_ACCOUNTS_KEY]: accounts });
+
+  return { account, token };
+}
+
+/**
+ * Discards the stored token of an account so the next request renews it.
+ *
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<void>}
+ */
+async function clearGoogleAccountToken(email) {
+  const accounts = await readGoogleAccounts();
+  if (!accounts[email]) return;
+
+  accounts[email] = { ...accounts[email], accessToken: null, expiresAt: 0 };
+  await chrome.storage.local.set({ [GOOGLE_ACCOUNTS_KEY]: accounts });
+}
+
+/**
+ * Signs out of an account: revokes its token and forgets it.
+ *
+ * @param {string} email - The email address of the account.
+ * @returns {Promise<void>}
+ */
+async function removeGoogleAccount(email) {
+  const accounts = await readGoogleAccounts();
+  const stored = accounts[email];
+  if (!stored) return;
+
+  if (stored.accessToken) {
+    // 失効に失敗してもアカウントの削除は続ける
+    await fetch(GOOGLE_REVOKE_URL, {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({ token: stored.accessToken }).toString(),
+    }).catch((error) => {
+      console.warn("ChronoClip: Failed to revoke Google token:", error);
+    });
+  }
+
+  delete accounts[email];
+  await chrome.storage.local.set({ [GOOGLE_ACCOUNTS_KEY]: accounts });
+}
+
+/**
+ * Reads the stored accounts keyed by email address.
+ *
+ * @returns {Promise<object>}
+ */
+async function readGoogleAccounts() {
+  const stored = await chrome.storage.local.get(GOOGLE_ACCOUNTS_KEY);
+  return stored[GOOGLE_ACCOUNTS_KEY] || {};
+}
+
+/**
+ * Creates an authentication error for an additional account.
+ *
+ * @param {string} message - The error message.
+ * @param {string} [email] - The account.
+ * @returns {Error} An error carrying `code` 401 and `account`.
+ */
+function createGoogleAccountError(message, email) {
+  const error = new Error(
+    email
+      ? `Google アカウント（${email}）の認証に失敗しました: ${message}`
+      : `Google アカウントの認証に失敗しました: ${message}`
+  );
+  error.code = 401;
+  error.reason = /did not approve|access_denied/i.test(message)
+    ? "accessDenied"
+    : "authError";
+  error.account = email || null;
+  return error;
+}
@@ -0,0 +1,513 @@
+/**
+ * @fileoverview iCalendar (RFC 5545) シリアライザー
+ * ChronoClipが組み立てるイベント（summary/start/end/recurrence 等）を .ics 形式に変換する。
+ * OAuthを使えない Outlook / Apple Calendar の利用者向けのエクスポートに使用する。
+ *
+ * - 時刻付きイベントは TZID 付きの DTSTART/DTEND と、対応する VTIMEZONE を出力する
+ * - 終日イベントは DTSTART;VALUE=DATE（DTEND は翌日 = 排他的終了日）
+ * - 75オクテットを超える行は CRLF + 空白で折り返す
+ */
+
+const ICS_LINE_BREAK = "\r\n";
+const ICS_MAX_LINE_OCTETS = 75;
+const ICS_PRODUCT_ID = "-//ChronoClip//ChronoClip//JA";
+
+/**
+ * イベントの配列から VCALENDAR 全体を生成する
+ * @param {Array<Object>} events - イベント（calendar:createEvent のペイロードと同じ形式）
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - DTSTAMP に使う日時
+ * @param {string|null} [options.method="PUBLISH"] - METHOD（CalDAVに保存する場合はnullで省略）
+ * @returns {string} .ics ファイルの内容
+ */
+function buildCalendar(events, options = {}) {
+  const now = options.now || new Date();
+  const method = options.method === undefined ? "PUBLISH" : options.method;
+  const validEvents = (events || []).filter(
+    (event) => event && event.summary && event.start
+  );
+
+  const timeZones = new Map();
+  validEvents.forEach((event) => {
+    const timeZone = getEventTimeZone(event);
+    if (!timeZone) return;
+    const year = getEventYear(event);
+    const range = timeZones.get(timeZone);
+    timeZones.set(timeZone, range ? Math.min(range, year) : year);
+  });
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    `PRODID:${ICS_PRODUCT_ID}`,
+    "CALSCALE:GREGORIAN",
+  ];
+  if (method) {
+    lines.push(`METHOD:${method}`);
+  }
+
+  timeZones.forEach((year, timeZone) => {
+    lines.push(...buildTimeZone(timeZone, year));
+  });
+
+  validEvents.forEach((event) => {
+    lines.push(...buildEvent(event, { now }));
+  });
+
+  lines.push("END:VCALENDAR");
+
+  return lines.map(foldLine).join(ICS_LINE_BREAK) + ICS_LINE_BREAK;
+}
+
+/**
+ * 1件のイベントを VEVENT の行配列に変換する
+ * @param {Object} event - イベント
+ * @param {Object} [options]
+ * @param {Date} [options.now=new Date()] - DTSTAMP に使う日時
+ * @returns {string[]} 折り返し前の行配列
+ */
+function buildEvent(event, options = {}) {
+  const now = options.now || new Date();
+  const lines = [
+    "BEGIN:VEVENT",
+    `UID:${event.uid || createUid()}`,
+    `DTSTAMP:${formatUtcDateTime(now)}`,
+    `SUMMARY:${escapeText(event.summary)}`,
+  ];
+
+  const allDay = Boolean(event.start.date && !event.start.dateTime);
+
+  if (allDay) {
+    const startDate = event.start.date;
+    let endDate = event.end?.date;
+    // ChronoClipでは1日だけの終日イベントを start == end で表すため、翌日を排他的終了日とする
+    if (!endDate || endDate <= startDate) {
+      endDate = addDays(startDate, 1);
+    }
+    lines.push(`DTSTART;VALUE=DATE:${startDate.replace(/-/g, "")}`);
+    lines.push(`DTEND;VALUE=DATE:${endDate.replace(/-/g, "")}`);
+  } else {
+    const timeZone = getEventTimeZone(event);
+    const start = formatEventDateTime(event.start.dateTime, timeZone);
+    lines.push(`DTSTART${start}`);
+
+    if (event.end?.dateTime) {
+      const startMs = toInstant(event.start.dateTime, timeZone);
+      const endMs = toInstant(event.end.dateTime, timeZone);
+      if (endMs > startMs) {
+        lines.push(`DTEND${formatEventDateTime(event.end.dateTime, timeZone)}`);
+      }
+    }
+  }
+
+  if (event.description) {
+    lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+  }
+  if (event.location) {
+    lines.push(`LOCATION:${escapeText(event.location)}`);
+  }
+  if (event.url) {
+    lines.push(`URL:${event.url}`);
+  }
+  if (event.transparency === "transparent") {
+    lines.push("TRANSP:TRANSPARENT");
+  }
+
+  const recurrence = Array.isArray(event.recurrence)
+    ? event.recurrence
+    : event.recurrence
+    ? [event.recurrence]
+    : [];
+  recurrence
+    .filter(Boolean)
+    .forEach((rule) => lines.push(normalizeRecurrenceLine(rule, allDay)));
+
+  if (event.reminders && event.reminders.useDefault === false) {
+    (event.reminders.overrides || []).forEach((reminder) => {
+      lines.push(
+        "BEGIN:VALARM",
+        "ACTION:DISPLAY",
+        `DESCRIPTION:${escapeText(event.summary)}`,
+        `TRIGGER:-PT${reminder.minutes}M`,
+        "END:VALARM"
+      );
+    });
+  }
+
+  lines.push("END:VEVENT");
+  return lines;
+}
+
+/**
+ * タイムゾーンの VTIMEZONE ブロックを生成する
+ * 指定年の前年の切り替え日時から YEARLY の RRULE を作り、夏時間のないゾーンは固定オフセットにする
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @param {number} year - 最初のイベントの年
+ * @returns {string[]} 行配列
+ */
+function buildTimeZone(timeZone, year) {
+  const lines = ["BEGIN:VTIMEZONE", `TZID:${timeZone}`];
+  const transitions = findOffsetTransitions(timeZone, year - 1);
+
+  if (transitions.length === 0) {
+    const offset = getOffsetMinutes(timeZone, Date.UTC(year, 0, 1));
+    lines.push(
+      "BEGIN:STANDARD",
+      "DTSTART:19700101T000000",
+      `TZOFFSETFROM:${formatOffset(offset)}`,
+      `TZOFFSETTO:${formatOffset(offset)}`,
+      "END:STANDARD"
+    );
+  } else {
+    transitions.forEach((transition) => {
+      const type =
+        transition.offsetTo > transition.offsetFrom ? "DAYLIGHT" : "STANDARD";
+      // DTSTART は切り替え前のオフセットでの現地時刻
+      const local = new Date(
+        transition.instant + transition.offsetFrom * 60000
+      );
+      lines.push(
+        `BEGIN:${type}`,
+        `DTSTART:${formatFloatingDateTime(local)}`,
+        `RRULE:FREQ=YEARLY;BYMONTH=${
+          local.getUTCMonth() + 1
+        };BYDAY=${getNthWeekdayCode(local)}`,
+        `TZOFFSETFROM:${formatOffset(transition.offsetFrom)}`,
+        `TZOFFSETTO:${formatOffset(transition.offsetTo)}`,
+        `END:${type}`
+      );
+    });
+  }
+
+  lines.push("END:VTIMEZONE");
+  return lines;
+}
+
+/**
+ * 指定年のUTCオフセットの切り替え（夏時間の開始・終了）を探す
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @param {number} year - 年
+ * @returns {Array<{instant: number, offsetFrom: number, offsetTo: number}>} 切り替え
+ */
+function findOffsetTransitions(timeZone, year) {
+  const transitions = [];
+  const dayMs = 24 * 60 * 60 * 1000;
+  const end = Date.UTC(year + 1, 0, 1);
+
+  let cursor = Date.UTC(year, 0, 1);
+  let offset = getOffsetMinutes(timeZone, cursor);
+
+  while (cursor < end) {
+    const next = cursor + dayMs;
+    const nextOffset = getOffsetMinutes(timeZone, next);
+    if (nextOffset !== offset) {
+      // 1分単位まで二分探索して切り替え時刻を特定する
+      let low = cursor;
+      let high = next;
+      while (high - low > 60000) {
+        const mid = low + Math.floor((high - low) / 120000) * 60000;
+        if (getOffsetMinutes(timeZone, mid) === offset) {
+          low = mid;
+        } else {
+          high = mid;
+        }
+      }
+      transitions.push({
+        instant: high,
+        offsetFrom: offset,
+        offsetTo: nextOffset,
+      });
+      offset = nextOffset;
+    }
+    cursor = next;
+  }
+
+  return transitions;
+}
+
+/**
+ * 指定時刻におけるタイムゾーンのUTCオフセット（分）を取得する
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @param {number} instant - UNIXミリ秒
+ * @returns {number} UTCからのオフセット（分）
+ */
+function getOffsetMinutes(timeZone, instant) {
+  const parts = getWallClockParts(instant, timeZone);
+  const asUtc = Date.UTC(
+    parts.year,
+    parts.month - 1,
+    parts.day,
+    parts.hour,
+    parts.minute,
+    parts.second
+  );
+  return Math.round((asUtc - Math.floor(instant / 1000) * 1000) / 60000);
+}
+
+/**
+ * 指定時刻のタイムゾーンでの現地時刻を取得する
+ * @param {number} instant - UNIXミリ秒
+ * @param {string} timeZone - IANAタイムゾーン名
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number, second: number}}
+ */
+function getWallClockParts(instant, timeZone) {
+  const formatter = new Intl.DateTimeFormat("en-US", {
+    timeZone,
+    hourCycle: "h23",
+    year: "numeric",
+    month: "2-digit",
+    day: "2-digit",
+    hour: "2-digit",
+    minute: "2-digit",
+    second: "2-digit",
+  });
+
+  const parts = {};
+  formatter.formatToParts(new Date(instant)).forEach(({ type, value }) => {
+    if (type !== "literal") {
+      parts[type] = parseInt(value, 10);
+    }
+  });
+  return parts;
+}
+
+/**
+ * DTSTART/DTEND のパラメータと値（";TZID=...:YYYYMMDDTHHMMSS" または ":...Z"）を作る
+ * オフセットのない dateTime はそのタイムゾーンの現地時刻として扱う
+ * @param {string} dateTime - ISO 8601 形式の日時
+ * @param {string|null} timeZone - IANAタイムゾーン名
+ * @returns {string} プロパティ名に続く文字列
+ */
+function formatEventDateTime(dateTime, timeZone) {
+  const floating = dateTime.match(
+    /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/
+  );
+
+  if (!timeZone) {
+    const instant = floating
+      ? new Date(dateTime).getTime()
+      : Date.parse(dateTime);
+    return `:${formatUtcDateTime(new Date(instant))}`;
+  }
+
+  if (floating) {
+    const [, year, month, day, hour, minute, second = "00"] = floating;
+    return `;TZID=${timeZone}:${year}${month}${day}T${hour}${minute}${second}`;
+  }
+
+  const parts = getWallClockParts(Date.parse(dateTime), timeZone);
+  const local = new Date(
+    Date.UTC(
+      parts.year,
+      parts.month - 1,
+      parts.day,
+      parts.hour,
+      parts.minute,
+      parts.second
+    )
+  );
+  return `;TZID=${timeZone}:${formatFloatingDateTime(local)}`;
+}
+
+/**
+ * 日時を比較用のUNIXミリ秒に変換する
+ * @param {string} dateTime - ISO 8601 形式の日時
+ * @param {string|null} timeZone - オフセットのない日時の解釈に使うタイムゾーン
+ * @returns {number} UNIXミリ秒
+ */
+function toInstant(dateTime, timeZone) {
+  const floating = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2})?$/.test(dateTime);
+  if (!floating || !timeZone) {
+    return Date.parse(dateTime);
+  }
+
+  const asUtc = Date.parse(`${dateTime}Z`);
+  return asUtc - getOffsetMinutes(timeZone, asUtc) * 60000;
+}
+
+/**
+ * イベントのタイムゾーンを取得する（終日イベント・UTCはnull）
+ * @param {Object} event - イベント
+ * @returns {string|null} IANAタイムゾーン名
+ */
+function getEventTimeZone(event) {
+  if (!event.start || !event.start.dateTime) return null;
+  const timeZone = event.start.timeZone;
+  if (!timeZone || timeZone === "UTC" || !isSupportedTimeZone(timeZone)) {
+    return null;
+  }
+  return timeZone;
+}
+
+/**
+ * Intl で扱えるタイムゾーンか
+ * @param {string} timeZone - タイムゾーン名
+ * @returns {boolean}
+ */
+function isSupportedTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * イベントの開始年を取得する
+ * @param {Object} event - イベント
+ * @returns {number} 年
+ */
+function getEventYear(event) {
+  const value = event.start.dateTime || event.start.date;
+  const year = parseInt(String(value).slice(0, 4), 10);
+  return isNaN(year) ? new Date().getFullYear() : year;
+}
+
+/**
+ * RRULE行を .ics 用に整える（UNTIL は終日なら DATE、時刻付きなら UTC の DATE-TIME）
+ * @param {string} rule - "RRULE:FREQ=..." 形式の行
+ * @param {boolean} allDay - 終日イベントか
+ * @returns {string} 整えた行
+ */
+function normalizeRecurrenceLine(rule, allDay) {
+  let line = rule.trim();
+  if (!/^(RRULE|EXRULE|RDATE|EXDATE):/i.test(line)) {
+    line = `RRULE:${line}`;
+  }
+  return line.replace(/UNTIL=(\d{8})(T\d{6}Z?)?/i, (match, date, time) => {
+    if (allDay) return `UNTIL=${date}`;
+    return time ? match : `UNTIL=${date}T235959Z`;
+  });
+}
+
+/**
+ * TEXT値のエスケープ（RFC 5545 3.3.11）
+ * @param {string} text - エスケープする文字列
+ * @returns {string} エスケープ済み文字列
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+/**
+ * 75オクテットを超える行を折り返す（RFC 5545 3.1）
+ * マルチバイト文字の途中では分割しない
+ * @param {string} line - 1行分の内容
+ * @returns {string} 折り返し済みの行
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  if (encoder.encode(line).length <= ICS_MAX_LINE_OCTETS) {
+    return line;
+  }
+
+  const chunks = [];
+  let current = "";
+  let currentOctets = 0;
+  // 継続行は先頭の空白も1オクテットに数える
+  let limit = ICS_MAX_LINE_OCTETS;
+
+  for (const char of line) {
+    const octets = encoder.encode(char).length;
+    if (currentOctets + octets > limit) {
+      chunks.push(current);
+      current = "";
+      currentOctets = 0;
+      limit = ICS_MAX_LINE_OCTETS - 1;
+    }
+    current += char;
+    currentOctets += octets;
+  }
+  chunks.push(current);
+
+  return chunks.join(`${ICS_LINE_BREAK} `);
+}
+
+/**
+ * ダウンロード用のファイル名を作る
+ * @param {Array<Object>} events - イベント
+ * @returns {string} ファイル名
+ */
+function createFileName(events) {
+  if (events.length === 1 && events[0].summary) {
+    const name = events[0].summary
+      .replace(/[\\/:*?"<>|\r\n]+/g, " ")
+      .trim()
+      .slice(0, 60);
+    if (name) return `${name}.ics`;
+  }
+  const today = new Date().toISOString().slice(0, 10).replace(/-/g, "");
+  return `chronoclip-events-${today}.ics`;
+}
+
+function createUid() {
+  const random =
+    typeof crypto !== "undefined" && crypto.randomUUID
+      ? crypto.randomUUID()
+      : `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}`;
+  return `${random}@chronoclip`;
+}
+
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").split(".")[0] + "Z";
+}
+
+function formatFloatingDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, "").split(".")[0];
+}
+
+function formatOffset(minutes) {
+  const sign = minutes < 0 ? "-" : "+";
+  const abs = Math.abs(minutes);
+  return `${sign}${String(Math.floor(abs / 60)).padStart(2, "0")}${String(
+    abs % 60
+  ).padStart(2, "0")}`;
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+}
+
+function getNthWeekdayCode(localDate) {
+  const codes = ["SU", "MO", "TU", "WE", "TH", "FR", "SA"];
+  const day = localDate.getUTCDate();
+  const daysInMonth = new Date(
+    Date.UTC(localDate.getUTCFullYear(), localDate.getUTCMonth() + 1, 0)
+  ).getUTCDate();
+  const nth = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+  return `${nth}${codes[localDate.getUTCDay()]}`;
+}
+
+const ChronoClipICS = {
+  buildCalendar,
+  buildEvent,
+  buildTimeZone,
+  escapeText,
+  foldLine,
+  createFileName,
+  createUid,
+  getWallClockParts,
+  toInstant,
+};
+
+// グローバルに公開（ブラウザ環境）
+if (typeof window !== "undefined") {
+  window.ChronoClipICS = ChronoClipICS;
+}
+
+// Service Worker環境では self を使用
+if (typeof self !== "undefined" && typeof window === "undefined") {
+  self.ChronoClipICS = ChronoClipICS;
+}
+
+// モジュールとしてエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = ChronoClipICS;
+}
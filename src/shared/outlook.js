@@ -0,0 +1,787 @@
+/**
+ * @file Outlook (Microsoft 365) calendar provider using Microsoft Graph.
+ *
+ * Authentication uses chrome.identity.launchWebAuthFlow with the OAuth 2.0
+ * authorization code flow and PKCE. The app must be registered in Microsoft
+ * Entra ID with the redirect URI from chrome.identity.getRedirectURL("outlook")
+ * as a "Single-page application" platform.
+ *
+ * Event and calendar IDs are the Graph IDs. "primary" means the user's
+ * default calendar.
+ */
+
+const GRAPH_API_BASE_URL = "https://graph.microsoft.com/v1.0";
+
+/**
+ * Maximum number of requests in a single Graph JSON batch.
+ */
+const GRAPH_BATCH_MAX_REQUESTS = 20;
+
+const OUTLOOK_SCOPES = ["offline_access", "User.Read", "Calendars.ReadWrite"];
+
+/**
+ * chrome.storage.local key of the Microsoft tokens.
+ */
+const OUTLOOK_TOKEN_KEY = "chronoClipOutlookToken";
+
+/**
+ * Access tokens are refreshed this long before they expire.
+ */
+const OUTLOOK_TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const GRAPH_WEEKDAYS = {
+  SU: "sunday",
+  MO: "monday",
+  TU: "tuesday",
+  WE: "wednesday",
+  TH: "thursday",
+  FR: "friday",
+  SA: "saturday",
+};
+
+const GRAPH_WEEK_INDEXES = {
+  1: "first",
+  2: "second",
+  3: "third",
+  4: "fourth",
+  "-1": "last",
+};
+
+/**
+ * Reads the Outlook app registration from the settings.
+ *
+ * @returns {Promise<{clientId: string, tenant: string}>}
+ * @throws {Error} If no client ID is configured.
+ */
+async function getOutlookConfig() {
+  const stored = await chrome.storage.sync.get("chronoClipSettings");
+  const outlook = stored.chronoClipSettings?.outlook || {};
+
+  if (!outlook.clientId) {
+    const error = new Error(
+      "Microsoft のアプリケーション（クライアント）IDが設定されていません"
+    );
+    error.provider = "outlook";
+    error.reason = "notConfigured";
+    throw error;
+  }
+
+  return { clientId: outlook.clientId, tenant: outlook.tenant || "common" };
+}
+
+/**
+ * Returns a Microsoft Graph access token, refreshing or signing in as needed.
+ *
+ * @param {object} [options]
+ * @param {boolean} [options.interactive=true] - Whether the sign-in window may
+ *   be shown.
+ * @param {object} [options.config] - App registration to use instead of the
+ *   stored one.
+ * @returns {Promise<string>} The access token.
+ */
+async function getOutlookToken(options = {}) {
+  const { interactive = true } = options;
+  const config = options.config || (await getOutlookConfig());
+  const stored = (await chrome.storage.local.get(OUTLOOK_TOKEN_KEY))[
+    OUTLOOK_TOKEN_KEY
+  ];
+  const sameApp = stored && stored.clientId === config.clientId;
+
+  if (
+    sameApp &&
+    stored.accessToken &&
+    stored.expiresAt - OUTLOOK_TOKEN_EXPIRY_MARGIN_MS > Date.now()
+  ) {
+    return stored.accessToken;
+  }
+
+  if (sameApp && stored.refreshToken) {
+    try {
+      return await requestOutlookToken(config, {
+        grant_type: "refresh_token",
+        refresh_token: stored.refreshToken,
+      });
+    } catch (error) {
+      // リフレッシュトークンの期限切れなどは再サインインで回復する
+      console.warn("ChronoClip: Failed to refresh Outlook token:", error);
+    }
+  }
+
+  if (!interactive) {
+    throw createGraphError(401, {
+      error: {
+        code: "InvalidAuthenticationToken",
+        message: "Microsoft アカウントへのサインインが必要です",
+      },
+    });
+  }
+
+  return signInToOutlook(config);
+}
+
+/**
+ * Shows the Microsoft sign-in window and exchanges the authorization code.
+ *
+ * @param {object} config - The app registration.
+ * @returns {Promise<string>} The access token.
+ */
+async function signInToOutlook(config) {
+  const redirectUri = chrome.identity.getRedirectURL("outlook");
+  const verifier = createPkceVerifier();
+  const state = createPkceVerifier().slice(0, 16);
+
+  const authUrl = new URL(
+    `https://login.microsoftonline.com/${encodeURIComponent(
+      config.tenant
+    )}/oauth2/v2.0/authorize`
+  );
+  authUrl.search = new URLSearchParams({
+    client_id: config.clientId,
+    response_type: "code",
+    redirect_uri: redirectUri,
+    response_mode: "query",
+    scope: OUTLOOK_SCOPES.join(" "),
+    state,
+    code_challenge: await createPkceChallenge(verifier),
+    code_challenge_method: "S256",
+    prompt: "select_account",
+  }).toString();
+
+  let responseUrl;
+  try {
+    responseUrl = await chrome.identity.launchWebAuthFlow({
+      url: authUrl.toString(),
+      interactive: true,
+    });
+  } catch (error) {
+    // サインイン画面を閉じた場合もここに来る
+    const cancelled = /did not approve/i.test(error.message || "");
+    throw createGraphError(401, {
+      error: {
+        code: cancelled ? "access_denied" : "AuthenticationError",
+        message: error.message,
+      },
+    });
+  }
+
+  const params = new URL(responseUrl).searchParams;
+  if (params.get("error")) {
+    throw createGraphError(401, {
+      error: {
+        code: params.get("error"),
+        message: params.get("error_description") || params.get("error"),
+      },
+    });
+  }
+  if (params.get("state") !== state || !params.get("code")) {
+    throw new Error("Microsoft の認証応答が不正です");
+  }
+
+  return requestOutlookToken(config, {
+    grant_type: "authorization_code",
+    code: params.get("code"),
+    redirect_uri: redirectUri,
+    code_verifier: verifier,
+  });
+}
+
+/**
+ * Calls the token endpoint and stores the tokens.
+ *
+ * @param {object} config - The app registration.
+ * @param {object} grant - Grant-specific form parameters.
+ * @returns {Promise<string>} The access token.
+ */
+async function requestOutlookToken(config, grant) {
+  const response = await fetch(
+    `https://login.microsoftonline.com/${encodeURIComponent(
+      config.tenant
+    )}/oauth2/v2.0/token`,
+    {
+      method: "POST",
+      headers: { "Content-Type": "application/x-www-form-urlencoded" },
+      body: new URLSearchParams({
+        client_id: config.clientId,
+        scope: OUTLOOK_SCOPES.join(" "),
+        ...grant,
+      }).toString(),
+    }
+  );
+
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.access_token) {
+    throw createGraphError(response.ok ? 401 : response.status, {
+      error: {
+        code: data.error || "InvalidAuthenticationToken",
+        message: data.error_description || "トークンを取得できませんでした",
+      },
+    });
+  }
+
+  await chrome.storage.local.set({
+    [OUTLOOK_TOKEN_KEY]: {
+      clientId: config.clientId,
+      accessToken: data.access_token,
+      refreshToken: data.refresh_token || grant.refresh_token || null,
+      expiresAt: Date.now() + (data.expires_in || 3600) * 1000,
+    },
+  });
+
+  return data.access_token;
+}
+
+/**
+ * Signs out by discarding the stored tokens.
+ *
+ * @returns {Promise<void>}
+ */
+async function signOutOfOutlook() {
+  await chrome.storage.local.remove(OUTLOOK_TOKEN_KEY);
+}
+
+/**
+ * Maps ChronoClip's event model onto a Graph event resource.
+ * The Google resource built by buildEventResource is used as the common
+ * intermediate form, so validation and the source URL handling are shared.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @returns {object} The Graph event resource.
+ */
+function buildGraphEvent(params) {
+  const resource = buildEventResource(params);
+  const allDay = Boolean(resource.start.date && !resource.start.dateTime);
+
+  const event = {
+    subject: resource.summary,
+    body: { contentType: "text", content: resource.description || "" },
+    start: toGraphDateTime(resource.start),
+    end: toGraphDateTime(resource.end),
+    isAllDay: allDay,
+  };
+
+  if (allDay && resource.end.date <= resource.start.date) {
+    // Graph の終日イベントは終了日を含まない（翌日の0時）
+    const end = new Date(`${resource.start.date}T00:00:00Z`);
+    end.setUTCDate(end.getUTCDate() + 1);
+    event.end = toGraphDateTime({ date: end.toISOString().slice(0, 10) });
+  }
+
+  if (resource.location) {
+    event.location = { displayName: resource.location };
+  }
+
+  if (resource.transparency) {
+    event.showAs = resource.transparency === "transparent" ? "free" : "busy";
+  }
+
+  if (resource.reminders) {
+    // Graph の通知は1件のみなので、最も早い通知を使う
+    const minutes = resource.reminders.overrides.map((o) => o.minutes);
+    event.isReminderOn = minutes.length > 0;
+    if (minutes.length > 0) {
+      event.reminderMinutesBeforeStart = Math.max(...minutes);
+    }
+  }
+
+  if (resource.recurrence) {
+    const recurrence = toGraphRecurrence(
+      resource.recurrence[0],
+      resource.start.date || resource.start.dateTime.slice(0, 10)
+    );
+    if (recurrence) {
+      event.recurrence = recurrence;
+    }
+  }
+
+  return event;
+}
+
+/**
+ * Converts a Google-style start/end into Graph's dateTimeTimeZone.
+ * Date-times with an offset are converted to UTC.
+ *
+ * @param {object} value - { date } or { dateTime, timeZone }.
+ * @returns {{dateTime: string, timeZone: string}}
+ */
+function toGraphDateTime(value) {
+  if (value.date && !value.dateTime) {
+    return { dateTime: `${value.date}T00:00:00`, timeZone: "UTC" };
+  }
+
+  if (/(Z|[+-]\d{2}:?\d{2})$/.test(value.dateTime)) {
+    return {
+      dateTime: new Date(value.dateTime).toISOString().slice(0, 19),
+      timeZone: "UTC",
+    };
+  }
+  return {
+    dateTime: value.dateTime.slice(0, 19),
+    timeZone: value.timeZone || "UTC",
+  };
+}
+
+/**
+ * Converts an RRULE line into a Graph patternedRecurrence.
+ *
+ * @param {string} rule - The RRULE line.
+ * @param {string} startDate - The first occurrence (YYYY-MM-DD).
+ * @returns {object|null} The recurrence, or null if it cannot be expressed.
+ */
+function toGraphRecurrence(rule, startDate) {
+  const parts = {};
+  rule
+    .replace(/^RRULE:/i, "")
+    .split(";")
+    .forEach((part) => {
+      const [key, value] = part.split("=");
+      if (key && value) parts[key.toUpperCase()] = value.toUpperCase();
+    });
+
+  const interval = parseInt(parts.INTERVAL || "1", 10);
+  const [, month, day] = startDate.split("-").map(Number);
+  const byDay = (parts.BYDAY || "")
+    .split(",")
+    .filter(Boolean)
+    .map((value) => value.match(/^([+-]?\d)?([A-Z]{2})$/))
+    .filter(Boolean);
+  const daysOfWeek = byDay.map((match) => GRAPH_WEEKDAYS[match[2]]);
+
+  let pattern;
+  switch (parts.FREQ) {
+    case "DAILY":
+      pattern = { type: "daily", interval };
+      break;
+    case "WEEKLY":
+      pattern = {
+        type: "weekly",
+        interval,
+        daysOfWeek: daysOfWeek.length
+          ? daysOfWeek
+          : [Object.values(GRAPH_WEEKDAYS)[new Date(startDate).getUTCDay()]],
+        firstDayOfWeek: "sunday",
+      };
+      break;
+    case "MONTHLY":
+      if (byDay.length > 0 && byDay[0][1]) {
+        pattern = {
+          type: "relativeMonthly",
+          interval,
+          daysOfWeek,
+          index: GRAPH_WEEK_INDEXES[parseInt(byDay[0][1], 10)] || "first",
+        };
+      } else {
+        pattern = {
+          type: "absoluteMonthly",
+          interval,
+          dayOfMonth: parseInt(parts.BYMONTHDAY || day, 10),
+        };
+      }
+      break;
+    case "YEARLY":
+      pattern = {
+        type: "absoluteYearly",
+        interval,
+        month: parseInt(parts.BYMONTH || month, 10),
+        dayOfMonth: parseInt(parts.BYMONTHDAY || day, 10),
+      };
+      break;
+    default:
+      return null;
+  }
+
+  let range = { type: "noEnd", startDate };
+  if (parts.COUNT) {
+    range = {
+      type: "numbered",
+      startDate,
+      numberOfOccurrences: parseInt(parts.COUNT, 10),
+    };
+  } else if (parts.UNTIL) {
+    const until = parts.UNTIL.slice(0, 8);
+    range = {
+      type: "endDate",
+      startDate,
+      endDate: `${until.slice(0, 4)}-${until.slice(4, 6)}-${until.slice(6, 8)}`,
+    };
+  }
+
+  return { pattern, range };
+}
+
+/**
+ * Converts a Graph event into the Google event shape used by the callers.
+ *
+ * @param {object} event - The Graph event.
+ * @returns {object} The event.
+ */
+function fromGraphEvent(event) {
+  const toStart = (value) =>
+    event.isAllDay
+      ? { date: value.dateTime.slice(0, 10) }
+      : { dateTime: value.dateTime.slice(0, 19), timeZone: value.timeZone };
+
+  return {
+    id: event.id,
+    summary: event.subject || "",
+    description: event.body?.content || "",
+    location: event.location?.displayName || undefined,
+    start: event.start ? toStart(event.start) : null,
+    end: event.end ? toStart(event.end) : null,
+    htmlLink: event.webLink || null,
+    status: event.isCancelled ? "cancelled" : "confirmed",
+    transparency: event.showAs === "free" ? "transparent" : "opaque",
+  };
+}
+
+function getGraphCalendarPath(calendarId) {
+  return !calendarId || calendarId === "primary"
+    ? "/me/calendar"
+    : `/me/calendars/${encodeURIComponent(calendarId)}`;
+}
+
+/**
+ * Creates an event in an Outlook calendar.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @returns {Promise<object>} The created event.
+ */
+async function outlookCreateEvent({ calendarId = "primary", ...params }) {
+  const event = buildGraphEvent(params);
+
+  const created = await graphApiRequest(
+    `${getGraphCalendarPath(calendarId)}/events`,
+    { method: "POST", body: JSON.stringify(event) }
+  );
+  return fromGraphEvent(created);
+}
+
+/**
+ * Updates an existing Outlook event.
+ *
+ * @param {object} params - The event details (see buildEventResource).
+ * @param {string} params.eventId - The ID of the event to update.
+ * @returns {Promise<object>} The updated event.
+ */
+async function outlookUpdateEvent({ eventId, calendarId, ...params }) {
+  if (!eventId) {
+    throw new Error("更新するイベントのID(eventId)が必要です");
+  }
+
+  const updated = await graphApiRequest(
+    `/me/events/${encodeURIComponent(eventId)}`,
+    { method: "PATCH", body: JSON.stringify(buildGraphEvent(params)) }
+  );
+  return fromGraphEvent(updated);
+}
+
+/**
+ * Deletes an Outlook event.
+ *
+ * @param {object} params - The event identifiers.
+ * @param {string} params.eventId - The ID of the event to delete.
+ * @returns {Promise<null>} Resolves when the event has been deleted.
+ */
+async function outlookDeleteEvent({ eventId }) {
+  if (!eventId) {
+    throw new Error("削除するイベントのID(eventId)が必要です");
+  }
+
+  return graphApiRequest(`/me/events/${encodeURIComponent(eventId)}`, {
+    method: "DELETE",
+  });
+}
+
+/**
+ * Retrieves the user's calendars that can be edited.
+ *
+ * @returns {Promise<Array<object>>} The writable calendars, default first.
+ */
+async function outlookListCalendars() {
+  const calendars = [];
+  let path = "/me/calendars?$select=id,name,hexColor,canEdit,isDefaultCalendar";
+
+  while (path) {
+    const data = await graphApiRequest(path);
+    for (const item of data.value || []) {
+      if (item.canEdit === false) continue;
+      calendars.push({
+        id: item.id,
+        summary: item.name,
+        backgroundColor: item.hexColor || null,
+        foregroundColor: null,
+        accessRole: "owner",
+        primary: item.isDefaultCalendar === true,
+      });
+    }
+    path = data["@odata.nextLink"] || null;
+  }
+
+  calendars.sort((a, b) => Number(b.primary) - Number(a.primary));
+  return calendars;
+}
+
+/**
+ * Lists the (expanded) events of a calendar within a time range.
+ *
+ * @param {object} params - The query.
+ * @param {string} [params.calendarId="primary"] - The calendar ID.
+ * @param {string} params.timeMin - Lower bound (RFC 3339).
+ * @param {string} params.timeMax - Upper bound (RFC 3339).
+ * @param {string} [params.timeZone] - Time zone used in the response.
+ * @returns {Promise<Array<object>>} The events in the Google event shape.
+ */
+async function outlookListEvents({
+  calendarId = "primary",
+  timeMin,
+  timeMax,
+  timeZone,
+}) {
+  const params = new URLSearchParams({
+    startDateTime: timeMin,
+    endDateTime: timeMax,
+    $top: "100",
+    $select:
+      "id,subject,body,start,end,isAllDay,isCancelled,showAs,webLink,location",
+  });
+  const headers = { Prefer: 'outlook.body-content-type="text"' };
+  if (timeZone) {
+    headers.Prefer += `, outlook.timezone="${timeZone}"`;
+  }
+
+  const events = [];
+  let path = `${getGraphCalendarPath(calendarId)}/calendarView?${params}`;
+  while (path) {
+    const data = await graphApiRequest(path, { headers });
+    events.push(...(data.value || []).map(fromGraphEvent));
+    path = data["@odata.nextLink"] || null;
+  }
+  return events;
+}
+
+/**
+ * Finds events that look like copies of the given event
+ * (same matching rules as the Google provider).
+ *
+ * @param {object} params - The event details (summary, start, url, calendarId).
+ * @returns {Promise<Array<object>>} The matching events (empty if none).
+ */
+async function outlookFindDuplicateEvents(params) {
+  const range = getDuplicateSearchRange([params]);
+  if (!params.summary || !range) {
+    return [];
+  }
+
+  const events = await outlookListEvents({
+    calendarId: params.calendarId || "primary",
+    ...range,
+  });
+  return events.filter((event) => isDuplicateOf(event, params));
+}
+
+/**
+ * Creates many events with Graph JSON batching. Requests are split into
+ * chunks of GRAPH_BATCH_MAX_REQUESTS; a failure of one item does not affect
+ * the others.
+ *
+ * @param {Array<object>} items - Event details as accepted by
+ *   outlookCreateEvent.
+ * @returns {Promise<Array<{success: boolean, event?: object, error?: Error}>>}
+ */
+async function outlookBatchCreateEvents(items) {
+  const results = new Array(items.length);
+
+  for (
+    let offset = 0;
+    offset < items.length;
+    offset += GRAPH_BATCH_MAX_REQUESTS
+  ) {
+    const requests = [];
+
+    items
+      .slice(offset, offset + GRAPH_BATCH_MAX_REQUESTS)
+      .forEach(({ calendarId = "primary", ...params }, index) => {
+        try {
+          requests.push({
+            id: String(offset + index),
+            method: "POST",
+            url: `${getGraphCalendarPath(calendarId)}/events`,
+            headers: { "Content-Type": "application/json" },
+            body: buildGraphEvent(params),
+          });
+        } catch (error) {
+          // 不正なイベントはリクエストに含めず、その項目だけ失敗にする
+          results[offset + index] = { success: false, error };
+        }
+      });
+
+    if (requests.length === 0) {
+      continue;
+    }
+
+    let data;
+    try {
+      data = await graphApiRequest("/$batch", {
+        method: "POST",
+        body: JSON.stringify({ requests }),
+      });
+    } catch (error) {
+      // 前のチャンクで作成済みの予定はそのままにし、このチャンクだけ失敗にする
+      requests.forEach(({ id }) => {
+        results[Number(id)] = { success: false, error };
+      });
+      continue;
+    }
+
+    const responses = new Map(
+      (data.responses || []).map((response) => [response.id, response])
+    );
+    requests.forEach(({ id }) => {
+      const response = responses.get(id);
+      if (response && response.status >= 200 && response.status < 300) {
+        results[Number(id)] = {
+          success: true,
+          event: fromGraphEvent(response.body),
+        };
+      } else {
+        results[Number(id)] = {
+          success: false,
+          error: createGraphError(response?.status || 500, response?.body),
+        };
+      }
+    });
+  }
+
+  return results;
+}
+
+/**
+ * Retrieves the signed-in Microsoft account.
+ *
+ * @param {object} [config] - App registration to use instead of the stored one.
+ * @returns {Promise<{displayName: string, email: string}>}
+ */
+async function getOutlookAccount(config) {
+  const data = await graphApiRequest(
+    "/me?$select=displayName,mail,userPrincipalName",
+    {},
+    config
+  );
+  return {
+    displayName: data.displayName || "",
+    email: data.mail || data.userPrincipalName || "",
+  };
+}
+
+/**
+ * Sends an authorized request to Microsoft Graph.
+ * On a 401 the access token is discarded and the request is retried once.
+ * Throttled responses are retried by the shared retry policy.
+ *
+ * @param {string} path - The API path, or an absolute @odata.nextLink URL.
+ * @param {object} [options] - Options passed through to fetch.
+ * @param {object} [config] - App registration to use instead of the stored one.
+ * @returns {Promise<object|null>} The parsed JSON response, or null for empty
+ *   bodies.
+ * @throws {Error} An error carrying `code` (HTTP status), `reason` (the Graph
+ *   error code) and `provider`.
+ */
+async function graphApiRequest(path, options = {}, config) {
+  const url = /^https:\/\//.test(path) ? path : `${GRAPH_API_BASE_URL}${path}`;
+
+  const send = async (isRetry = false) => {
+    const token = await getOutlookToken({ interactive: true, config });
+
+    const request = () =>
+      fetch(url, {
+        ...options,
+        headers: {
+          Authorization: `Bearer ${token}`,
+          "Content-Type": "application/json",
+          ...(options.headers || {}),
+        },
+      });
+
+    const retryPolicy = self.chronoClipRetryPolicy;
+    const response = retryPolicy
+      ? await retryPolicy.execute(request, {
+          operation: "graph_api",
+          method: options.method || "GET",
+        })
+      : await request();
+
+    if (response.status === 401 && !isRetry) {
+      // 失効したアクセストークンを破棄し、リフレッシュして1回だけ再試行
+      const stored = (await chrome.storage.local.get(OUTLOOK_TOKEN_KEY))[
+        OUTLOOK_TOKEN_KEY
+      ];
+      if (stored) {
+        await chrome.storage.local.set({
+          [OUTLOOK_TOKEN_KEY]: { ...stored, accessToken: null, expiresAt: 0 },
+        });
+      }
+      return send(true);
+    }
+    return response;
+  };
+
+  const response = await send();
+  if (response.ok) {
+    if (response.status === 204 || response.status === 202) {
+      return null;
+    }
+    return response.json();
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  throw createGraphError(response.status, errorData);
+}
+
+/**
+ * Creates an Error from a Graph error response body.
+ *
+ * @param {number} status - The HTTP status code.
+ * @param {object} [errorData] - The parsed error response body.
+ * @returns {Error} An error carrying `code`, `reason` and `provider`.
+ */
+function createGraphError(status, errorData = {}) {
+  const err = new Error(
+    errorData?.error?.message || `HTTP error! status: ${status}`
+  );
+  err.code = status;
+  err.reason = errorData?.error?.code || "unknown";
+  err.provider = "outlook";
+  return err;
+}
+
+function createPkceVerifier() {
+  const bytes = crypto.getRandomValues(new Uint8Array(48));
+  return base64UrlEncode(bytes);
+}
+
+async function createPkceChallenge(verifier) {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(verifier)
+  );
+  return base64UrlEncode(new Uint8Array(digest));
+}
+
+function base64UrlEncode(bytes) {
+  return btoa(String.fromCharCode(...bytes))
+    .replace(/\+/g, "-")
+    .replace(/\//g, "_")
+    .replace(/=+$/, "");
+}
+
+registerCalendarProvider({
+  id: "outlook",
+  label: "Outlook",
+  createEvent: outlookCreateEvent,
+  updateEvent: outlookUpdateEvent,
+  deleteEvent: outlookDeleteEvent,
+  listCalendars: outlookListCalendars,
+  listEvents: outlookListEvents,
+  findDuplicateEvents: outlookFindDuplicateEvents,
+  batchCreateEvents: outlookBatchCreateEvents,
+});
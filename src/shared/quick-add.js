@@ -0,0 +1,249 @@
+/**
+ * @fileoverview 自由入力テキストからのクイック追加
+ * 「来週金曜 19時 渋谷で飲み会」「lunch with Ken tomorrow 12:30」のような
+ * 1行の文から日時とタイトルを取り出し、カレンダーに追加する予定を組み立てる。
+ * ツールバーのポップアップとアドレスバー（キーワード "cc"）から使用する
+ */
+
+/**
+ * タイトルの前後に残る助詞・前置詞
+ */
+const QUICK_ADD_LEADING_WORDS = /^(?:から|より|に|の|at|on|from)(?:\s+|(?=[^\x00-\x7F]))/i;
+const QUICK_ADD_TRAILING_WORDS = /(?:\s+(?:at|on|from|by)|から|より|に|の)$/i;
+
+/**
+ * 自由入力テキストを日時とタイトルに分解
+ * @param {string} text - 入力テキスト
+ * @param {Date} [referenceDate] - 「明日」「来週」等の基準日時（省略時は現在）
+ * @returns {object|null} { title, date: 解析結果（date-parser形式） }。
+ *   日時を読み取れない場合は null
+ */
+function parseQuickAddText(text, referenceDate = new Date()) {
+  const input = (text || "").trim();
+  if (!input) return null;
+
+  const globalScope = typeof window !== "undefined" ? window : self;
+  const parser = globalScope.ChronoClipDateParser;
+  if (!parser) {
+    console.warn("ChronoClip: date parser not available for quick add");
+    return null;
+  }
+
+  // 全角数字・漢数字（「８月２７日」「午後七時半」等）は半角数字の表記に揃えて
+  // 解析する。読み取った範囲は元の入力の位置に戻してタイトルから除く
+  const normalized = globalScope.ChronoClip?.normalizeDateText
+    ? globalScope.ChronoClip.normalizeDateText(input)
+    : null;
+  const normalizedInput = normalized ? normalized.text : input;
+
+  // 読み取った日時の範囲（正規化後の位置。残りがタイトルになる）
+  const ranges = [];
+  let dateText = normalizedInput;
+  let baseDate = referenceDate;
+
+  // 「毎週月曜」「every Tuesday」などの繰り返しは、曜日が「月曜」の日付として
+  // 読み取られないよう空白に置き換えてから日時を探す
+  const recurrence = parser.parseRecurrence(normalizedInput, referenceDate);
+  if (recurrence) {
+    recurrence.matchedText.forEach((phrase) => {
+      const index = dateText.indexOf(phrase);
+      if (index < 0) return;
+      ranges.push([index, index + phrase.length]);
+      dateText =
+        dateText.slice(0, index) +
+        " ".repeat(phrase.length) +
+        dateText.slice(index + phrase.length);
+    });
+  }
+
+  // chrono-node が扱えない和暦や「明日」「来週金曜」などは date-parser で読み取る
+  // 「令和7年8月27日〜29日」のように和暦から始まる範囲は、範囲表記として
+  // parseWithChrono で読み取るため日付だけを取り出さない
+  const warekiDay = parser.findWarekiDay(dateText);
+  const warekiRange =
+    warekiDay &&
+    parser.parseDateRange(dateText, referenceDate)?.match.index ===
+      warekiDay.index;
+  const day = warekiRange
+    ? null
+    : warekiDay || parser.findRelativeDate(dateText, referenceDate);
+  if (day) {
+    ranges.push([day.index, day.index + day.length]);
+    // 位置がずれないよう同じ長さの空白に置き換え、時刻はその日を基準に解析する
+    dateText =
+      dateText.slice(0, day.index) +
+      " ".repeat(day.length) +
+      dateText.slice(day.index + day.length);
+    baseDate = day.date;
+  }
+
+  let date = parser.parseWithChrono(dateText, baseDate);
+  if (date?.match) {
+    ranges.push([date.match.index, date.match.index + date.match.text.length]);
+  }
+
+  if (day && (!date || date.type === "date")) {
+    // 時刻の指定がない場合は終日の予定にする
+    const dayText = parser.formatDate(day.date);
+    date = {
+      type: "date",
+      start: { date: dayText },
+      end: { date: dayText },
+      confidence: 0.8,
+      source: "quick-add",
+    };
+  }
+
+  if (recurrence) {
+    // 初回の日付と RRULE は date-parser の繰り返しの解析に合わせる
+    const recurring = parser.parseRecurringDate(
+      normalizedInput,
+      recurrence,
+      referenceDate
+    );
+    if (recurring) {
+      // 長さは buildQuickAddEvent の既定の長さにする
+      date = { ...recurring, end: { ...recurring.start } };
+    }
+  }
+
+  if (!date) return null;
+
+  const inputRanges = normalized
+    ? ranges.map(([start, end]) => {
+        const range = globalScope.ChronoClip.mapNormalizedRange(
+          normalized,
+          start,
+          end
+        );
+        return [range.start, range.end];
+      })
+    : ranges;
+
+  return {
+    title: extractQuickAddTitle(input, inputRanges),
+    date,
+  };
+}
+
+/**
+ * 日時として読み取った範囲を除いた残りからタイトルを作成
+ * @param {string} text - 入力テキスト
+ * @param {Array<Array<number>>} ranges - 除く範囲 [開始, 終了) の配列
+ * @returns {string} タイトル
+ */
+function extractQuickAddTitle(text, ranges) {
+  let title = "";
+  let position = 0;
+  [...ranges]
+    .sort((a, b) => a[0] - b[0])
+    .forEach(([start, end]) => {
+      if (start > position) {
+        title += text.slice(position, start);
+      }
+      title += " ";
+      position = Math.max(position, end);
+    });
+  title += text.slice(position);
+
+  return title
+    .replace(/\s+/g, " ")
+    .trim()
+    .replace(QUICK_ADD_LEADING_WORDS, "")
+    .replace(QUICK_ADD_TRAILING_WORDS, "")
+    .replace(/^[\s,、:：\-〜~]+|[\s,、:：\-〜~]+$/g, "");
+}
+
+/**
+ * 解析結果からカレンダーに追加する予定を作成
+ * @param {object} parsed - parseQuickAddText の結果
+ * @param {object} [options]
+ * @param {number} [options.defaultDuration=60] - 終了時刻がない場合の長さ（分）
+ * @returns {object} add_to_calendar に渡すイベントデータ
+ */
+function buildQuickAddEvent(parsed, options = {}) {
+  const { defaultDuration = 60 } = options;
+  const { title, date } = parsed;
+
+  const event = {
+    summary: title,
+    start: { ...date.start },
+    end: { ...date.end },
+    extractor: "quick-add",
+  };
+  if (date.recurrence) {
+    event.recurrence = date.recurrence;
+  }
+
+  if (date.type === "datetime" && date.start.dateTime === date.end.dateTime) {
+    const end = new Date(
+      new Date(date.start.dateTime).getTime() + defaultDuration * 60 * 1000
+    );
+    event.end.dateTime = end.toISOString();
+  }
+
+  return event;
+}
+
+/**
+ * プレビュー用に予定の日時とタイトルを整形
+ * @param {object} event - buildQuickAddEvent の結果
+ * @returns {string} 表示用文字列
+ */
+function formatQuickAddPreview(event) {
+  const title = event.summary || "(タイトルなし)";
+
+  if (event.start.date) {
+    const dateFormat = { month: "numeric", day: "numeric", weekday: "short" };
+    const day = new Date(`${event.start.date}T00:00:00`);
+    let dateText = day.toLocaleDateString("ja-JP", dateFormat);
+    if (event.end?.date > event.start.date) {
+      // 複数日の終了日は最終日の翌日なので、表示は最終日にする
+      const lastDay = new Date(`${event.end.date}T00:00:00`);
+      lastDay.setDate(lastDay.getDate() - 1);
+      dateText += `〜${lastDay.toLocaleDateString("ja-JP", dateFormat)}`;
+    }
+    return `${dateText} 終日 ${title}${formatQuickAddRecurrence(event)}`;
+  }
+
+  const start = new Date(event.start.dateTime);
+  const end = new Date(event.end.dateTime);
+  const dateText = start.toLocaleDateString("ja-JP", {
+    month: "numeric",
+    day: "numeric",
+    weekday: "short",
+  });
+  const timeFormat = { hour: "2-digit", minute: "2-digit" };
+  const timeText = `${start.toLocaleTimeString(
+    "ja-JP",
+    timeFormat
+  )}〜${end.toLocaleTimeString("ja-JP", timeFormat)}`;
+
+  return `${dateText} ${timeText} ${title}${formatQuickAddRecurrence(event)}`;
+}
+
+/**
+ * プレビューに添える繰り返しの表示
+ * @param {object} event - buildQuickAddEvent の結果
+ * @returns {string} 繰り返しの RRULE（繰り返さない場合は空文字）
+ */
+function formatQuickAddRecurrence(event) {
+  const rule = event.recurrence?.[0];
+  return rule ? `（繰り返し: ${rule.replace(/^RRULE:/, "")}）` : "";
+}
+
+const ChronoClipQuickAdd = {
+  parseQuickAddText,
+  buildQuickAddEvent,
+  formatQuickAddPreview,
+};
+
+// グローバルに公開（ポップアップ）
+if (typeof window !== "undefined") {
+  window.ChronoClipQuickAdd = ChronoClipQuickAdd;
+}
+
+// Service Worker環境（アドレスバーからの入力）
+if (typeof self !== "undefined" && typeof window === "undefined") {
+  self.ChronoClipQuickAdd = ChronoClipQuickAdd;
+}
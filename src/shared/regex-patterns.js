@@ -10,12 +10,28 @@ var ChronoClip = ChronoClip || {};
 // YYYY/MM/DD または YYYY-MM-DD 形式の日付に一致します。
 ChronoClip.DATE_PATTERN = /\b(\d{4})([-/])(0[1-9]|1[0-2])\2(0[1-9]|[12]\d|3[01])\b/g;
 
+/**
+ * 和暦の年・月・日に使われる数字（全角数字と漢数字を含みます）。
+ */
+ChronoClip.WAREKI_NUMBER_PATTERN = "[0-9０-９〇一二三四五六七八九十]{1,3}";
+
 /**
  * 日本の元号（和暦）の日付形式に一致します。
- * 例: 「令和6年8月27日」、「平成元年1月8日」
- * 元号、年（「元」を含む）、月、日をキャプチャします。
+ * 例: 「令和6年8月27日」、「平成元年1月8日」、「令和七年八月二十七日」、
+ *     「R7年8月27日」、「R7.8.27」、「H31/4/30」、「明治45年7月30日」
+ * 1-4: 年月日で書かれた元号（略称を含む）、年（「元」を含む）、月、日
+ * 5-8: 「.」「/」で区切られた元号（略称を含む）、年、月、日
+ * 西暦への変換と元号の期間の検証は ChronoClip.parseWarekiMatch で行います。
  */
-ChronoClip.WAREKI_DATE_PATTERN = /(令和|平成|昭和|大正)(\d{1,2}|元)年\s*(\d{1,2})月\s*(\d{1,2})日/g;
+ChronoClip.WAREKI_DATE_PATTERN = new RegExp(
+  "(?<![A-Za-z])(令和|平成|昭和|大正|明治|[RHSTM])\\s*" +
+    `(${ChronoClip.WAREKI_NUMBER_PATTERN}|元)\\s*年\\s*` +
+    `(${ChronoClip.WAREKI_NUMBER_PATTERN})\\s*月\\s*` +
+    `(${ChronoClip.WAREKI_NUMBER_PATTERN})\\s*日|` +
+    "(?<![A-Za-z0-9])(令和|平成|昭和|大正|明治|[RHSTM])\\s?(\\d{1,2}|元)" +
+    "[./](\\d{1,2})[./](\\d{1,2})(?![\\d./])",
+  "g"
+);
 
 /**
  * 年が省略された「月日」の形式に一致します。曜日は任意です。
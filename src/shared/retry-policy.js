@@ -0,0 +1,248 @@
+/**
+ * ChronoClip API再試行ポリシー
+ * Google APIへのリクエストに共通のバックオフとサーキットブレーカーを提供する
+ *
+ * - 429、および403（rateLimitExceeded / userRateLimitExceeded）は
+ *   Retry-After を優先し、なければ指数バックオフ＋ジッターで再試行する
+ * - レート制限・サーバーエラー（5xx）・ネットワークエラーが続いた場合は
+ *   サーキットを開き、一定時間リクエストを送らない
+ *   （5xxとネットワークエラーは重複作成を避けるためここでは再試行しない）
+ */
+
+/**
+ * レート制限として再試行する403のreason
+ */
+const RATE_LIMIT_REASONS = ["rateLimitExceeded", "userRateLimitExceeded"];
+
+const DEFAULT_RETRY_OPTIONS = {
+  maxRetries: 4, // 初回を除く最大再試行回数
+  baseDelayMs: 1000, // バックオフの基準待ち時間
+  maxDelayMs: 32000, // 1回あたりの最大待ち時間
+  failureThreshold: 5, // サーキットを開くまでの連続失敗回数
+  cooldownMs: 60000, // サーキットを開いておく時間
+};
+
+class ChronoClipRetryPolicy {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_RETRY_OPTIONS, ...options };
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+    this.lastFailureKind = null; // "rateLimit" / "serverError" / "network"
+
+    const globalScope = typeof window !== "undefined" ? window : self;
+    this.logger = globalScope.ChronoClipLogger
+      ? new globalScope.ChronoClipLogger()
+      : { warn: console.warn, info: console.info, debug: console.debug };
+  }
+
+  /**
+   * 再試行ポリシーを適用してリクエストを実行する
+   * @param {Function} requestFn - fetchのResponseを返す関数（再試行ごとに呼ばれる）
+   * @param {Object} context - ログ用のコンテキスト
+   * @returns {Promise<Response>} 最後に受け取ったレスポンス
+   * @throws {Error} サーキットが開いている場合（circuitOpen: true）
+   */
+  async execute(requestFn, context = {}) {
+    this.assertCircuitClosed(context);
+
+    for (let attempt = 0; ; attempt++) {
+      let response;
+      try {
+        response = await requestFn();
+      } catch (error) {
+        // ネットワークエラーも障害として数える
+        this.recordFailure(null, "network");
+        throw error;
+      }
+      const reason = await this.getRateLimitReason(response);
+
+      if (!reason) {
+        if (response.ok) {
+          this.recordSuccess();
+        } else if (response.status >= 500) {
+          this.recordFailure(response, "serverError");
+        }
+        return response;
+      }
+
+      this.recordFailure(response, "rateLimit");
+
+      if (attempt >= this.options.maxRetries || this.isCircuitOpen()) {
+        this.logger.warn("Rate limit retries exhausted", {
+          ...context,
+          status: response.status,
+          reason,
+          attempts: attempt + 1,
+        });
+        return response;
+      }
+
+      const delayMs = this.getDelayMs(response, attempt);
+      this.logger.info("Rate limited, retrying with backoff", {
+        ...context,
+        status: response.status,
+        reason,
+        attempt: attempt + 1,
+        delayMs,
+      });
+      await new Promise((resolve) => setTimeout(resolve, delayMs));
+    }
+  }
+
+  /**
+   * レスポンスが再試行すべきレート制限かを判定し、そのreasonを返す
+   * @param {Response} response - fetchのレスポンス
+   * @returns {Promise<string|null>} レート制限のreason（対象外ならnull）
+   */
+  async getRateLimitReason(response) {
+    if (response.status === 429) {
+      return "rateLimitExceeded";
+    }
+    if (response.status !== 403) {
+      return null;
+    }
+
+    // 本文は呼び出し元でも読むため clone して確認する
+    try {
+      const data = await response.clone().json();
+      const reason = data.error?.errors?.[0]?.reason;
+      return RATE_LIMIT_REASONS.includes(reason) ? reason : null;
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * 次の再試行までの待ち時間を計算する
+   * Retry-After（秒数またはHTTP日付）を優先し、なければ full jitter の指数バックオフ
+   * @param {Response} response - fetchのレスポンス
+   * @param {number} attempt - 0始まりの試行回数
+   * @returns {number} 待ち時間（ミリ秒）
+   */
+  getDelayMs(response, attempt) {
+    const retryAfterMs = parseRetryAfter(
+      response.headers?.get("Retry-After")
+    );
+    if (retryAfterMs !== null) {
+      return Math.min(retryAfterMs, this.options.cooldownMs);
+    }
+
+    const exponential = Math.min(
+      this.options.maxDelayMs,
+      this.options.baseDelayMs * 2 ** attempt
+    );
+    return Math.round(Math.random() * exponential);
+  }
+
+  /**
+   * サーキットが開いている場合はリクエストを送らずにエラーにする
+   * @param {Object} context - ログ用のコンテキスト
+   */
+  assertCircuitClosed(context) {
+    if (!this.isCircuitOpen()) {
+      return;
+    }
+
+    const retryAfterMs = this.circuitOpenUntil - Date.now();
+    this.logger.warn("Circuit breaker is open, request skipped", {
+      ...context,
+      retryAfterMs,
+    });
+
+    const error = new Error(
+      "API circuit breaker is open after repeated failures; requests are paused"
+    );
+    error.code = 429;
+    error.reason = "circuitOpen";
+    error.circuitOpen = true;
+    error.failureKind = this.lastFailureKind;
+    error.retryAfterMs = retryAfterMs;
+    throw error;
+  }
+
+  /**
+   * サーキットが開いているか
+   * @returns {boolean}
+   */
+  isCircuitOpen() {
+    return Date.now() < this.circuitOpenUntil;
+  }
+
+  /**
+   * 成功時にサーキットを閉じる
+   */
+  recordSuccess() {
+    if (this.consecutiveFailures > 0 || this.circuitOpenUntil > 0) {
+      this.logger.info("API recovered, circuit breaker reset");
+    }
+    this.consecutiveFailures = 0;
+    this.circuitOpenUntil = 0;
+    this.lastFailureKind = null;
+  }
+
+  /**
+   * 失敗（レート制限・5xx・ネットワークエラー）を記録し、
+   * 閾値を超えたらサーキットを開く
+   * @param {Response|null} response - 失敗したレスポンス（ネットワークエラーはnull）
+   * @param {string} kind - 失敗の種類（"rateLimit" / "serverError" / "network"）
+   */
+  recordFailure(response, kind) {
+    this.consecutiveFailures++;
+    this.lastFailureKind = kind;
+
+    if (this.consecutiveFailures >= this.options.failureThreshold) {
+      const retryAfterMs = parseRetryAfter(
+        response?.headers?.get("Retry-After")
+      );
+      const cooldownMs = Math.max(this.options.cooldownMs, retryAfterMs || 0);
+      this.circuitOpenUntil = Date.now() + cooldownMs;
+      this.logger.warn("Circuit breaker opened", {
+        consecutiveFailures: this.consecutiveFailures,
+        kind,
+        cooldownMs,
+      });
+    }
+  }
+}
+
+/**
+ * Retry-After ヘッダーをミリ秒に変換する
+ * @param {string|null} value - ヘッダー値（秒数またはHTTP日付）
+ * @returns {number|null} 待ち時間（ミリ秒）。解釈できない場合はnull
+ */
+function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (!isNaN(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  if (!isNaN(date)) {
+    return Math.max(0, date - Date.now());
+  }
+
+  return null;
+}
+
+// グローバルクラスとして登録（ブラウザ環境）
+if (typeof window !== "undefined") {
+  window.ChronoClipRetryPolicy = ChronoClipRetryPolicy;
+  window.chronoClipRetryPolicy = new ChronoClipRetryPolicy();
+}
+
+// Service Worker環境では self を使用
+if (typeof self !== "undefined" && typeof window === "undefined") {
+  self.ChronoClipRetryPolicy = ChronoClipRetryPolicy;
+  self.chronoClipRetryPolicy = new ChronoClipRetryPolicy();
+}
+
+// モジュールとしてエクスポート
+if (typeof module !== "undefined" && module.exports) {
+  module.exports = {
+    ChronoClipRetryPolicy,
+    RATE_LIMIT_REASONS,
+    parseRetryAfter,
+  };
+}
@@ -12,9 +12,37 @@ const DEFAULT_SETTINGS = {
   highlightDates: true, // ハイライト表示ON/OFF
   highlightColor: "#ffeb3b", // ハイライトの背景色
   defaultDuration: 180, // デフォルトイベント時間（分）
+  calendarProvider: "google", // カレンダーサービス（google / caldav / outlook）
+  caldav: {
+    serverUrl: "", // CalDAVサーバーのURL
+    username: "", // ユーザー名（パスワードは chrome.storage.local に保存）
+  },
+  outlook: {
+    clientId: "", // Microsoft Entra ID のアプリケーション（クライアント）ID
+    tenant: "common", // テナント（common / organizations / consumers / テナントID）
+  },
+  googleAccounts: {
+    clientId: "", // 複数アカウント用の OAuth クライアントID（ウェブアプリケーション）
+    defaultAccount: "", // 既定のアカウント（空なら Chrome のプロフィールのアカウント）
+  },
   defaultCalendar: "primary", // 追加先カレンダーID
+  defaultTaskList: "@default", // 締切をタスクとして追加する先のタスクリストID
   timezone: "Asia/Tokyo", // 既定タイムゾーン
   includeURL: true, // 抽出時にURLを説明へ付与
+  templates: {
+    title: "", // タイトルのテンプレート（例: "[{site}] {title}"、空なら抽出結果のまま）
+    description: "", // 説明のテンプレート（例: "{venue}\n{price}\n{url}"）
+  },
+  reminders: {
+    useDefault: true, // カレンダー既定の通知を使う
+    overrides: [], // 独自の通知（{ method: "popup" | "email", minutes }）
+  },
+  travelBuffer: {
+    enabled: false, // 場所のある予定の前後に「移動」の予定を作成
+    beforeMinutes: 30, // 予定の前の移動時間（分、0なら作成しない）
+    afterMinutes: 30, // 予定の後の移動時間（分、0なら作成しない）
+    calendarId: "", // 移動の予定の追加先カレンダーID（空なら予定と同じカレンダー）
+  },
   dateFormats: ["JP", "ISO", "US"], // 対応日付形式の優先順位
   rulesEnabled: false, // サイト別ルールの有効無効
   siteRules: {}, // サイト別ルール設定
@@ -23,6 +51,10 @@ const DEFAULT_SETTINGS = {
   // エラーハンドリングとログ関連設定（新規追加）
   debugMode: false, // デバッグモード（詳細ログ表示）
   errorReportConsent: false, // エラーレポート送信同意
+
+  // 開発者向け設定（Googleカレンダーのみ）
+  apiBaseUrl: "", // Calendar API の接続先（空なら https://www.googleapis.com、モックサーバーでのテスト用）
+  dryRun: false, // 追加・更新・削除のリクエストを送信せずにログへ記録する
 };
 
 /**
@@ -30,6 +62,20 @@ const DEFAULT_SETTINGS = {
  */
 const ALLOWED_DATE_FORMATS = ["JP", "US", "ISO", "EU"];
 
+/**
+ * カレンダーサービスの許可値
+ */
+const CALENDAR_PROVIDERS = ["google", "caldav", "outlook"];
+
+/**
+ * 通知設定の許可値と上限（Google Calendar API の制約に合わせる）
+ */
+const REMINDER_METHODS = ["popup", "email"];
+const MAX_REMINDER_OVERRIDES = 5;
+const MAX_REMINDER_MINUTES = 40320; // 4週間
+const MAX_TEMPLATE_LENGTH = 2000;
+const MAX_TRAVEL_BUFFER_MINUTES = 720; // 12時間
+
 /**
  * タイムゾーンの主要候補
  */
@@ -80,8 +126,38 @@ const DEFAULT_SITE_RULE = {
     customJoiner: " / ", // カスタム結合文字
     trimBrackets: false, // 括弧の圧縮
   },
+  reminders: {
+    mode: "inherit", // 通知設定（inherit/default/custom）
+    overrides: [], // mode が custom のときの通知
+  },
+  calendar: {
+    account: "", // 追加先の Google アカウント（空なら全体設定に従う）
+    calendarId: "", // 追加先カレンダーID（空なら全体設定に従う）
+  },
+  templates: {
+    title: "", // タイトルのテンプレート（空なら全体設定に従う）
+    description: "", // 説明のテンプレート（空なら全体設定に従う）
+  },
+  travelBuffer: {
+    mode: "inherit", // 移動時間の設定（inherit/none/custom）
+    beforeMinutes: 30, // mode が custom のときの予定の前の移動時間（分）
+    afterMinutes: 30, // mode が custom のときの予定の後の移動時間（分）
+    calendarId: "", // mode が custom のときの追加先（空なら予定と同じカレンダー）
+  },
 };
 
+/**
+ * メールアドレスの簡易チェック（Google アカウントの指定に使用）
+ */
+const ACCOUNT_EMAIL_PATTERN = /^[^\s@]+@[^\s@]+$/;
+
+/**
+ * サイトルールで Chrome のプロフィールのアカウントを明示する値
+ * （既定のアカウントが追加したアカウントでも、プロフィールのアカウントに追加する）。
+ * google-accounts.js の GOOGLE_PROFILE_ACCOUNT と同じ値
+ */
+const SITE_RULE_PROFILE_ACCOUNT = "profile";
+
 /**
  * 設定バリデーション結果
  */
@@ -277,6 +353,61 @@ class SettingsManager {
       );
     }
 
+    // calendarProvider
+    const provider = settings.calendarProvider || "google";
+    if (!CALENDAR_PROVIDERS.includes(provider)) {
+      result.addError(
+        "calendarProvider",
+        `${CALENDAR_PROVIDERS.join(", ")} のいずれかを指定してください`
+      );
+    }
+
+    // caldav
+    if (provider === "caldav") {
+      const serverUrl = settings.caldav?.serverUrl || "";
+      if (!/^https?:\/\/[^\s/]+/i.test(serverUrl)) {
+        result.addError(
+          "caldav.serverUrl",
+          "CalDAVサーバーのURL（http:// または https://）を指定してください"
+        );
+      }
+    }
+
+    // outlook
+    if (provider === "outlook") {
+      const clientId = settings.outlook?.clientId || "";
+      if (!/^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}$/i.test(clientId)) {
+        result.addError(
+          "outlook.clientId",
+          "Microsoft のアプリケーション（クライアント）ID（GUID形式）を指定してください"
+        );
+      }
+      if (!/^[\w.-]+$/.test(settings.outlook?.tenant || "common")) {
+        result.addError("outlook.tenant", "テナントの形式が正しくありません");
+      }
+    }
+
+    // googleAccounts
+    const googleAccounts = settings.googleAccounts || {};
+    if (
+      googleAccounts.clientId &&
+      !/\.apps\.googleusercontent\.com$/.test(googleAccounts.clientId)
+    ) {
+      result.addError(
+        "googleAccounts.clientId",
+        "Google の OAuth クライアントID（*.apps.googleusercontent.com）を指定してください"
+      );
+    }
+    if (
+      googleAccounts.defaultAccount &&
+      !ACCOUNT_EMAIL_PATTERN.test(googleAccounts.defaultAccount)
+    ) {
+      result.addError(
+        "googleAccounts.defaultAccount",
+        "アカウントはメールアドレスで指定してください"
+      );
+    }
+
     // defaultCalendar
     if (
       typeof settings.defaultCalendar !== "string" ||
@@ -288,6 +419,17 @@ class SettingsManager {
       );
     }
 
+    // defaultTaskList
+    if (
+      typeof settings.defaultTaskList !== "string" ||
+      settings.defaultTaskList.trim() === ""
+    ) {
+      result.addError(
+        "defaultTaskList",
+        "タスクリストIDは空でない文字列である必要があります"
+      );
+    }
+
     // timezone
     if (!this.isValidTimezone(settings.timezone)) {
       result.addError("timezone", "有効なタイムゾーンを指定してください");
@@ -298,6 +440,49 @@ class SettingsManager {
       result.addError("includeURL", "真偽値である必要があります");
     }
 
+    // templates
+    if (settings.templates !== undefined) {
+      this.validateTemplates(settings.templates, "templates", result);
+    }
+
+    // travelBuffer
+    if (settings.travelBuffer !== undefined) {
+      if (
+        typeof settings.travelBuffer !== "object" ||
+        settings.travelBuffer === null ||
+        typeof settings.travelBuffer.enabled !== "boolean"
+      ) {
+        result.addError(
+          "travelBuffer",
+          "enabled（真偽値）と移動時間を持つオブジェクトである必要があります"
+        );
+      } else {
+        this.validateTravelBuffer(
+          settings.travelBuffer,
+          "travelBuffer",
+          result
+        );
+      }
+    }
+
+    // reminders
+    if (
+      typeof settings.reminders !== "object" ||
+      settings.reminders === null ||
+      typeof settings.reminders.useDefault !== "boolean"
+    ) {
+      result.addError(
+        "reminders",
+        "useDefault（真偽値）と overrides を持つオブジェクトである必要があります"
+      );
+    } else {
+      this.validateReminderOverrides(
+        settings.reminders.overrides,
+        "reminders.overrides",
+        result
+      );
+    }
+
     // dateFormats
     if (
       !Array.isArray(settings.dateFormats) ||
@@ -405,9 +590,118 @@ class SettingsManager {
       }
     }
 
+    // apiBaseUrl / dryRun
+    if (
+      settings.apiBaseUrl &&
+      !/^https?:\/\/[^\s/]+(\/\S*)?$/i.test(settings.apiBaseUrl)
+    ) {
+      result.addError(
+        "apiBaseUrl",
+        "API のベースURL（http:// または https://）を指定してください"
+      );
+    }
+    if (settings.dryRun !== undefined && typeof settings.dryRun !== "boolean") {
+      result.addError("dryRun", "真偽値である必要があります");
+    }
+
     return result;
   }
 
+  /**
+   * 通知オーバーライドの検証
+   * @param {Array} overrides 通知の配列（{ method, minutes }）
+   * @param {string} field エラー時のフィールド名
+   * @param {ValidationResult} result 検証結果の追加先
+   */
+  validateReminderOverrides(overrides, field, result) {
+    if (!Array.isArray(overrides)) {
+      result.addError(field, "配列である必要があります");
+      return;
+    }
+
+    if (overrides.length > MAX_REMINDER_OVERRIDES) {
+      result.addError(
+        field,
+        `通知は${MAX_REMINDER_OVERRIDES}件以下である必要があります`
+      );
+    }
+
+    overrides.forEach((reminder, index) => {
+      if (!reminder || !REMINDER_METHODS.includes(reminder.method)) {
+        result.addError(
+          `${field}[${index}].method`,
+          `${REMINDER_METHODS.join(", ")}のいずれかである必要があります`
+        );
+      }
+      if (
+        !reminder ||
+        !Number.isInteger(reminder.minutes) ||
+        reminder.minutes < 0 ||
+        reminder.minutes > MAX_REMINDER_MINUTES
+      ) {
+        result.addError(
+          `${field}[${index}].minutes`,
+          `0から${MAX_REMINDER_MINUTES}分（4週間）の整数である必要があります`
+        );
+      }
+    });
+  }
+
+  /**
+   * タイトル・説明のテンプレートの検証
+   * @param {Object} templates テンプレート（{ title, description }）
+   * @param {string} field エラー時のフィールド名
+   * @param {ValidationResult} result 検証結果の追加先
+   */
+  validateTemplates(templates, field, result) {
+    if (typeof templates !== "object" || templates === null) {
+      result.addError(field, "オブジェクトである必要があります");
+      return;
+    }
+
+    ["title", "description"].forEach((key) => {
+      const template = templates[key];
+      if (template === undefined) return;
+      if (typeof template !== "string") {
+        result.addError(`${field}.${key}`, "文字列である必要があります");
+      } else if (template.length > MAX_TEMPLATE_LENGTH) {
+        result.addError(
+          `${field}.${key}`,
+          `${MAX_TEMPLATE_LENGTH}文字以下である必要があります`
+        );
+      }
+    });
+  }
+
+  /**
+   * 移動時間（前後の分数と追加先カレンダー）の検証
+   * @param {Object} travelBuffer { beforeMinutes, afterMinutes, calendarId }
+   * @param {string} field エラー時のフィールド名
+   * @param {ValidationResult} result 検証結果の追加先
+   */
+  validateTravelBuffer(travelBuffer, field, result) {
+    ["beforeMinutes", "afterMinutes"].forEach((key) => {
+      const minutes = travelBuffer[key];
+      if (
+        !Number.isInteger(minutes) ||
+        minutes < 0 ||
+        minutes > MAX_TRAVEL_BUFFER_MINUTES
+      ) {
+        result.addError(
+          `${field}.${key}`,
+          `0から${MAX_TRAVEL_BUFFER_MINUTES}分の整数である必要があります`
+        );
+      }
+    });
+
+    if (
+      travelBuffer.calendarId !== undefined &&
+      typeof travelBuffer.calendarId !== "string"
+    ) {
+      result.addError(`${field}.calendarId`, "文字列である必要があります");
+    }
+  }
+
   /**
    * タイムゾーンの簡易検証
    * @param {string} timezone タイムゾーン文字列
@@ -623,6 +917,61 @@ class SettingsManager {
       }
     }
 
+    // reminders セクション
+    if (rule.reminders) {
+      if (!["inherit", "default", "custom"].includes(rule.reminders.mode)) {
+        result.addError(
+          "reminders.mode",
+          "'inherit', 'default', 'custom' のいずれかである必要があります"
+        );
+      }
+      if (rule.reminders.mode === "custom") {
+        this.validateReminderOverrides(
+          rule.reminders.overrides,
+          "reminders.overrides",
+          result
+        );
+      }
+    }
+
+    // calendar セクション
+    if (rule.calendar) {
+      if (
+        rule.calendar.account &&
+        rule.calendar.account !== SITE_RULE_PROFILE_ACCOUNT &&
+        !ACCOUNT_EMAIL_PATTERN.test(rule.calendar.account)
+      ) {
+        result.addError(
+          "calendar.account",
+          "アカウントはメールアドレスで指定してください"
+        );
+      }
+      if (
+        rule.calendar.calendarId !== undefined &&
+        typeof rule.calendar.calendarId !== "string"
+      ) {
+        result.addError("calendar.calendarId", "文字列である必要があります");
+      }
+    }
+
+    // templates セクション
+    if (rule.templates) {
+      this.validateTemplates(rule.templates, "templates", result);
+    }
+
+    // travelBuffer セクション
+    if (rule.travelBuffer) {
+      if (!["inherit", "none", "custom"].includes(rule.travelBuffer.mode)) {
+        result.addError(
+          "travelBuffer.mode",
+          "'inherit', 'none', 'custom' のいずれかである必要があります"
+        );
+      }
+      if (rule.travelBuffer.mode === "custom") {
+        this.validateTravelBuffer(rule.travelBuffer, "travelBuffer", result);
+      }
+    }
+
     return result;
   }
 
@@ -710,13 +1059,21 @@ class SettingsManager {
   findBestMatchingSiteRule(host, siteRules) {
     const candidates = [];
 
+    // SiteRuleManager経由で保存したルールは domain を持つ配列になっている
+    const entries = Array.isArray(siteRules)
+      ? siteRules
+          .filter((rule) => rule && rule.domain)
+          .map((rule) => [rule.domain, rule])
+      : Object.entries(siteRules);
+
     // 完全一致を最優先
-    if (siteRules[host]) {
-      candidates.push({ domain: host, rule: siteRules[host], priority: 1000 });
+    const exact = entries.find(([domain]) => domain === host);
+    if (exact) {
+      candidates.push({ domain: host, rule: exact[1], priority: 1000 });
     }
 
     // サブドメイン継承を考慮した候補を探す
-    Object.entries(siteRules).forEach(([domain, rule]) => {
+    entries.forEach(([domain, rule]) => {
       if (domain === host) return; // 完全一致は既に処理済み
 
       if (rule.inheritSubdomains && host.endsWith("." + domain)) {
@@ -747,6 +1104,58 @@ class SettingsManager {
       effectiveSettings.includeURL = siteRule.description.includeURL;
     }
 
+    // reminders の上書き（default はカレンダー既定の通知に戻す）
+    if (siteRule.reminders && siteRule.reminders.mode === "default") {
+      effectiveSettings.reminders = { useDefault: true, overrides: [] };
+    } else if (siteRule.reminders && siteRule.reminders.mode === "custom") {
+      effectiveSettings.reminders = {
+        useDefault: false,
+        overrides: [...(siteRule.reminders.overrides || [])],
+      };
+    }
+
+    // 追加先アカウント・カレンダーの上書き
+    // （"profile" は既定のアカウントに関わらず Chrome のプロフィールのアカウント）
+    if (siteRule.calendar && siteRule.calendar.account) {
+      effectiveSettings.googleAccounts = {
+        ...(globalSettings.googleAccounts || {}),
+        defaultAccount: siteRule.calendar.account,
+      };
+    }
+    if (siteRule.calendar && siteRule.calendar.calendarId) {
+      effectiveSettings.defaultCalendar = siteRule.calendar.calendarId;
+    }
+
+    // テンプレートの上書き（空欄の項目は全体設定に従う）
+    if (siteRule.templates) {
+      effectiveSettings.templates = {
+        title:
+          siteRule.templates.title || globalSettings.templates?.title || "",
+        description:
+          siteRule.templates.description ||
+          globalSettings.templates?.description ||
+          "",
+      };
+    }
+
+    // 移動時間の上書き（none はこのサイトでは作成しない）
+    if (siteRule.travelBuffer && siteRule.travelBuffer.mode === "none") {
+      effectiveSettings.travelBuffer = {
+        ...(globalSettings.travelBuffer || DEFAULT_SETTINGS.travelBuffer),
+        enabled: false,
+      };
+    } else if (
+      siteRule.travelBuffer &&
+      siteRule.travelBuffer.mode === "custom"
+    ) {
+      effectiveSettings.travelBuffer = {
+        enabled: true,
+        beforeMinutes: siteRule.travelBuffer.beforeMinutes,
+        afterMinutes: siteRule.travelBuffer.afterMinutes,
+        calendarId: siteRule.travelBuffer.calendarId || "",
+      };
+    }
+
     // サイトルール自体も保持（抽出処理で使用）
     effectiveSettings._appliedSiteRule = siteRule;
 
@@ -761,6 +1170,68 @@ class SettingsManager {
     return { ...DEFAULT_SITE_RULE };
   }
 
+  /**
+   * ホストに対する通知設定を取得（サイトルール適用済み）
+   * @param {string} host ホスト名
+   * @returns {Promise<Object>} { useDefault, overrides }
+   */
+  async getRemindersForHost(host) {
+    const settings = await this.getEffectiveSettings(host);
+    return settings.reminders || { ...DEFAULT_SETTINGS.reminders };
+  }
+
+  /**
+   * ホストに対する「URLを説明に含める」設定を取得（サイトルール適用済み）
+   * サイトルールの description.includeURL が "inherit" の場合は全体設定に従う
+   * @param {string} host ホスト名
+   * @returns {Promise<boolean>}
+   */
+  async getIncludeURLForHost(host) {
+    const settings = await this.getEffectiveSettings(host);
+    return settings.includeURL !== false;
+  }
+
+  /**
+   * ホストに対する追加先（Google アカウントとカレンダー）を取得（サイトルール適用済み）
+   * アカウントが空の場合は Chrome のプロフィールのアカウントを使う
+   * （サイトルールで明示した場合は SITE_RULE_PROFILE_ACCOUNT）
+   * @param {string} host ホスト名
+   * @returns {Promise<{account: string, calendarId: string}>}
+   */
+  async getCalendarTargetForHost(host) {
+    const settings = await this.getEffectiveSettings(host);
+    return {
+      account: settings.googleAccounts?.defaultAccount || "",
+      calendarId: settings.defaultCalendar || "primary",
+    };
+  }
+
+  /**
+   * ホストに対するタイトル・説明のテンプレートを取得（サイトルール適用済み）
+   * @param {string} host ホスト名
+   * @returns {Promise<{title: string, description: string}>}
+   */
+  async getTemplatesForHost(host) {
+    const settings = await this.getEffectiveSettings(host);
+    return {
+      title: settings.templates?.title || "",
+      description: settings.templates?.description || "",
+    };
+  }
+
+  /**
+   * ホストに対する移動時間の設定を取得（サイトルール適用済み）
+   * @param {string} host ホスト名
+   * @returns {Promise<Object>} { enabled, beforeMinutes, afterMinutes, calendarId }
+   */
+  async getTravelBufferForHost(host) {
+    const settings = await this.getEffectiveSettings(host);
+    return {
+      ...DEFAULT_SETTINGS.travelBuffer,
+      ...(settings.travelBuffer || {}),
+    };
+  }
+
   /**
    * 許可されている日付形式を取得
    * @returns {string[]} 日付形式配列
@@ -793,6 +1264,14 @@ window.ChronoClipSettings = {
   getAllowedDateFormats: () => settingsManager.getAllowedDateFormats(),
   getCommonTimezones: () => settingsManager.getCommonTimezones(),
   validateSettings: (settings) => settingsManager.validateSettings(settings),
+  getRemindersForHost: (host) => settingsManager.getRemindersForHost(host),
+  getIncludeURLForHost: (host) => settingsManager.getIncludeURLForHost(host),
+  getCalendarTargetForHost: (host) =>
+    settingsManager.getCalendarTargetForHost(host),
+  getTemplatesForHost: (host) => settingsManager.getTemplatesForHost(host),
+  getTravelBufferForHost: (host) =>
+    settingsManager.getTravelBufferForHost(host),
+  PROFILE_ACCOUNT: SITE_RULE_PROFILE_ACCOUNT,
 };
 
 // module環境でも利用可能にする
@@ -802,6 +1281,9 @@ if (typeof module !== "undefined" && module.exports) {
     DEFAULT_SETTINGS,
     ALLOWED_DATE_FORMATS,
     COMMON_TIMEZONES,
+    REMINDER_METHODS,
+    CALENDAR_PROVIDERS,
+    SITE_RULE_PROFILE_ACCOUNT,
   };
 }
 
@@ -0,0 +1,146 @@
+/**
+ * @file Google Tasks API related functions
+ *
+ * Deadlines ("応募締切 9月10日", "due Friday", return-by dates) are added as
+ * tasks with a due date instead of timed events. Requests use the same OAuth
+ * tokens and accounts as calendar.js (authorizedFetch).
+ */
+
+const TASKS_API_BASE_URL = "https://tasks.googleapis.com/tasks/v1";
+
+/**
+ * The task list used when none is configured.
+ */
+const DEFAULT_TASK_LIST_ID = "@default";
+
+/**
+ * Maximum length of a task title accepted by the Tasks API.
+ */
+const TASK_TITLE_MAX_LENGTH = 1024;
+
+/**
+ * Builds a Tasks API task resource.
+ * The source URL is appended to the notes because the `links` field of a
+ * task is read-only.
+ *
+ * @param {object} params - The task details.
+ * @param {string} params.title - The title of the task.
+ * @param {string} [params.notes] - The notes of the task.
+ * @param {string} [params.url] - The page the deadline was found on.
+ * @param {string} [params.due] - The due date (YYYY-MM-DD).
+ * @returns {object} The task resource.
+ */
+function buildTaskResource({ title, notes, url, due }) {
+  const task = {
+    title: (title || "").slice(0, TASK_TITLE_MAX_LENGTH),
+  };
+
+  const noteParts = [];
+  if (notes) {
+    noteParts.push(notes);
+  }
+  if (url && !(notes || "").includes(url)) {
+    noteParts.push(url);
+  }
+  if (noteParts.length > 0) {
+    task.notes = noteParts.join("\n\n");
+  }
+
+  if (due) {
+    // Tasks は日付のみを保持し、時刻部分は無視される
+    task.due = `${due}T00:00:00.000Z`;
+  }
+
+  return task;
+}
+
+/**
+ * Creates a task in a Google Tasks task list.
+ *
+ * @param {object} params - The task details (see buildTaskResource).
+ * @param {string} [params.taskListId="@default"] - The task list.
+ * @param {string} [params.account] - The Google account (email address).
+ * @returns {Promise<object>} The created task.
+ * @throws {Error} An error carrying `code` (HTTP status) and `reason`.
+ */
+async function createTask({
+  taskListId = DEFAULT_TASK_LIST_ID,
+  account,
+  ...params
+}) {
+  return tasksApiRequest(
+    `/lists/${encodeURIComponent(taskListId)}/tasks`,
+    {
+      method: "POST",
+      body: JSON.stringify(buildTaskResource(params)),
+    },
+    account
+  );
+}
+
+/**
+ * Retrieves the user's task lists.
+ *
+ * @param {object} [options]
+ * @param {string} [options.account] - The Google account (email address).
+ * @returns {Promise<Array<{id: string, title: string}>>} The task lists.
+ */
+async function listTaskLists({ account } = {}) {
+  const taskLists = [];
+  let pageToken = null;
+
+  do {
+    const params = new URLSearchParams({ maxResults: "100" });
+    if (pageToken) {
+      params.set("pageToken", pageToken);
+    }
+
+    const data = await tasksApiRequest(
+      `/users/@me/lists?${params.toString()}`,
+      {},
+      account
+    );
+
+    for (const item of data.items || []) {
+      taskLists.push({ id: item.id, title: item.title || item.id });
+    }
+
+    pageToken = data.nextPageToken || null;
+  } while (pageToken);
+
+  return taskLists;
+}
+
+/**
+ * Sends an authorized request to the Google Tasks API.
+ *
+ * @param {string} path - The API path relative to the Tasks API base URL.
+ * @param {object} [options] - Options passed through to fetch.
+ * @param {string} [account] - The Google account (email address).
+ * @returns {Promise<object|null>} The parsed JSON response, or null for empty bodies.
+ * @throws {Error} An error carrying `code` (HTTP status) and `reason`.
+ */
+async function tasksApiRequest(path, options = {}, account) {
+  const response = await authorizedFetch(
+    `${TASKS_API_BASE_URL}${path}`,
+    {
+      ...options,
+      headers: {
+        "Content-Type": "application/json",
+        ...(options.headers || {}),
+      },
+    },
+    account
+  );
+
+  if (response.ok) {
+    if (response.status === 204) {
+      return null;
+    }
+    return response.json();
+  }
+
+  const errorData = await response.json().catch(() => ({}));
+  throw createApiError(response.status, errorData);
+}
+
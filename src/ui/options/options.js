@@ -15,6 +15,26 @@ const DATE_FORMAT_LABELS = {
   EU: "ヨーロッパ式 (15/01/2024)",
 };
 
+// テンプレートのプレビューに使うサンプルの抽出結果
+const TEMPLATE_PREVIEW_SAMPLE = {
+  title: "秋のジャズライブ",
+  description: "人気バンドによる一夜限りのライブ",
+  url: "https://www.example.com/events/123",
+  location: "ブルーノート東京",
+  price: "¥8,800",
+  events: [
+    { title: "1st ステージ", startTime: "2025-10-25T17:30:00" },
+    { title: "2nd ステージ", startTime: "2025-10-25T20:30:00" },
+  ],
+  selection: "10月25日(土) 17:30開演 ブルーノート東京",
+};
+
+// CalDAVのパスワードの保存先（src/shared/caldav.js と同じキー）
+const CALDAV_PASSWORD_STORAGE_KEY = "chronoClipCaldavCredentials";
+
+// ドライランで記録したリクエストの保存先（src/shared/calendar.js と同じキー）
+const DRY_RUN_LOG_STORAGE_KEY = "chronoClipDryRunLog";
+
 // UI状態管理
 let currentSettings = null;
 let isDirty = false;
@@ -182,6 +202,8 @@ document.addEventListener("DOMContentLoaded", async () => {
     await loadSettings();
     initializeEventListeners();
     updateUI();
+    loadCalendarOptions();
+    loadTaskListOptions();
 
     // 現在のタブ情報を取得（Chrome拡張機能の場合）
     if (typeof chrome !== "undefined" && chrome.tabs) {
@@ -219,7 +241,93 @@ function initializeElements() {
       "defaultCalendar",
       "default calendar select"
     ),
+    refreshCalendarsBtn: getElementSafe(
+      "refreshCalendarsBtn",
+      "refresh calendars button"
+    ),
+    defaultTaskList: getElementSafe(
+      "defaultTaskList",
+      "default task list select"
+    ),
+    refreshTaskListsBtn: getElementSafe(
+      "refreshTaskListsBtn",
+      "refresh task lists button"
+    ),
+    calendarProvider: getElementSafe(
+      "calendarProvider",
+      "calendar provider select"
+    ),
+    googleAccountsSettings: getElementSafe(
+      "googleAccountsSettings",
+      "Google accounts settings"
+    ),
+    googleClientId: getElementSafe("googleClientId", "Google client ID"),
+    googleAddAccountBtn: getElementSafe(
+      "googleAddAccountBtn",
+      "Google add account button"
+    ),
+    googleRedirectUri: getElementSafe(
+      "googleRedirectUri",
+      "Google redirect URI"
+    ),
+    googleDefaultAccount: getElementSafe(
+      "googleDefaultAccount",
+      "Google default account select"
+    ),
+    googleAccountList: getElementSafe(
+      "googleAccountList",
+      "Google account list"
+    ),
+    caldavSettings: getElementSafe("caldavSettings", "CalDAV settings"),
+    caldavServerUrl: getElementSafe("caldavServerUrl", "CalDAV server URL"),
+    caldavUsername: getElementSafe("caldavUsername", "CalDAV username"),
+    caldavPassword: getElementSafe("caldavPassword", "CalDAV password"),
+    testCaldavBtn: getElementSafe("testCaldavBtn", "CalDAV test button"),
+    outlookSettings: getElementSafe("outlookSettings", "Outlook settings"),
+    outlookClientId: getElementSafe("outlookClientId", "Outlook client ID"),
+    outlookTenant: getElementSafe("outlookTenant", "Outlook tenant"),
+    outlookSignInBtn: getElementSafe(
+      "outlookSignInBtn",
+      "Outlook sign-in button"
+    ),
+    outlookSignOutBtn: getElementSafe(
+      "outlookSignOutBtn",
+      "Outlook sign-out button"
+    ),
+    outlookRedirectUri: getElementSafe(
+      "outlookRedirectUri",
+      "Outlook redirect URI"
+    ),
     timezone: getElementSafe("timezone", "timezone select"),
+    remindersUseDefault: getElementSafe(
+      "remindersUseDefault",
+      "reminders use default checkbox"
+    ),
+    reminderOverridesList: getElementSafe(
+      "reminderOverridesList",
+      "reminder overrides list"
+    ),
+    addReminderBtn: getElementSafe("addReminderBtn", "add reminder button"),
+    travelBufferEnabled: getElementSafe(
+      "travelBufferEnabled",
+      "travel buffer enabled checkbox"
+    ),
+    travelBufferEditor: getElementSafe(
+      "travelBufferEditor",
+      "travel buffer editor"
+    ),
+    travelBufferBefore: getElementSafe(
+      "travelBufferBefore",
+      "travel buffer before input"
+    ),
+    travelBufferAfter: getElementSafe(
+      "travelBufferAfter",
+      "travel buffer after input"
+    ),
+    travelBufferCalendar: getElementSafe(
+      "travelBufferCalendar",
+      "travel buffer calendar select"
+    ),
     dateFormatsContainer: getElementSafe(
       "dateFormatsContainer",
       "date formats container"
@@ -325,6 +433,71 @@ function initializeElements() {
       "ruleTrimBrackets",
       "rule trim brackets checkbox"
     ),
+    ruleRemindersMode: getElementSafe(
+      "ruleRemindersMode",
+      "rule reminders mode select"
+    ),
+    ruleRemindersEditor: getElementSafe(
+      "ruleRemindersEditor",
+      "rule reminders editor"
+    ),
+    ruleReminderOverridesList: getElementSafe(
+      "ruleReminderOverridesList",
+      "rule reminder overrides list"
+    ),
+    addRuleReminderBtn: getElementSafe(
+      "addRuleReminderBtn",
+      "add rule reminder button"
+    ),
+    ruleTravelBufferMode: getElementSafe(
+      "ruleTravelBufferMode",
+      "rule travel buffer mode select"
+    ),
+    ruleTravelBufferEditor: getElementSafe(
+      "ruleTravelBufferEditor",
+      "rule travel buffer editor"
+    ),
+    titleTemplate: getElementSafe("titleTemplate", "title template input"),
+    descriptionTemplate: getElementSafe(
+      "descriptionTemplate",
+      "description template textarea"
+    ),
+    templatePlaceholderList: getElementSafe(
+      "templatePlaceholderList",
+      "template placeholder list"
+    ),
+    templatePreviewTitle: getElementSafe(
+      "templatePreviewTitle",
+      "template preview title"
+    ),
+    templatePreviewDescription: getElementSafe(
+      "templatePreviewDescription",
+      "template preview description"
+    ),
+    templatePreviewWarning: getElementSafe(
+      "templatePreviewWarning",
+      "template preview warning"
+    ),
+    ruleTitleTemplate: getElementSafe(
+      "ruleTitleTemplate",
+      "rule title template input"
+    ),
+    ruleDescriptionTemplate: getElementSafe(
+      "ruleDescriptionTemplate",
+      "rule description template textarea"
+    ),
+    ruleTemplatePreviewTitle: getElementSafe(
+      "ruleTemplatePreviewTitle",
+      "rule template preview title"
+    ),
+    ruleTemplatePreviewDescription: getElementSafe(
+      "ruleTemplatePreviewDescription",
+      "rule template preview description"
+    ),
+    ruleTemplatePreviewWarning: getElementSafe(
+      "ruleTemplatePreviewWarning",
+      "rule template preview warning"
+    ),
   };
 
   // 重要な要素の存在確認とデバッグ
@@ -477,6 +650,156 @@ function initializeEventListeners() {
   // リセットボタン
   addSafeEventListener("resetBtn", "click", handleReset, "reset button");
 
+  // カレンダー一覧の再取得
+  addSafeEventListener(
+    "refreshCalendarsBtn",
+    "click",
+    () => loadCalendarOptions(true),
+    "refresh calendars button"
+  );
+
+  // タスクリスト一覧の再取得
+  addSafeEventListener(
+    "refreshTaskListsBtn",
+    "click",
+    () => loadTaskListOptions(true),
+    "refresh task lists button"
+  );
+
+  // カレンダーサービス
+  addSafeEventListener(
+    "calendarProvider",
+    "change",
+    updateProviderSettingsVisibility,
+    "calendar provider select"
+  );
+  addSafeEventListener(
+    "googleAddAccountBtn",
+    "click",
+    addGoogleAccountFromForm,
+    "Google add account button"
+  );
+  addSafeEventListener(
+    "googleDefaultAccount",
+    "change",
+    () => {
+      loadCalendarOptions(true);
+      loadTaskListOptions();
+    },
+    "Google default account select"
+  );
+  addSafeEventListener(
+    "testCaldavBtn",
+    "click",
+    testCaldavConnection,
+    "CalDAV test button"
+  );
+  addSafeEventListener(
+    "outlookSignInBtn",
+    "click",
+    signInToOutlookFromForm,
+    "Outlook sign-in button"
+  );
+  addSafeEventListener(
+    "outlookSignOutBtn",
+    "click",
+    signOutOfOutlookFromForm,
+    "Outlook sign-out button"
+  );
+
+  // 通知関連
+  addSafeEventListener(
+    "remindersUseDefault",
+    "change",
+    updateRemindersVisibility,
+    "reminders use default checkbox"
+  );
+  addSafeEventListener(
+    "addReminderBtn",
+    "click",
+    () => {
+      addReminderRow(elements.reminderOverridesList);
+      isDirty = true;
+      updateSaveButtonState();
+    },
+    "add reminder button"
+  );
+  addSafeEventListener(
+    "reminderOverridesList",
+    "click",
+    (e) => {
+      if (handleReminderRemove(e)) {
+        isDirty = true;
+        updateSaveButtonState();
+      }
+    },
+    "reminder overrides list"
+  );
+  addSafeEventListener(
+    "ruleRemindersMode",
+    "change",
+    updateRuleRemindersVisibility,
+    "rule reminders mode select"
+  );
+  addSafeEventListener(
+    "addRuleReminderBtn",
+    "click",
+    () => addReminderRow(elements.ruleReminderOverridesList),
+    "add rule reminder button"
+  );
+  addSafeEventListener(
+    "ruleReminderOverridesList",
+    "click",
+    handleReminderRemove,
+    "rule reminder overrides list"
+  );
+
+  // 移動時間関連
+  addSafeEventListener(
+    "travelBufferEnabled",
+    "change",
+    updateTravelBufferVisibility,
+    "travel buffer enabled checkbox"
+  );
+  addSafeEventListener(
+    "ruleTravelBufferMode",
+    "change",
+    updateRuleTravelBufferVisibility,
+    "rule travel buffer mode select"
+  );
+
+  // テンプレートのプレビュー
+  addSafeEventListener(
+    "titleTemplate",
+    "input",
+    updateTemplatePreview,
+    "title template input"
+  );
+  addSafeEventListener(
+    "descriptionTemplate",
+    "input",
+    updateTemplatePreview,
+    "description template textarea"
+  );
+  addSafeEventListener(
+    "ruleTitleTemplate",
+    "input",
+    updateRuleTemplatePreview,
+    "rule title template input"
+  );
+  addSafeEventListener(
+    "ruleDescriptionTemplate",
+    "input",
+    updateRuleTemplatePreview,
+    "rule description template textarea"
+  );
+  addSafeEventListener(
+    "ruleDomain",
+    "input",
+    updateRuleTemplatePreview,
+    "rule domain input"
+  );
+
   // 除外ドメイン関連
   addSafeEventListener(
     "addExcludedDomainBtn",
@@ -666,6 +989,12 @@ function updateUI() {
   if (errorReportCheckbox)
     errorReportCheckbox.checked = currentSettings.errorReportConsent || false;
 
+  // 開発者向け設定
+  const apiBaseUrlInput = document.getElementById("apiBaseUrl");
+  const dryRunCheckbox = document.getElementById("dryRun");
+  if (apiBaseUrlInput) apiBaseUrlInput.value = currentSettings.apiBaseUrl || "";
+  if (dryRunCheckbox) dryRunCheckbox.checked = currentSettings.dryRun || false;
+
   // カラーピッカー
   elements.highlightColor.value = currentSettings.highlightColor || "#ffeb3b";
 
@@ -675,6 +1004,51 @@ function updateUI() {
   // セレクト
   elements.defaultCalendar.value = currentSettings.defaultCalendar;
   elements.timezone.value = currentSettings.timezone;
+  setTaskListSelectValue(currentSettings.defaultTaskList || "@default");
+
+  // カレンダーサービス
+  elements.calendarProvider.value =
+    currentSettings.calendarProvider || "google";
+  elements.googleClientId.value =
+    currentSettings.googleAccounts?.clientId || "";
+  elements.googleRedirectUri.textContent =
+    chrome.identity?.getRedirectURL("google") || "";
+  loadGoogleAccounts();
+  elements.caldavServerUrl.value = currentSettings.caldav?.serverUrl || "";
+  elements.caldavUsername.value = currentSettings.caldav?.username || "";
+  loadCaldavPassword();
+  elements.outlookClientId.value = currentSettings.outlook?.clientId || "";
+  elements.outlookTenant.value = currentSettings.outlook?.tenant || "common";
+  elements.outlookRedirectUri.textContent =
+    chrome.identity?.getRedirectURL("outlook") || "";
+  updateProviderSettingsVisibility();
+
+  // 通知
+  const reminders = currentSettings.reminders || {
+    useDefault: true,
+    overrides: [],
+  };
+  elements.remindersUseDefault.checked = reminders.useDefault !== false;
+  renderReminderList(elements.reminderOverridesList, reminders.overrides);
+  updateRemindersVisibility();
+
+  // 移動時間
+  const travelBuffer = {
+    ...window.ChronoClipSettings.getDefaultSettings().travelBuffer,
+    ...(currentSettings.travelBuffer || {}),
+  };
+  elements.travelBufferEnabled.checked = travelBuffer.enabled;
+  elements.travelBufferBefore.value = travelBuffer.beforeMinutes;
+  elements.travelBufferAfter.value = travelBuffer.afterMinutes;
+  setTravelBufferCalendar(travelBuffer.calendarId);
+  updateTravelBufferVisibility();
+
+  // テンプレート
+  elements.titleTemplate.value = currentSettings.templates?.title || "";
+  elements.descriptionTemplate.value =
+    currentSettings.templates?.description || "";
+  renderTemplatePlaceholderList();
+  updateTemplatePreview();
 
   // 日付形式リスト
   updateDateFormatsUI();
@@ -693,6 +1067,162 @@ function updateUI() {
   updateSaveButtonState();
 }
 
+/**
+ * Service Worker経由でカレンダー一覧を取得し、追加先カレンダーの選択肢を更新
+ * @param {boolean} forceRefresh - キャッシュを使わずに再取得するか
+ */
+async function loadCalendarOptions(forceRefresh = false) {
+  const select = elements.defaultCalendar;
+  if (!select || typeof chrome === "undefined" || !chrome.runtime) return;
+
+  if (elements.refreshCalendarsBtn) {
+    elements.refreshCalendarsBtn.disabled = true;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "calendar:listCalendars",
+      forceRefresh,
+      // 未選択はChromeのプロフィールのアカウント
+      account: elements.googleDefaultAccount?.value || null,
+    });
+
+    if (!response || !response.success) {
+      if (forceRefresh) {
+        showToast(
+          response?.error || "カレンダー一覧の取得に失敗しました",
+          "error"
+        );
+      }
+      return;
+    }
+
+    const selected = currentSettings.defaultCalendar || "primary";
+    select.innerHTML = "";
+
+    response.calendars.forEach((calendar) => {
+      const option = document.createElement("option");
+      // プライマリカレンダーは既存設定との互換性のため "primary" として保存
+      option.value = calendar.primary ? "primary" : calendar.id;
+      option.textContent = calendar.summary;
+      if (calendar.backgroundColor) {
+        option.style.borderLeft = `8px solid ${calendar.backgroundColor}`;
+      }
+      select.appendChild(option);
+    });
+
+    // 保存済みのカレンダーが一覧にない場合も選択状態を保持
+    if (!Array.from(select.options).some((o) => o.value === selected)) {
+      const option = document.createElement("option");
+      option.value = selected;
+      option.textContent =
+        selected === "primary" ? "プライマリカレンダー" : selected;
+      select.appendChild(option);
+    }
+    select.value = selected;
+
+    // 移動の予定の追加先（先頭は「予定と同じカレンダー」）
+    if (elements.travelBufferCalendar) {
+      const travelSelect = elements.travelBufferCalendar;
+      const travelSelected = travelSelect.value;
+      travelSelect.replaceChildren(travelSelect.options[0]);
+      Array.from(select.options).forEach((option) => {
+        travelSelect.appendChild(option.cloneNode(true));
+      });
+      setTravelBufferCalendar(travelSelected);
+    }
+
+    if (forceRefresh) {
+      showToast("カレンダー一覧を更新しました", "success");
+    }
+  } catch (error) {
+    console.error("ChronoClip: Failed to load calendars:", error);
+    if (forceRefresh) {
+      showToast("カレンダー一覧の取得に失敗しました", "error");
+    }
+  } finally {
+    if (elements.refreshCalendarsBtn) {
+      elements.refreshCalendarsBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * Service Worker経由でGoogle ToDoリストのタスクリスト一覧を取得し、選択肢を更新
+ * @param {boolean} forceRefresh - ボタン操作による再取得か（結果をトーストで通知する）
+ */
+async function loadTaskListOptions(forceRefresh = false) {
+  const select = elements.defaultTaskList;
+  if (!select || typeof chrome === "undefined" || !chrome.runtime) return;
+
+  if (elements.refreshTaskListsBtn) {
+    elements.refreshTaskListsBtn.disabled = true;
+  }
+
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "tasks:listTaskLists",
+      account: elements.googleDefaultAccount?.value || null,
+    });
+
+    if (!response || !response.success) {
+      if (forceRefresh) {
+        showToast(
+          response?.error || "タスクリストの取得に失敗しました",
+          "error"
+        );
+      }
+      return;
+    }
+
+    const selected = select.value || "@default";
+    select.innerHTML = "";
+
+    const defaultOption = document.createElement("option");
+    defaultOption.value = "@default";
+    defaultOption.textContent = "既定のリスト";
+    select.appendChild(defaultOption);
+
+    response.taskLists.forEach((taskList) => {
+      const option = document.createElement("option");
+      option.value = taskList.id;
+      option.textContent = taskList.title;
+      select.appendChild(option);
+    });
+    setTaskListSelectValue(selected);
+
+    if (forceRefresh) {
+      showToast("タスクリストを更新しました", "success");
+    }
+  } catch (error) {
+    console.error("ChronoClip: Failed to load task lists:", error);
+    if (forceRefresh) {
+      showToast("タスクリストの取得に失敗しました", "error");
+    }
+  } finally {
+    if (elements.refreshTaskListsBtn) {
+      elements.refreshTaskListsBtn.disabled = false;
+    }
+  }
+}
+
+/**
+ * タスクリストを選択する（一覧にないIDも選択状態を保持）
+ * @param {string} taskListId - タスクリストID
+ */
+function setTaskListSelectValue(taskListId) {
+  const select = elements.defaultTaskList;
+  if (!select) return;
+
+  if (!Array.from(select.options).some((o) => o.value === taskListId)) {
+    const option = document.createElement("option");
+    option.value = taskListId;
+    option.textContent = taskListId;
+    select.appendChild(option);
+  }
+  select.value = taskListId;
+}
+
 /**
  * 日付形式UIを更新
  */
@@ -1033,6 +1563,21 @@ async function handleSave(e) {
       return;
     }
 
+    // CalDAVサーバーへのアクセス許可はユーザー操作の直後に要求する必要がある
+    const providerChanged =
+      formSettings.calendarProvider !==
+      (currentSettings.calendarProvider || "google");
+    // API のベースURL（モックサーバー）も同様
+    const apiBaseUrlChanged =
+      formSettings.apiBaseUrl &&
+      formSettings.apiBaseUrl !== (currentSettings.apiBaseUrl || "");
+    let permissionRequest = Promise.resolve(true);
+    if (formSettings.calendarProvider === "caldav") {
+      permissionRequest = requestHostPermission(formSettings.caldav.serverUrl);
+    } else if (apiBaseUrlChanged) {
+      permissionRequest = requestHostPermission(formSettings.apiBaseUrl);
+    }
+
     // 保存実行
     if (elements.saveBtn) {
       elements.saveBtn.disabled = true;
@@ -1041,12 +1586,25 @@ async function handleSave(e) {
 
     console.log("ChronoClip: Calling setSettings...");
     await window.ChronoClipSettings.setSettings(formSettings);
+    await saveCaldavPassword(elements.caldavPassword.value);
 
     currentSettings = formSettings;
     isDirty = false;
     updateSaveButtonState();
 
     showToast("設定を保存しました", "success");
+
+    if (!(await permissionRequest)) {
+      showToast(
+        formSettings.calendarProvider === "caldav"
+          ? "CalDAVサーバーへのアクセスが許可されていないため、イベントを追加できません"
+          : "API のベースURLへのアクセスが許可されていないため、モックサーバーに接続できない場合があります",
+        "warning"
+      );
+    }
+    if (providerChanged) {
+      await loadCalendarOptions(true);
+    }
     console.log("ChronoClip: Settings saved successfully");
   } catch (error) {
     console.error("ChronoClip: Failed to save settings:", error);
@@ -1066,6 +1624,8 @@ function getSettingsFromForm() {
   // デバッグ設定のチェックボックスを取得
   const debugModeCheckbox = document.getElementById("debugMode");
   const errorReportCheckbox = document.getElementById("errorReportConsent");
+  const apiBaseUrlInput = document.getElementById("apiBaseUrl");
+  const dryRunCheckbox = document.getElementById("dryRun");
 
   const settings = {
     ...currentSettings,
@@ -1074,14 +1634,48 @@ function getSettingsFromForm() {
     highlightColor: elements.highlightColor.value,
     includeURL: elements.includeURL.checked,
     defaultDuration: parseInt(elements.defaultDuration.value, 10),
-    defaultCalendar: elements.defaultCalendar.value,
+    calendarProvider: elements.calendarProvider.value,
+    caldav: {
+      serverUrl: elements.caldavServerUrl.value.trim(),
+      username: elements.caldavUsername.value.trim(),
+    },
+    googleAccounts: {
+      clientId: elements.googleClientId.value.trim(),
+      defaultAccount: elements.googleDefaultAccount.value,
+    },
+    outlook: getOutlookConfigFromForm(),
+    // サービスを切り替えた場合、以前のカレンダーIDは使えないため既定に戻す
+    defaultCalendar:
+      elements.calendarProvider.value ===
+      (currentSettings.calendarProvider || "google")
+        ? elements.defaultCalendar.value
+        : "primary",
+    defaultTaskList: elements.defaultTaskList.value || "@default",
     timezone: elements.timezone.value,
+    reminders: {
+      useDefault: elements.remindersUseDefault.checked,
+      overrides: elements.remindersUseDefault.checked
+        ? []
+        : getRemindersFromList(elements.reminderOverridesList),
+    },
+    templates: {
+      title: elements.titleTemplate.value.trim(),
+      description: elements.descriptionTemplate.value.trim(),
+    },
+    travelBuffer: {
+      enabled: elements.travelBufferEnabled.checked,
+      beforeMinutes: parseTravelBufferMinutes(elements.travelBufferBefore),
+      afterMinutes: parseTravelBufferMinutes(elements.travelBufferAfter),
+      calendarId: elements.travelBufferCalendar.value,
+    },
     rulesEnabled: elements.rulesEnabled.checked,
     // デバッグ・監視設定
     debugMode: debugModeCheckbox ? debugModeCheckbox.checked : false,
     errorReportConsent: errorReportCheckbox
       ? errorReportCheckbox.checked
       : false,
+    apiBaseUrl: apiBaseUrlInput ? apiBaseUrlInput.value.trim() : "",
+    dryRun: dryRunCheckbox ? dryRunCheckbox.checked : false,
     // dateFormats と siteRules は既に currentSettings に反映済み
   };
 
@@ -1407,6 +2001,8 @@ function openSiteRuleModal(domain = "", rule = null) {
     ruleDomain: document.getElementById("ruleDomain"),
     ruleEnabled: document.getElementById("ruleEnabled"),
     ruleInheritSubdomains: document.getElementById("ruleInheritSubdomains"),
+    ruleAccount: document.getElementById("ruleAccount"),
+    ruleCalendarId: document.getElementById("ruleCalendarId"),
     ruleDateAnchor: document.getElementById("ruleDateAnchor"),
     ruleDateBlock: document.getElementById("ruleDateBlock"),
     ruleTitleSelector: document.getElementById("ruleTitleSelector"),
@@ -1422,6 +2018,22 @@ function openSiteRuleModal(domain = "", rule = null) {
     ruleStopwords: document.getElementById("ruleStopwords"),
     ruleCustomJoiner: document.getElementById("ruleCustomJoiner"),
     ruleTrimBrackets: document.getElementById("ruleTrimBrackets"),
+    ruleRemindersMode: document.getElementById("ruleRemindersMode"),
+    ruleRemindersEditor: document.getElementById("ruleRemindersEditor"),
+    ruleReminderOverridesList: document.getElementById(
+      "ruleReminderOverridesList"
+    ),
+    ruleTitleTemplate: document.getElementById("ruleTitleTemplate"),
+    ruleDescriptionTemplate: document.getElementById(
+      "ruleDescriptionTemplate"
+    ),
+    ruleTravelBufferMode: document.getElementById("ruleTravelBufferMode"),
+    ruleTravelBufferEditor: document.getElementById("ruleTravelBufferEditor"),
+    ruleTravelBufferBefore: document.getElementById("ruleTravelBufferBefore"),
+    ruleTravelBufferAfter: document.getElementById("ruleTravelBufferAfter"),
+    ruleTravelBufferCalendarId: document.getElementById(
+      "ruleTravelBufferCalendarId"
+    ),
     deleteSiteRuleBtn: document.getElementById("deleteSiteRuleBtn"),
   };
 
@@ -1456,6 +2068,12 @@ function openSiteRuleModal(domain = "", rule = null) {
     elements.ruleEnabled.checked = rule.enabled ?? true;
     elements.ruleInheritSubdomains.checked = rule.inheritSubdomains ?? false;
 
+    // 追加先設定
+    if (rule.calendar) {
+      setAccountSelectValue(elements.ruleAccount, rule.calendar.account || "");
+      elements.ruleCalendarId.value = rule.calendar.calendarId || "";
+    }
+
     // 日付設定
     if (rule.date) {
       elements.ruleDateAnchor.value = rule.date.anchorSelector || "";
@@ -1503,6 +2121,20 @@ function openSiteRuleModal(domain = "", rule = null) {
       elements.ruleTrimBrackets.checked = rule.advanced.trimBrackets ?? false;
     }
 
+    // テンプレート設定
+    elements.ruleTitleTemplate.value = rule.templates?.title || "";
+    elements.ruleDescriptionTemplate.value = rule.templates?.description || "";
+
+    // 通知設定
+    elements.ruleRemindersMode.value = rule.reminders?.mode || "inherit";
+    renderReminderList(
+      elements.ruleReminderOverridesList,
+      rule.reminders?.overrides
+    );
+
+    // 移動時間設定
+    setRuleTravelBufferFields(rule.travelBuffer);
+
     elements.deleteSiteRuleBtn.classList.remove("hidden");
   } else {
     // 新規作成モード
@@ -1526,10 +2158,20 @@ function openSiteRuleModal(domain = "", rule = null) {
     elements.rulePreferDateTime.checked = defaultRule.time.preferDateTimeAttr;
     elements.ruleCustomJoiner.value = defaultRule.advanced.customJoiner;
     elements.ruleTrimBrackets.checked = defaultRule.advanced.trimBrackets;
+    elements.ruleRemindersMode.value = defaultRule.reminders.mode;
+    renderReminderList(
+      elements.ruleReminderOverridesList,
+      defaultRule.reminders.overrides
+    );
+    setRuleTravelBufferFields(defaultRule.travelBuffer);
 
     elements.deleteSiteRuleBtn.classList.add("hidden");
   }
 
+  updateRuleRemindersVisibility();
+  updateRuleTravelBufferVisibility();
+  updateRuleTemplatePreview();
+
   // モーダルタイトル設定
   document.getElementById("siteRuleModalTitle").textContent = rule
     ? `サイトルールの編集 - ${domain}`
@@ -1573,6 +2215,10 @@ async function saveSiteRule() {
     const rule = {
       enabled: elements.ruleEnabled.checked,
       inheritSubdomains: elements.ruleInheritSubdomains.checked,
+      calendar: {
+        account: elements.ruleAccount.value,
+        calendarId: elements.ruleCalendarId.value.trim(),
+      },
       date: {
         anchorSelector: elements.ruleDateAnchor.value.trim(),
         withinBlockSelector: elements.ruleDateBlock.value.trim(),
@@ -1611,6 +2257,25 @@ async function saveSiteRule() {
         customJoiner: elements.ruleCustomJoiner.value,
         trimBrackets: elements.ruleTrimBrackets.checked,
       },
+      reminders: {
+        mode: elements.ruleRemindersMode.value,
+        overrides:
+          elements.ruleRemindersMode.value === "custom"
+            ? getRemindersFromList(elements.ruleReminderOverridesList)
+            : [],
+      },
+      templates: {
+        title: elements.ruleTitleTemplate.value.trim(),
+        description: elements.ruleDescriptionTemplate.value.trim(),
+      },
+      travelBuffer: {
+        mode: elements.ruleTravelBufferMode.value,
+        beforeMinutes: parseTravelBufferMinutes(
+          elements.ruleTravelBufferBefore
+        ),
+        afterMinutes: parseTravelBufferMinutes(elements.ruleTravelBufferAfter),
+        calendarId: elements.ruleTravelBufferCalendarId.value.trim(),
+      },
     };
 
     console.log("ChronoClip: Constructed rule:", rule);
@@ -2040,6 +2705,584 @@ function removeExcludedDomain(index) {
   showToast(`除外パターン「${pattern}」を削除しました`, "success");
 }
 
+/**
+ * 通知の単位（分換算）
+ */
+const REMINDER_UNITS = [
+  { minutes: 1, label: "分前" },
+  { minutes: 60, label: "時間前" },
+  { minutes: 1440, label: "日前" },
+  { minutes: 10080, label: "週間前" },
+];
+
+/**
+ * 通知リストを描画
+ * @param {HTMLElement} container 通知リストの要素
+ * @param {Array} overrides 通知（{ method, minutes }）の配列
+ */
+function renderReminderList(container, overrides = []) {
+  if (!container) return;
+  container.innerHTML = "";
+  overrides.forEach((reminder) => addReminderRow(container, reminder));
+}
+
+/**
+ * 通知リストに行を追加（最大5件）
+ * @param {HTMLElement} container 通知リストの要素
+ * @param {Object} reminder 通知（{ method, minutes }）
+ */
+function addReminderRow(
+  container,
+  reminder = { method: "popup", minutes: 30 }
+) {
+  if (!container) return;
+  if (container.children.length >= 5) {
+    showToast("通知は最大5件までです", "warning");
+    return;
+  }
+
+  // 割り切れる最大の単位で表示（例: 1440分 → 1日前）
+  const unit =
+    [...REMINDER_UNITS]
+      .reverse()
+      .find(
+        (u) => reminder.minutes > 0 && reminder.minutes % u.minutes === 0
+      ) || REMINDER_UNITS[0];
+
+  const row = document.createElement("div");
+  row.className = "reminder-row";
+  row.innerHTML = `
+    <select class="reminder-method">
+      <option value="popup">ポップアップ</option>
+      <option value="email">メール</option>
+    </select>
+    <input type="number" class="number-input reminder-amount" min="0" value="${
+      reminder.minutes / unit.minutes
+    }" />
+    <select class="reminder-unit">
+      ${REMINDER_UNITS.map(
+        (u) => `<option value="${u.minutes}">${u.label}</option>`
+      ).join("")}
+    </select>
+    <button type="button" class="reminder-remove">削除</button>
+  `;
+  row.querySelector(".reminder-method").value =
+    reminder.method === "email" ? "email" : "popup";
+  row.querySelector(".reminder-unit").value = String(unit.minutes);
+  container.appendChild(row);
+}
+
+/**
+ * 通知リストの削除ボタンのクリックを処理
+ * @param {Event} e クリックイベント
+ * @returns {boolean} 行を削除したか
+ */
+function handleReminderRemove(e) {
+  const button = e.target.closest(".reminder-remove");
+  if (!button) return false;
+  button.closest(".reminder-row").remove();
+  return true;
+}
+
+/**
+ * 通知リストから通知の配列を取得
+ * @param {HTMLElement} container 通知リストの要素
+ * @returns {Array} 通知（{ method, minutes }）の配列
+ */
+function getRemindersFromList(container) {
+  if (!container) return [];
+  return Array.from(container.querySelectorAll(".reminder-row"))
+    .map((row) => ({
+      method: row.querySelector(".reminder-method").value,
+      minutes:
+        parseInt(row.querySelector(".reminder-amount").value, 10) *
+        parseInt(row.querySelector(".reminder-unit").value, 10),
+    }))
+    .filter((reminder) => Number.isInteger(reminder.minutes));
+}
+
+/**
+ * 既定の通知を使う場合は通知リストを隠す
+ */
+function updateRemindersVisibility() {
+  const useDefault = elements.remindersUseDefault.checked;
+  elements.reminderOverridesList.classList.toggle("hidden", useDefault);
+  elements.addReminderBtn.classList.toggle("hidden", useDefault);
+}
+
+/**
+ * サイトルールの通知がカスタムのときだけ通知リストを表示
+ */
+function updateRuleRemindersVisibility() {
+  elements.ruleRemindersEditor.classList.toggle(
+    "hidden",
+    elements.ruleRemindersMode.value !== "custom"
+  );
+}
+
+/**
+ * 移動の予定を作成しない場合は移動時間の入力欄を隠す
+ */
+function updateTravelBufferVisibility() {
+  elements.travelBufferEditor.classList.toggle(
+    "hidden",
+    !elements.travelBufferEnabled.checked
+  );
+}
+
+/**
+ * サイトルールの移動時間がカスタムのときだけ入力欄を表示
+ */
+function updateRuleTravelBufferVisibility() {
+  elements.ruleTravelBufferEditor.classList.toggle(
+    "hidden",
+    elements.ruleTravelBufferMode.value !== "custom"
+  );
+}
+
+/**
+ * 移動の予定の追加先を選択（一覧にないカレンダーIDも選択状態を保持）
+ * @param {string} calendarId - カレンダーID（空なら予定と同じカレンダー）
+ */
+function setTravelBufferCalendar(calendarId) {
+  const select = elements.travelBufferCalendar;
+  if (!select) return;
+
+  const value = calendarId || "";
+  if (!Array.from(select.options).some((o) => o.value === value)) {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = value === "primary" ? "プライマリカレンダー" : value;
+    select.appendChild(option);
+  }
+  select.value = value;
+}
+
+/**
+ * サイトルールの移動時間の入力欄に値を設定
+ * @param {Object} [travelBuffer] - { mode, beforeMinutes, afterMinutes, calendarId }
+ */
+function setRuleTravelBufferFields(travelBuffer) {
+  const buffer = {
+    ...window.ChronoClipSettings.getDefaultSiteRule().travelBuffer,
+    ...(travelBuffer || {}),
+  };
+  elements.ruleTravelBufferMode.value = travelBuffer?.mode || "inherit";
+  elements.ruleTravelBufferBefore.value = buffer.beforeMinutes;
+  elements.ruleTravelBufferAfter.value = buffer.afterMinutes;
+  elements.ruleTravelBufferCalendarId.value = buffer.calendarId || "";
+}
+
+/**
+ * 移動時間の入力値を分（整数）に変換
+ * 空欄や不正な値は0（作成しない）として扱い、範囲外の値は設定の検証でエラーにする
+ * @param {HTMLInputElement} input - 入力欄
+ * @returns {number} 分
+ */
+function parseTravelBufferMinutes(input) {
+  const minutes = parseInt(input.value, 10);
+  return Number.isNaN(minutes) ? 0 : minutes;
+}
+
+/**
+ * テンプレートで使えるプレースホルダーの一覧を表示
+ */
+function renderTemplatePlaceholderList() {
+  const list = elements.templatePlaceholderList;
+  const placeholders = window.ChronoClipEventTemplate?.TEMPLATE_PLACEHOLDERS;
+  if (!list || !placeholders || list.childElementCount > 0) return;
+
+  Object.entries(placeholders).forEach(([name, label]) => {
+    const item = document.createElement("li");
+    const code = document.createElement("code");
+    code.textContent = `{${name}}`;
+    item.appendChild(code);
+    item.appendChild(document.createTextNode(` ${label}`));
+    list.appendChild(item);
+  });
+}
+
+/**
+ * サンプルの抽出結果にテンプレートを適用してプレビューを表示
+ * @param {Object} templates - { title, description }
+ * @param {Object} target - プレビューの表示先 { title, description, warning }
+ * @param {string} [domain] - サンプルのURLに使うドメイン
+ */
+function renderTemplatePreview(templates, target, domain) {
+  const eventTemplate = window.ChronoClipEventTemplate;
+  if (!eventTemplate || !target.title) return;
+
+  const sample = { ...TEMPLATE_PREVIEW_SAMPLE };
+  if (domain && domain !== "*") {
+    sample.url = `https://${domain}/events/123`;
+  }
+  const result = eventTemplate.applyEventTemplates(
+    templates,
+    eventTemplate.buildTemplateContext(sample)
+  );
+
+  target.title.textContent = result.title;
+  target.description.textContent = result.description;
+
+  const unknown = [
+    ...eventTemplate.findUnknownPlaceholders(templates.title),
+    ...eventTemplate.findUnknownPlaceholders(templates.description),
+  ];
+  target.warning.textContent = unknown.length
+    ? `不明なプレースホルダー: ${unknown.map((name) => `{${name}}`).join(" ")}`
+    : "";
+  target.warning.classList.toggle("hidden", unknown.length === 0);
+}
+
+/**
+ * 全体設定のテンプレートのプレビューを更新
+ */
+function updateTemplatePreview() {
+  renderTemplatePreview(
+    {
+      title: elements.titleTemplate?.value || "",
+      description: elements.descriptionTemplate?.value || "",
+    },
+    {
+      title: elements.templatePreviewTitle,
+      description: elements.templatePreviewDescription,
+      warning: elements.templatePreviewWarning,
+    }
+  );
+}
+
+/**
+ * サイトルールのテンプレートのプレビューを更新
+ * 空欄の項目は全体設定のテンプレートで表示する
+ */
+function updateRuleTemplatePreview() {
+  renderTemplatePreview(
+    {
+      title:
+        elements.ruleTitleTemplate?.value || elements.titleTemplate?.value || "",
+      description:
+        elements.ruleDescriptionTemplate?.value ||
+        elements.descriptionTemplate?.value ||
+        "",
+    },
+    {
+      title: elements.ruleTemplatePreviewTitle,
+      description: elements.ruleTemplatePreviewDescription,
+      warning: elements.ruleTemplatePreviewWarning,
+    },
+    elements.ruleDomain?.value.trim()
+  );
+}
+
+/**
+ * カレンダーサービスに応じてGoogle・CalDAV・Outlookの設定欄の表示を切り替え
+ */
+function updateProviderSettingsVisibility() {
+  if (!elements.calendarProvider) return;
+  const provider = elements.calendarProvider.value;
+  elements.googleAccountsSettings?.classList.toggle(
+    "hidden",
+    provider !== "google"
+  );
+  elements.caldavSettings?.classList.toggle("hidden", provider !== "caldav");
+  elements.outlookSettings?.classList.toggle("hidden", provider !== "outlook");
+}
+
+/**
+ * サインイン済みのGoogleアカウントを取得し、一覧と選択肢を更新
+ */
+async function loadGoogleAccounts() {
+  if (!elements.googleAccountList || !chrome.runtime) return;
+
+  let accounts = [];
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "google:listAccounts",
+    });
+    if (response && response.success) {
+      accounts = response.accounts;
+    }
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load Google accounts:", error);
+  }
+
+  elements.googleAccountList.innerHTML = "";
+  accounts.forEach((account) => {
+    const item = document.createElement("li");
+    const label = document.createElement("span");
+    label.textContent = account.name
+      ? `${account.name} <${account.email}>`
+      : account.email;
+
+    const removeButton = document.createElement("button");
+    removeButton.type = "button";
+    removeButton.className = "remove-btn";
+    removeButton.textContent = "削除";
+    removeButton.addEventListener("click", () =>
+      removeGoogleAccountFromList(account.email)
+    );
+
+    item.append(label, removeButton);
+    elements.googleAccountList.appendChild(item);
+  });
+
+  fillAccountSelect(
+    elements.googleDefaultAccount,
+    accounts,
+    currentSettings.googleAccounts?.defaultAccount || ""
+  );
+  fillAccountSelect(
+    document.getElementById("ruleAccount"),
+    accounts,
+    document.getElementById("ruleAccount")?.value || ""
+  );
+}
+
+/**
+ * アカウントの選択肢を作り直す（HTMLに書かれた固定の選択肢は残す）
+ * @param {HTMLSelectElement} select - 対象のセレクト
+ * @param {Array<{email: string}>} accounts - サインイン済みのアカウント
+ * @param {string} selected - 選択するアカウント
+ */
+function fillAccountSelect(select, accounts, selected) {
+  if (!select) return;
+
+  Array.from(select.options)
+    .filter((option) => option.dataset.account)
+    .forEach((option) => option.remove());
+  accounts.forEach((account) => {
+    const option = document.createElement("option");
+    option.value = account.email;
+    option.dataset.account = account.email;
+    option.textContent = account.email;
+    select.appendChild(option);
+  });
+  setAccountSelectValue(select, selected);
+}
+
+/**
+ * アカウントを選択する（サインアウト済みのアカウントも選択状態を保持）
+ * @param {HTMLSelectElement} select - 対象のセレクト
+ * @param {string} email - 選択するアカウント
+ */
+function setAccountSelectValue(select, email) {
+  if (!select) return;
+
+  if (email && !Array.from(select.options).some((o) => o.value === email)) {
+    const option = document.createElement("option");
+    option.value = email;
+    option.dataset.account = email;
+    option.textContent = `${email}（未サインイン）`;
+    select.appendChild(option);
+  }
+  select.value = email;
+}
+
+/**
+ * 入力中のクライアントIDでGoogleアカウントを追加
+ */
+async function addGoogleAccountFromForm() {
+  const clientId = elements.googleClientId.value.trim();
+  if (!clientId) {
+    showToast("OAuthクライアントIDを入力してください", "error");
+    return;
+  }
+
+  elements.googleAddAccountBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "google:addAccount",
+      config: { clientId },
+    });
+
+    if (response && response.success) {
+      showToast(`${response.account.email} を追加しました`, "success");
+      await loadGoogleAccounts();
+      // トークンの更新に使うため、クライアントIDの保存を促す
+      if (clientId !== (currentSettings.googleAccounts?.clientId || "")) {
+        isDirty = true;
+        updateSaveButtonState();
+      }
+    } else {
+      showToast(
+        response?.error || "アカウントの追加に失敗しました",
+        "error"
+      );
+    }
+  } catch (error) {
+    console.error("ChronoClip: Adding Google account failed:", error);
+    showToast("アカウントの追加に失敗しました", "error");
+  } finally {
+    elements.googleAddAccountBtn.disabled = false;
+  }
+}
+
+/**
+ * Googleアカウントをサインアウトして一覧から削除
+ * @param {string} email - 削除するアカウント
+ */
+async function removeGoogleAccountFromList(email) {
+  try {
+    await chrome.runtime.sendMessage({ type: "google:removeAccount", email });
+    showToast(`${email} を削除しました`, "success");
+    await loadGoogleAccounts();
+  } catch (error) {
+    console.error("ChronoClip: Removing Google account failed:", error);
+    showToast("アカウントの削除に失敗しました", "error");
+  }
+}
+
+/**
+ * フォームのCalDAV接続設定を取得
+ * @returns {{serverUrl: string, username: string, password: string}}
+ */
+function getCaldavConfigFromForm() {
+  return {
+    serverUrl: elements.caldavServerUrl.value.trim(),
+    username: elements.caldavUsername.value.trim(),
+    password: elements.caldavPassword.value,
+  };
+}
+
+/**
+ * CalDAVサーバーやモックサーバーへのアクセス権限（ホスト権限）を要求
+ * ユーザー操作のイベントハンドラ内で、awaitより前に呼び出す必要がある
+ * @param {string} serverUrl - サーバーURL
+ * @returns {Promise<boolean>} 許可された場合true
+ */
+function requestHostPermission(serverUrl) {
+  try {
+    const { origin } = new URL(serverUrl);
+    return chrome.permissions.request({ origins: [`${origin}/*`] });
+  } catch (error) {
+    return Promise.resolve(false);
+  }
+}
+
+/**
+ * 保存済みのCalDAVパスワードをフォームに読み込む
+ */
+async function loadCaldavPassword() {
+  try {
+    const stored = await chrome.storage.local.get(CALDAV_PASSWORD_STORAGE_KEY);
+    elements.caldavPassword.value =
+      stored[CALDAV_PASSWORD_STORAGE_KEY]?.password || "";
+  } catch (error) {
+    console.warn("ChronoClip: Failed to load CalDAV password:", error);
+  }
+}
+
+/**
+ * CalDAVパスワードを保存（同期されないよう chrome.storage.local に保存）
+ * @param {string} password - パスワード
+ */
+async function saveCaldavPassword(password) {
+  if (password) {
+    await chrome.storage.local.set({
+      [CALDAV_PASSWORD_STORAGE_KEY]: { password },
+    });
+  } else {
+    await chrome.storage.local.remove(CALDAV_PASSWORD_STORAGE_KEY);
+  }
+}
+
+/**
+ * 入力中のCalDAV設定でサーバーに接続できるか確認
+ */
+async function testCaldavConnection() {
+  const config = getCaldavConfigFromForm();
+  if (!config.serverUrl) {
+    showToast("CalDAVサーバーのURLを入力してください", "error");
+    return;
+  }
+
+  const granted = await requestHostPermission(config.serverUrl);
+  if (!granted) {
+    showToast("CalDAVサーバーへのアクセスが許可されませんでした", "error");
+    return;
+  }
+
+  elements.testCaldavBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "caldav:testConnection",
+      config,
+    });
+
+    if (response && response.success) {
+      showToast(
+        `接続に成功しました（カレンダー ${response.calendars.length} 件）`,
+        "success"
+      );
+    } else {
+      showToast(
+        response?.error || "CalDAVサーバーに接続できませんでした",
+        "error"
+      );
+    }
+  } catch (error) {
+    console.error("ChronoClip: CalDAV connection test failed:", error);
+    showToast("CalDAVサーバーに接続できませんでした", "error");
+  } finally {
+    elements.testCaldavBtn.disabled = false;
+  }
+}
+
+/**
+ * フォームのOutlookアプリ登録設定を取得
+ * @returns {{clientId: string, tenant: string}}
+ */
+function getOutlookConfigFromForm() {
+  return {
+    clientId: elements.outlookClientId.value.trim(),
+    tenant: elements.outlookTenant.value.trim() || "common",
+  };
+}
+
+/**
+ * 入力中のアプリ登録設定でMicrosoftアカウントにサインイン
+ */
+async function signInToOutlookFromForm() {
+  const config = getOutlookConfigFromForm();
+  if (!config.clientId) {
+    showToast("アプリケーション（クライアント）IDを入力してください", "error");
+    return;
+  }
+
+  elements.outlookSignInBtn.disabled = true;
+  try {
+    const response = await chrome.runtime.sendMessage({
+      type: "outlook:signIn",
+      config,
+    });
+
+    if (response && response.success) {
+      const { displayName, email } = response.account;
+      showToast(`${displayName || email} でサインインしました`, "success");
+    } else {
+      showToast(response?.error || "サインインに失敗しました", "error");
+    }
+  } catch (error) {
+    console.error("ChronoClip: Outlook sign-in failed:", error);
+    showToast("サインインに失敗しました", "error");
+  } finally {
+    elements.outlookSignInBtn.disabled = false;
+  }
+}
+
+/**
+ * Microsoftアカウントからサインアウト（保存済みのトークンを破棄）
+ */
+async function signOutOfOutlookFromForm() {
+  try {
+    await chrome.runtime.sendMessage({ type: "outlook:signOut" });
+    showToast("Microsoftアカウントからサインアウトしました", "success");
+  } catch (error) {
+    console.error("ChronoClip: Outlook sign-out failed:", error);
+    showToast("サインアウトに失敗しました", "error");
+  }
+}
+
 /**
  * HTMLエスケープ
  */
@@ -2206,6 +3449,87 @@ function initializeDebugFeatures() {
   logLevelFilter?.addEventListener("change", () => {
     refreshDebugLogs();
   });
+
+  // ドライランログ
+  document
+    .getElementById("showDryRunLogBtn")
+    ?.addEventListener("click", refreshDryRunLog);
+  document
+    .getElementById("refreshDryRunLogBtn")
+    ?.addEventListener("click", refreshDryRunLog);
+  document.getElementById("hideDryRunLogBtn")?.addEventListener("click", () => {
+    document.getElementById("dryRunLogContainer")?.classList.add("hidden");
+  });
+  document
+    .getElementById("clearDryRunLogBtn")
+    ?.addEventListener("click", async () => {
+      try {
+        await chrome.storage.local.remove(DRY_RUN_LOG_STORAGE_KEY);
+        showToast("ドライランログをクリアしました", "success");
+        refreshDryRunLog();
+      } catch (error) {
+        logger?.error("Failed to clear dry-run log", error);
+        showToast("ドライランログのクリアに失敗しました", "error");
+      }
+    });
+}
+
+/**
+ * ドライランで記録したリクエストの表示を更新
+ * 本文は送信されるはずだった内容をそのまま（JSONは整形して）表示する
+ */
+async function refreshDryRunLog() {
+  try {
+    const stored = await chrome.storage.local.get(DRY_RUN_LOG_STORAGE_KEY);
+    const entries = stored[DRY_RUN_LOG_STORAGE_KEY] || [];
+    const output = document.getElementById("dryRunLogOutput");
+    if (!output) return;
+
+    output.innerHTML = "";
+    if (entries.length === 0) {
+      output.textContent = "記録されたリクエストはありません";
+    }
+
+    entries.forEach((entry) => {
+      const entryDiv = document.createElement("div");
+      entryDiv.className = "dry-run-entry";
+
+      const request = document.createElement("div");
+      request.className = "dry-run-request";
+      const account = entry.account ? ` (${entry.account})` : "";
+      request.textContent = `[${new Date(
+        entry.timestamp
+      ).toLocaleString()}] ${entry.method} ${entry.url}${account}`;
+      entryDiv.appendChild(request);
+
+      if (entry.body) {
+        const body = document.createElement("pre");
+        body.className = "dry-run-body";
+        body.textContent = formatDryRunBody(entry.body);
+        entryDiv.appendChild(body);
+      }
+
+      output.appendChild(entryDiv);
+    });
+
+    document.getElementById("dryRunLogContainer")?.classList.remove("hidden");
+  } catch (error) {
+    logger?.error("Failed to refresh dry-run log", error);
+    showToast("ドライランログの取得に失敗しました", "error");
+  }
+}
+
+/**
+ * ドライランで記録した本文を表示用に整形（JSON以外はそのまま）
+ * @param {string} body - リクエスト本文
+ * @returns {string} 表示用の文字列
+ */
+function formatDryRunBody(body) {
+  try {
+    return JSON.stringify(JSON.parse(body), null, 2);
+  } catch (error) {
+    return body;
+  }
 }
 
 /**
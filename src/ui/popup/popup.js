@@ -14,6 +14,7 @@ document.addEventListener("DOMContentLoaded", async () => {
   const userInfoDisplay = document.getElementById("user-info");
   const loginButton = document.getElementById("login-button");
   const logoutButton = document.getElementById("logout-button");
+  const accountInfoDisplay = document.getElementById("account-info");
 
   // エラー表示UI要素
   const errorNotification = document.getElementById("error-notification");
@@ -339,6 +340,60 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   }
 
+  /**
+   * 現在のタブの予定を追加するGoogleアカウントを表示
+   * サイトルールでアカウントが指定されている場合はそのアカウントを表示する
+   */
+  let profileEmail = null;
+  async function updateAccountInfo() {
+    if (
+      !currentSettings ||
+      (currentSettings.calendarProvider || "google") !== "google"
+    ) {
+      accountInfoDisplay.classList.add("hidden");
+      return;
+    }
+
+    const defaultAccount = currentSettings.googleAccounts?.defaultAccount || "";
+    let target = {
+      account: defaultAccount,
+      calendarId: currentSettings.defaultCalendar || "primary",
+    };
+    try {
+      const [tab] = await chrome.tabs.query({
+        active: true,
+        currentWindow: true,
+      });
+      const host = tab?.url ? new URL(tab.url).hostname : "";
+      if (host) {
+        target = await window.ChronoClipSettings.getCalendarTargetForHost(host);
+      }
+    } catch (error) {
+      logger?.debug("Failed to resolve calendar target for tab", error);
+    }
+
+    // サイトルールで明示された Chrome のプロフィールのアカウントも含む
+    const account =
+      target.account &&
+      target.account !== window.ChronoClipSettings.PROFILE_ACCOUNT
+        ? target.account
+        : profileEmail;
+    if (!account) {
+      accountInfoDisplay.classList.add("hidden");
+      return;
+    }
+
+    let text = `追加先: ${account}`;
+    if (target.calendarId !== "primary") {
+      text += ` / ${target.calendarId}`;
+    }
+    if (target.account !== defaultAccount) {
+      text += "（サイトルール）";
+    }
+    accountInfoDisplay.textContent = text;
+    accountInfoDisplay.classList.remove("hidden");
+  }
+
   /**
    * UIを更新し、認証状態を表示します。
    */
@@ -360,9 +415,11 @@ document.addEventListener("DOMContentLoaded", async () => {
         userInfoDisplay.textContent = `(${response.userInfo.email})`;
         userInfoDisplay.style.display = "block";
         logoutButton.style.display = "block";
+        profileEmail = response.userInfo.email;
         logger?.info("User is logged in", { email: response.userInfo.email });
       } else {
         statusMessage.textContent = "ログインしていません";
+        profileEmail = null;
         loginButton.style.display = "block";
         logger?.info("User is not logged in");
       }
@@ -431,19 +488,407 @@ document.addEventListener("DOMContentLoaded", async () => {
     }
   });
 
+  // クイック追加UI要素
+  const quickAddForm = document.getElementById("quick-add-form");
+  const quickAddInput = document.getElementById("quick-add-input");
+  const quickAddPreview = document.getElementById("quick-add-preview");
+  const quickAddButton = document.getElementById("quick-add-button");
+  let quickAddEvent = null;
+
+  /**
+   * 入力中のテキストを解析してプレビューを更新する
+   */
+  function updateQuickAddPreview() {
+    const text = quickAddInput.value.trim();
+    quickAddEvent = null;
+
+    if (!text) {
+      quickAddPreview.classList.add("hidden");
+      quickAddButton.disabled = true;
+      return;
+    }
+
+    const quickAdd = window.ChronoClipQuickAdd;
+    const parsed = quickAdd?.parseQuickAddText(text);
+    if (parsed && parsed.title) {
+      quickAddEvent = quickAdd.buildQuickAddEvent(parsed, {
+        defaultDuration: currentSettings?.defaultDuration,
+      });
+      quickAddPreview.textContent = quickAdd.formatQuickAddPreview(
+        quickAddEvent
+      );
+      quickAddPreview.classList.remove("error");
+    } else {
+      quickAddPreview.textContent = parsed
+        ? "タイトルを入力してください"
+        : "日時を読み取れませんでした";
+      quickAddPreview.classList.add("error");
+    }
+
+    quickAddPreview.classList.remove("hidden");
+    quickAddButton.disabled = !quickAddEvent;
+  }
+
+  /**
+   * プレビュー中の予定をカレンダーに追加する
+   */
+  async function submitQuickAdd() {
+    if (!quickAddEvent) return;
+
+    const eventData = quickAddEvent;
+    quickAddButton.disabled = true;
+    try {
+      logger?.info("Quick add from popup", { title: eventData.summary });
+      const response = await chrome.runtime.sendMessage({
+        type: "add_to_calendar",
+        eventData,
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "予定の追加に失敗しました");
+      }
+      showSuccess(`「${eventData.summary}」を追加しました`);
+      quickAddInput.value = "";
+      updateQuickAddPreview();
+    } catch (error) {
+      logger?.error("Quick add failed", error);
+      showError(error, "クイック追加", submitQuickAdd);
+      quickAddButton.disabled = false;
+    }
+  }
+
+  quickAddInput.addEventListener("input", updateQuickAddPreview);
+  quickAddForm.addEventListener("submit", (e) => {
+    e.preventDefault();
+    submitQuickAdd();
+  });
+
+  // 作成履歴UI要素
+  const historyList = document.getElementById("history-list");
+  const historyEmpty = document.getElementById("history-empty");
+  const historyClearBtn = document.getElementById("history-clear");
+
+  /**
+   * 作成履歴を読み込んで表示する
+   */
+  async function loadHistory() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "history:list",
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "履歴の取得に失敗しました");
+      }
+      renderHistory(response.history);
+    } catch (error) {
+      logger?.error("Failed to load event history", error);
+      showError(error, "履歴読み込み");
+    }
+  }
+
+  /**
+   * 作成履歴を描画する
+   * @param {Array<Object>} history - 履歴エントリの配列（新しい順）
+   */
+  function renderHistory(history) {
+    historyList.innerHTML = "";
+    historyEmpty.classList.toggle("hidden", history.length > 0);
+    historyClearBtn.classList.toggle("hidden", history.length === 0);
+
+    history.forEach((entry) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+
+      const title = document.createElement("span");
+      title.className = "history-item-title";
+      title.textContent = entry.summary || "(タイトルなし)";
+      title.title = entry.summary || "";
+      item.appendChild(title);
+
+      const meta = document.createElement("span");
+      meta.className = "history-item-meta";
+      meta.textContent = formatHistoryMeta(entry);
+      meta.title = entry.sourceUrl || "";
+      item.appendChild(meta);
+
+      const actions = document.createElement("div");
+      actions.className = "history-item-actions";
+
+      if (entry.htmlLink) {
+        actions.appendChild(
+          createHistoryButton("開く", () => openTab(entry.htmlLink))
+        );
+
+        const editUrl = getEventEditUrl(entry.htmlLink);
+        if (editUrl) {
+          actions.appendChild(
+            createHistoryButton("編集", () => openTab(editUrl))
+          );
+        }
+      }
+
+      actions.appendChild(
+        createHistoryButton("取り消し", () => undoHistoryEntry(entry))
+      );
+
+      item.appendChild(actions);
+      historyList.appendChild(item);
+    });
+  }
+
+  /**
+   * 履歴エントリの補足情報（日時・参照元・抽出エンジン）を整形する
+   * @param {Object} entry - 履歴エントリ
+   * @returns {string} 表示用文字列
+   */
+  function formatHistoryMeta(entry) {
+    const parts = [];
+    const start = entry.start?.dateTime || entry.start?.date;
+    if (start) {
+      const date = new Date(start);
+      parts.push(
+        isNaN(date.getTime())
+          ? start
+          : date.toLocaleString("ja-JP", {
+              dateStyle: "short",
+              ...(entry.start.dateTime ? { timeStyle: "short" } : {}),
+            })
+      );
+    }
+    if (entry.sourceUrl) {
+      try {
+        parts.push(new URL(entry.sourceUrl).hostname);
+      } catch (e) {
+        parts.push(entry.sourceUrl);
+      }
+    }
+    if (entry.extractor) {
+      parts.push(entry.extractor);
+    }
+    return parts.join(" · ");
+  }
+
+  /**
+   * Googleカレンダーの予定URL（htmlLink）から編集画面のURLを作成する
+   * @param {string} htmlLink - Calendar APIが返すhtmlLink
+   * @returns {string|null} 編集画面のURL
+   */
+  function getEventEditUrl(htmlLink) {
+    try {
+      const eid = new URL(htmlLink).searchParams.get("eid");
+      return eid
+        ? `https://calendar.google.com/calendar/r/eventedit/${eid}`
+        : null;
+    } catch (e) {
+      return null;
+    }
+  }
+
+  /**
+   * 履歴の操作ボタンを作成する
+   * @param {string} label - ボタンのラベル
+   * @param {Function} onClick - クリック時の処理
+   * @returns {HTMLButtonElement} ボタン要素
+   */
+  function createHistoryButton(label, onClick) {
+    const button = document.createElement("button");
+    button.type = "button";
+    button.className = "error-action-btn";
+    button.textContent = label;
+    button.addEventListener("click", onClick);
+    return button;
+  }
+
+  /**
+   * 新しいタブでURLを開く
+   * @param {string} url - 開くURL
+   */
+  function openTab(url) {
+    chrome.tabs.create({ url });
+  }
+
+  /**
+   * 履歴の予定を取り消す（カレンダーから削除）
+   * @param {Object} entry - 履歴エントリ
+   */
+  async function undoHistoryEntry(entry) {
+    const buffers = entry.travelBuffers?.length
+      ? "（前後の移動の予定も削除されます）"
+      : "";
+    if (
+      !confirm(`「${entry.summary}」をカレンダーから削除しますか？${buffers}`)
+    ) {
+      return;
+    }
+
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "history:undo",
+        eventId: entry.eventId,
+        calendarId: entry.calendarId,
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "取り消しに失敗しました");
+      }
+      showSuccess("予定の追加を取り消しました");
+      await loadHistory();
+    } catch (error) {
+      logger?.error("Failed to undo event", error);
+      showError(error, "予定の取り消し", () => undoHistoryEntry(entry));
+    }
+  }
+
+  historyClearBtn.addEventListener("click", async () => {
+    try {
+      await chrome.runtime.sendMessage({ type: "history:clear" });
+      renderHistory([]);
+    } catch (error) {
+      logger?.error("Failed to clear event history", error);
+      showError(error, "履歴クリア");
+    }
+  });
+
+  // 未送信キューUI要素
+  const queueSection = document.getElementById("queue-section");
+  const queueList = document.getElementById("queue-list");
+  const queueRetryAllBtn = document.getElementById("queue-retry-all");
+
+  /**
+   * 未送信キューを読み込んで表示する
+   */
+  async function loadQueue() {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "queue:list",
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "未送信キューの取得に失敗しました");
+      }
+      renderQueue(response.queue);
+    } catch (error) {
+      logger?.error("Failed to load retry queue", error);
+      showError(error, "未送信キュー読み込み");
+    }
+  }
+
+  /**
+   * 未送信キューを描画する
+   * @param {Array<Object>} queue - キューのアイテム
+   */
+  function renderQueue(queue) {
+    queueList.innerHTML = "";
+    queueSection.classList.toggle("hidden", queue.length === 0);
+
+    queue.forEach((queued) => {
+      const item = document.createElement("li");
+      item.className = "history-item";
+
+      const title = document.createElement("span");
+      title.className = "history-item-title";
+      title.textContent = queued.eventData?.summary || "(タイトルなし)";
+      item.appendChild(title);
+
+      const status = document.createElement("span");
+      status.className = `history-item-meta queue-status-${queued.status}`;
+      const statusLabel =
+        queued.status === "failed" ? "再送失敗（手動対応）" : "再送待ち";
+      status.textContent = `${statusLabel} · 試行${queued.attempts}回`;
+      status.title = queued.lastError || "";
+      item.appendChild(status);
+
+      const actions = document.createElement("div");
+      actions.className = "history-item-actions";
+      actions.appendChild(
+        createHistoryButton("再試行", () => retryQueuedItem(queued.id))
+      );
+      actions.appendChild(
+        createHistoryButton("破棄", () => discardQueuedItem(queued))
+      );
+      item.appendChild(actions);
+
+      queueList.appendChild(item);
+    });
+  }
+
+  /**
+   * 未送信キューのアイテムを再送する
+   * @param {string} [id] - アイテムID（省略時は全件）
+   */
+  async function retryQueuedItem(id) {
+    try {
+      const response = await chrome.runtime.sendMessage({
+        type: "queue:retry",
+        id,
+      });
+      if (!response || !response.success) {
+        throw new Error(response?.error || "再送に失敗しました");
+      }
+      renderQueue(response.queue);
+      if (response.succeeded > 0) {
+        showSuccess(`${response.succeeded}件の予定を追加しました`);
+      } else {
+        showError(new Error("再送に失敗しました"), "再送");
+      }
+    } catch (error) {
+      logger?.error("Failed to retry queued item", error);
+      showError(error, "再送");
+    }
+  }
+
+  /**
+   * 未送信キューのアイテムを破棄する
+   * @param {Object} queued - キューのアイテム
+   */
+  async function discardQueuedItem(queued) {
+    const title = queued.eventData?.summary || "(タイトルなし)";
+    if (!confirm(`「${title}」を未送信キューから破棄しますか？`)) {
+      return;
+    }
+
+    try {
+      await chrome.runtime.sendMessage({
+        type: "queue:discard",
+        id: queued.id,
+      });
+      await loadQueue();
+    } catch (error) {
+      logger?.error("Failed to discard queued item", error);
+      showError(error, "破棄");
+    }
+  }
+
+  queueRetryAllBtn.addEventListener("click", () => retryQueuedItem());
+
+  // 他の画面で予定が追加・取り消しされた場合に履歴・キューを更新
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local") return;
+    if (changes.chronoClipEventHistory) {
+      renderHistory(changes.chronoClipEventHistory.newValue || []);
+    }
+    if (changes.chronoClipRetryQueue) {
+      renderQueue(changes.chronoClipRetryQueue.newValue || []);
+    }
+  });
+
   // 設定変更の監視
   if (window.ChronoClipSettings) {
     window.ChronoClipSettings.onSettingsChanged((newSettings) => {
       logger?.info("Settings changed in popup", newSettings);
       currentSettings = newSettings;
       updateSettingsDisplay();
+      updateAccountInfo();
     });
   }
 
   // 初期化処理
   try {
     logger?.info("Starting popup initialization");
-    await Promise.all([updateAuthUI(), loadAndDisplaySettings()]);
+    await Promise.all([
+      updateAuthUI(),
+      loadAndDisplaySettings(),
+      loadHistory(),
+      loadQueue(),
+    ]);
+    await updateAccountInfo();
     logger?.info("Popup initialization complete");
   } catch (error) {
     logger?.error("Popup initialization failed", error);